@@ -3,10 +3,26 @@
 import { Command } from 'commander';
 import fs from 'fs';
 import path from 'path';
+import readline from 'readline';
 import dotenv from 'dotenv';
 import { logger } from '../src/utils/logger.js';
-import { BackendFlowExecutor } from '../src/services/flowExecutor.js';
 import { FlowTracker } from '../src/services/flowTracker.js';
+import { FlowControl } from '../src/services/flowControl.js';
+import { RunManager } from '../src/services/runManager.js';
+import { RunStore } from '../src/services/runStore.js';
+import { FLOWS_DIR, listFlowIds, loadFlow, resolveFlowPath } from '../src/services/flowStore.js';
+import { validateFlow, formatValidationIssue } from '../src/services/flowValidator.js';
+import { describeWrite } from '../src/services/dryRun.js';
+import { LLMUsageLedger, formatUsage } from '../src/services/llmUsage.js';
+import { runFlowTest } from '../src/services/flowTestHarness.js';
+import { nodeRegistry } from '../src/services/nodeRegistry.js';
+import { Scheduler, describeSchedules } from '../src/services/scheduler.js';
+import { EventWatcher, getEventTrigger, readEventCursors } from '../src/services/eventTrigger.js';
+import { BalanceWatcher, getBalanceWatch, readBalanceWatchState } from '../src/services/balanceWatch.js';
+import { Keystore, PASSPHRASE_ENV } from '../src/services/keystore.js';
+import { ADMINS_ENV } from '../src/services/telegramCommands.js';
+import { PolicyEngine } from '../src/services/policy.js';
+import { generatePrivateKey } from 'viem/accounts';
 
 // Load environment variables
 dotenv.config();
@@ -25,8 +41,14 @@ program
   .argument('<flows...>', 'Flow file paths or flow names (can specify multiple)')
   .option('-w, --watch', 'Watch for changes and restart automatically')
   .option('-d, --daemon', 'Run as daemon process')
+  .option('--dry-run', 'Simulate chain writes instead of sending them and report what would have been sent')
+  .option('--approvals <file>', 'JSON fixture answering approval nodes during a dry run')
   .action(async (flows, options) => {
     try {
+      if (options.approvals && !options.dryRun) {
+        logger.error('--approvals can only be used with --dry-run');
+        process.exit(1);
+      }
       if (flows.length === 1) {
         await startFlow(flows[0], options);
       } else {
@@ -43,9 +65,11 @@ program
   .command('stop')
   .description('Stop running flows')
   .argument('[flow]', 'Flow name to stop (optional, stops all if not specified)')
-  .action(async (flow) => {
+  .option('-t, --timeout <seconds>', 'Seconds to wait for the flow to stop', '30')
+  .option('-f, --force', 'Terminate the owning process if the flow does not stop in time')
+  .action(async (flow, options) => {
     try {
-      await stopFlows(flow);
+      await stopFlows(flow, options);
     } catch (error) {
       logger.error('Failed to stop flows:', error);
       process.exit(1);
@@ -85,34 +109,223 @@ program
   .command('validate')
   .description('Validate a flow without executing')
   .argument('<flow>', 'Flow file path or flow name')
-  .action(async (flow) => {
+  .option('--json', 'Print errors and warnings as JSON')
+  .action(async (flow, options) => {
     try {
-      await validateFlow(flow);
+      await validateFlowCommand(flow, options);
     } catch (error) {
       logger.error('Failed to validate flow:', error);
       process.exit(1);
     }
   });
 
+// Test command - run a flow against fixtures and check the results
+program
+  .command('test')
+  .description('Run a flow against scripted fixtures and assert its final variables and node results')
+  .argument('<flow>', 'Flow file path or flow name')
+  .requiredOption('--fixtures <file>', 'JSON file with scripted backend responses and expectations')
+  .option('--json', 'Print the test result as JSON')
+  .action(async (flow, options) => {
+    try {
+      await testFlow(flow, options);
+    } catch (error) {
+      logger.error('Failed to test flow:', error);
+      process.exit(1);
+    }
+  });
+
+// Nodes command - list registered node types
+program
+  .command('nodes')
+  .description('List available node types, including custom nodes from ./nodes and AGENTPAD_NODE_PACKAGES')
+  .action(async () => {
+    try {
+      await listNodeTypes();
+    } catch (error) {
+      logger.error('Failed to list node types:', error);
+      process.exit(1);
+    }
+  });
+
+// Scheduler command - launch flows on their Start node schedules and on-chain events
+program
+  .command('scheduler')
+  .description('Run the trigger daemon, starting flows whose Start node has a schedule or eventTrigger')
+  .argument('[flows...]', 'Only watch these flows (default: every triggered flow in flows/)')
+  .action(async (flows) => {
+    try {
+      await runScheduler(flows);
+    } catch (error) {
+      logger.error('Failed to start scheduler:', error);
+      process.exit(1);
+    }
+  });
+
+// Resume command - continue a run from its last checkpoint
+program
+  .command('resume')
+  .description('Resume an interrupted, stopped or failed run from its last checkpoint')
+  .argument('<runId>', 'Run ID (or a unique prefix of one)')
+  .option('--retry-in-flight', 'Re-execute on-chain write nodes that were in flight when the run stopped')
+  .option('-d, --daemon', 'Run as daemon process')
+  .action(async (runId, options) => {
+    try {
+      await resumeRun(runId, options);
+    } catch (error) {
+      logger.error('Failed to resume run:', error);
+      process.exit(1);
+    }
+  });
+
+// Runs command - browse persisted run history
+const runsCommand = program
+  .command('runs')
+  .description('Browse the history of flow runs');
+
+runsCommand
+  .command('list')
+  .description('List recent runs')
+  .option('-f, --flow <flow>', 'Only show runs of this flow')
+  .option('-n, --limit <count>', 'Maximum number of runs to show', '20')
+  .action(async (options) => {
+    try {
+      await listRuns(options);
+    } catch (error) {
+      logger.error('Failed to list runs:', error);
+      process.exit(1);
+    }
+  });
+
+runsCommand
+  .command('show')
+  .description('Show a run with its per-node execution records')
+  .argument('<runId>', 'Run ID (or a unique prefix of one)')
+  .option('--json', 'Print the full run record as JSON')
+  .action(async (runId, options) => {
+    try {
+      await showRun(runId, options);
+    } catch (error) {
+      logger.error('Failed to show run:', error);
+      process.exit(1);
+    }
+  });
+
+runsCommand
+  .command('usage')
+  .description('Show LLM token usage and cost per flow and day')
+  .option('-f, --flow <flow>', 'Only show usage of this flow')
+  .option('-d, --days <count>', 'Number of most recent days to show', '7')
+  .action(async (options) => {
+    try {
+      await showLLMUsage(options);
+    } catch (error) {
+      logger.error('Failed to show LLM usage:', error);
+      process.exit(1);
+    }
+  });
+
+// Wallet command - manage the encrypted keystore of named signers
+const walletCommand = program
+  .command('wallet')
+  .description('Manage named wallets that flows and nodes can sign with (`signer`)');
+
+walletCommand
+  .command('add')
+  .description('Encrypt a private key into the keystore under a name')
+  .argument('<name>', 'Wallet name used as `signer` in flows')
+  .option('--key-env <variable>', 'Read the private key from this environment variable instead of prompting')
+  .option('--generate', 'Create a new random key instead of importing one')
+  .action(async (name, options) => {
+    try {
+      await addWallet(name, options);
+    } catch (error) {
+      logger.error(`Failed to add wallet: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+walletCommand
+  .command('list')
+  .description('List wallets with their addresses')
+  .action(async () => {
+    try {
+      listWallets();
+    } catch (error) {
+      logger.error(`Failed to list wallets: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+walletCommand
+  .command('remove')
+  .description('Delete a wallet from the keystore')
+  .argument('<name>', 'Wallet name')
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .action(async (name, options) => {
+    try {
+      await removeWallet(name, options);
+    } catch (error) {
+      logger.error(`Failed to remove wallet: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 // Global state for running flows
-const runningFlows = new Map();
 const flowTracker = new FlowTracker();
+const flowControl = new FlowControl();
+const runStore = new RunStore();
+let runManager = null;
+let scheduler = null;
+let eventWatcher = null;
+let balanceWatcher = null;
+
+function getRunManager(options = {}) {
+  if (!runManager) {
+    runManager = new RunManager({
+      flowTracker,
+      flowControl,
+      runStore,
+      retainTrackerEntries: Boolean(options.daemon)
+    });
+    // Flows run by this process can be operated from Telegram while it runs
+    runManager.webhookHandler.enableTelegramCommands(runManager);
+  }
+  return runManager;
+}
+
+function getTrackedRunningFlowNames() {
+  const runningFlowsFromTracker = flowTracker.getRunningFlows();
+  return Object.keys(runningFlowsFromTracker).filter(name => 
+    runningFlowsFromTracker[name].status === 'running'
+  );
+}
 
 // Cleanup function for graceful shutdown
+let shuttingDown = false;
 async function cleanup() {
-  logger.info('Shutting down...');
-  
-  // Stop all running flows
-  for (const [flowName, flowInfo] of runningFlows) {
-    if (flowInfo.executor && flowInfo.executor.webhookHandler) {
-      flowInfo.executor.webhookHandler.stop();
-    }
+  if (shuttingDown) {
+    // Second Ctrl+C forces exit
+    process.exit(1);
   }
-  
+  shuttingDown = true;
+  logger.info('Shutting down...');
 
+  if (scheduler) {
+    scheduler.stop();
+  }
+  if (eventWatcher) {
+    eventWatcher.stop();
+  }
+  if (balanceWatcher) {
+    balanceWatcher.stop();
+  }
   
-  // Stop flow tracker
-  flowTracker.stopAllFlows();
+  // Stop all running flows and give them a chance to report their status
+  if (runManager) {
+    await runManager.stopAll('Process received shutdown signal');
+    runManager.webhookHandler.stop();
+  }
   
   process.exit(0);
 }
@@ -158,350 +371,683 @@ async function startMultipleFlows(flowsString, options) {
 }
 
 async function startFlow(flow, options) {
-  // Check required environment variables
-  const privateKey = process.env.SEI_PRIVATE_KEY;
-  if (!privateKey) {
-    logger.error('SEI_PRIVATE_KEY environment variable is required');
+  // Resolve and parse the flow file
+  if (!resolveFlowPath(flow)) {
+    logger.error(`Flow not found: ${flow}`);
+    logger.info('Available flows:');
+    await listFlows();
     process.exit(1);
   }
 
-  // Resolve flow file path
-  let flowPath;
-  if (fs.existsSync(flow)) {
-    // Direct file path
-    flowPath = path.resolve(process.cwd(), flow);
-  } else {
-    // Try to find in flows directory
-    const flowsDir = path.join(process.cwd(), 'flows');
-    if (!fs.existsSync(flowsDir)) {
-      fs.mkdirSync(flowsDir, { recursive: true });
-    }
-    flowPath = path.join(flowsDir, `${flow}.json`);
-    if (!fs.existsSync(flowPath)) {
-      logger.error(`Flow not found: ${flow}`);
-      logger.info('Available flows:');
-      await listFlows({});
-      process.exit(1);
-    }
-  }
-
-  // Parse flow data
-  let flowData;
+  let loaded;
   try {
-    flowData = JSON.parse(fs.readFileSync(flowPath, 'utf-8'));
+    loaded = loadFlow(flow);
   } catch (err) {
     logger.error('Failed to parse flow JSON:', err);
     process.exit(1);
   }
 
-  const flowName = flowData.name || path.basename(flowPath, '.json');
+  const { flowId, flowPath, flowName, flowData } = loaded;
+  // Flows signing with a keystore wallet don't need the default key
+  if (!process.env.SEI_PRIVATE_KEY && !flowData.signer) {
+    logger.error('SEI_PRIVATE_KEY environment variable is required (or set a keystore wallet as the flow `signer`)');
+    process.exit(1);
+  }
+  const manager = getRunManager(options);
   
-  // Check if flow is already running
-  if (runningFlows.has(flowName) || flowTracker.isFlowRunning(flowName)) {
+  // Check if flow is already running (in this or another process)
+  if (manager.isFlowRunning(flowName)) {
     logger.warn(`Flow '${flowName}' is already running`);
     return;
   }
 
-  logger.info(`Starting flow '${flowName}'...`);
-  
-  // Create executor (OpenAI only)
-  const executor = new BackendFlowExecutor(privateKey);
-  
-  // Store flow info
-  const flowInfo = {
-    name: flowName,
-    path: flowPath,
-    executor,
-    startTime: new Date(),
-    status: 'running'
-  };
-  
-  runningFlows.set(flowName, flowInfo);
-  flowTracker.addRunningFlow(flowName, flowInfo);
+  logger.info(`Starting flow '${flowName}'${options.dryRun ? ' (dry run)' : ''}...`);
   
+  const run = manager.startRun(flowData, { flowId, flowPath, dryRun: getDryRunOptions(options) });
+  await waitForRun(run, options);
+}
+
+function getDryRunOptions(options) {
+  if (!options.dryRun) return null;
+  if (!options.approvals) return { approvals: {} };
+
   try {
-    await executor.executeFlow(flowData);
+    return { approvals: JSON.parse(fs.readFileSync(path.resolve(options.approvals), 'utf-8')) };
+  } catch (error) {
+    logger.error(`Failed to read approvals fixture ${options.approvals}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+function printSimulatedWrites(writes) {
+  if (writes.length === 0) {
+    logger.info('Dry run: no chain writes would have been sent.');
+    return;
+  }
+
+  logger.info(`Dry run: ${writes.length} write(s) would have been sent:`);
+  for (const write of writes) {
+    const details = write.kind === 'seiKit' ? write.args : write.parameters;
+    const gas = write.gasEstimate ? `, gas ~${write.gasEstimate}` : '';
+    const outcome = write.status === 'failed' ? ` -> SIMULATION FAILED: ${write.error}` : '';
+    logger.info(`  #${write.sequence} ${describeWrite(write)} ${JSON.stringify(details)}${write.value ? ` value=${write.value}` : ''}${gas}${outcome}`);
+  }
+}
+
+async function runScheduler(flows) {
+  if (!process.env.SEI_PRIVATE_KEY) {
+    logger.warn('SEI_PRIVATE_KEY is not set; only flows with a keystore `signer` can run');
+  }
+
+  const flowIds = flows.length > 0 ? flows.map(flow => loadFlow(flow).flowId) : null;
+  scheduler = new Scheduler(getRunManager(), { flowIds });
+  scheduler.start();
+  eventWatcher = new EventWatcher(getRunManager(), { flowIds });
+  eventWatcher.start();
+  balanceWatcher = new BalanceWatcher(getRunManager(), { flowIds });
+  balanceWatcher.start();
+  // Telegram bot commands need the webhook server up even while no flow is running
+  const { webhookHandler } = getRunManager();
+  if (process.env[ADMINS_ENV] && !webhookHandler.server) {
+    await webhookHandler.start(3001);
+  }
+  logger.info('Scheduler running; press Ctrl+C to stop.');
+}
+
+async function resumeRun(runId, options) {
+  const run = getRunManager(options).resumeRun(runId, { retryInFlight: Boolean(options.retryInFlight) });
+  await waitForRun(run, options);
+}
+
+async function waitForRun(run, options) {
+  const manager = getRunManager(options);
+  const { flowName } = run;
+  await run.promise;
+
+  if (run.status === 'completed') {
     logger.info(`Flow '${flowName}' completed successfully.`);
-    flowInfo.status = 'completed';
-    flowTracker.updateFlowStatus(flowName, 'completed');
-  } catch (err) {
-    logger.error(`Flow '${flowName}' failed:`, err);
-    flowInfo.status = 'failed';
-    flowInfo.error = err.message;
-    flowTracker.updateFlowStatus(flowName, 'failed', err.message);
-  } finally {
-    if (!options.daemon) {
-      runningFlows.delete(flowName);
-      flowTracker.removeRunningFlow(flowName);
-      
-      // Stop webhook server if no other flows are running
-      if (runningFlows.size === 0) {
-        if (executor.webhookHandler && executor.webhookHandler.server) {
-          executor.webhookHandler.stop();
-          logger.info('🛑 Webhook server stopped');
-        }
+  } else if (run.status === 'stopped') {
+    logger.info(`Flow '${flowName}' stopped. Resume it with: agentpad resume ${run.runId}`);
+  } else {
+    logger.error(`Flow '${flowName}' failed: ${run.error}`);
+  }
 
-      }
+  if (run.dryRun) {
+    printSimulatedWrites(run.dryRun.writes);
+  }
+
+  // Stop webhook server if no other flows are running
+  if (!options.daemon && manager.getActiveRuns().length === 0 && manager.webhookHandler.server) {
+    manager.webhookHandler.stop();
+    logger.info('🛑 Webhook server stopped');
+  }
+}
+
+// Match a user-supplied name against running flows (case-insensitive, spaces vs underscores)
+function matchRunningFlows(flowName, runningNames) {
+  if (runningNames.includes(flowName)) return [flowName];
+
+  return runningNames.filter(name => {
+    const lowerName = name.toLowerCase();
+    const lowerInput = flowName.toLowerCase();
+    
+    // Direct match
+    if (lowerName === lowerInput) return true;
+    
+    // Convert spaces to underscores and vice versa
+    const nameWithUnderscores = lowerName.replace(/\s+/g, '_');
+    const nameWithSpaces = lowerName.replace(/_+/g, ' ');
+    const inputWithUnderscores = lowerInput.replace(/\s+/g, '_');
+    const inputWithSpaces = lowerInput.replace(/_+/g, ' ');
+    
+    return nameWithUnderscores === lowerInput || 
+           nameWithSpaces === lowerInput ||
+           lowerName === inputWithUnderscores ||
+           lowerName === inputWithSpaces;
+  });
+}
+
+// Ask the owning process to stop the flow and wait for it to report back
+async function requestFlowStop(name, options) {
+  const tracked = flowTracker.getRunningFlows()[name];
+  logger.info(`Stopping flow '${name}'${tracked?.pid ? ` (pid ${tracked.pid})` : ''}...`);
+
+  if (!tracked?.pid) {
+    // Entry written by an older CLI without PID tracking; nothing to signal
+    flowTracker.removeRunningFlow(name);
+    logger.warn(`Flow '${name}' has no owning process recorded; removed from tracking.`);
+    return true;
+  }
+
+  flowControl.requestStop(name);
+
+  const deadline = Date.now() + Number(options.timeout || 30) * 1000;
+  while (Date.now() < deadline) {
+    const current = flowTracker.getRunningFlows()[name];
+    if (!current || current.status !== 'running') {
+      logger.info(`Flow '${name}' ${current?.status || 'stopped'}.`);
+      return true;
     }
+    await new Promise(res => setTimeout(res, 500));
   }
+
+  flowControl.clearStopRequest(name);
+  if (options.force) {
+    logger.warn(`Flow '${name}' did not stop in time; sending SIGTERM to process ${tracked.pid}`);
+    try {
+      process.kill(tracked.pid, 'SIGTERM');
+    } catch (error) {
+      logger.error(`Failed to signal process ${tracked.pid}: ${error.message}`);
+    }
+    return false;
+  }
+
+  logger.error(`Flow '${name}' did not stop within ${options.timeout || 30}s (use --force to terminate its process).`);
+  return false;
 }
 
-async function stopFlows(flowName) {
+async function stopFlows(flowName, options = {}) {
+  const runningFlowNames = getTrackedRunningFlowNames();
+
   if (!flowName) {
     // Stop all flows
-    const runningFlowsFromTracker = flowTracker.getRunningFlows();
-    const runningFlowNames = Object.keys(runningFlowsFromTracker).filter(name => 
-      runningFlowsFromTracker[name].status === 'running'
-    );
-    
-    if (runningFlows.size === 0 && runningFlowNames.length === 0) {
+    if (runningFlowNames.length === 0) {
       logger.info('No flows are currently running.');
       return;
     }
     
-    const totalRunning = runningFlows.size + runningFlowNames.length;
-    logger.info(`Stopping ${totalRunning} running flows...`);
-    
-    // Stop flows in memory
-    for (const [name, flowInfo] of runningFlows) {
-      logger.info(`Stopping flow '${name}'...`);
-      runningFlows.delete(name);
-    }
-    
-    // Stop flows from tracker
-    for (const name of runningFlowNames) {
-      logger.info(`Stopping flow '${name}'...`);
-      flowTracker.removeRunningFlow(name);
-    }
-    
-    logger.info('All flows stopped.');
-  } else {
-    // Stop specific flow with flexible matching
-    let actualFlowName = null;
-    let isRunningInMemory = false;
-    let isRunningInTracker = false;
+    logger.info(`Stopping ${runningFlowNames.length} running flows...`);
+    const results = await Promise.all(runningFlowNames.map(name => requestFlowStop(name, options)));
     
-    // First try exact match
-    if (runningFlows.has(flowName) || flowTracker.isFlowRunning(flowName)) {
-      actualFlowName = flowName;
-      isRunningInMemory = runningFlows.has(flowName);
-      isRunningInTracker = flowTracker.isFlowRunning(flowName);
+    if (results.every(Boolean)) {
+      logger.info('All flows stopped.');
     } else {
-      // Try flexible matching (case-insensitive, handle filename vs display name)
-      const runningFlowsFromTracker = flowTracker.getRunningFlows();
-      const allRunningNames = [
-        ...Array.from(runningFlows.keys()),
-        ...Object.keys(runningFlowsFromTracker).filter(name => 
-          runningFlowsFromTracker[name].status === 'running'
-        )
-      ];
-      
-      // Create mapping of possible matches
-      const flowMatches = allRunningNames.filter(name => {
-        const lowerName = name.toLowerCase();
-        const lowerInput = flowName.toLowerCase();
-        
-        // Direct match
-        if (lowerName === lowerInput) return true;
-        
-        // Convert spaces to underscores and vice versa
-        const nameWithUnderscores = lowerName.replace(/\s+/g, '_');
-        const nameWithSpaces = lowerName.replace(/_+/g, ' ');
-        const inputWithUnderscores = lowerInput.replace(/\s+/g, '_');
-        const inputWithSpaces = lowerInput.replace(/_+/g, ' ');
-        
-        return nameWithUnderscores === lowerInput || 
-               nameWithSpaces === lowerInput ||
-               lowerName === inputWithUnderscores ||
-               lowerName === inputWithSpaces;
-      });
-      
-      if (flowMatches.length === 1) {
-        actualFlowName = flowMatches[0];
-        isRunningInMemory = runningFlows.has(actualFlowName);
-        isRunningInTracker = flowTracker.isFlowRunning(actualFlowName);
-      } else if (flowMatches.length > 1) {
-        logger.error(`Multiple flows match '${flowName}': ${flowMatches.join(', ')}`);
-        logger.info('Please use the exact flow name from the list.');
-        return;
-      }
+      process.exitCode = 1;
     }
-    
-    if (!actualFlowName) {
-      logger.error(`Flow '${flowName}' is not running.`);
-      logger.info('Running flows:');
-      await listFlows('running');
-      return;
+    return;
+  }
+
+  // Stop specific flow with flexible matching
+  const flowMatches = matchRunningFlows(flowName, runningFlowNames);
+  
+  if (flowMatches.length > 1) {
+    logger.error(`Multiple flows match '${flowName}': ${flowMatches.join(', ')}`);
+    logger.info('Please use the exact flow name from the list.');
+    return;
+  }
+  
+  if (flowMatches.length === 0) {
+    logger.error(`Flow '${flowName}' is not running.`);
+    logger.info('Running flows:');
+    await listFlows('running');
+    return;
+  }
+  
+  const stopped = await requestFlowStop(flowMatches[0], options);
+  if (!stopped) {
+    process.exitCode = 1;
+  }
+}
+
+// Ask on the terminal; with `hidden` the answer is not echoed (keys, passphrases)
+function prompt(question, { hidden = false } = {}) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new Error(`cannot prompt for "${question.trim()}" without a terminal`));
+  }
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    process.stdout.write(question);
+    if (hidden) {
+      rl._writeToOutput = () => {};
     }
-    
-    logger.info(`Stopping flow '${actualFlowName}'...`);
-    if (isRunningInMemory) {
-      runningFlows.delete(actualFlowName);
+    rl.question('', (answer) => {
+      rl.close();
+      if (hidden) process.stdout.write('\n');
+      resolve(answer.trim());
+    });
+  });
+}
+
+async function getKeystorePassphrase({ confirm = false } = {}) {
+  if (process.env[PASSPHRASE_ENV]) {
+    return process.env[PASSPHRASE_ENV];
+  }
+  const passphrase = await prompt('Keystore passphrase: ', { hidden: true });
+  if (confirm && passphrase !== await prompt('Repeat passphrase: ', { hidden: true })) {
+    throw new Error('passphrases do not match');
+  }
+  return passphrase;
+}
+
+async function addWallet(name, options) {
+  const keystore = new Keystore();
+  if (keystore.has(name)) {
+    throw new Error(`wallet '${name}' already exists; remove it first to replace it`);
+  }
+
+  let privateKey;
+  if (options.generate) {
+    privateKey = generatePrivateKey();
+  } else if (options.keyEnv) {
+    privateKey = process.env[options.keyEnv];
+    if (!privateKey) {
+      throw new Error(`environment variable ${options.keyEnv} is not set`);
     }
-    if (isRunningInTracker) {
-      flowTracker.removeRunningFlow(actualFlowName);
+  } else {
+    privateKey = await prompt('Private key: ', { hidden: true });
+  }
+
+  const wallet = keystore.add(name, privateKey, await getKeystorePassphrase({ confirm: true }));
+  logger.info(`Added wallet '${wallet.name}' (${wallet.address}) to ${keystore.dir}`);
+  if (options.generate) {
+    logger.info('This is a new key: fund the address before using it, and back up the keystore file.');
+  }
+}
+
+function listWallets() {
+  const keystore = new Keystore();
+  const wallets = keystore.list();
+  if (wallets.length === 0) {
+    logger.info(`No wallets in ${keystore.dir}. Add one with: agentpad wallet add <name>`);
+    return;
+  }
+  logger.info('Wallets:');
+  for (const wallet of wallets) {
+    logger.info(`  ${wallet.name}: ${wallet.address} (added ${wallet.createdAt})`);
+  }
+}
+
+async function removeWallet(name, options) {
+  const keystore = new Keystore();
+  const { address } = keystore.readWallet(name);
+  if (!options.yes) {
+    const answer = await prompt(`Delete wallet '${name}' (${address})? Its key cannot be recovered from this machine afterwards. [y/N] `);
+    if (answer.toLowerCase() !== 'y') {
+      logger.info('Cancelled.');
+      return;
     }
-    logger.info(`Flow '${actualFlowName}' stopped.`);
   }
+  keystore.remove(name);
+  logger.info(`Removed wallet '${name}' (${address})`);
 }
 
 async function listFlows(type) {
-  const flowsDir = path.join(process.cwd(), 'flows');
-  
   if (type === 'running') {
     const runningFlowsFromTracker = flowTracker.getRunningFlows();
-    const runningFlowNames = Object.keys(runningFlowsFromTracker).filter(name => 
-      runningFlowsFromTracker[name].status === 'running'
-    );
+    const runningFlowNames = getTrackedRunningFlowNames();
     
-    if (runningFlows.size === 0 && runningFlowNames.length === 0) {
+    if (runningFlowNames.length === 0) {
       logger.info('No flows are currently running.');
       return;
     }
     
     logger.info('Running flows:');
     
-    // Show flows in memory
-    for (const [name, flowInfo] of runningFlows) {
-      const duration = Math.floor((new Date() - flowInfo.startTime) / 1000);
-      logger.info(`  ${name} - ${flowInfo.status} (${duration}s)`);
-    }
-    
-    // Show flows from tracker
     for (const name of runningFlowNames) {
       const flowInfo = runningFlowsFromTracker[name];
       const startTime = new Date(flowInfo.startTime);
       const duration = Math.floor((new Date() - startTime) / 1000);
-      logger.info(`  ${name} - ${flowInfo.status} (${duration}s)`);
+      logger.info(`  ${name} - ${flowInfo.status} (${duration}s, pid ${flowInfo.pid ?? 'unknown'})`);
     }
   } else {
-    if (!fs.existsSync(flowsDir)) {
+    if (!fs.existsSync(FLOWS_DIR)) {
       logger.info('No flows directory found.');
       return;
     }
     
-    const files = fs.readdirSync(flowsDir).filter(f => f.endsWith('.json'));
-    if (files.length === 0) {
+    const flowIds = listFlowIds();
+    if (flowIds.length === 0) {
       logger.info('No flows found.');
       return;
     }
     
     logger.info('Available flows:');
-    for (const file of files) {
-      const flowName = path.basename(file, '.json');
-      const isRunningInMemory = runningFlows.has(flowName);
-      const isRunningInTracker = flowTracker.isFlowRunning(flowName);
-      const status = (isRunningInMemory || isRunningInTracker) ? 'RUNNING' : 'STOPPED';
-      logger.info(`  ${flowName} [${status}]`);
+    for (const flowId of flowIds) {
+      // The tracker is keyed by display name, which may differ from the file name
+      let flowName = flowId;
+      try {
+        flowName = loadFlow(flowId).flowName;
+      } catch {
+        // Unparseable flow; fall back to the file name
+      }
+      const status = flowTracker.isFlowRunning(flowName) ? 'RUNNING' : 'STOPPED';
+      logger.info(`  ${flowId} [${status}]`);
     }
   }
 }
 
 async function showStatus(flowName) {
+  const runningFlowsFromTracker = flowTracker.getRunningFlows();
+
   if (flowName) {
     // Show status of specific flow
-    const isRunningInMemory = runningFlows.has(flowName);
-    const isRunningInTracker = flowTracker.isFlowRunning(flowName);
+    const [trackedName] = matchRunningFlows(flowName, Object.keys(runningFlowsFromTracker));
+    const flowInfo = trackedName ? runningFlowsFromTracker[trackedName] : null;
     
-    if (isRunningInMemory) {
-      const flowInfo = runningFlows.get(flowName);
-      const duration = Math.floor((new Date() - flowInfo.startTime) / 1000);
-      logger.info(`Flow '${flowName}':`);
-      logger.info(`  Status: ${flowInfo.status}`);
-      logger.info(`  Duration: ${duration}s`);
-      if (flowInfo.error) {
-        logger.info(`  Error: ${flowInfo.error}`);
-      }
-    } else if (isRunningInTracker) {
-      const flows = flowTracker.getRunningFlows();
-      const flowInfo = flows[flowName];
+    if (flowInfo) {
       const startTime = new Date(flowInfo.startTime);
-      const duration = Math.floor((new Date() - startTime) / 1000);
-      logger.info(`Flow '${flowName}':`);
+      const endTime = flowInfo.endTime ? new Date(flowInfo.endTime) : new Date();
+      const duration = Math.floor((endTime - startTime) / 1000);
+      logger.info(`Flow '${trackedName}':`);
       logger.info(`  Status: ${flowInfo.status}`);
       logger.info(`  Duration: ${duration}s`);
+      if (flowInfo.pid) {
+        logger.info(`  PID: ${flowInfo.pid}`);
+      }
       if (flowInfo.error) {
         logger.info(`  Error: ${flowInfo.error}`);
       }
     } else {
       logger.info(`Flow '${flowName}' is not running.`);
     }
+    printSchedules(flowName);
+    printEventTriggers(flowName);
+    printBalanceWatches(flowName);
   } else {
     // Show status of all flows
-    const runningFlowsFromTracker = flowTracker.getRunningFlows();
-    const runningFlowNames = Object.keys(runningFlowsFromTracker).filter(name => 
-      runningFlowsFromTracker[name].status === 'running'
-    );
+    const runningFlowNames = getTrackedRunningFlowNames();
     
-    if (runningFlows.size === 0 && runningFlowNames.length === 0) {
+    if (runningFlowNames.length === 0) {
       logger.info('No flows are currently running.');
-      return;
+    } else {
+      logger.info('Flow Status:');
+      
+      for (const name of runningFlowNames) {
+        const flowInfo = runningFlowsFromTracker[name];
+        const startTime = new Date(flowInfo.startTime);
+        const duration = Math.floor((new Date() - startTime) / 1000);
+        logger.info(`  ${name}: ${flowInfo.status} (${duration}s)`);
+      }
     }
-    
-    logger.info('Flow Status:');
-    
-    // Show flows in memory
-    for (const [name, flowInfo] of runningFlows) {
-      const duration = Math.floor((new Date() - flowInfo.startTime) / 1000);
-      logger.info(`  ${name}: ${flowInfo.status} (${duration}s)`);
+    printSchedules();
+    printEventTriggers();
+    printBalanceWatches();
+  }
+}
+
+function printEventTriggers(flowName = null) {
+  const cursors = readEventCursors();
+  const lines = [];
+  for (const flowId of listFlowIds()) {
+    let loaded;
+    try {
+      loaded = loadFlow(flowId);
+    } catch {
+      continue;
     }
-    
-    // Show flows from tracker
-    for (const name of runningFlowNames) {
-      const flowInfo = runningFlowsFromTracker[name];
-      const startTime = new Date(flowInfo.startTime);
-      const duration = Math.floor((new Date() - startTime) / 1000);
-      logger.info(`  ${name}: ${flowInfo.status} (${duration}s)`);
+    const settings = getEventTrigger(loaded.flowData);
+    if (!settings || (flowName && matchRunningFlows(flowName, [loaded.flowName, flowId]).length === 0)) continue;
+
+    const cursor = cursors[flowId];
+    lines.push(`  ${loaded.flowName}: ${settings.eventName} on ${settings.contractAddress} (${settings.network})`);
+    lines.push(`    Scanned to block: ${cursor ? cursor.scannedBlock : 'not started'}${cursor?.lastEvent ? `; last event block ${cursor.lastEvent.blockNumber} log ${cursor.lastEvent.logIndex}` : ''}`);
+  }
+  if (lines.length === 0) return;
+
+  logger.info('Event triggers:');
+  lines.forEach(line => logger.info(line));
+}
+
+function printBalanceWatches(flowName = null) {
+  const state = readBalanceWatchState();
+  const lines = [];
+  for (const flowId of listFlowIds()) {
+    let loaded;
+    try {
+      loaded = loadFlow(flowId);
+    } catch {
+      continue;
+    }
+    const settings = getBalanceWatch(loaded.flowData);
+    if (!settings || (flowName && matchRunningFlows(flowName, [loaded.flowName, flowId]).length === 0)) continue;
+
+    const entry = state[flowId];
+    const thresholds = [
+      settings.below !== undefined ? `below ${settings.below}` : null,
+      settings.above !== undefined ? `above ${settings.above}` : null
+    ].filter(Boolean).join(', ');
+    lines.push(`  ${loaded.flowName}: ${settings.token} on ${settings.network} ${thresholds}`);
+    lines.push(`    Last balance: ${entry?.balance ?? 'not checked'}${entry?.checkedAt ? ` at ${entry.checkedAt}` : ''}`);
+    if (entry?.lastFiredAt) {
+      lines.push(`    Last run: ${entry.lastFiredAt} (${entry.lastRunId})`);
     }
   }
+  if (lines.length === 0) return;
+
+  logger.info('Balance watches:');
+  lines.forEach(line => logger.info(line));
 }
 
-async function validateFlow(flow) {
-  // Resolve flow file path
-  let flowPath;
-  if (fs.existsSync(flow)) {
-    flowPath = path.resolve(process.cwd(), flow);
-  } else {
-    const flowsDir = path.join(process.cwd(), 'flows');
-    flowPath = path.join(flowsDir, `${flow}.json`);
-    if (!fs.existsSync(flowPath)) {
-      logger.error(`Flow not found: ${flow}`);
-      process.exit(1);
+function printSchedules(flowName = null) {
+  const { running, pid, flows } = describeSchedules();
+  const schedules = flowName
+    ? flows.filter(flow => matchRunningFlows(flowName, [flow.flowName, flow.flowId]).length > 0)
+    : flows;
+  if (schedules.length === 0) return;
+
+  logger.info(`Schedules (scheduler ${running ? `running, pid ${pid}` : 'not running; start it with: agentpad scheduler'}):`);
+  for (const schedule of schedules) {
+    logger.info(`  ${schedule.flowName}: ${schedule.description}`);
+    logger.info(`    Next run: ${schedule.nextFireAt || 'never'}`);
+    if (schedule.lastFireAt) {
+      logger.info(`    Last run: ${schedule.lastFireAt} (${schedule.lastRunId})`);
+    }
+    if (schedule.lastError) {
+      logger.info(`    Last error: ${schedule.lastError}`);
+    }
+    if (schedule.missedCount > 0) {
+      const latest = schedule.missed[schedule.missed.length - 1];
+      logger.info(`    Missed: ${schedule.missedCount} firing(s), latest ${latest.scheduledFor} (${latest.reason})`);
     }
   }
+}
 
-  // Parse and validate flow data
-  try {
-    const flowData = JSON.parse(fs.readFileSync(flowPath, 'utf-8'));
-    
-    // Basic validation
-    if (!flowData.nodes || !Array.isArray(flowData.nodes)) {
-      throw new Error('Flow must have a nodes array');
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '-';
+  if (ms < 1000) return `${ms}ms`;
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+async function listRuns(options) {
+  const runs = runStore.listRuns({
+    flowName: options.flow || null,
+    limit: Number(options.limit) || 20
+  });
+
+  if (runs.length === 0) {
+    logger.info('No runs recorded.');
+    return;
+  }
+
+  logger.info('Recent runs:');
+  for (const run of runs) {
+    const duration = run.status === 'running'
+      ? Date.now() - new Date(run.startTime)
+      : run.durationMs;
+    logger.info(`  ${run.runId}  ${run.flowName}  ${run.status}${run.dryRun ? ' (dry run)' : ''}  ${run.startTime}  (${formatDuration(duration)}, ${run.nodeExecutionCount} node executions)`);
+  }
+}
+
+async function showRun(runId, options) {
+  const run = runStore.getRun(runId);
+  if (!run) {
+    logger.error(`Run not found: ${runId}`);
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(run, null, 2));
+    return;
+  }
+
+  logger.info(`Run ${run.runId}:`);
+  logger.info(`  Flow: ${run.flowName}${run.flowPath ? ` (${run.flowPath})` : ''}`);
+  logger.info(`  Flow hash: ${run.flowHash}`);
+  logger.info(`  Status: ${run.status}${run.dryRun ? ' (dry run)' : ''}`);
+  if (run.trigger) {
+    const { type, ...details } = run.trigger;
+    logger.info(`  Trigger: ${type} ${JSON.stringify(details)}`);
+  }
+  logger.info(`  Started: ${run.startTime}`);
+  logger.info(`  Ended: ${run.endTime || '-'}`);
+  logger.info(`  Duration: ${formatDuration(run.durationMs)}`);
+  if (run.error) {
+    logger.info(`  Error: ${run.error}`);
+  }
+
+  logger.info(`  Node executions (${run.nodeExecutionCount}${run.truncated ? `, showing last ${run.nodes.length}` : ''}):`);
+  for (const node of run.nodes) {
+    const outcome = node.status === 'failed' ? `FAILED: ${node.error}` : JSON.stringify(node.output);
+    logger.info(`    #${node.sequence} ${node.type} (${node.nodeId})${node.interval ? ' [INTERVAL]' : ''} ${formatDuration(node.durationMs)} -> ${outcome}`);
+    if (node.usage) {
+      logger.info(`        LLM: ${formatUsage(node.usage)}`);
     }
-    
-    if (!flowData.edges || !Array.isArray(flowData.edges)) {
-      throw new Error('Flow must have an edges array');
+    for (const call of node.trace?.toolCalls || []) {
+      const latency = call.latencyMs === null ? '' : ` in ${formatDuration(call.latencyMs)}`;
+      logger.info(`        tool ${call.name}(${JSON.stringify(call.args)}) -> ${call.status}${latency}: ${call.result ?? '-'}`);
     }
-    
-    // Check for start node
-    const startNode = flowData.nodes.find(n => n.data.type === 'start');
-    if (!startNode) {
-      throw new Error('Flow must have a start node');
+  }
+
+  if (run.llmUsage) {
+    logger.info(`  LLM usage: ${formatUsage(run.llmUsage.total)}`);
+    for (const [nodeId, usage] of Object.entries(run.llmUsage.nodes)) {
+      logger.info(`    ${nodeId}: ${formatUsage(usage)}`);
     }
-    
-    // Check for required fields in each node
-    for (const node of flowData.nodes) {
-      if (!node.id || !node.data || !node.data.type) {
-        throw new Error(`Node missing required fields: ${JSON.stringify(node)}`);
+  }
+
+  if (run.simulatedWrites) {
+    printSimulatedWrites(run.simulatedWrites);
+  }
+
+  logger.info('  Final variables:');
+  for (const [name, value] of Object.entries(run.variables || {})) {
+    logger.info(`    ${name} = ${JSON.stringify(value)}`);
+  }
+}
+
+async function showLLMUsage(options) {
+  const days = new LLMUsageLedger().listDays({
+    flowName: options.flow || null,
+    days: Number(options.days) || 7
+  }).filter(({ flows }) => !options.flow || Object.keys(flows).length > 0);
+  if (days.length === 0) {
+    logger.info(options.flow ? `No LLM usage recorded for '${options.flow}'.` : 'No LLM usage recorded.');
+    return;
+  }
+
+  logger.info('LLM usage per day (UTC):');
+  for (const { day, total, flows } of days) {
+    logger.info(`  ${day}${options.flow ? '' : `: ${formatUsage(total)}`}`);
+    for (const [flowName, usage] of Object.entries(flows)) {
+      logger.info(`    ${flowName}: ${formatUsage(usage)}`);
+    }
+  }
+}
+
+async function listNodeTypes() {
+  await nodeRegistry.loadCustomNodes();
+
+  logger.info('Node types:');
+  for (const definition of nodeRegistry.list()) {
+    const capabilities = Object.entries(definition.capabilities || {})
+      .filter(([, value]) => value)
+      .map(([name, value]) => (typeof value === 'function' ? `${name} (depends on config)` : name));
+    logger.info(`  ${definition.type} - ${definition.label} [${definition.source}]`);
+    logger.info(`    ports: ${definition.inputs.join(', ') || '-'} -> ${definition.outputs.join(', ') || '-'}${capabilities.length > 0 ? `; capabilities: ${capabilities.join(', ')}` : ''}`);
+  }
+}
+
+async function testFlow(flow, options) {
+  if (!resolveFlowPath(flow)) {
+    logger.error(`Flow not found: ${flow}`);
+    process.exit(1);
+  }
+
+  const { flowName, flowData } = loadFlow(flow);
+  let fixtures;
+  try {
+    fixtures = JSON.parse(fs.readFileSync(path.resolve(options.fixtures), 'utf-8'));
+  } catch (error) {
+    logger.error(`Failed to read fixtures ${options.fixtures}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const result = await runFlowTest(flowData, fixtures);
+
+  if (options.json) {
+    console.log(JSON.stringify({ flow: flowName, ...result }, null, 2));
+  } else {
+    logger.info(`Backend calls (${result.calls.length}):`);
+    for (const call of result.calls) {
+      const { type, nodeId, ...details } = call;
+      logger.info(`  ${type} (${nodeId}) ${JSON.stringify(details)}`);
+    }
+    if (result.passed) {
+      logger.info(`✅ Flow '${flowName}' passed (${result.status}).`);
+    } else {
+      logger.error(`❌ Flow '${flowName}' failed ${result.failures.length} expectation(s):`);
+      for (const failure of result.failures) {
+        logger.error(`  ${failure}`);
       }
     }
-    
-    logger.info(`Flow '${flowData.name || path.basename(flowPath, '.json')}' is valid.`);
-    logger.info(`  Nodes: ${flowData.nodes.length}`);
-    logger.info(`  Edges: ${flowData.edges.length}`);
-    
+  }
+
+  if (!result.passed) {
+    process.exit(1);
+  }
+}
+
+async function validateFlowCommand(flow, options) {
+  if (!resolveFlowPath(flow)) {
+    logger.error(`Flow not found: ${flow}`);
+    process.exit(1);
+  }
+
+  let loaded;
+  try {
+    loaded = loadFlow(flow);
+  } catch (err) {
+    if (options.json) {
+      console.log(JSON.stringify({ valid: false, errors: [{ nodeId: null, path: null, message: err.message }], warnings: [] }, null, 2));
+    } else {
+      logger.error('Flow validation failed:', err);
+    }
+    process.exit(1);
+  }
+
+  const { flowName, flowData } = loaded;
+  await nodeRegistry.loadCustomNodes();
+  let policy;
+  try {
+    policy = PolicyEngine.fromFile();
   } catch (err) {
-    logger.error('Flow validation failed:', err);
+    logger.error(err.message);
+    process.exit(1);
+  }
+  const result = validateFlow(flowData, { policy });
+
+  if (options.json) {
+    console.log(JSON.stringify({ flow: flowName, ...result }, null, 2));
+  } else {
+    for (const error of result.errors) {
+      logger.error(`  ✖ ${formatValidationIssue(error)}`);
+    }
+    for (const warning of result.warnings) {
+      logger.warn(`  ⚠ ${formatValidationIssue(warning)}`);
+    }
+
+    if (result.valid) {
+      logger.info(`Flow '${flowName}' is valid${result.warnings.length > 0 ? ` (${result.warnings.length} warning(s))` : ''}.`);
+      logger.info(`  Nodes: ${flowData.nodes.length}`);
+      logger.info(`  Edges: ${flowData.edges.length}`);
+    } else {
+      logger.error(`Flow '${flowName}' is invalid: ${result.errors.length} error(s), ${result.warnings.length} warning(s).`);
+    }
+  }
+
+  if (!result.valid) {
     process.exit(1);
   }
 }
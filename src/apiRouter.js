@@ -0,0 +1,134 @@
+import express from 'express';
+import { logger } from './utils/logger.js';
+import { requireApiToken } from './utils/apiAuth.js';
+import { loadFlow, saveFlow, listFlowIds } from './services/flowStore.js';
+import { validateFlow } from './services/flowValidator.js';
+import { nodeRegistry } from './services/nodeRegistry.js';
+import { LLMUsageLedger } from './services/llmUsage.js';
+
+export function createApiRouter({ runManager, apiToken = process.env.AGENTPAD_API_TOKEN }) {
+  const router = express.Router();
+
+  // Open so the Docker HEALTHCHECK needs no token
+  router.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      activeRuns: runManager.getActiveRuns().length
+    });
+  });
+
+  router.use(requireApiToken(apiToken));
+  router.use(express.json({ limit: '5mb' }));
+
+  router.get('/flows', (req, res) => {
+    const flows = listFlowIds().map((flowId) => {
+      try {
+        const { flowName } = loadFlow(flowId);
+        return { id: flowId, name: flowName };
+      } catch (error) {
+        return { id: flowId, name: flowId, error: error.message };
+      }
+    });
+    res.json({ flows });
+  });
+
+  // Node palette for the editor: ports and config schema of every registered node type
+  router.get('/nodes', async (req, res) => {
+    await nodeRegistry.loadCustomNodes();
+    res.json(nodeRegistry.list().map(definition => ({
+      type: definition.type,
+      label: definition.label,
+      inputs: definition.inputs,
+      outputs: definition.outputs,
+      capabilities: Object.fromEntries(
+        Object.entries(definition.capabilities || {}).map(([name, value]) => [name, typeof value === 'function' ? 'config-dependent' : value])
+      ),
+      configSchema: definition.configSchema,
+      source: definition.source
+    })));
+  });
+
+  router.post('/flows', async (req, res) => {
+    const flowData = req.body;
+    await nodeRegistry.loadCustomNodes();
+    const { valid, errors, warnings } = validateFlow(flowData);
+    if (!valid) {
+      return res.status(400).json({ error: 'Invalid flow', errors, warnings });
+    }
+
+    try {
+      const { flowId, flowName } = saveFlow(flowData, flowData.id);
+      logger.info(`[API] Saved flow '${flowName}' as ${flowId}`);
+      res.status(201).json({ id: flowId, name: flowName, warnings });
+    } catch (error) {
+      logger.error(`[API] Failed to save flow: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/flows/:id/run', (req, res) => {
+    // Only saved flows; file paths are for the CLI
+    if (!listFlowIds().includes(req.params.id)) {
+      return res.status(404).json({ error: `Flow not found: ${req.params.id}` });
+    }
+
+    try {
+      const { flowId, flowPath, flowName, flowData } = loadFlow(req.params.id);
+      if (runManager.isFlowRunning(flowName)) {
+        return res.status(409).json({ error: `Flow '${flowName}' is already running` });
+      }
+      // Body: { "dryRun": true, "approvals": { "<nodeId>": "approve" } } to simulate chain writes
+      const { dryRun = false, approvals = {} } = req.body || {};
+      const run = runManager.startRun(flowData, { flowId, flowPath, dryRun: dryRun ? { approvals } : null });
+      res.status(202).json(runManager.describeRun(run, { includeResults: false }));
+    } catch (error) {
+      logger.error(`[API] Failed to start flow ${req.params.id}: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/runs', (req, res) => {
+    res.json({
+      runs: runManager.listRuns().map(run => runManager.describeRun(run, { includeResults: false }))
+    });
+  });
+
+  router.get('/runs/:id', (req, res) => {
+    const run = runManager.getRun(req.params.id);
+    if (run) {
+      return res.json(runManager.describeRun(run));
+    }
+
+    // Fall back to persisted history for runs from earlier processes
+    try {
+      const record = runManager.runStore.getRun(req.params.id);
+      if (!record) {
+        return res.status(404).json({ error: `Run not found: ${req.params.id}` });
+      }
+      res.json(record);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.post('/runs/:id/stop', (req, res) => {
+    const run = runManager.stopRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: `Run not found: ${req.params.id}` });
+    }
+    res.json(runManager.describeRun(run, { includeResults: false }));
+  });
+
+  // LLM token usage and cost per UTC day, in total and per flow
+  router.get('/usage', (req, res) => {
+    res.json({
+      days: new LLMUsageLedger().listDays({
+        flowName: req.query.flow || null,
+        days: Number(req.query.days) || 7
+      })
+    });
+  });
+
+  return router;
+}
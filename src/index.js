@@ -0,0 +1,48 @@
+import express from 'express';
+import dotenv from 'dotenv';
+import { logger, requestLogger, errorLogger } from './utils/logger.js';
+import { jsonReplacer } from './utils/json.js';
+import { WebhookHandler } from './webhookHandler.js';
+import { RunManager } from './services/runManager.js';
+import { createApiRouter } from './apiRouter.js';
+
+// Load environment variables
+dotenv.config();
+
+const PORT = Number(process.env.PORT || process.env.WEBHOOK_PORT || 3001);
+
+const webhookHandler = new WebhookHandler();
+const runManager = new RunManager({ webhookHandler });
+webhookHandler.enableFlowHooks(runManager);
+webhookHandler.enableTelegramCommands(runManager);
+
+const app = express();
+app.set('json replacer', jsonReplacer);
+app.use(requestLogger);
+
+// REST API for the frontend
+if (!process.env.AGENTPAD_API_TOKEN) {
+  logger.warn('[API] AGENTPAD_API_TOKEN is not set; the API only answers requests from this machine');
+}
+app.use('/api', createApiRouter({ runManager }));
+
+// Telegram webhook and flow trigger (/hooks/:flowId) routes share the same server so approvals reach running flows
+app.use(webhookHandler.app);
+
+app.use(errorLogger);
+app.use((err, req, res, next) => {
+  res.status(err.status || 500).json({ error: err.message });
+});
+
+async function shutdown() {
+  logger.info('Shutting down API server...');
+  await runManager.stopAll();
+  webhookHandler.stop();
+  process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+await webhookHandler.start(PORT, app);
+logger.info(`✅ AgentPad API server listening on port ${PORT}`);
@@ -0,0 +1,80 @@
+import { operand, outputVariable } from '../services/nodeSchemas.js';
+import { evaluateExpression, validateExpressionConfig } from '../services/expression.js';
+
+export default {
+  type: 'arithmetic',
+  label: 'Arithmetic',
+  inputs: ['in'],
+  outputs: ['out'],
+  capabilities: {},
+  configSchema: {
+    type: 'object',
+    properties: {
+      expression: { type: 'string', minLength: 1 },
+      operation: { enum: ['add', 'subtract', 'multiply', 'divide'] },
+      value1: operand,
+      value2: operand,
+      outputVariable
+    }
+  },
+
+  // Either `expression` (e.g. "pctChange({lastPrice}, {price.price_usd})") or operation/value1/value2
+  validateConfig: config => validateExpressionConfig(config, ['operation', 'value1', 'value2']),
+
+  execute(node, context) {
+    const { config } = context;
+    if (config.expression !== undefined) {
+      const result = evaluateExpression(config.expression, context.resolvePath);
+      if (typeof result !== 'number' || !Number.isFinite(result)) {
+        throw new Error(`Arithmetic expression "${config.expression}" did not produce a number (got: ${JSON.stringify(result)})`);
+      }
+      if (config.outputVariable) context.variables[config.outputVariable] = result;
+      return result;
+    }
+
+    const v1Raw = context.resolveValue(config.value1);
+    const v2Raw = context.resolveValue(config.value2);
+
+    // Guard: operands must resolve to numbers for arithmetic
+    const parseNumber = (label, val) => {
+      if (val === null || val === undefined) {
+        throw new Error(`Arithmetic operand '${label}' is undefined (expression uses '${config[label] || ''}')`);
+      }
+      if (typeof val === 'number') return val;
+      if (typeof val === 'string') {
+        const trimmed = val.trim();
+        if (/^-?\d*\.?\d+$/.test(trimmed)) return Number(trimmed);
+        // Looks like an unresolved variable name; surface a clear error
+        if (/^[a-zA-Z_][a-zA-Z0-9_\.]*$/.test(trimmed)) {
+          throw new Error(`Arithmetic operand '${label}' references variable '${trimmed}' which is not defined yet`);
+        }
+        throw new Error(`Arithmetic operand '${label}' is not numeric (got: '${val}')`);
+      }
+      throw new Error(`Arithmetic operand '${label}' is not numeric (type: ${typeof val})`);
+    };
+
+    const v1 = parseNumber('value1', v1Raw);
+    const v2 = parseNumber('value2', v2Raw);
+    let result;
+    switch (config.operation) {
+      case 'add': result = v1 + v2; break;
+      case 'subtract': result = v1 - v2; break;
+      case 'multiply': result = v1 * v2; break;
+      case 'divide': 
+        if (v2 === 0) {
+          // Handle first execution case for percentage calculations
+          if (typeof v1 === 'number' && v1 !== 0) {
+            result = 0; // No change on first execution
+          } else {
+            result = null;
+          }
+        } else {
+          result = v1 / v2;
+        }
+        break;
+      default: throw new Error('Unknown arithmetic operation');
+    }
+    if (config.outputVariable) context.variables[config.outputVariable] = result;
+    return result;
+  }
+};
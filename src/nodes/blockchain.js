@@ -0,0 +1,206 @@
+import { outputVariable, signer } from '../services/nodeSchemas.js';
+import { isWriteTool } from '../services/seiTools.js';
+
+// Tool name -> call on the kit with the node's parameters
+function createMethodMap(seiKit, parameters) {
+  return {
+    // Basic Operations
+    'sei_erc20_balance': () => seiKit.getERC20Balance(parameters.contract_address),
+    'sei_erc20_transfer': () => seiKit.ERC20Transfer(
+      parameters.amount, 
+      parameters.recipient, 
+      parameters.ticker
+    ),
+    'sei_native_transfer': () => seiKit.ERC20Transfer(
+      parameters.amount,
+      parameters.recipient
+    ),
+    'sei_erc721_balance': () => seiKit.getERC721Balance(parameters.collectionAddress),
+    'sei_erc721_transfer': () => seiKit.ERC721Transfer(
+      parameters.recipient,
+      parameters.tokenId,
+      parameters.collectionAddress
+    ),
+    'sei_erc721_mint': () => seiKit.ERC721Mint(
+      parameters.recipient,
+      parameters.tokenId,
+      parameters.collectionAddress
+    ),
+
+    // DeFi Operations
+    'sei_swap': () => seiKit.swap(
+      parameters.amount,
+      parameters.tokenIn,
+      parameters.tokenOut
+    ),
+    'sei_stake': () => seiKit.stake(parameters.amount),
+    'sei_unstake': () => seiKit.unstake(parameters.amount),
+    
+    // Takara Operations
+    'sei_mint_takara': () => seiKit.mintTakara(
+      parameters.ticker,
+      parameters.amount
+    ),
+    'sei_borrow_takara': () => seiKit.borrowTakara(
+      parameters.ticker,
+      parameters.borrowAmount
+    ),
+    'sei_repay_takara': () => seiKit.repayTakara(
+      parameters.ticker,
+      parameters.repayAmount
+    ),
+    'sei_redeem_takara': () => seiKit.redeemTakara(
+      parameters.ticker,
+      parameters.amount
+    ),
+
+    // Citrex Trading
+    'sei_citrex_place_order': () => seiKit.citrexPlaceOrder(parameters.orderArgs),
+    'sei_citrex_get_products': () => seiKit.citrexGetProducts(),
+    'sei_citrex_get_order_book': () => seiKit.citrexGetOrderBook(
+      parameters.product_id,
+      parameters.aggregation
+    ),
+    'sei_citrex_list_balances': () => seiKit.citrexListBalances(),
+    'sei_citrex_deposit': () => seiKit.citrexDeposit(parameters.amount),
+    'sei_citrex_withdraw': () => seiKit.citrexWithdraw(parameters.amount),
+    'sei_citrex_get_account_health': () => seiKit.citrexGetAccountHealth(),
+    'sei_citrex_list_open_orders': () => seiKit.citrexListOpenOrders(),
+    'sei_citrex_cancel_order': () => seiKit.citrexCancelOrder(parameters.order_id),
+
+    // Social Operations
+    'sei_post_tweet': () => seiKit.postTweet(parameters.tweet),
+    'sei_get_account_details': () => seiKit.getAccountDetails(parameters.username),
+    'sei_post_tweet_reply': () => seiKit.postTweetReply(
+      parameters.tweet,
+      parameters.reply_to_tweet_id
+    ),
+
+    // Carbon Strategies
+    'sei_compose_trade_by_source_tx': () => seiKit.composeTradeBySourceTx(
+      parameters.sourceAmount,
+      parameters.sourceToken,
+      parameters.targetToken,
+      parameters.tradeActions
+    ),
+    'sei_compose_trade_by_target_tx': () => seiKit.composeTradeByTargetTx(
+      parameters.targetAmount,
+      parameters.sourceToken,
+      parameters.targetToken,
+      parameters.tradeActions
+    ),
+    'sei_create_buy_sell_strategy': () => seiKit.createBuySellStrategy(
+      parameters.baseToken,
+      parameters.quoteToken,
+      parameters.buyMin,
+      parameters.buyMax,
+      parameters.sellMin,
+      parameters.sellMax,
+      parameters.buyBudget,
+      parameters.sellBudget
+    ),
+    'sei_create_overlapping_strategy': () => seiKit.createOverlappingStrategy(
+      parameters.baseToken,
+      parameters.quoteToken,
+      parameters.min,
+      parameters.max,
+      parameters.marginalPriceMin,
+      parameters.marginalPriceMax,
+      parameters.budget
+    ),
+    'sei_delete_strategy': () => seiKit.deleteStrategy(parameters.strategyId),
+    'sei_get_user_strategies': () => seiKit.getUserStrategies(),
+    'sei_update_strategy': () => seiKit.updateStrategy(
+      parameters.strategyId,
+      parameters.encoded_data
+    ),
+
+
+  };
+}
+
+// Dispatch a sei-agent-kit tool by name. Writes are checked by the transaction `policy` (if
+// one is configured) first; in a dry run they are then simulated by the DryRun
+export async function executeSeiAgentKitMethod(seiKit, toolName, parameters, { dryRun = null, nodeId = null, policy = null } = {}) {
+  if (!createMethodMap(seiKit, parameters)[toolName]) {
+    throw new Error(`Tool ${toolName} not supported`);
+  }
+  const checkPolicy = policy && isWriteTool(toolName);
+  
+  if (dryRun && isWriteTool(toolName)) {
+    if (checkPolicy) {
+      await createMethodMap(policy.wrapSeiKit(seiKit, { send: false }), parameters)[toolName]();
+    }
+    return await dryRun.simulateSeiTool(seiKit, toolName, parameters, nodeId);
+  }
+  
+  const kit = checkPolicy ? policy.wrapSeiKit(seiKit) : seiKit;
+  return await createMethodMap(kit, parameters)[toolName]();
+}
+
+export default {
+  type: 'blockchain',
+  label: 'Blockchain',
+  inputs: ['in'],
+  outputs: ['out'],
+  capabilities: {
+    // Balance and other read-only tools are safe to repeat; everything else sends a transaction
+    writesChain: config => isWriteTool(config.selectedTool)
+  },
+  configSchema: {
+    type: 'object',
+    required: ['selectedTool'],
+    properties: {
+      network: { enum: ['mainnet', 'testnet'] },
+      selectedTool: { type: 'string', pattern: '^sei_' },
+      toolParameters: { type: 'object' },
+      signer,
+      outputVariable
+    }
+  },
+
+  async execute(node, context) {
+    const { config, logger } = context;
+    logger.info(`Executing blockchain node: ${node.id}`);
+    
+    const network = config.network || 'mainnet';
+    const selectedTool = config.selectedTool;
+    const parameters = config.toolParameters || {};
+    
+    if (!selectedTool) {
+      throw new Error('No blockchain operation selected');
+    }
+    
+    // Create network-specific SeiAgentKit instance
+    const seiKit = await context.services.createSeiKit(context.resolveSigner(config.signer), network, { nodeId: node.id });
+    
+    try {
+      // Resolve parameter values from variables (supports plain names and dotted paths)
+      const resolvedParameters = Object.fromEntries(
+        Object.entries(parameters).map(([key, value]) => {
+          if (typeof value === 'string') {
+            return [key, context.resolveValue(value)];
+          }
+          return [key, value];
+        })
+      );
+
+      const result = await executeSeiAgentKitMethod(seiKit, selectedTool, resolvedParameters, {
+        dryRun: context.dryRun,
+        nodeId: node.id,
+        policy: context.policy
+      });
+      
+      if (config.outputVariable) {
+        context.variables[config.outputVariable] = result;
+      }
+      
+      logger.info(`Blockchain operation ${selectedTool} completed on ${network}:`, result);
+      return result;
+      
+    } catch (error) {
+      logger.error(`Error executing blockchain operation ${selectedTool} on ${network}:`, error);
+      throw error;
+    }
+  }
+};
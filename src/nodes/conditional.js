@@ -0,0 +1,48 @@
+import { operand, outputVariable } from '../services/nodeSchemas.js';
+import { evaluateExpression, validateExpressionConfig } from '../services/expression.js';
+
+// Boolean branch: downstream edges leave from the 'true' or 'false' port
+export default {
+  type: 'conditional',
+  label: 'Conditional',
+  inputs: ['in'],
+  outputs: ['true', 'false'],
+  capabilities: {},
+  configSchema: {
+    type: 'object',
+    properties: {
+      expression: { type: 'string', minLength: 1 },
+      operator: { enum: ['equals', 'not_equals', 'greater', 'less'] },
+      value1: operand,
+      value2: operand,
+      outputVariable
+    }
+  },
+
+  // Either `expression` (e.g. "{price} >= 1 AND {rsi} between 30 and 70") or operator/value1/value2
+  validateConfig: config => validateExpressionConfig(config, ['operator', 'value1', 'value2']),
+
+  execute(node, context) {
+    const { config } = context;
+    if (config.expression !== undefined) {
+      const result = Boolean(evaluateExpression(config.expression, context.resolvePath));
+      if (config.outputVariable) context.variables[config.outputVariable] = result;
+      return result;
+    }
+
+    const v1 = context.resolveValue(config.value1);
+    const v2 = context.resolveValue(config.value2);
+    let result;
+    switch (config.operator) {
+      case 'equals': result = v1 === v2; break;
+      case 'not_equals': result = v1 !== v2; break;
+      case 'greater': result = v1 > v2; break;
+      case 'less': result = v1 < v2; break;
+      default: throw new Error('Unknown conditional operator');
+    }
+    if (config.outputVariable) context.variables[config.outputVariable] = result;
+    return result;
+  },
+
+  route: result => (result ? 'true' : 'false')
+};
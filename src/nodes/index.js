@@ -0,0 +1,30 @@
+import start from './start.js';
+import variable from './variable.js';
+import arithmetic from './arithmetic.js';
+import conditional from './conditional.js';
+import timer from './timer.js';
+import blockchain from './blockchain.js';
+import llm from './llm.js';
+import logger from './logger.js';
+import telegram from './telegram.js';
+import userApproval from './userApproval.js';
+import marketData from './marketData.js';
+import smartContractRead from './smartContractRead.js';
+import smartContractWrite from './smartContractWrite.js';
+
+// Node types that ship with agentpad; custom types are loaded by the NodeRegistry
+export const builtinNodes = [
+  start,
+  variable,
+  arithmetic,
+  conditional,
+  timer,
+  blockchain,
+  llm,
+  logger,
+  telegram,
+  userApproval,
+  marketData,
+  smartContractRead,
+  smartContractWrite
+];
@@ -0,0 +1,186 @@
+import { address, numeric, outputVariable, signer } from '../services/nodeSchemas.js';
+import { createAgentTools, validateAgentTools } from '../services/agentTools.js';
+import { LLM_PROVIDERS, apiKeyEnvError } from '../services/llmProviders.js';
+import { validateStructuredConfig } from '../services/structuredOutput.js';
+import { MEMORY_SCOPES, resolveMemoryThread, validateMemoryConfig } from '../services/llmMemory.js';
+import { formatUsage } from '../services/llmUsage.js';
+
+// Extra agent tools declared by the node (see services/agentTools.js)
+const agentTool = {
+  oneOf: [
+    {
+      type: 'object',
+      required: ['type', 'name', 'network', 'contractAddress', 'abi'],
+      properties: {
+        type: { const: 'contract' },
+        name: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,32}$' },
+        description: { type: 'string' },
+        network: { type: 'string' },
+        contractAddress: address,
+        abi: { type: 'string', minLength: 2 },
+        methods: { type: 'array', items: { type: 'string' }, minItems: 1 },
+        signer
+      }
+    },
+    {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { const: 'variables' },
+        readOnly: { type: 'boolean' },
+        writable: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    {
+      type: 'object',
+      required: ['type'],
+      properties: { type: { const: 'marketPrice' } }
+    }
+  ]
+};
+
+export default {
+  type: 'llm',
+  label: 'LLM',
+  inputs: ['in'],
+  outputs: ['out'],
+  // The agent always has the SEI kit's write tools (and contract tools may write), so an LLM
+  // node cut off mid-answer may already have sent a transaction
+  capabilities: { writesChain: true },
+  configSchema: {
+    type: 'object',
+    properties: {
+      network: { enum: ['mainnet', 'testnet'] },
+      provider: { enum: Object.keys(LLM_PROVIDERS) },
+      baseURL: { type: 'string', pattern: '^https?://' },
+      // Name of the env var holding the key, never the key itself
+      apiKeyEnv: { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]*$' },
+      model: { type: 'string' },
+      temperature: numeric,
+      maxTokens: numeric,
+      // USD per million tokens, for models without a built-in price (see services/llmUsage.js)
+      pricing: {
+        type: 'object',
+        required: ['inputPerMillion', 'outputPerMillion'],
+        properties: {
+          inputPerMillion: { type: 'number', minimum: 0 },
+          outputPerMillion: { type: 'number', minimum: 0 }
+        }
+      },
+      outputMode: { enum: ['assistant', 'action', 'structured'] },
+      // outputMode 'structured': JSON Schema of the answer, parameter schema per action, re-prompts
+      outputSchema: { type: 'object' },
+      actionSchemas: { type: 'object', additionalProperties: { type: 'object' } },
+      maxRetries: { type: 'integer', minimum: 0, maximum: 10 },
+      input: { type: 'string' },
+      // Interactive chat instead of one answer: on stdin ('cli' or true) or in a Telegram chat
+      chatInterface: { enum: [true, false, 'cli', 'telegram'] },
+      chatId: { type: ['string', 'number'] },
+      exitKeywords: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+      idleTimeout: numeric,
+      // Telegram user IDs answered in a Telegram chat (default: AGENTPAD_TELEGRAM_ADMINS)
+      allowedUserIds: { type: 'array', items: { type: ['string', 'number'] } },
+      tools: { type: 'array', items: agentTool },
+      // Output { response, toolCalls, messages } instead of the answer alone
+      includeTrace: { type: 'boolean' },
+      // Conversation memory kept between executions (see services/llmMemory.js)
+      memory: {
+        type: 'object',
+        properties: {
+          scope: { enum: MEMORY_SCOPES },
+          thread: { type: 'string', pattern: '^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$' },
+          maxMessages: { type: 'integer', minimum: 2 },
+          keepMessages: { type: 'integer', minimum: 1 },
+          summarize: { type: 'boolean' }
+        }
+      },
+      outputVariable
+    }
+  },
+  validateConfig: (config) => {
+    const errors = Array.isArray(config.tools) ? validateAgentTools(config.tools) : [];
+    if (config.outputMode === 'structured') {
+      errors.push(...validateStructuredConfig(config));
+    }
+    errors.push(...validateMemoryConfig(config.memory));
+    const keyEnvError = config.apiKeyEnv ? apiKeyEnvError(config.apiKeyEnv) : null;
+    if (keyEnvError) {
+      errors.push({ path: 'config.apiKeyEnv', message: keyEnvError });
+    }
+    // Self-hosted servers have no sensible default model
+    if (config.provider === 'openai-compatible' && !config.model) {
+      errors.push({ path: 'config.model', message: "provider 'openai-compatible' needs a model" });
+    }
+    return errors;
+  },
+
+  async execute(node, context) {
+    const { config } = context;
+    context.logger.info(`Executing LLM node: ${node.id}`);
+    
+    // Once the flow's daily LLM budget is used up the node is skipped, or the flow halted
+    const budget = context.checkLLMBudget();
+    if (budget) {
+      if (budget.onExceeded === 'skip') {
+        context.logger.error(`Skipping LLM node ${node.id}: ${budget.message}`);
+        return { skipped: true, error: budget.message };
+      }
+      throw new Error(budget.message);
+    }
+    
+    // Get network from LLM node config, default to mainnet
+    const network = config.network || 'mainnet';
+    
+    const llmNode = await context.services.createLLMNode(
+      config,
+      context.privateKey,
+      network,
+      {
+        dryRun: context.dryRun,
+        nodeId: node.id,
+        policy: context.policy,
+        webhookHandler: context.executor?.webhookHandler,
+        signal: context.signal,
+        tools: createAgentTools(config.tools, context, node.id),
+        memoryThread: resolveMemoryThread(config.memory, {
+          runId: context.runId,
+          flowName: context.executor?.flowData?.name,
+          nodeId: node.id
+        })
+      }
+    );
+    
+    let result;
+    try {
+      result = await llmNode.execute(
+        config.input || "Analyze current workflow state",
+        {
+          variables: context.variables,
+          nodeResults: context.nodeResults,
+          currentNode: node.id
+        }
+      );
+    } finally {
+      // Calls made before a failure are paid for (and audited) too
+      if (llmNode.usage?.calls > 0) {
+        context.logger.info(`LLM node ${node.id} usage: ${formatUsage(llmNode.usage)}`);
+        context.recordLLMUsage(llmNode.usage);
+      }
+      if (llmNode.trace?.messages.length > 0) {
+        context.recordLLMTrace(llmNode.trace.toJSON());
+      }
+    }
+    
+    // Later nodes can check what the agent did, e.g. {analysis.toolCalls}
+    if (config.includeTrace) {
+      result = { response: result, ...(llmNode.trace?.toJSON() || { messages: [], toolCalls: [] }) };
+    }
+    
+    // Store result in output variable if specified
+    if (config.outputVariable) {
+      context.variables[config.outputVariable] = result;
+    }
+    
+    return result;
+  }
+};
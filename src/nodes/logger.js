@@ -0,0 +1,68 @@
+import { outputVariable } from '../services/nodeSchemas.js';
+
+export default {
+  type: 'logger',
+  label: 'Logger',
+  inputs: ['in'],
+  outputs: ['out'],
+  capabilities: {},
+  configSchema: {
+    type: 'object',
+    properties: {
+      level: { enum: ['info', 'warn', 'error', 'debug'] },
+      message: { type: 'string' },
+      outputVariable
+    }
+  },
+
+  execute(node, context) {
+    const { config, logger } = context;
+    logger.info(`Executing Logger node: ${node.id}`);
+    const level = config.level || 'info';
+    const message = config.message || 'Logger message';
+    const value = config.value || '';
+    
+    // Resolve variables in message and value
+    const resolvedMessage = context.resolveString(message);
+    
+    // Handle value field - if it's a variable reference, get the actual variable
+    let resolvedValue;
+    if (typeof value === 'string' && value.startsWith('{') && value.endsWith('}')) {
+      // It's a variable reference like {marketdata}
+      const variablePath = value.slice(1, -1); // Remove { and }
+      resolvedValue = context.resolvePath(variablePath);
+    } else {
+      // Use normal resolution for other cases
+      resolvedValue = context.resolveValue(value);
+    }
+    
+    const logMessage = `${resolvedMessage} - ${JSON.stringify(resolvedValue, null, 2)}`;
+    
+    switch (level.toLowerCase()) {
+      case 'error':
+        logger.error(logMessage);
+        break;
+      case 'warn':
+        logger.warn(logMessage);
+        break;
+      case 'debug':
+        logger.debug(logMessage);
+        break;
+      default:
+        logger.info(logMessage);
+    }
+    
+    const result = {
+      level,
+      message: resolvedMessage,
+      value: resolvedValue,
+      timestamp: Date.now()
+    };
+    
+    if (config.outputVariable) {
+      context.variables[config.outputVariable] = result;
+    }
+    
+    return result;
+  }
+};
@@ -0,0 +1,43 @@
+import { outputVariable } from '../services/nodeSchemas.js';
+
+export default {
+  type: 'marketData',
+  label: 'Market Data',
+  inputs: ['in'],
+  outputs: ['out'],
+  capabilities: {},
+  configSchema: {
+    type: 'object',
+    required: ['symbol'],
+    properties: {
+      symbol: { type: 'string', minLength: 1 },
+      outputVariable
+    }
+  },
+
+  async execute(node, context) {
+    const { config, logger } = context;
+    logger.info(`Executing market data node: ${node.id}`);
+    
+    const symbol = context.resolveValue(config.symbol);
+    
+    if (!symbol) {
+      throw new Error('Symbol is required for market data node');
+    }
+    
+    try {
+      const result = await context.services.fetchMarketData(symbol, { nodeId: node.id });
+      
+      if (config.outputVariable) {
+        context.variables[config.outputVariable] = result;
+      }
+      
+      logger.info(`Market data retrieved for ${symbol}: $${result.price_usd}`);
+      return result;
+      
+    } catch (error) {
+      logger.error(`Error fetching market data for ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+};
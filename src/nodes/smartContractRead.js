@@ -0,0 +1,78 @@
+import { address, outputVariable } from '../services/nodeSchemas.js';
+
+// Shared with smartContractWrite: a JSON ABI must be an array that declares the method
+export function validateAbiConfig(config) {
+  if (typeof config.abi !== 'string') return [];
+  let abi;
+  try {
+    abi = JSON.parse(config.abi);
+  } catch {
+    // Human-readable ABIs are parsed by viem at execution time
+    return [];
+  }
+  if (!Array.isArray(abi)) {
+    return [{ path: 'config.abi', message: 'ABI must be a JSON array' }];
+  }
+  if (config.methodName && !abi.some(item => item.type === 'function' && item.name === config.methodName)) {
+    return [{ path: 'config.methodName', message: `method '${config.methodName}' not found in ABI` }];
+  }
+  return [];
+}
+
+export default {
+  type: 'smartContractRead',
+  label: 'Smart Contract Read',
+  inputs: ['in'],
+  outputs: ['out'],
+  capabilities: {},
+  configSchema: {
+    type: 'object',
+    required: ['network', 'contractAddress', 'abi', 'methodName'],
+    properties: {
+      network: { type: 'string' },
+      contractAddress: address,
+      abi: { type: 'string', minLength: 2 },
+      methodName: { type: 'string', minLength: 1 },
+      parameters: { type: 'object' },
+      outputVariable
+    }
+  },
+  validateConfig: validateAbiConfig,
+
+  async execute(node, context) {
+    const { config, logger } = context;
+    logger.info(`Executing Smart Contract Read node: ${node.id}`);
+    
+    const network = config.network;
+    const contractAddress = config.contractAddress;
+    const abi = config.abi;
+    const methodName = config.methodName;
+    const parameters = config.parameters || {};
+    
+    if (!network || !contractAddress || !abi || !methodName) {
+      throw new Error('Smart Contract Read node requires network, contractAddress, abi, and methodName');
+    }
+    
+    try {
+      const smartContractNode = context.services.createSmartContractNode(config, context.privateKey, { nodeId: node.id });
+      const result = await smartContractNode.executeRead(
+        contractAddress,
+        abi,
+        methodName,
+        parameters,
+        network
+      );
+      
+      if (config.outputVariable) {
+        context.variables[config.outputVariable] = result;
+      }
+      
+      logger.info(`Smart contract read completed for ${methodName}`);
+      return result;
+      
+    } catch (error) {
+      logger.error(`Error executing smart contract read: ${error.message}`);
+      throw error;
+    }
+  }
+};
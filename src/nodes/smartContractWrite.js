@@ -0,0 +1,138 @@
+import { address, numeric, outputVariable, signer } from '../services/nodeSchemas.js';
+import { validateAbiConfig } from './smartContractRead.js';
+import { describeContractWrite } from '../services/policy.js';
+
+// Policy check, then the write (simulated in a dry run) and its dry-run record. Shared with the
+// contract tools an LLM node gives its agent (services/agentTools.js)
+export async function executeContractWrite(context, nodeId, { config, network, contractAddress, abi, methodName, parameters, options = {} }) {
+  const { dryRun } = context;
+  const writeOptions = { ...options, dryRun: Boolean(dryRun) };
+
+  try {
+    const smartContractNode = context.services.createSmartContractNode(config, context.resolveSigner(config.signer), { nodeId });
+    if (context.policy) {
+      await context.policy.authorize(describeContractWrite({
+        contractAddress,
+        abi,
+        methodName,
+        parameters,
+        value: writeOptions.value,
+        gasLimit: writeOptions.gasLimit,
+        estimateGas: smartContractNode.estimateWriteGas
+          ? () => smartContractNode.estimateWriteGas(contractAddress, abi, methodName, parameters, network, writeOptions)
+          : null
+      }));
+    }
+    const result = await smartContractNode.executeWrite(
+      contractAddress,
+      abi,
+      methodName,
+      parameters,
+      network,
+      writeOptions
+    );
+    
+    if (dryRun) {
+      dryRun.recordWrite({
+        kind: 'contract',
+        nodeId,
+        network,
+        contractAddress,
+        method: methodName,
+        parameters,
+        value: writeOptions.value,
+        gasEstimate: result.gasEstimate,
+        simulatedResult: result.simulatedResult
+      });
+    }
+    return result;
+    
+  } catch (error) {
+    if (dryRun) {
+      dryRun.recordWrite({
+        kind: 'contract',
+        nodeId,
+        network,
+        contractAddress,
+        method: methodName,
+        parameters,
+        value: writeOptions.value,
+        status: 'failed',
+        error: error.shortMessage || error.message
+      });
+    }
+    throw error;
+  }
+}
+
+export default {
+  type: 'smartContractWrite',
+  label: 'Smart Contract Write',
+  inputs: ['in'],
+  outputs: ['out'],
+  capabilities: {
+    writesChain: true
+  },
+  configSchema: {
+    type: 'object',
+    required: ['network', 'contractAddress', 'abi', 'methodName'],
+    properties: {
+      network: { type: 'string' },
+      contractAddress: address,
+      abi: { type: 'string', minLength: 2 },
+      methodName: { type: 'string', minLength: 1 },
+      parameters: { type: 'object' },
+      gasLimit: numeric,
+      gasPrice: numeric,
+      value: numeric,
+      waitForConfirmation: { type: 'boolean' },
+      signer,
+      outputVariable
+    }
+  },
+  validateConfig: validateAbiConfig,
+
+  async execute(node, context) {
+    const { config, logger } = context;
+    logger.info(`Executing Smart Contract Write node: ${node.id}`);
+    
+    const network = config.network;
+    const contractAddress = config.contractAddress;
+    const abi = config.abi;
+    const methodName = config.methodName;
+    const parameters = config.parameters || {};
+    const options = {
+      gasLimit: config.gasLimit,
+      gasPrice: config.gasPrice,
+      value: config.value,
+      waitForConfirmation: config.waitForConfirmation !== false
+    };
+    
+    if (!network || !contractAddress || !abi || !methodName) {
+      throw new Error('Smart Contract Write node requires network, contractAddress, abi, and methodName');
+    }
+    
+    try {
+      const result = await executeContractWrite(context, node.id, {
+        config,
+        network,
+        contractAddress,
+        abi,
+        methodName,
+        parameters,
+        options
+      });
+      
+      if (config.outputVariable) {
+        context.variables[config.outputVariable] = result;
+      }
+      
+      logger.info(`Smart contract write completed: ${result.transactionHash}`);
+      return result;
+      
+    } catch (error) {
+      logger.error(`Error executing smart contract write: ${error.message}`);
+      throw error;
+    }
+  }
+};
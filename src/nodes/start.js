@@ -0,0 +1,162 @@
+import { parseSchedule } from '../services/schedule.js';
+import { validateEventTrigger } from '../services/eventTrigger.js';
+import { validateBalanceWatch } from '../services/balanceWatch.js';
+
+// Coerce a provided value (default or trigger input) to the declared variable type
+function coerceVariable(type, provided) {
+  if (provided === undefined) {
+    // No provided value: set sane defaults based on type
+    switch (type) {
+      case 'number': return 0;
+      case 'string': return '';
+      case 'boolean': return false;
+      case 'array': return [];
+      case 'object': return {};
+      default: return null;
+    }
+  }
+
+  switch (type) {
+    case 'number': {
+      const num = typeof provided === 'number' ? provided : Number(provided);
+      return isNaN(num) ? 0 : num;
+    }
+    case 'boolean': {
+      if (typeof provided === 'boolean') return provided;
+      return ['true', '1', 'yes', 'on'].includes(String(provided).toLowerCase());
+    }
+    case 'array': {
+      if (Array.isArray(provided)) return provided;
+      let value;
+      try { value = JSON.parse(provided); } catch { value = []; }
+      return Array.isArray(value) ? value : [];
+    }
+    case 'object': {
+      if (provided && typeof provided === 'object' && !Array.isArray(provided)) return provided;
+      let value;
+      try { value = JSON.parse(provided); } catch { value = {}; }
+      return value && !Array.isArray(value) && typeof value === 'object' ? value : {};
+    }
+    case 'string':
+      return String(provided);
+    default:
+      return provided;
+  }
+}
+
+// Entry point of every flow; declares the flow's variables and their initial values
+export default {
+  type: 'start',
+  label: 'Start',
+  inputs: [],
+  outputs: ['out'],
+  capabilities: {},
+  configSchema: {
+    type: 'object',
+    properties: {
+      variables: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            type: { enum: ['string', 'number', 'boolean', 'array', 'object'] }
+          }
+        }
+      },
+      // Launched by `agentpad scheduler`; see src/services/schedule.js for the accepted forms
+      schedule: {
+        oneOf: [
+          { type: 'string', minLength: 1 },
+          {
+            type: 'object',
+            properties: {
+              cron: { type: 'string', minLength: 1 },
+              every: { type: 'string', minLength: 1 },
+              timezone: { type: 'string', minLength: 1 },
+              catchUp: { type: 'boolean' }
+            },
+            additionalProperties: false
+          }
+        ]
+      },
+      // Served as POST /hooks/<flowId> by the API server; see src/services/webhookTrigger.js
+      webhookTrigger: {
+        oneOf: [
+          { type: 'boolean' },
+          {
+            type: 'object',
+            properties: {
+              secretEnv: { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]*$' },
+              requireSignature: { type: 'boolean' },
+              sync: { type: 'boolean' },
+              timeoutMs: { type: 'integer', minimum: 1 }
+            },
+            additionalProperties: false
+          }
+        ]
+      },
+      // Watched by `agentpad scheduler`; see src/services/eventTrigger.js
+      eventTrigger: {
+        type: 'object',
+        required: ['contractAddress', 'abi', 'eventName'],
+        properties: {
+          network: { type: 'string' },
+          contractAddress: { type: 'string', pattern: '^0x[0-9a-fA-F]{40}$' },
+          abi: { type: ['string', 'array'] },
+          eventName: { type: 'string', minLength: 1 },
+          args: { type: 'object' },
+          confirmations: { type: 'integer', minimum: 0 },
+          pollIntervalMs: { type: 'integer', minimum: 1000 },
+          maxBlockRange: { type: 'integer', minimum: 1 },
+          startBlock: { anyOf: [{ const: 'latest' }, { type: 'integer', minimum: 0 }] }
+        },
+        additionalProperties: false
+      },
+      // Watched by `agentpad scheduler`; see src/services/balanceWatch.js
+      balanceWatch: {
+        type: 'object',
+        properties: {
+          network: { enum: ['mainnet', 'testnet'] },
+          token: { type: 'string', minLength: 1 },
+          below: { type: 'number' },
+          above: { type: 'number' },
+          hysteresis: { type: 'number', minimum: 0 },
+          cooldownMs: { type: 'integer', minimum: 0 },
+          pollIntervalMs: { type: 'integer', minimum: 1000 }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+
+  validateConfig: (config) => {
+    const issues = [...validateEventTrigger(config), ...validateBalanceWatch(config)];
+    if (config.schedule) {
+      try {
+        parseSchedule(config.schedule);
+      } catch (error) {
+        issues.push({ path: 'config.schedule', message: error.message });
+      }
+    }
+    return issues;
+  },
+
+  async execute(node, context) {
+    const { config } = context;
+    if (config.variables) {
+      // Initialize variables from start node; a trigger may supply values for declared variables
+      for (const variable of config.variables) {
+        const provided = Object.hasOwn(context.inputs, variable.name) ? context.inputs[variable.name] : variable.defaultValue;
+        context.variables[variable.name] = coerceVariable(variable.type, provided);
+      }
+      context.logger.info(`Initialized ${config.variables.length} variables from start node`);
+    }
+    // The full trigger payload (e.g. webhook body) is available as {trigger.*}
+    if (context.trigger) {
+      context.variables.trigger = context.trigger;
+    }
+    return null;
+  }
+};
@@ -0,0 +1,49 @@
+import { outputVariable } from '../services/nodeSchemas.js';
+
+export default {
+  type: 'telegram',
+  label: 'Telegram',
+  inputs: ['in'],
+  outputs: ['out'],
+  capabilities: {},
+  configSchema: {
+    type: 'object',
+    properties: {
+      message: { type: 'string' },
+      chatId: { type: ['string', 'number'] },
+      interactive: { type: 'boolean' },
+      buttons: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['text'],
+          properties: { text: { type: 'string' }, value: { type: 'string' } }
+        }
+      },
+      outputVariable
+    }
+  },
+
+  async execute(node, context) {
+    const { config } = context;
+    context.logger.info(`Executing Telegram node: ${node.id}`);
+    
+    const telegramNode = context.services.createTelegramNode(
+      config,
+      {
+        variables: context.variables,
+        nodeResults: context.nodeResults,
+        currentNode: node.id
+      }
+    );
+    
+    const result = await telegramNode.execute();
+    
+    // Store result in output variable if specified
+    if (config.outputVariable) {
+      context.variables[config.outputVariable] = result;
+    }
+    
+    return result;
+  }
+};
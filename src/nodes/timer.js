@@ -0,0 +1,26 @@
+import { numeric, outputVariable } from '../services/nodeSchemas.js';
+
+// Delays, timeouts and interval loops. Intervals re-run the downstream subgraph and are
+// checkpointed per iteration, so the work stays in the executor.
+export default {
+  type: 'timer',
+  label: 'Timer',
+  inputs: ['in'],
+  outputs: ['out'],
+  capabilities: {},
+  configSchema: {
+    type: 'object',
+    properties: {
+      timerType: { enum: ['delay', 'interval', 'timeout'] },
+      duration: numeric,
+      unit: { enum: ['ms', 's', 'm'] },
+      repeatCount: numeric,
+      outputVariable
+    }
+  },
+
+  execute(node, context) {
+    const { nodeMap, edges, visited } = context.graph;
+    return context.executor.executeTimerNode(node, nodeMap, edges, visited);
+  }
+};
@@ -0,0 +1,27 @@
+import { approvalId, numeric, outputVariable } from '../services/nodeSchemas.js';
+
+// Waits for a Telegram approval. Pending approvals are checkpointed and re-attached on
+// resume, so the work stays in the executor.
+export default {
+  type: 'userApproval',
+  label: 'User Approval',
+  inputs: ['in'],
+  outputs: ['out'],
+  capabilities: {},
+  configSchema: {
+    type: 'object',
+    properties: {
+      approvalType: { enum: ['telegram'] },
+      approvalId,
+      timeout: numeric,
+      message: { type: 'string' },
+      approvalActions: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+      approvers: { type: 'array', items: { type: ['string', 'number'] } },
+      outputVariable
+    }
+  },
+
+  execute(node, context) {
+    return context.executor.executeUserApprovalNode(node);
+  }
+};
@@ -0,0 +1,87 @@
+import { operand } from '../services/nodeSchemas.js';
+import { evaluateExpression, validateExpressionConfig } from '../services/expression.js';
+
+export default {
+  type: 'variable',
+  label: 'Variable',
+  inputs: ['in'],
+  outputs: ['out'],
+  capabilities: {},
+  configSchema: {
+    type: 'object',
+    required: ['variableName'],
+    properties: {
+      variableName: { type: 'string', minLength: 1 },
+      operation: { enum: ['set', 'get', 'increment', 'decrement'] },
+      value: operand,
+      // Only used by 'set'; takes precedence over `value`
+      expression: { type: 'string', minLength: 1 }
+    }
+  },
+
+  validateConfig: (config) => {
+    if (config.expression !== undefined && (config.operation || 'set') !== 'set') {
+      return [{ path: 'config.expression', message: `expression is only supported with operation 'set'` }];
+    }
+    return validateExpressionConfig(config);
+  },
+
+  execute(node, context) {
+    const { config, variables } = context;
+    if (!config.variableName) throw new Error('Variable node missing variableName');
+    
+    const operation = config.operation || 'set';
+    const variableName = config.variableName;
+    
+    switch (operation) {
+      case 'set':
+        // Convert string values to numbers when possible
+        const setValue = config.expression !== undefined
+          ? evaluateExpression(config.expression, context.resolvePath)
+          : context.resolveValue(config.value);
+        variables[variableName] = setValue;
+        break;
+      case 'get':
+        // Just retrieve the variable value (no modification)
+        if (!(variableName in variables)) {
+          variables[variableName] = undefined;
+        }
+        break;
+      case 'increment':
+        if (!(variableName in variables)) {
+          variables[variableName] = 0;
+        } else {
+          // Ensure the current value is a number
+          let currentValue = variables[variableName];
+          if (typeof currentValue === 'string') {
+            currentValue = Number(currentValue);
+            if (isNaN(currentValue)) currentValue = 0;
+          }
+          variables[variableName] = currentValue + 1;
+        }
+        break;
+      case 'decrement':
+        if (!(variableName in variables)) {
+          variables[variableName] = 0;
+        } else {
+          // Ensure the current value is a number
+          let currentValue = variables[variableName];
+          if (typeof currentValue === 'string') {
+            currentValue = Number(currentValue);
+            if (isNaN(currentValue)) currentValue = 0;
+          }
+          variables[variableName] = currentValue - 1;
+        }
+        break;
+      default:
+        throw new Error(`Unknown variable operation: ${operation}`);
+    }
+    
+    const variableValue = variables[variableName];
+    const displayValue = typeof variableValue === 'object' && variableValue !== null 
+      ? JSON.stringify(variableValue, null, 2) 
+      : variableValue;
+    context.logger.info(`Variable ${variableName} = ${displayValue} (operation: ${operation})`);
+    return variables[variableName];
+  }
+};
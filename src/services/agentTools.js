@@ -0,0 +1,181 @@
+import { tool } from '@langchain/core/tools';
+import { parseAbi } from 'viem';
+import { executeContractWrite } from '../nodes/smartContractWrite.js';
+import { toPlainObject } from '../utils/json.js';
+
+// Extra LangChain tools an LLM node declares in `config.tools`, on top of the SEI tools:
+//   { type: 'contract', name, network, contractAddress, abi, methods?, signer?, description? }
+//   { type: 'variables', readOnly: true } or { type: 'variables', writable: [names] }
+//   { type: 'marketPrice' }
+// Tools are built per run from the node context, so contract writes go through the same
+// transaction policy, signer and dry run as a smartContractWrite node would.
+
+const TOOL_NAME = /[^A-Za-z0-9_-]/g;
+// Setting these on the variables object would change its prototype instead of adding a variable
+const RESERVED_VARIABLES = new Set(['__proto__', 'constructor', 'prototype']);
+
+function parseToolAbi(abi) {
+  try {
+    return JSON.parse(abi);
+  } catch {
+    // Human-readable ABI, as accepted by the smart contract nodes
+    return parseAbi(Array.isArray(abi) ? abi : [abi]);
+  }
+}
+
+function isReadMethod(item) {
+  return item.stateMutability === 'view' || item.stateMutability === 'pure';
+}
+
+// The ABI functions a contract tool spec exposes, in ABI order; overloads keep the first
+export function contractToolMethods(spec) {
+  const functions = parseToolAbi(spec.abi).filter(item => item.type === 'function');
+  const seen = new Set();
+  return functions.filter((item) => {
+    if (seen.has(item.name) || (spec.methods && !spec.methods.includes(item.name))) return false;
+    seen.add(item.name);
+    return true;
+  });
+}
+
+export function validateAgentTools(tools = []) {
+  const errors = [];
+  tools.forEach((spec, index) => {
+    const path = `config.tools[${index}]`;
+    if (spec.type === 'variables') {
+      // The agent may only set the variables it is meant to
+      if (!spec.readOnly && !spec.writable?.length) {
+        errors.push({ path: `${path}.writable`, message: 'list the variables the agent may set, or set readOnly: true' });
+      }
+      for (const name of spec.writable || []) {
+        if (RESERVED_VARIABLES.has(name)) {
+          errors.push({ path: `${path}.writable`, message: `'${name}' cannot be a variable name` });
+        }
+      }
+      return;
+    }
+    if (spec.type !== 'contract') return;
+    let functions;
+    try {
+      functions = parseToolAbi(spec.abi).filter(item => item.type === 'function');
+    } catch (error) {
+      errors.push({ path: `${path}.abi`, message: `invalid ABI: ${error.shortMessage || error.message}` });
+      return;
+    }
+    for (const method of spec.methods || []) {
+      if (!functions.some(item => item.name === method)) {
+        errors.push({ path: `${path}.methods`, message: `method '${method}' not found in ABI` });
+      }
+    }
+  });
+  return errors;
+}
+
+function abiTypeSchema({ type }) {
+  if (type.endsWith(']') || type.startsWith('tuple')) {
+    return { description: `Solidity ${type}, as a JSON array or object` };
+  }
+  if (/^u?int\d*$/.test(type)) {
+    return { type: ['string', 'integer'], description: `Solidity ${type}; pass large values as a decimal string` };
+  }
+  if (type === 'bool') return { type: 'boolean' };
+  if (type === 'address') return { type: 'string', pattern: '^0x[0-9a-fA-F]{40}$' };
+  return { type: 'string', description: `Solidity ${type}` };
+}
+
+// Result objects may hold BigInts (receipts, uint returns), which tools cannot return as-is
+function toToolResult(value) {
+  return typeof value === 'string' ? value : JSON.stringify(toPlainObject(value));
+}
+
+function createContractTools(spec, context, nodeId) {
+  const prefix = spec.name.replace(TOOL_NAME, '_');
+  const { network } = spec;
+
+  return contractToolMethods(spec).map((method) => {
+    const read = isReadMethod(method);
+    const inputs = method.inputs.map((input, index) => ({ ...input, key: input.name || `arg${index}` }));
+    const properties = Object.fromEntries(inputs.map(input => [input.key, abiTypeSchema(input)]));
+    if (method.stateMutability === 'payable') {
+      properties.valueWei = { type: 'string', description: 'Native value to send with the call, in wei' };
+    }
+
+    return tool(async (args) => {
+      // Ordered by the ABI, which is how SmartContractNode turns parameters into call arguments
+      const parameters = Object.fromEntries(inputs.map(input => [input.key, args[input.key]]));
+      if (read) {
+        const contract = context.services.createSmartContractNode(spec, context.resolveSigner(spec.signer), { nodeId });
+        return toToolResult(await contract.executeRead(spec.contractAddress, spec.abi, method.name, parameters, network));
+      }
+      const result = await executeContractWrite(context, nodeId, {
+        config: spec,
+        network,
+        contractAddress: spec.contractAddress,
+        abi: spec.abi,
+        methodName: method.name,
+        parameters,
+        options: { value: args.valueWei, waitForConfirmation: true }
+      });
+      return toToolResult(result);
+    }, {
+      name: `${prefix}_${method.name}`.slice(0, 64),
+      description: `${read ? 'Read' : 'Send a transaction calling'} ${method.name}(${inputs.map(input => `${input.type} ${input.key}`).join(', ')}) on ${spec.name} (${spec.contractAddress}, ${network}).${spec.description ? ` ${spec.description}` : ''}`,
+      schema: { type: 'object', properties, required: inputs.map(input => input.key) }
+    });
+  });
+}
+
+function createVariableTools(spec, context) {
+  const tools = [
+    tool(async ({ name }) => {
+      if (!name) return toToolResult(context.variables);
+      return Object.hasOwn(context.variables, name) ? toToolResult(context.variables[name]) : `Variable '${name}' is not set`;
+    }, {
+      name: 'get_workflow_variable',
+      description: 'Read a workflow variable by name, or all variables when no name is given.',
+      schema: { type: 'object', properties: { name: { type: 'string' } } }
+    })
+  ];
+
+  if (!spec.readOnly) {
+    tools.push(tool(async ({ name, value }) => {
+      const writable = spec.writable || [];
+      if (RESERVED_VARIABLES.has(name) || !writable.includes(name)) {
+        return `Variable '${name}' is not writable; writable variables: ${writable.join(', ')}`;
+      }
+      context.variables[name] = value;
+      context.logger.info(`LLM agent set variable ${name}`);
+      return `Set ${name}`;
+    }, {
+      name: 'set_workflow_variable',
+      description: `Set a workflow variable for later nodes in the flow. Writable variables: ${(spec.writable || []).join(', ')}.`,
+      schema: { type: 'object', properties: { name: { type: 'string' }, value: {} }, required: ['name', 'value'] }
+    }));
+  }
+  return tools;
+}
+
+function createMarketPriceTool(context, nodeId) {
+  return tool(async ({ symbol }) => {
+    return toToolResult(await context.services.fetchMarketData(symbol.toLowerCase(), { nodeId }));
+  }, {
+    name: 'get_market_price',
+    description: 'Current USD price, market cap, 24h volume and 24h change for a token symbol (e.g. sei, usdc).',
+    schema: { type: 'object', properties: { symbol: { type: 'string' } }, required: ['symbol'] }
+  });
+}
+
+export function createAgentTools(specs = [], context, nodeId) {
+  return specs.flatMap((spec) => {
+    switch (spec.type) {
+      case 'contract':
+        return createContractTools(spec, context, nodeId);
+      case 'variables':
+        return createVariableTools(spec, context);
+      case 'marketPrice':
+        return [createMarketPriceTool(context, nodeId)];
+      default:
+        throw new Error(`Unknown LLM tool type: ${spec.type}`);
+    }
+  });
+}
@@ -0,0 +1,76 @@
+import { logger } from '../utils/logger.js';
+
+// What an LLM node's agent did during one execution: the model's messages in order (its
+// reasoning between tool calls and the final answer) and every tool call with its arguments,
+// result and latency. Built from the agent stream; recorded in the run history and, with
+// `includeTrace`, returned as the node's output.
+
+// Tool results are kept for auditing, not as data; long ones are cut
+const MAX_RESULT_LENGTH = 4000;
+
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  return (content || []).filter(part => part.type === 'text').map(part => part.text).join('');
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length)}… (${text.length - length} more characters)` : text;
+}
+
+export class AgentTrace {
+  constructor(nodeId = null) {
+    this.nodeId = nodeId;
+    this.messages = [];
+    this.toolCalls = [];
+    // Requested tool calls by id, until their result arrives
+    this.pending = new Map();
+  }
+
+  addAgentMessage(message) {
+    const now = new Date();
+    const content = contentText(message.content);
+    const calls = message.tool_calls || [];
+    this.messages.push({
+      at: now.toISOString(),
+      content,
+      ...(calls.length > 0 ? { toolCalls: calls.map(call => call.name) } : {})
+    });
+    if (content && calls.length > 0) {
+      logger.info(`[LLM] ${this.nodeId}: ${truncate(content, 200)}`);
+    }
+
+    for (const call of calls) {
+      const entry = {
+        id: call.id,
+        name: call.name,
+        args: call.args,
+        status: 'pending',
+        result: null,
+        startedAt: now.toISOString(),
+        latencyMs: null
+      };
+      this.toolCalls.push(entry);
+      this.pending.set(call.id, { entry, startedAt: now.getTime() });
+    }
+  }
+
+  // Tool calls in one agent step run in parallel, so their latency is measured from the
+  // model's request to the step's results
+  addToolResult(message) {
+    const pending = this.pending.get(message.tool_call_id);
+    if (!pending) return;
+    this.pending.delete(message.tool_call_id);
+
+    const { entry } = pending;
+    const result = contentText(message.content);
+    entry.result = truncate(result, MAX_RESULT_LENGTH);
+    // The agent's tool node reports a throwing tool as an "Error: ..." result
+    entry.status = message.status === 'error' || result.startsWith('Error: ') ? 'error' : 'success';
+    entry.latencyMs = Date.now() - pending.startedAt;
+    logger.info(`[LLM] ${this.nodeId} called ${entry.name}(${truncate(JSON.stringify(entry.args ?? {}), 200)}) -> ${entry.status} in ${entry.latencyMs}ms`);
+  }
+
+  toJSON() {
+    return { messages: this.messages, toolCalls: this.toolCalls };
+  }
+}
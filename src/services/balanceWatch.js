@@ -0,0 +1,277 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { listFlowIds, loadFlow } from './flowStore.js';
+import { createDefaultServices } from './serviceRegistry.js';
+import { Keystore } from './keystore.js';
+
+// Balance triggers: a flow whose Start node sets `balanceWatch` runs when the wallet's native
+// SEI or ERC-20 balance drops below `below` or rises above `above`. The wallet is the flow's
+// `signer`, or SEI_PRIVATE_KEY's account.
+//
+// - A threshold fires once per crossing. It re-arms when the balance has moved back past the
+//   threshold by `hysteresis`, so a balance hovering around it doesn't fire on every poll.
+// - `cooldownMs` is the minimum time between runs; a crossing during the cooldown (or while
+//   the flow is still running) fires as soon as it is over if the balance is still past it.
+// - The run gets {trigger.oldBalance} / {trigger.newBalance}, which also set Start variables
+//   of the same name.
+//
+// Last balance and arming state are persisted so a restart doesn't fire the same crossing again.
+
+const STATE_FILE = path.join(process.cwd(), '.agentpad', 'balance-watch.json');
+const TICK_MS = 1000;
+const RESCAN_MS = 30 * 1000;
+const DEFAULTS = {
+  network: 'mainnet',
+  token: 'native',
+  hysteresis: 0,
+  cooldownMs: 0,
+  pollIntervalMs: 30000
+};
+
+// `balanceWatch` settings of a flow with defaults applied; null when the flow has none
+export function getBalanceWatch(flowData) {
+  const startNode = (flowData.nodes || []).find(node => node.type === 'start');
+  const setting = startNode?.data?.config?.balanceWatch;
+  return setting ? { ...DEFAULTS, ...setting } : null;
+}
+
+// For the Start node's validateConfig
+export function validateBalanceWatch(config) {
+  const settings = config.balanceWatch;
+  if (!settings) return [];
+  const issues = [];
+  if (settings.below === undefined && settings.above === undefined) {
+    issues.push({ path: 'config.balanceWatch', message: "set 'below', 'above' or both" });
+  }
+  if (settings.token && settings.token !== 'native' && !/^0x[0-9a-fA-F]{40}$/.test(settings.token)) {
+    issues.push({ path: 'config.balanceWatch.token', message: "must be 'native' or an ERC-20 contract address" });
+  }
+  if (settings.below !== undefined && settings.above !== undefined && Number(settings.below) >= Number(settings.above)) {
+    issues.push({ path: 'config.balanceWatch', message: "'below' must be less than 'above'" });
+  }
+  return issues;
+}
+
+function watchSignature(settings, signer) {
+  return JSON.stringify([signer || null, settings.network, String(settings.token).toLowerCase(), settings.below ?? null, settings.above ?? null]);
+}
+
+export function readBalanceWatchState(stateFile = STATE_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(stateFile, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+// Which thresholds the new balance crosses, and the arming state after this observation
+export function evaluateBalance(settings, armed, balance) {
+  const next = { ...armed };
+  const crossed = [];
+  const hysteresis = Number(settings.hysteresis) || 0;
+
+  if (settings.below !== undefined) {
+    const threshold = Number(settings.below);
+    if (balance < threshold && next.below) {
+      crossed.push({ condition: 'below', threshold });
+    } else if (balance >= threshold + hysteresis) {
+      next.below = true;
+    }
+  }
+  if (settings.above !== undefined) {
+    const threshold = Number(settings.above);
+    if (balance > threshold && next.above) {
+      crossed.push({ condition: 'above', threshold });
+    } else if (balance <= threshold - hysteresis) {
+      next.above = true;
+    }
+  }
+  return { crossed, armed: next };
+}
+
+export class BalanceWatcher {
+  constructor(runManager, { flowIds = null, stateFile = STATE_FILE, createSeiKit = createDefaultServices().createSeiKit, keystore = new Keystore() } = {}) {
+    this.runManager = runManager;
+    this.flowIds = flowIds;
+    this.stateFile = stateFile;
+    this.createSeiKit = createSeiKit;
+    this.keystore = keystore;
+    this.state = {};
+    this.watches = new Map();
+    this.kits = new Map();
+    this.invalid = new Map();
+    this.timer = null;
+    this.lastScan = 0;
+  }
+
+  start() {
+    this.state = readBalanceWatchState(this.stateFile);
+    this.scan();
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+    logger.info(`[BALANCE] Watching ${this.watches.size} balance trigger(s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+      const tmpFile = `${this.stateFile}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(this.state, null, 2));
+      fs.renameSync(tmpFile, this.stateFile);
+    } catch (error) {
+      logger.error(`[BALANCE] Failed to save state: ${error.message}`);
+    }
+  }
+
+  async getKit(network, signer = null) {
+    const cacheKey = `${signer || ''}:${network}`;
+    if (!this.kits.has(cacheKey)) {
+      const privateKey = signer ? this.keystore.unlock(signer) : this.runManager.privateKey;
+      if (!privateKey) {
+        throw new Error('no wallet to watch: set SEI_PRIVATE_KEY or a flow `signer`');
+      }
+      this.kits.set(cacheKey, await this.createSeiKit(privateKey, network));
+    }
+    return this.kits.get(cacheKey);
+  }
+
+  // Pick up added, edited and removed balance triggers from flows/
+  scan() {
+    this.lastScan = Date.now();
+    const seen = new Set();
+
+    for (const flowId of this.flowIds || listFlowIds()) {
+      let loaded;
+      let settings;
+      try {
+        loaded = loadFlow(flowId);
+        settings = getBalanceWatch(loaded.flowData);
+        const problems = settings ? validateBalanceWatch({ balanceWatch: settings }) : [];
+        if (problems.length > 0) throw new Error(problems[0].message);
+      } catch (error) {
+        if (this.invalid.get(flowId) !== error.message) {
+          logger.error(`[BALANCE] Skipping flow '${flowId}': ${error.message}`);
+          this.invalid.set(flowId, error.message);
+        }
+        continue;
+      }
+      this.invalid.delete(flowId);
+      if (!settings) continue;
+
+      seen.add(flowId);
+      const signature = watchSignature(settings, loaded.flowData.signer);
+      if (this.state[flowId]?.signature !== signature) {
+        // New or changed thresholds: start armed, so a balance already past one fires
+        this.state[flowId] = { signature, balance: null, armed: { below: true, above: true }, deferredFrom: null, lastFiredAt: null };
+        logger.info(`[BALANCE] Flow '${loaded.flowName}' watches ${settings.token} on ${settings.network}${settings.below !== undefined ? ` below ${settings.below}` : ''}${settings.above !== undefined ? ` above ${settings.above}` : ''}`);
+      }
+      const existing = this.watches.get(flowId);
+      this.watches.set(flowId, { ...loaded, settings, nextPollAt: existing?.nextPollAt || 0, busy: existing?.busy || false });
+    }
+
+    for (const flowId of this.watches.keys()) {
+      if (!seen.has(flowId)) {
+        this.watches.delete(flowId);
+        delete this.state[flowId];
+      }
+    }
+    this.save();
+  }
+
+  tick() {
+    if (Date.now() - this.lastScan >= RESCAN_MS) {
+      this.scan();
+    }
+    for (const [flowId, watch] of this.watches) {
+      if (!watch.busy && Date.now() >= watch.nextPollAt) {
+        watch.busy = true;
+        this.poll(flowId, watch)
+          .catch(error => logger.error(`[BALANCE] Checking balance for '${watch.flowName}' failed: ${error.message}`))
+          .finally(() => {
+            watch.busy = false;
+            watch.nextPollAt = Date.now() + watch.settings.pollIntervalMs;
+          });
+      }
+    }
+  }
+
+  async readBalance(settings, signer) {
+    const kit = await this.getKit(settings.network, signer);
+    // getERC20Balance without a contract address returns the native SEI balance
+    const raw = settings.token === 'native'
+      ? await kit.getERC20Balance()
+      : await kit.getERC20Balance(settings.token);
+    const balance = Number(raw);
+    if (!Number.isFinite(balance)) {
+      throw new Error(`unexpected balance ${JSON.stringify(raw)}`);
+    }
+    return balance;
+  }
+
+  async poll(flowId, watch) {
+    const { settings } = watch;
+    const entry = this.state[flowId];
+    const newBalance = await this.readBalance(settings, watch.flowData.signer);
+    const oldBalance = entry.balance;
+    const { crossed, armed } = evaluateBalance(settings, entry.armed, newBalance);
+
+    entry.balance = newBalance;
+    entry.armed = armed;
+    entry.checkedAt = new Date().toISOString();
+
+    if (crossed.length === 0) {
+      entry.deferredFrom = null;
+    } else {
+      // A crossing held back by the cooldown or a running flow still reports the balance before it
+      entry.deferredFrom ??= oldBalance;
+      const coolingDown = entry.lastFiredAt && Date.now() - new Date(entry.lastFiredAt).getTime() < settings.cooldownMs;
+      if (coolingDown) {
+        logger.info(`[BALANCE] '${watch.flowName}' balance ${newBalance} is ${crossed[0].condition} ${crossed[0].threshold}, but the cooldown is still running`);
+      } else if (this.runManager.isFlowRunning(watch.flowName)) {
+        logger.info(`[BALANCE] '${watch.flowName}' balance ${newBalance} is ${crossed[0].condition} ${crossed[0].threshold}, but the flow is still running`);
+      } else {
+        this.fire(flowId, watch, crossed[0], entry.deferredFrom, newBalance);
+      }
+    }
+    this.save();
+  }
+
+  fire(flowId, watch, { condition, threshold }, oldBalance, newBalance) {
+    const { settings } = watch;
+    const entry = this.state[flowId];
+    const trigger = {
+      type: 'balanceWatch',
+      network: settings.network,
+      token: settings.token,
+      condition,
+      threshold,
+      oldBalance,
+      newBalance,
+      observedAt: entry.checkedAt
+    };
+
+    try {
+      const run = this.runManager.startRun(watch.flowData, {
+        flowId,
+        flowPath: watch.flowPath,
+        trigger,
+        inputs: { oldBalance, newBalance }
+      });
+      // Disarm only once a run has actually started, so a skipped crossing is retried
+      entry.armed[condition] = false;
+      entry.lastFiredAt = new Date().toISOString();
+      entry.lastRunId = run.runId;
+      entry.deferredFrom = null;
+      logger.info(`[BALANCE] Started run ${run.runId} of '${watch.flowName}': ${settings.token} balance ${oldBalance} -> ${newBalance} (${condition} ${threshold})`);
+    } catch (error) {
+      logger.error(`[BALANCE] Failed to start '${watch.flowName}': ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,94 @@
+import { parseEther } from 'viem';
+import { logger } from '../utils/logger.js';
+import { toPlainObject } from '../utils/json.js';
+import { SEI_KIT_READ_METHODS } from './seiTools.js';
+
+// State for a dry run: records every write the flow would have sent and answers
+// approvals from a fixture instead of asking on Telegram.
+export class DryRun {
+  constructor({ approvals = {} } = {}) {
+    // { "<approval node id>": "approve", "default": "reject" }
+    this.approvals = approvals;
+    this.writes = [];
+  }
+
+  recordWrite(entry) {
+    const write = {
+      sequence: this.writes.length + 1,
+      timestamp: new Date().toISOString(),
+      status: 'simulated',
+      ...toPlainObject(entry)
+    };
+    this.writes.push(write);
+    logger.info(`[DRY_RUN] ${write.status === 'simulated' ? 'Would send' : 'Simulation failed for'} ${describeWrite(write)}`);
+    return write;
+  }
+
+  // Transfers and swaps are not sent; native transfers are still checked with estimateGas
+  async simulateSeiTool(seiKit, toolName, parameters, nodeId = null) {
+    let gasEstimate = null;
+    if (toolName === 'sei_native_transfer') {
+      try {
+        const gas = await seiKit.publicClient.estimateGas({
+          account: seiKit.walletClient.account,
+          to: parameters.recipient,
+          value: parseEther(String(parameters.amount))
+        });
+        gasEstimate = gas.toString();
+      } catch (error) {
+        this.recordWrite({ kind: 'seiTool', nodeId, tool: toolName, parameters, status: 'failed', error: error.shortMessage || error.message });
+        throw new Error(`Dry run: ${toolName} would fail: ${error.shortMessage || error.message}`);
+      }
+    }
+
+    this.recordWrite({ kind: 'seiTool', nodeId, tool: toolName, parameters, gasEstimate });
+    return mockReceipt({ tool: toolName, parameters, gasEstimate });
+  }
+
+  // Proxy for kits used outside executeSeiAgentKitMethod (LLM agent tools) so their writes are recorded too.
+  // Only known read methods reach the kit; anything else, including methods a newer kit adds, is recorded.
+  wrapSeiKit(seiKit, nodeId = null) {
+    return new Proxy(seiKit, {
+      get: (target, prop) => {
+        const value = target[prop];
+        if (typeof value !== 'function') return value;
+        if (typeof prop !== 'string' || prop in Object.prototype || SEI_KIT_READ_METHODS.has(prop)) {
+          return value.bind(target);
+        }
+        return async (...args) => {
+          this.recordWrite({ kind: 'seiKit', nodeId, method: prop, args });
+          return JSON.stringify(mockReceipt({ method: prop, args }));
+        };
+      }
+    });
+  }
+
+  answerApproval(nodeId, approvalActions) {
+    const answer = this.approvals[nodeId] ?? this.approvals.default;
+    if (answer === undefined) {
+      logger.warn(`[DRY_RUN] No fixture answer for approval node ${nodeId}; using '${approvalActions[0]}'`);
+      return approvalActions[0];
+    }
+    if (!approvalActions.includes(answer)) {
+      throw new Error(`Dry run: fixture answer '${answer}' for ${nodeId} is not one of: ${approvalActions.join(', ')}`);
+    }
+    return answer;
+  }
+}
+
+function mockReceipt(details) {
+  return {
+    dryRun: true,
+    status: 'simulated',
+    transactionHash: null,
+    ...toPlainObject(details)
+  };
+}
+
+export function describeWrite(write) {
+  const node = write.nodeId ? ` (node ${write.nodeId})` : '';
+  if (write.kind === 'contract') {
+    return `${write.method}() on ${write.contractAddress} [${write.network}]${node}`;
+  }
+  return `${write.tool || write.method}${node}`;
+}
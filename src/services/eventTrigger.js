@@ -0,0 +1,278 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { toPlainObject } from '../utils/json.js';
+import { listFlowIds, loadFlow } from './flowStore.js';
+import { createNetworkPublicClient, parseContractAbi } from './smartContractNode.js';
+
+// On-chain event triggers: a flow whose Start node sets `eventTrigger` gets one run per
+// matching contract log, with the decoded event args as Start variables and the log as
+// {trigger}. Logs are read with getLogs polling and only once they are `confirmations`
+// blocks deep, so a shallow reorg never starts a run for a log that later disappears.
+//
+// Progress is persisted per flow (last fully scanned block plus the last dispatched log),
+// so a restarted watcher neither re-runs nor skips logs.
+
+const CURSOR_FILE = path.join(process.cwd(), '.agentpad', 'event-cursors.json');
+const TICK_MS = 1000;
+const RESCAN_MS = 30 * 1000;
+const DEFAULTS = {
+  network: 'sei',
+  confirmations: 3,
+  pollIntervalMs: 5000,
+  maxBlockRange: 1000,
+  startBlock: 'latest',
+  args: {}
+};
+
+// `eventTrigger` settings of a flow with defaults applied; null when the flow has none
+export function getEventTrigger(flowData) {
+  const startNode = (flowData.nodes || []).find(node => node.type === 'start');
+  const setting = startNode?.data?.config?.eventTrigger;
+  return setting ? { ...DEFAULTS, ...setting } : null;
+}
+
+// The ABI entry of the watched event; throws when it is missing or a filter is not indexed
+export function resolveTriggerEvent(settings) {
+  const { events } = parseContractAbi(typeof settings.abi === 'string' ? settings.abi : JSON.stringify(settings.abi));
+  const event = events.find(item => item.name === settings.eventName);
+  if (!event) {
+    throw new Error(`event '${settings.eventName}' not found in ABI`);
+  }
+  for (const name of Object.keys(settings.args || {})) {
+    const input = event.inputs.find(item => item.name === name);
+    if (!input) throw new Error(`event '${settings.eventName}' has no argument '${name}'`);
+    if (!input.indexed) throw new Error(`argument '${name}' of '${settings.eventName}' is not indexed and cannot be filtered on`);
+  }
+  return event;
+}
+
+// For the Start node's validateConfig
+export function validateEventTrigger(config) {
+  if (!config.eventTrigger) return [];
+  try {
+    resolveTriggerEvent({ ...DEFAULTS, ...config.eventTrigger });
+    return [];
+  } catch (error) {
+    return [{ path: 'config.eventTrigger', message: error.message }];
+  }
+}
+
+function triggerSignature(settings) {
+  return JSON.stringify([settings.network, settings.contractAddress.toLowerCase(), settings.eventName, settings.args]);
+}
+
+// Logs are ordered by (block, index within block)
+function isAfter(log, position) {
+  if (!position) return true;
+  const block = BigInt(position.blockNumber);
+  return log.blockNumber > block || (log.blockNumber === block && log.logIndex > position.logIndex);
+}
+
+export function readEventCursors(cursorFile = CURSOR_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(cursorFile, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+export class EventWatcher {
+  constructor(runManager, { flowIds = null, cursorFile = CURSOR_FILE, createPublicClient = createNetworkPublicClient } = {}) {
+    this.runManager = runManager;
+    this.flowIds = flowIds;
+    this.cursorFile = cursorFile;
+    this.createPublicClient = createPublicClient;
+    this.cursors = {};
+    this.watches = new Map();
+    this.clients = new Map();
+    this.invalid = new Map();
+    this.timer = null;
+    this.lastScan = 0;
+  }
+
+  start() {
+    this.cursors = readEventCursors(this.cursorFile);
+    this.scan();
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+    logger.info(`[EVENTS] Watching ${this.watches.size} event trigger(s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  saveCursors() {
+    try {
+      fs.mkdirSync(path.dirname(this.cursorFile), { recursive: true });
+      const tmpFile = `${this.cursorFile}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(this.cursors, null, 2));
+      fs.renameSync(tmpFile, this.cursorFile);
+    } catch (error) {
+      logger.error(`[EVENTS] Failed to save cursors: ${error.message}`);
+    }
+  }
+
+  getClient(network) {
+    if (!this.clients.has(network)) {
+      this.clients.set(network, this.createPublicClient(network));
+    }
+    return this.clients.get(network);
+  }
+
+  // Pick up added, edited and removed event triggers from flows/
+  scan() {
+    this.lastScan = Date.now();
+    const seen = new Set();
+
+    for (const flowId of this.flowIds || listFlowIds()) {
+      let loaded;
+      let settings;
+      let event;
+      try {
+        loaded = loadFlow(flowId);
+        settings = getEventTrigger(loaded.flowData);
+        event = settings ? resolveTriggerEvent(settings) : null;
+      } catch (error) {
+        if (this.invalid.get(flowId) !== error.message) {
+          logger.error(`[EVENTS] Skipping flow '${flowId}': ${error.message}`);
+          this.invalid.set(flowId, error.message);
+        }
+        continue;
+      }
+      this.invalid.delete(flowId);
+      if (!settings) continue;
+
+      seen.add(flowId);
+      const signature = triggerSignature(settings);
+      const existing = this.watches.get(flowId);
+      if (existing && existing.signature === signature) {
+        Object.assign(existing, { ...loaded, settings, event });
+        continue;
+      }
+
+      // A changed contract, event or filter starts over from `startBlock`; cursors are kept
+      // under the flow's id, like in poll(), even when it was given as a path
+      const cursor = this.cursors[loaded.flowId];
+      if (cursor && cursor.signature !== signature) {
+        delete this.cursors[loaded.flowId];
+      }
+      this.watches.set(flowId, { ...loaded, settings, event, signature, queue: [], queuedTo: null, nextPollAt: 0, busy: false });
+      logger.info(`[EVENTS] Flow '${loaded.flowName}' watches ${settings.eventName} on ${settings.contractAddress} (${settings.network}, ${settings.confirmations} confirmations)`);
+    }
+
+    for (const flowId of this.watches.keys()) {
+      if (!seen.has(flowId)) {
+        logger.info(`[EVENTS] Flow '${flowId}' no longer has an event trigger`);
+        this.watches.delete(flowId);
+      }
+    }
+  }
+
+  tick() {
+    if (Date.now() - this.lastScan >= RESCAN_MS) {
+      this.scan();
+    }
+    for (const watch of this.watches.values()) {
+      if (!watch.busy && Date.now() >= watch.nextPollAt) {
+        watch.busy = true;
+        this.poll(watch)
+          .catch(error => logger.error(`[EVENTS] Polling '${watch.flowName}' failed: ${error.message}`))
+          .finally(() => {
+            watch.busy = false;
+            watch.nextPollAt = Date.now() + watch.settings.pollIntervalMs;
+          });
+      }
+    }
+  }
+
+  async poll(watch) {
+    const { flowId, settings } = watch;
+
+    // Fetch the next confirmed block range only once everything fetched before has been dispatched
+    if (watch.queue.length === 0 && watch.queuedTo === null) {
+      const client = this.getClient(settings.network);
+      const latest = await client.getBlockNumber();
+      const safeHead = latest - BigInt(settings.confirmations);
+
+      if (!this.cursors[flowId]) {
+        const scannedBlock = settings.startBlock === 'latest' ? safeHead : BigInt(settings.startBlock) - 1n;
+        this.cursors[flowId] = { signature: watch.signature, scannedBlock: scannedBlock.toString(), lastEvent: null };
+        this.saveCursors();
+      }
+
+      const cursor = this.cursors[flowId];
+      const fromBlock = BigInt(cursor.scannedBlock) + 1n;
+      if (fromBlock > safeHead) return;
+      const toBlock = safeHead - fromBlock + 1n > BigInt(settings.maxBlockRange)
+        ? fromBlock + BigInt(settings.maxBlockRange) - 1n
+        : safeHead;
+
+      const logs = await client.getLogs({
+        address: settings.contractAddress,
+        event: watch.event,
+        args: Object.keys(settings.args).length > 0 ? settings.args : undefined,
+        fromBlock,
+        toBlock
+      });
+      // Logs at or before the last dispatched one were handled before a restart
+      watch.queue = logs
+        .filter(log => !log.removed && isAfter(log, cursor.lastEvent))
+        .sort((a, b) => (a.blockNumber === b.blockNumber ? a.logIndex - b.logIndex : (a.blockNumber < b.blockNumber ? -1 : 1)));
+      watch.queuedTo = toBlock;
+      if (watch.queue.length > 0) {
+        logger.info(`[EVENTS] ${watch.queue.length} ${settings.eventName} log(s) for '${watch.flowName}' in blocks ${fromBlock}-${toBlock}`);
+      }
+    }
+
+    this.dispatch(watch);
+  }
+
+  // Start one run per queued log, in order; a flow that is still running holds the queue
+  dispatch(watch) {
+    const { flowId, settings } = watch;
+    const cursor = this.cursors[flowId];
+
+    while (watch.queue.length > 0) {
+      if (this.runManager.isFlowRunning(watch.flowName)) {
+        return;
+      }
+
+      const log = watch.queue[0];
+      const args = toPlainObject(log.args || {});
+      const trigger = {
+        type: 'event',
+        network: settings.network,
+        contractAddress: settings.contractAddress,
+        eventName: settings.eventName,
+        args,
+        blockNumber: log.blockNumber.toString(),
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex
+      };
+
+      try {
+        const run = this.runManager.startRun(watch.flowData, { flowId, flowPath: watch.flowPath, trigger, inputs: args });
+        logger.info(`[EVENTS] Started run ${run.runId} of '${watch.flowName}' for ${settings.eventName} in tx ${log.transactionHash}`);
+      } catch (error) {
+        // Left at the head of the queue and retried on the next poll
+        logger.error(`[EVENTS] Failed to start '${watch.flowName}': ${error.message}`);
+        return;
+      }
+
+      watch.queue.shift();
+      cursor.lastEvent = { blockNumber: trigger.blockNumber, logIndex: log.logIndex };
+      this.saveCursors();
+    }
+
+    if (watch.queuedTo !== null) {
+      cursor.scannedBlock = watch.queuedTo.toString();
+      watch.queuedTo = null;
+      this.saveCursors();
+    }
+  }
+}
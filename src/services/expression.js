@@ -0,0 +1,385 @@
+// Small expression language for conditional, arithmetic and variable nodes. Expressions are
+// parsed into a tree and interpreted; nothing is passed to eval/Function, and the only way to
+// reach data is a `{var.path}` reference resolved through the executor's variables.
+//
+//   {price.price_usd} >= 0.5 AND {balance} > 0
+//   {rsi} between 30 and 70
+//   abs(pctChange({lastPrice}, {price.price_usd})) > 5
+//   {tweet} contains "SEI" OR NOT {paused}
+
+const KEYWORDS = new Set(['and', 'or', 'not', 'between', 'contains', 'true', 'false', 'null']);
+// Paths resolve with `in`, so keep references away from object internals
+const BLOCKED_PATH_PARTS = new Set(['__proto__', 'prototype', 'constructor']);
+
+function toNumber(value, label) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'string' && /^\s*-?\d*\.?\d+(e[+-]?\d+)?\s*$/i.test(value)) return Number(value);
+  throw new Error(`${label} expects a number, got ${JSON.stringify(value)}`);
+}
+
+function isNumeric(value) {
+  return typeof value === 'number' || (typeof value === 'string' && /^\s*-?\d*\.?\d+(e[+-]?\d+)?\s*$/i.test(value));
+}
+
+// Numeric strings compare as numbers so `{input} == 5` works for values coming from JSON or Telegram
+function compare(operator, left, right) {
+  if (isNumeric(left) && isNumeric(right)) {
+    left = Number(left);
+    right = Number(right);
+  }
+  switch (operator) {
+    case '==': return left === right;
+    case '!=': return left !== right;
+    case '>': return left > right;
+    case '<': return left < right;
+    case '>=': return left >= right;
+    case '<=': return left <= right;
+    default: throw new Error(`Unknown operator ${operator}`);
+  }
+}
+
+function contains(haystack, needle) {
+  if (Array.isArray(haystack)) {
+    return haystack.some(item => item === needle || (isNumeric(item) && isNumeric(needle) && Number(item) === Number(needle)));
+  }
+  if (haystack === null || haystack === undefined) return false;
+  const text = typeof haystack === 'object' ? JSON.stringify(haystack) : String(haystack);
+  return text.toLowerCase().includes(String(needle).toLowerCase());
+}
+
+const FUNCTIONS = Object.assign(Object.create(null), {
+  abs: x => Math.abs(toNumber(x, 'abs()')),
+  min: (...args) => Math.min(...args.map(x => toNumber(x, 'min()'))),
+  max: (...args) => Math.max(...args.map(x => toNumber(x, 'max()'))),
+  round: (x, digits = 0) => {
+    const factor = 10 ** toNumber(digits, 'round()');
+    return Math.round(toNumber(x, 'round()') * factor) / factor;
+  },
+  floor: x => Math.floor(toNumber(x, 'floor()')),
+  ceil: x => Math.ceil(toNumber(x, 'ceil()')),
+  // Percentage change from `from` to `to`; 0 when there is no previous value yet (first interval run)
+  pctChange: (from, to) => {
+    const previous = toNumber(from, 'pctChange()');
+    if (previous === 0) return 0;
+    return ((toNumber(to, 'pctChange()') - previous) / Math.abs(previous)) * 100;
+  },
+  between: (x, low, high) => compare('>=', x, low) && compare('<=', x, high),
+  contains,
+  number: x => toNumber(x, 'number()'),
+  lower: x => String(x).toLowerCase(),
+  upper: x => String(x).toUpperCase(),
+  len: x => (Array.isArray(x) || typeof x === 'string' ? x.length : 0)
+});
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+
+    const start = i;
+    if (ch === '{') {
+      const end = source.indexOf('}', i);
+      if (end === -1) throw new Error(`Unclosed '{' at position ${i}`);
+      const path = source.slice(i + 1, end).trim();
+      if (!/^[A-Za-z_][\w]*(\.[\w]+)*$/.test(path)) {
+        throw new Error(`Invalid variable reference '{${path}}' at position ${i}`);
+      }
+      if (path.split('.').some(part => BLOCKED_PATH_PARTS.has(part))) {
+        throw new Error(`Variable reference '{${path}}' at position ${i} is not allowed`);
+      }
+      tokens.push({ type: 'ref', value: path, position: start });
+      i = end + 1;
+    } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+      const match = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(source.slice(i));
+      if (!match) throw new Error(`Invalid number at position ${i}`);
+      tokens.push({ type: 'number', value: Number(match[0]), position: start });
+      i += match[0].length;
+    } else if (ch === '"' || ch === "'") {
+      let value = '';
+      i += 1;
+      while (i < source.length && source[i] !== ch) {
+        if (source[i] === '\\' && i + 1 < source.length) i += 1;
+        value += source[i];
+        i += 1;
+      }
+      if (i >= source.length) throw new Error(`Unterminated string at position ${start}`);
+      tokens.push({ type: 'string', value, position: start });
+      i += 1;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const match = /^[A-Za-z_]\w*/.exec(source.slice(i));
+      const word = match[0];
+      const lower = word.toLowerCase();
+      tokens.push(KEYWORDS.has(lower)
+        ? { type: 'keyword', value: lower, position: start }
+        : { type: 'identifier', value: word, position: start });
+      i += word.length;
+    } else {
+      const two = source.slice(i, i + 2);
+      if (['>=', '<=', '==', '!=', '&&', '||'].includes(two)) {
+        tokens.push({ type: 'operator', value: two, position: start });
+        i += 2;
+      } else if ('+-*/%()<>!,='.includes(ch)) {
+        // A single '=' is accepted as equality, which is what people mean in a condition
+        tokens.push({ type: 'operator', value: ch === '=' ? '==' : ch, position: start });
+        i += 1;
+      } else {
+        throw new Error(`Unexpected character '${ch}' at position ${i}`);
+      }
+    }
+  }
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+}
+
+// Recursive-descent parser, lowest precedence first:
+// or -> and -> not -> comparison/between/contains -> + - -> * / % -> unary minus -> primary
+class Parser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  matches(type, ...values) {
+    const token = this.peek();
+    return token.type === type && (values.length === 0 || values.includes(token.value));
+  }
+
+  expect(type, value) {
+    const token = this.next();
+    if (token.type !== type || (value !== undefined && token.value !== value)) {
+      throw new Error(`Expected '${value ?? type}' at position ${token.position}`);
+    }
+    return token;
+  }
+
+  parse() {
+    const ast = this.parseOr();
+    const token = this.peek();
+    if (token.type !== 'end') {
+      throw new Error(`Unexpected '${token.value}' at position ${token.position}`);
+    }
+    return ast;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.matches('keyword', 'or') || this.matches('operator', '||')) {
+      this.next();
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.matches('keyword', 'and') || this.matches('operator', '&&')) {
+      this.next();
+      left = { type: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.matches('keyword', 'not') || this.matches('operator', '!')) {
+      this.next();
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+    if (this.matches('operator', '==', '!=', '>', '<', '>=', '<=')) {
+      const operator = this.next().value;
+      return { type: 'compare', operator, left, right: this.parseAdditive() };
+    }
+    if (this.matches('keyword', 'contains')) {
+      this.next();
+      return { type: 'call', name: 'contains', args: [left, this.parseAdditive()] };
+    }
+    if (this.matches('keyword', 'between')) {
+      this.next();
+      const low = this.parseAdditive();
+      this.expect('keyword', 'and');
+      const high = this.parseAdditive();
+      return { type: 'call', name: 'between', args: [left, low, high] };
+    }
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.matches('operator', '+', '-')) {
+      const operator = this.next().value;
+      left = { type: 'arithmetic', operator, left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (this.matches('operator', '*', '/', '%')) {
+      const operator = this.next().value;
+      left = { type: 'arithmetic', operator, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.matches('operator', '-')) {
+      this.next();
+      return { type: 'negate', operand: this.parseUnary() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+      case 'ref':
+        return { type: 'ref', path: token.value };
+      case 'keyword':
+        if (token.value === 'true') return { type: 'literal', value: true };
+        if (token.value === 'false') return { type: 'literal', value: false };
+        if (token.value === 'null') return { type: 'literal', value: null };
+        break;
+      case 'identifier': {
+        if (!(token.value in FUNCTIONS)) {
+          throw new Error(`Unknown function or name '${token.value}' at position ${token.position}; reference variables as {${token.value}}`);
+        }
+        this.expect('operator', '(');
+        const args = [];
+        if (!this.matches('operator', ')')) {
+          args.push(this.parseOr());
+          while (this.matches('operator', ',')) {
+            this.next();
+            args.push(this.parseOr());
+          }
+        }
+        this.expect('operator', ')');
+        return { type: 'call', name: token.value, args };
+      }
+      case 'operator':
+        if (token.value === '(') {
+          const inner = this.parseOr();
+          this.expect('operator', ')');
+          return inner;
+        }
+        break;
+      default:
+        break;
+    }
+    throw new Error(token.type === 'end'
+      ? 'Unexpected end of expression'
+      : `Unexpected '${token.value}' at position ${token.position}`);
+  }
+}
+
+function evaluateNode(node, resolvePath) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'ref': {
+      const value = resolvePath(node.path);
+      if (value === undefined) {
+        throw new Error(`Variable {${node.path}} is not defined`);
+      }
+      return value;
+    }
+    case 'or':
+      return Boolean(evaluateNode(node.left, resolvePath)) || Boolean(evaluateNode(node.right, resolvePath));
+    case 'and':
+      return Boolean(evaluateNode(node.left, resolvePath)) && Boolean(evaluateNode(node.right, resolvePath));
+    case 'not':
+      return !evaluateNode(node.operand, resolvePath);
+    case 'compare':
+      return compare(node.operator, evaluateNode(node.left, resolvePath), evaluateNode(node.right, resolvePath));
+    case 'negate':
+      return -toNumber(evaluateNode(node.operand, resolvePath), "'-'");
+    case 'arithmetic': {
+      const left = evaluateNode(node.left, resolvePath);
+      const right = evaluateNode(node.right, resolvePath);
+      // '+' joins strings when either side is non-numeric text
+      if (node.operator === '+' && (typeof left === 'string' || typeof right === 'string') && !(isNumeric(left) && isNumeric(right))) {
+        return `${left ?? ''}${right ?? ''}`;
+      }
+      const a = toNumber(left, `'${node.operator}'`);
+      const b = toNumber(right, `'${node.operator}'`);
+      switch (node.operator) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/':
+          if (b === 0) throw new Error('Division by zero');
+          return a / b;
+        case '%':
+          if (b === 0) throw new Error('Division by zero');
+          return a % b;
+        default: throw new Error(`Unknown operator ${node.operator}`);
+      }
+    }
+    case 'call':
+      return FUNCTIONS[node.name](...node.args.map(arg => evaluateNode(arg, resolvePath)));
+    default:
+      throw new Error(`Unknown expression node ${node.type}`);
+  }
+}
+
+// Parsed expressions, keyed by source; flows evaluate the same few expressions on every interval
+const parsedExpressions = new Map();
+
+export function parseExpression(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new Error('Expression must be a non-empty string');
+  }
+  if (!parsedExpressions.has(source)) {
+    try {
+      parsedExpressions.set(source, new Parser(source).parse());
+    } catch (error) {
+      throw new Error(`Invalid expression "${source}": ${error.message}`);
+    }
+  }
+  return parsedExpressions.get(source);
+}
+
+// `resolvePath('price.price_usd')` returns the referenced value, or undefined if it does not exist
+export function evaluateExpression(source, resolvePath) {
+  const ast = parseExpression(source);
+  try {
+    return evaluateNode(ast, resolvePath);
+  } catch (error) {
+    throw new Error(`Expression "${source}" failed: ${error.message}`);
+  }
+}
+
+// For node validateConfig hooks: a node configures either `expression` or its classic fields
+export function validateExpressionConfig(config, fieldsWithoutExpression = []) {
+  if (config.expression === undefined) {
+    return fieldsWithoutExpression
+      .filter(field => config[field] === undefined)
+      .map(field => ({ path: 'config', message: `missing required field '${field}' (or set 'expression')` }));
+  }
+  try {
+    parseExpression(config.expression);
+    return [];
+  } catch (error) {
+    return [{ path: 'config.expression', message: error.message }];
+  }
+}
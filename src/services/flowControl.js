@@ -0,0 +1,77 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+// Cross-process control channel: `agentpad stop` drops a request file here and the
+// process running the flow picks it up on its next poll.
+const CONTROL_DIR = path.join(process.cwd(), '.agentpad', 'control');
+const POLL_INTERVAL_MS = 1000;
+
+export function isProcessAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+export class FlowControl {
+  constructor() {
+    this.ensureControlDir();
+  }
+
+  ensureControlDir() {
+    if (!fs.existsSync(CONTROL_DIR)) {
+      fs.mkdirSync(CONTROL_DIR, { recursive: true });
+    }
+  }
+
+  getStopFile(flowName) {
+    const safeName = encodeURIComponent(flowName);
+    return path.join(CONTROL_DIR, `${safeName}.stop`);
+  }
+
+  requestStop(flowName, reason = 'Stop requested from CLI') {
+    this.ensureControlDir();
+    fs.writeFileSync(this.getStopFile(flowName), JSON.stringify({
+      flowName,
+      reason,
+      requestedBy: process.pid,
+      requestedAt: new Date().toISOString()
+    }, null, 2));
+    logger.info(`[CONTROL] Stop requested for flow '${flowName}'`);
+  }
+
+  getStopRequest(flowName) {
+    try {
+      return JSON.parse(fs.readFileSync(this.getStopFile(flowName), 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  clearStopRequest(flowName) {
+    try {
+      fs.unlinkSync(this.getStopFile(flowName));
+    } catch {
+      // Nothing to clear
+    }
+  }
+
+  // Poll for a stop request; returns a function that cancels the watch
+  watch(flowName, onStop) {
+    const timer = setInterval(() => {
+      const request = this.getStopRequest(flowName);
+      if (request) {
+        clearInterval(timer);
+        this.clearStopRequest(flowName);
+        onStop(request);
+      }
+    }, POLL_INTERVAL_MS);
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+}
@@ -1,32 +1,124 @@
 import { logger } from '../utils/logger.js';
-import { ModelProviderName } from 'sei-agent-kit';
-import NetworkAwareSeiAgentKit from './networkAwareSeiAgentKit.js';
-import LLMNode from './llmNode.js';
-import { TelegramNode } from './telegramNode.js';
-import { UserApprovalNode } from './userApprovalNode.js';
 import { WebhookHandler } from '../webhookHandler.js';
-import SmartContractNode from './smartContractNode.js';
+import { createDefaultServices } from './serviceRegistry.js';
+import { nodeRegistry } from './nodeRegistry.js';
+import { validateFlow, formatValidationIssue } from './flowValidator.js';
+import { Keystore } from './keystore.js';
+import { PolicyEngine, approvalChannelProblem } from './policy.js';
+import { LLMUsageLedger, addUsage, budgetExceeded, emptyUsage } from './llmUsage.js';
 export class BackendFlowExecutor {
-  constructor(privateKey) {
+  constructor(privateKey, options = {}) {
     this.privateKey = privateKey;
     
-    // Initialize sei-agent-kit (default to mainnet)
-    this.seiKit = new NetworkAwareSeiAgentKit(privateKey, ModelProviderName.OPENAI, 'mainnet');
+    // External backends (chain, LLM, Telegram, market data); see createDefaultServices
+    this.services = { ...createDefaultServices(), ...options.services };
+    
+    // Named wallets for the flow's and nodes' `signer`; unlocked keys are kept for this run only
+    this.keystore = options.keystore || new Keystore();
+    this.signerKeys = new Map();
+    
+    // Transaction policy checked before every chain write; loaded from agentpad.policy.json
+    // when the run starts unless one is passed (null turns checks off)
+    this.policy = options.policy;
+    
+    // LLM token usage of this run, in total and per node; the ledger keeps per-flow daily
+    // totals for the flow's `llmBudget` (see LLMUsageLedger)
+    this.llmUsage = { total: emptyUsage(), nodes: {} };
+    this.usageLedger = options.usageLedger || new LLMUsageLedger();
+    // Extra fields (LLM usage and trace) for the run record of a node execution in progress
+    this.pendingNodeDetails = new Map();
     
     this.variables = {};
     this.nodeResults = {};
     this.shouldStop = false;
-    
-    // Initialize webhook handler for Telegram approvals
-    this.webhookHandler = new WebhookHandler();
+    this.stopRequested = false;
+    // Aborted on stop() so in-flight timers and approval waits return immediately
+    this.abortController = new AbortController();
+    
+    // Initialize webhook handler for Telegram approvals (shared when running under the API server)
+    this.webhookHandler = options.webhookHandler || new WebhookHandler();
+    // Tests run without binding the approval webhook port
+    this.startWebhookServer = options.startWebhookServer !== false;
+    
+    // Optional persistent run history (see RunStore)
+    this.runStore = options.runStore || null;
+    this.runId = options.runId || null;
+    
+    // Dry run (see DryRun): writes are simulated and recorded, approvals answered from a fixture
+    this.dryRun = options.dryRun || null;
+    
+    // What started the run (schedule, webhook, ...) and values it supplies for Start variables
+    this.trigger = options.trigger || null;
+    this.inputs = options.inputs || {};
+    
+    // Checkpoint state: which nodes finished, interval progress and outstanding approvals
+    this.flowData = null;
+    this.nodeMap = {};
+    this.visited = new Set();
+    this.completedNodes = new Set();
+    this.intervalState = {};
+    this.intervalStack = [];
+    this.pendingApprovals = {};
+    this.resumeState = null;
   }
 
-  async executeFlow(flowData) {
-    const { nodes, edges } = flowData;
-    if (!Array.isArray(nodes) || !Array.isArray(edges)) {
-      throw new Error('Invalid flow: nodes and edges must be arrays');
+  // Request a graceful stop; pending waits are cut short and no further nodes are started
+  stop(reason = 'Stop requested') {
+    if (this.stopRequested) return;
+    logger.info(`Stopping flow execution: ${reason}`);
+    this.stopRequested = true;
+    this.shouldStop = true;
+    this.abortController.abort(reason);
+  }
+
+  // setTimeout that resolves early when the flow is stopped
+  sleep(ms) {
+    const { signal } = this.abortController;
+    if (signal.aborted) return Promise.resolve();
+    return new Promise((resolve) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // Private key for a node's `signer`; without one, the flow's signer or SEI_PRIVATE_KEY
+  resolveSigner(name = null) {
+    if (!name) {
+      if (!this.privateKey) {
+        throw new Error('No signer: set SEI_PRIVATE_KEY or pick a keystore wallet with `signer`');
+      }
+      return this.privateKey;
+    }
+    if (!this.signerKeys.has(name)) {
+      this.signerKeys.set(name, this.keystore.unlock(name));
+      logger.info(`Unlocked wallet '${name}'`);
+    }
+    return this.signerKeys.get(name);
+  }
+
+  async prepareFlow(flowData) {
+    await nodeRegistry.loadCustomNodes();
+    if (this.policy === undefined) {
+      this.policy = PolicyEngine.fromFile();
+    }
+    // Dry runs answer policy approvals from fixtures, so they need no Telegram chat
+    const validation = validateFlow(flowData, { policy: this.dryRun ? null : this.policy });
+    for (const warning of validation.warnings) {
+      logger.warn(`Flow warning: ${formatValidationIssue(warning)}`);
+    }
+    if (!validation.valid) {
+      throw new Error(`Invalid flow:\n  ${validation.errors.map(formatValidationIssue).join('\n  ')}`);
     }
 
+    const { nodes, edges } = flowData;
+
     // Build node map for quick lookup
     const nodeMap = Object.fromEntries(nodes.map(n => [n.id, n]));
     
@@ -34,6 +126,33 @@ export class BackendFlowExecutor {
     const startNode = nodes.find(n => n.type === 'start');
     if (!startNode) throw new Error('No Start node found');
 
+    this.flowData = flowData;
+    this.nodeMap = nodeMap;
+
+    // Unlock every wallet the flow names before anything runs, so a missing wallet or wrong
+    // passphrase fails the run up front instead of halfway through
+    const signers = new Set(nodes.flatMap(n => [
+      n.data?.config?.signer,
+      // LLM contract tools
+      ...(Array.isArray(n.data?.config?.tools) ? n.data.config.tools.map(spec => spec.signer) : [])
+    ]).filter(Boolean));
+    if (flowData.signer) {
+      this.privateKey = this.resolveSigner(flowData.signer);
+    }
+    signers.forEach(name => this.resolveSigner(name));
+
+    // Start webhook server if not already running
+    if (this.startWebhookServer && !this.webhookHandler.server) {
+      await this.webhookHandler.start(3001);
+      logger.info('✅ Webhook server started for Telegram approvals on port 3001');
+    }
+
+    return { nodeMap, edges, startNode };
+  }
+
+  async executeFlow(flowData) {
+    const { nodeMap, edges, startNode } = await this.prepareFlow(flowData);
+
     // Initialize variables from Start node
     if (startNode?.data?.config?.variables) {
       this.variables = {};
@@ -41,21 +160,85 @@ export class BackendFlowExecutor {
         this.variables[v.name] = null;
       });
     }
-    if (!startNode) throw new Error('No Start node found');
-
-    // Start webhook server if not already running
-    if (!this.webhookHandler.server) {
-      await this.webhookHandler.start(3001);
-      logger.info('✅ Webhook server started for Telegram approvals on port 3001');
-    }
 
     // Execute flow starting from start node
-    await this.executeNodeRecursive(startNode, nodeMap, edges, new Set());
+    this.visited = new Set();
+    await this.executeNodeRecursive(startNode, nodeMap, edges, this.visited);
     
     logger.info('All nodes executed successfully.');
     return this.nodeResults;
   }
 
+  // Continue a checkpointed run. Completed nodes are skipped; nodes that were in flight
+  // are executed again, except on-chain writes which need an explicit retryInFlight.
+  async resumeFlow(flowData, checkpoint, { retryInFlight = false } = {}) {
+    const { nodeMap, edges } = await this.prepareFlow(flowData);
+
+    this.variables = checkpoint.variables || {};
+    this.nodeResults = checkpoint.nodeResults || {};
+    this.llmUsage = checkpoint.llmUsage || this.llmUsage;
+    this.completedNodes = new Set(checkpoint.completedNodes || []);
+    this.visited = new Set(this.completedNodes);
+    this.resumeState = {
+      intervals: checkpoint.intervals || {},
+      approvals: checkpoint.pendingApprovals || {}
+    };
+
+    const inFlight = (checkpoint.visited || []).filter(id => !this.completedNodes.has(id));
+    const inFlightIntervalNodes = Object.values(this.resumeState.intervals)
+      .map(state => state.running)
+      .filter(Boolean);
+    const unsafeWrites = [...inFlight, ...inFlightIntervalNodes]
+      .map(id => nodeMap[id])
+      .filter(node => node && nodeRegistry.isChainWriteNode(node));
+    if (unsafeWrites.length > 0 && !retryInFlight) {
+      throw new Error(
+        `Cannot resume: on-chain write node(s) ${unsafeWrites.map(n => n.id).join(', ')} were in flight when the run stopped ` +
+        'and may already have been sent. Check the chain, then resume with --retry-in-flight to execute them again.'
+      );
+    }
+
+    logger.info(`Resuming run ${this.runId}: ${this.completedNodes.size} node(s) completed, re-running ${inFlight.length > 0 ? inFlight.join(', ') : 'none'}`);
+    this.saveCheckpoint();
+
+    // Start every pending node whose incoming edges have all been taken
+    for (const node of this.topologicalSort(flowData.nodes, edges)) {
+      if (this.shouldStop) break;
+      if (this.visited.has(node.id)) continue;
+      const incomingEdges = edges.filter(edge => edge.target === node.id);
+      if (incomingEdges.length === 0) continue;
+      if (incomingEdges.every(edge => this.isEdgeTaken(edge))) {
+        await this.executeNodeRecursive(node, nodeMap, edges, this.visited);
+      }
+    }
+
+    logger.info('All nodes executed successfully.');
+    return this.nodeResults;
+  }
+
+  // An edge is taken once its source completed; for routing nodes (e.g. conditional) only
+  // when it leaves the output port the result selected
+  isEdgeTaken(edge) {
+    if (!this.completedNodes.has(edge.source)) return false;
+    const definition = nodeRegistry.get(this.nodeMap[edge.source]?.type);
+    if (!definition?.route) return true;
+    return edge.sourceHandle === definition.route(this.nodeResults[edge.source]);
+  }
+
+  saveCheckpoint() {
+    if (!this.runStore || !this.runId || !this.flowData) return;
+    this.runStore.saveCheckpoint(this.runId, {
+      flowData: this.flowData,
+      variables: this.variables,
+      nodeResults: this.nodeResults,
+      llmUsage: this.llmUsage,
+      visited: Array.from(this.visited),
+      completedNodes: Array.from(this.completedNodes),
+      intervals: this.intervalState,
+      pendingApprovals: this.pendingApprovals
+    });
+  }
+
   async executeFlowFromNode(startNode, nodeMap, edges, visited, isIntervalExecution = false) {
     // Get all nodes reachable from the start node
     const reachableNodes = this.getReachableNodes(startNode, nodeMap, edges);
@@ -162,11 +345,40 @@ export class BackendFlowExecutor {
     }
     
     logger.info(`[START] Node ${node.type} (${node.id})${isIntervalExecution ? ' [INTERVAL]' : ''}`);
+    const startedAt = Date.now();
+    const stoppedBefore = this.stopRequested;
+    const inputs = this.describeNodeInputs(node);
+    const activeInterval = isIntervalExecution ? this.intervalState[this.intervalStack[this.intervalStack.length - 1]] : null;
+    if (activeInterval) {
+      activeInterval.running = node.id;
+    }
     try {
-      const result = await this.executeNode(node, nodeMap, edges, visited);
+      let result;
+      try {
+        result = await this.executeNode(node, nodeMap, edges, visited);
+      } catch (err) {
+        this.recordNodeExecution(node, { inputs, startedAt, error: err.message, isIntervalExecution });
+        throw err;
+      }
       this.nodeResults[node.id] = result;
+      this.recordNodeExecution(node, { inputs, startedAt, output: result, isIntervalExecution });
+      // A stop that lands mid-node (a cut-short timer or approval wait) leaves it in flight so resume
+      // re-runs it; finished on-chain writes always count as completed
+      const interrupted = this.stopRequested && !stoppedBefore && !nodeRegistry.isChainWriteNode(node);
+      if (activeInterval) {
+        activeInterval.running = interrupted ? node.id : null;
+        if (!interrupted) activeInterval.completed.push(node.id);
+      } else if (!isIntervalExecution && !interrupted) {
+        this.completedNodes.add(node.id);
+      }
+      this.saveCheckpoint();
       logger.info(`[END] Node ${node.type} (${node.id})${isIntervalExecution ? ' [INTERVAL]' : ''}`);
       
+      if (this.stopRequested) {
+        logger.info(`Stop requested; not continuing past ${node.id}`);
+        return;
+      }
+      
       // Check for stop condition after conditional nodes
       if (node.type === 'conditional' && this.nodeResults[node.id] === true) {
         // Check if this is a stop condition (you can customize this logic)
@@ -188,15 +400,15 @@ export class BackendFlowExecutor {
         .map(edge => nodeMap[edge.target])
         .filter(node => node && !visited.has(node.id));
 
-      if (node.type === 'conditional') {
-        // Respect branching based on boolean result
+      const definition = nodeRegistry.get(node.type);
+      if (definition?.route) {
+        // Respect branching: only follow edges leaving the output port the result selected
+        const selectedPort = definition.route(this.nodeResults[node.id]);
         const tasks = nextEdges.map(async (edge) => {
           const nextNode = nodeMap[edge.target];
           if (!nextNode) return;
           if (!edge.sourceHandle) return; // skip ill-formed edge
-          const conditionResult = this.nodeResults[node.id];
-          const shouldFollow = edge.sourceHandle === 'true' ? conditionResult : !conditionResult;
-          if (shouldFollow) {
+          if (edge.sourceHandle === selectedPort) {
             await this.executeNodeRecursive(nextNode, nodeMap, edges, visited, isIntervalExecution);
           }
         });
@@ -227,216 +439,97 @@ export class BackendFlowExecutor {
     }
   }
 
-  async executeNode(node, nodeMap, edges, visited) {
-    switch (node.type) {
-      case 'start':
-        return this.executeStartNode(node);
-      case 'variable':
-        return this.executeVariableNode(node);
-      case 'arithmetic':
-        return this.executeArithmeticNode(node);
-      case 'conditional':
-        return this.executeConditionalNode(node);
-      case 'timer':
-        return this.executeTimerNode(node, nodeMap, edges, visited);
-      case 'blockchain':
-        return this.executeBlockchainNode(node);
-      case 'llm':
-        return this.executeLLMNode(node);
-      case 'logger':
-        return this.executeLoggerNode(node);
-      case 'telegram':
-        return this.executeTelegramNode(node);
-      case 'userApproval':
-        return this.executeUserApprovalNode(node);
-      case 'marketData':
-        return this.executeMarketDataNode(node);
-      case 'smartContractRead':
-        return this.executeSmartContractReadNode(node);
-      case 'smartContractWrite':
-        return this.executeSmartContractWriteNode(node);
-      default:
-        throw new Error(`Unknown node type: ${node.type}`);
-    }
+  recordNodeExecution(node, { inputs, startedAt, output, error, isIntervalExecution }) {
+    const details = this.pendingNodeDetails.get(node.id);
+    this.pendingNodeDetails.delete(node.id);
+    if (!this.runStore || !this.runId) return;
+    this.runStore.recordNodeExecution(this.runId, {
+      nodeId: node.id,
+      type: node.type,
+      interval: isIntervalExecution,
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      status: error ? 'failed' : 'completed',
+      inputs,
+      output: error ? undefined : output,
+      error: error || undefined,
+      ...details
+    });
   }
 
-  executeLoggerNode(node) {
-    logger.info(`Executing Logger node: ${node.id}`);
-    const config = node.data.config;
-    const level = config.level || 'info';
-    const message = config.message || 'Logger message';
-    const value = config.value || '';
-    
-
-    
-    // Resolve variables in message and value
-    const resolvedMessage = this.resolveVariablesInString(message);
-    
-    // Handle value field - if it's a variable reference, get the actual variable
-    let resolvedValue;
-    if (typeof value === 'string' && value.startsWith('{') && value.endsWith('}')) {
-      // It's a variable reference like {marketdata}
-      const variablePath = value.slice(1, -1); // Remove { and }
-      resolvedValue = this.resolveVariablePath(variablePath);
-    } else {
-      // Use normal resolution for other cases
-      resolvedValue = this.resolveValue(value);
-    }
-    
-    const logMessage = `${resolvedMessage} - ${JSON.stringify(resolvedValue, null, 2)}`;
-    
-    switch (level.toLowerCase()) {
-      case 'error':
-        logger.error(logMessage);
-        break;
-      case 'warn':
-        logger.warn(logMessage);
-        break;
-      case 'debug':
-        logger.debug(logMessage);
-        break;
-      default:
-        logger.info(logMessage);
-    }
-    
-    const result = {
-      level,
-      message: resolvedMessage,
-      value: resolvedValue,
-      timestamp: Date.now()
-    };
-    
-    if (config.outputVariable) {
-      this.variables[config.outputVariable] = result;
-    }
-    
-    this.nodeResults[node.id] = result;
-    return result;
+  annotateNodeExecution(node, details) {
+    this.pendingNodeDetails.set(node.id, { ...this.pendingNodeDetails.get(node.id), ...details });
   }
 
-  executeVariableNode(node) {
-    const { config } = node.data;
-    if (!config || !config.variableName) throw new Error('Variable node missing variableName');
-    
-    const operation = config.operation || 'set';
-    const variableName = config.variableName;
-    
-    switch (operation) {
-      case 'set':
-        // Convert string values to numbers when possible
-        const setValue = this.resolveValue(config.value);
-        this.variables[variableName] = setValue;
-        break;
-      case 'get':
-        // Just retrieve the variable value (no modification)
-        if (!(variableName in this.variables)) {
-          this.variables[variableName] = undefined;
-        }
-        break;
-      case 'increment':
-        if (!(variableName in this.variables)) {
-          this.variables[variableName] = 0;
-        } else {
-          // Ensure the current value is a number
-          let currentValue = this.variables[variableName];
-          if (typeof currentValue === 'string') {
-            currentValue = Number(currentValue);
-            if (isNaN(currentValue)) currentValue = 0;
-          }
-          this.variables[variableName] = currentValue + 1;
-        }
-        break;
-      case 'decrement':
-        if (!(variableName in this.variables)) {
-          this.variables[variableName] = 0;
-        } else {
-          // Ensure the current value is a number
-          let currentValue = this.variables[variableName];
-          if (typeof currentValue === 'string') {
-            currentValue = Number(currentValue);
-            if (isNaN(currentValue)) currentValue = 0;
-          }
-          this.variables[variableName] = currentValue - 1;
-        }
-        break;
-      default:
-        throw new Error(`Unknown variable operation: ${operation}`);
-    }
-    
-    const variableValue = this.variables[variableName];
-    const displayValue = typeof variableValue === 'object' && variableValue !== null 
-      ? JSON.stringify(variableValue, null, 2) 
-      : variableValue;
-    logger.info(`Variable ${variableName} = ${displayValue} (operation: ${operation})`);
-    return this.variables[variableName];
+  // Adds an LLM node execution's usage to the run, the node's execution record and the flow's day
+  recordLLMUsage(node, usage) {
+    if (!usage || usage.calls === 0) return;
+    addUsage(this.llmUsage.total, usage);
+    this.llmUsage.nodes[node.id] = addUsage(this.llmUsage.nodes[node.id] || emptyUsage(), usage);
+    this.annotateNodeExecution(node, { usage });
+    this.usageLedger.record(this.flowData?.name || 'unnamed', usage);
   }
 
-  executeArithmeticNode(node) {
-    const { config } = node.data;
-    const v1Raw = this.resolveValue(config.value1);
-    const v2Raw = this.resolveValue(config.value2);
+  // The flow's `llmBudget` once today's usage has reached it ({ message, onExceeded }), else null
+  checkLLMBudget() {
+    const budget = this.flowData?.llmBudget;
+    if (!budget) return null;
+    const flowName = this.flowData.name || 'unnamed';
+    const message = budgetExceeded(budget, this.usageLedger.usedToday(flowName), flowName);
+    return message ? { message, onExceeded: budget.onExceeded || 'halt' } : null;
+  }
 
-    // Guard: operands must resolve to numbers for arithmetic
-    const parseNumber = (label, val) => {
-      if (val === null || val === undefined) {
-        throw new Error(`Arithmetic operand '${label}' is undefined (expression uses '${config[label] || ''}')`);
-      }
-      if (typeof val === 'number') return val;
-      if (typeof val === 'string') {
-        const trimmed = val.trim();
-        if (/^-?\d*\.?\d+$/.test(trimmed)) return Number(trimmed);
-        // Looks like an unresolved variable name; surface a clear error
-        if (/^[a-zA-Z_][a-zA-Z0-9_\.]*$/.test(trimmed)) {
-          throw new Error(`Arithmetic operand '${label}' references variable '${trimmed}' which is not defined yet`);
+  // Node config with whole-value {var} references resolved, as recorded in run history
+  describeNodeInputs(node) {
+    const config = node.data?.config || {};
+    return Object.fromEntries(
+      Object.entries(config).map(([key, value]) => {
+        if (typeof value === 'string' && /^\{[^{}]+\}$/.test(value)) {
+          const resolved = this.resolveVariablePath(value.slice(1, -1).trim());
+          return [key, resolved === undefined ? value : resolved];
         }
-        throw new Error(`Arithmetic operand '${label}' is not numeric (got: '${val}')`);
-      }
-      throw new Error(`Arithmetic operand '${label}' is not numeric (type: ${typeof val})`);
-    };
+        return [key, value];
+      })
+    );
+  }
 
-    let v1, v2, result;
-    try {
-      v1 = parseNumber('value1', v1Raw);
-      v2 = parseNumber('value2', v2Raw);
-    } catch (err) {
-      throw err; // bubble up with clear message
-    }
-    switch (config.operation) {
-      case 'add': result = v1 + v2; break;
-      case 'subtract': result = v1 - v2; break;
-      case 'multiply': result = v1 * v2; break;
-      case 'divide': 
-        if (v2 === 0) {
-          // Handle first execution case for percentage calculations
-          if (typeof v1 === 'number' && v1 !== 0) {
-            result = 0; // No change on first execution
-          } else {
-            result = null;
-          }
-        } else {
-          result = v1 / v2;
-        }
-        break;
-      default: throw new Error('Unknown arithmetic operation');
+  async executeNode(node, nodeMap, edges, visited) {
+    const definition = nodeRegistry.get(node.type);
+    if (!definition) {
+      throw new Error(`Unknown node type: ${node.type}`);
     }
-    if (config.outputVariable) this.variables[config.outputVariable] = result;
-    return result;
+    return definition.execute(node, this.createNodeContext(node, { nodeMap, edges, visited }));
   }
 
-  executeConditionalNode(node) {
-    const { config } = node.data;
-    const v1 = this.resolveValue(config.value1);
-    const v2 = this.resolveValue(config.value2);
-    let result;
-    switch (config.operator) {
-      case 'equals': result = v1 === v2; break;
-      case 'not_equals': result = v1 !== v2; break;
-      case 'greater': result = v1 > v2; break;
-      case 'less': result = v1 < v2; break;
-      default: throw new Error('Unknown conditional operator');
-    }
-    if (config.outputVariable) this.variables[config.outputVariable] = result;
-    return result;
+  // What a node type's execute() gets to work with; custom node packages rely on this shape
+  createNodeContext(node, graph) {
+    return {
+      config: node.data?.config || {},
+      variables: this.variables,
+      nodeResults: this.nodeResults,
+      resolveValue: value => this.resolveValue(value),
+      resolveString: str => this.resolveVariablesInString(str),
+      resolvePath: path => this.resolveVariablePath(path),
+      services: this.services,
+      privateKey: this.privateKey,
+      resolveSigner: name => this.resolveSigner(name),
+      policy: this.createPolicyGuard(node),
+      dryRun: this.dryRun,
+      trigger: this.trigger,
+      inputs: this.inputs,
+      signal: this.abortController.signal,
+      sleep: ms => this.sleep(ms),
+      // LLM token accounting against the flow's daily `llmBudget`
+      recordLLMUsage: usage => this.recordLLMUsage(node, usage),
+      checkLLMBudget: () => this.checkLLMBudget(),
+      // The agent's messages and tool calls, kept in the node's run record
+      recordLLMTrace: trace => this.annotateNodeExecution(node, { trace }),
+      logger,
+      runId: this.runId,
+      // Built-ins that drive the graph themselves (intervals, resumable approvals) use these
+      graph,
+      executor: this
+    };
   }
 
   async executeTimerNode(node, nodeMap, edges, visited) {
@@ -456,18 +549,28 @@ export class BackendFlowExecutor {
     switch (timerType) {
       case 'delay':
         if (durationMs > 0) {
-          await new Promise(res => setTimeout(res, durationMs));
+          await this.sleep(durationMs);
         }
         break;
         
       case 'interval':
         if (durationMs > 0) {
-          let count = 0;
+          // When resuming, pick up at the checkpointed iteration and skip the nodes it already finished
+          const resumed = this.resumeState?.intervals?.[node.id];
+          if (resumed) {
+            delete this.resumeState.intervals[node.id];
+            logger.info(`Resuming interval ${node.id} at iteration ${resumed.iteration} (${resumed.completed.length} node(s) already done)`);
+          }
+          let count = resumed ? resumed.iteration - 1 : 0;
           const maxCount = repeatCount > 0 ? repeatCount : Infinity;
           
+          this.intervalStack.push(node.id);
           while (count < maxCount && !this.shouldStop) {
             count++;
             logger.info(`Interval execution ${count}/${maxCount === Infinity ? '∞' : maxCount} (repeatCount=${repeatCount}, maxCount=${maxCount})`);
+            const skipNodes = resumed && count === resumed.iteration ? resumed.completed : [];
+            this.intervalState[node.id] = { iteration: count, completed: [...skipNodes], running: null };
+            this.saveCheckpoint();
             
             // Execute connected logic during each interval using proper topological order
             const nextEdges = edges.filter(e => e.source === node.id);
@@ -475,7 +578,7 @@ export class BackendFlowExecutor {
               const nextNode = nodeMap[edge.target];
               if (nextNode) {
                 // For interval execution, use a fresh visited set for dependency tracking
-                const intervalVisited = new Set();
+                const intervalVisited = new Set(skipNodes);
                 await this.executeFlowFromNode(nextNode, nodeMap, edges, intervalVisited, true);
               }
             }
@@ -487,15 +590,20 @@ export class BackendFlowExecutor {
             }
             
             if (count < maxCount) {
-              await new Promise(res => setTimeout(res, durationMs));
+              await this.sleep(durationMs);
             }
           }
+          this.intervalStack.pop();
+          // Keep the last iteration in the checkpoint if we were stopped mid-loop
+          if (!this.stopRequested) {
+            delete this.intervalState[node.id];
+          }
         }
         break;
         
       case 'timeout':
         if (durationMs > 0) {
-          await new Promise(res => setTimeout(res, durationMs));
+          await this.sleep(durationMs);
           logger.info(`Timeout completed after ${duration}${unit}`);
         }
         break;
@@ -511,268 +619,6 @@ export class BackendFlowExecutor {
     return durationMs;
   }
 
-  async executeStartNode(node) {
-    const { config } = node.data;
-    if (config && config.variables) {
-      // Initialize variables from start node
-      for (const variable of config.variables) {
-        let defaultValue;
-        if (variable.defaultValue !== undefined) {
-          // Coerce provided default based on declared type
-          const provided = variable.defaultValue;
-          switch (variable.type) {
-            case 'number': {
-              const num = typeof provided === 'number' ? provided : Number(provided);
-              defaultValue = isNaN(num) ? 0 : num;
-              break;
-            }
-            case 'boolean': {
-              if (typeof provided === 'boolean') defaultValue = provided;
-              else defaultValue = ['true', '1', 'yes', 'on'].includes(String(provided).toLowerCase());
-              break;
-            }
-            case 'array': {
-              if (Array.isArray(provided)) defaultValue = provided;
-              else {
-                try { defaultValue = JSON.parse(provided); } catch { defaultValue = []; }
-                if (!Array.isArray(defaultValue)) defaultValue = [];
-              }
-              break;
-            }
-            case 'object': {
-              if (provided && typeof provided === 'object' && !Array.isArray(provided)) {
-                defaultValue = provided;
-              } else {
-                try { defaultValue = JSON.parse(provided); } catch { defaultValue = {}; }
-                if (!defaultValue || Array.isArray(defaultValue) || typeof defaultValue !== 'object') defaultValue = {};
-              }
-              break;
-            }
-            case 'string': {
-              defaultValue = String(provided);
-              break;
-            }
-            default: {
-              defaultValue = provided;
-            }
-          }
-        } else {
-          // No provided default: set sane defaults based on type
-          switch (variable.type) {
-            case 'number': defaultValue = 0; break;
-            case 'string': defaultValue = ''; break;
-            case 'boolean': defaultValue = false; break;
-            case 'array': defaultValue = []; break;
-            case 'object': defaultValue = {}; break;
-            default: defaultValue = null;
-          }
-        }
-        this.variables[variable.name] = defaultValue;
-      }
-      logger.info(`Initialized ${config.variables.length} variables from start node`);
-    }
-    return null;
-  }
-
-  async executeBlockchainNode(node) {
-    logger.info(`Executing blockchain node: ${node.id}`);
-    
-    const config = node.data.config;
-    const network = config.network || 'mainnet';
-    const selectedTool = config.selectedTool;
-    const parameters = config.toolParameters || {};
-    
-    if (!selectedTool) {
-      throw new Error('No blockchain operation selected');
-    }
-    
-    // Create network-specific SeiAgentKit instance
-    const seiKit = new NetworkAwareSeiAgentKit(this.privateKey, ModelProviderName.OPENAI, network);
-    
-    try {
-      // Resolve parameter values from variables (supports plain names and dotted paths)
-      const resolvedParameters = Object.fromEntries(
-        Object.entries(parameters).map(([key, value]) => {
-          if (typeof value === 'string') {
-            return [key, this.resolveValue(value)];
-          }
-          return [key, value];
-        })
-      );
-
-      const result = await this.executeSeiAgentKitMethod(seiKit, selectedTool, resolvedParameters);
-      
-      if (config.outputVariable) {
-        this.variables[config.outputVariable] = result;
-      }
-      
-      this.nodeResults[node.id] = result;
-      
-      logger.info(`Blockchain operation ${selectedTool} completed on ${network}:`, result);
-      return result;
-      
-    } catch (error) {
-      logger.error(`Error executing blockchain operation ${selectedTool} on ${network}:`, error);
-      throw error;
-    }
-  }
-
-  async executeSeiAgentKitMethod(seiKit, toolName, parameters) {
-    const methodMap = {
-      // Basic Operations
-      'sei_erc20_balance': () => seiKit.getERC20Balance(parameters.contract_address),
-      'sei_erc20_transfer': () => seiKit.ERC20Transfer(
-        parameters.amount, 
-        parameters.recipient, 
-        parameters.ticker
-      ),
-      'sei_native_transfer': () => seiKit.ERC20Transfer(
-        parameters.amount,
-        parameters.recipient
-      ),
-      'sei_erc721_balance': () => seiKit.getERC721Balance(parameters.collectionAddress),
-      'sei_erc721_transfer': () => seiKit.ERC721Transfer(
-        parameters.recipient,
-        parameters.tokenId,
-        parameters.collectionAddress
-      ),
-      'sei_erc721_mint': () => seiKit.ERC721Mint(
-        parameters.recipient,
-        parameters.tokenId,
-        parameters.collectionAddress
-      ),
-
-      // DeFi Operations
-      'sei_swap': () => seiKit.swap(
-        parameters.amount,
-        parameters.tokenIn,
-        parameters.tokenOut
-      ),
-      'sei_stake': () => seiKit.stake(parameters.amount),
-      'sei_unstake': () => seiKit.unstake(parameters.amount),
-      
-      // Takara Operations
-      'sei_mint_takara': () => seiKit.mintTakara(
-        parameters.ticker,
-        parameters.amount
-      ),
-      'sei_borrow_takara': () => seiKit.borrowTakara(
-        parameters.ticker,
-        parameters.borrowAmount
-      ),
-      'sei_repay_takara': () => seiKit.repayTakara(
-        parameters.ticker,
-        parameters.repayAmount
-      ),
-      'sei_redeem_takara': () => seiKit.redeemTakara(
-        parameters.ticker,
-        parameters.amount
-      ),
-
-      // Citrex Trading
-      'sei_citrex_place_order': () => seiKit.citrexPlaceOrder(parameters.orderArgs),
-      'sei_citrex_get_products': () => seiKit.citrexGetProducts(),
-      'sei_citrex_get_order_book': () => seiKit.citrexGetOrderBook(
-        parameters.product_id,
-        parameters.aggregation
-      ),
-      'sei_citrex_list_balances': () => seiKit.citrexListBalances(),
-      'sei_citrex_deposit': () => seiKit.citrexDeposit(parameters.amount),
-      'sei_citrex_withdraw': () => seiKit.citrexWithdraw(parameters.amount),
-      'sei_citrex_get_account_health': () => seiKit.citrexGetAccountHealth(),
-      'sei_citrex_list_open_orders': () => seiKit.citrexListOpenOrders(),
-      'sei_citrex_cancel_order': () => seiKit.citrexCancelOrder(parameters.order_id),
-
-      // Social Operations
-      'sei_post_tweet': () => seiKit.postTweet(parameters.tweet),
-      'sei_get_account_details': () => seiKit.getAccountDetails(parameters.username),
-      'sei_post_tweet_reply': () => seiKit.postTweetReply(
-        parameters.tweet,
-        parameters.reply_to_tweet_id
-      ),
-
-      // Carbon Strategies
-      'sei_compose_trade_by_source_tx': () => seiKit.composeTradeBySourceTx(
-        parameters.sourceAmount,
-        parameters.sourceToken,
-        parameters.targetToken,
-        parameters.tradeActions
-      ),
-      'sei_compose_trade_by_target_tx': () => seiKit.composeTradeByTargetTx(
-        parameters.targetAmount,
-        parameters.sourceToken,
-        parameters.targetToken,
-        parameters.tradeActions
-      ),
-      'sei_create_buy_sell_strategy': () => seiKit.createBuySellStrategy(
-        parameters.baseToken,
-        parameters.quoteToken,
-        parameters.buyMin,
-        parameters.buyMax,
-        parameters.sellMin,
-        parameters.sellMax,
-        parameters.buyBudget,
-        parameters.sellBudget
-      ),
-      'sei_create_overlapping_strategy': () => seiKit.createOverlappingStrategy(
-        parameters.baseToken,
-        parameters.quoteToken,
-        parameters.min,
-        parameters.max,
-        parameters.marginalPriceMin,
-        parameters.marginalPriceMax,
-        parameters.budget
-      ),
-      'sei_delete_strategy': () => seiKit.deleteStrategy(parameters.strategyId),
-      'sei_get_user_strategies': () => seiKit.getUserStrategies(),
-      'sei_update_strategy': () => seiKit.updateStrategy(
-        parameters.strategyId,
-        parameters.encoded_data
-      ),
-
-
-    };
-    
-    const method = methodMap[toolName];
-    if (!method) {
-      throw new Error(`Tool ${toolName} not supported`);
-    }
-    
-    return await method();
-  }
-
-  async executeLLMNode(node) {
-    logger.info(`Executing LLM node: ${node.id}`);
-    
-    // Get network from LLM node config, default to mainnet
-    const network = node.data.config.network || 'mainnet';
-    
-    const llmNode = new LLMNode(
-      node.data.config,
-      this.privateKey,
-      network
-    );
-    
-    const context = {
-      variables: this.variables,
-      nodeResults: this.nodeResults,
-      currentNode: node.id
-    };
-    
-    const result = await llmNode.execute(
-      node.data.config.input || "Analyze current workflow state",
-      context
-    );
-    
-    // Store result in output variable if specified
-    if (node.data.config.outputVariable) {
-      this.variables[node.data.config.outputVariable] = result;
-    }
-    
-    this.nodeResults[node.id] = result;
-    return result;
-  }
-
   resolveValue(val) {
     // Direct variable reference
     if (typeof val === 'string' && val in this.variables) {
@@ -888,43 +734,74 @@ export class BackendFlowExecutor {
     return current;
   }
 
-  async executeTelegramNode(node) {
-    logger.info(`Executing Telegram node: ${node.id}`);
-    
-    const telegramNode = new TelegramNode(
-      node.data.config,
+  createPolicyGuard(node) {
+    if (!this.policy) return null;
+    return this.policy.createGuard({
+      flowName: this.flowData?.name || 'unnamed',
+      runId: this.runId,
+      nodeId: node.id,
+      dryRun: Boolean(this.dryRun),
+      approve: (message, timeout) => this.requestPolicyApproval(node, message, timeout)
+    });
+  }
+
+  // A write that breaks the policy with onViolation "approve" waits for a Telegram approval
+  async requestPolicyApproval(node, message, timeout) {
+    if (this.dryRun) {
+      return this.dryRun.answerApproval(`${node.id}:policy`, ['approve', 'reject']) === 'approve';
+    }
+    // Nobody to ask: the write is blocked (null), never approved by default
+    const problem = approvalChannelProblem(this.variables.telegramChatId || process.env.TELEGRAM_CHAT_ID);
+    if (problem) {
+      logger.warn(`[POLICY] Cannot ask for an approval in ${node.id}: ${problem}`);
+      return null;
+    }
+    const approval = this.services.createUserApprovalNode(
+      { message, timeout, approvalActions: ['approve', 'reject'] },
       {
         variables: this.variables,
         nodeResults: this.nodeResults,
-        currentNode: node.id
+        currentNode: node.id,
+        webhookHandler: this.webhookHandler,
+        signal: this.abortController.signal,
+        simulate: false
       }
     );
-    
-    const result = await telegramNode.execute();
-    
-    // Store result in output variable if specified
-    if (node.data.config.outputVariable) {
-      this.variables[node.data.config.outputVariable] = result;
-    }
-    
-    this.nodeResults[node.id] = result;
-    return result;
+    const result = await approval.execute();
+    return result?.action === 'approve';
   }
 
   async executeUserApprovalNode(node) {
     logger.info(`Executing User Approval node: ${node.id}`);
     
-    const userApprovalNode = new UserApprovalNode(
+    if (this.dryRun) {
+      return this.answerApprovalFromFixture(node);
+    }
+    
+    const userApprovalNode = this.services.createUserApprovalNode(
       node.data.config,
       {
         variables: this.variables,
         nodeResults: this.nodeResults,
         currentNode: node.id,
-        webhookHandler: this.webhookHandler
+        webhookHandler: this.webhookHandler,
+        signal: this.abortController.signal,
+        // Set when resuming a run that was waiting on this approval
+        resume: this.resumeState?.approvals?.[node.id] || null,
+        onApprovalRegistered: (approval) => {
+          this.pendingApprovals[node.id] = approval;
+          this.saveCheckpoint();
+        }
       }
     );
     
     const result = await userApprovalNode.execute();
+    if (this.resumeState) {
+      delete this.resumeState.approvals[node.id];
+    }
+    if (result?.action !== 'stopped') {
+      delete this.pendingApprovals[node.id];
+    }
     
     // Store result in output variable if specified
     if (node.data.config.outputVariable) {
@@ -936,144 +813,24 @@ export class BackendFlowExecutor {
     return result;
   }
 
-  async executeMarketDataNode(node) {
-    logger.info(`Executing market data node: ${node.id}`);
-    
-    const config = node.data.config;
-    const symbol = this.resolveValue(config.symbol);
-    
-    if (!symbol) {
-      throw new Error('Symbol is required for market data node');
-    }
-    
-    const apiKey = process.env.COINGECKO_DEMO_API_KEY;
-    const url = `https://api.coingecko.com/api/v3/simple/price?vs_currencies=usd&symbols=${symbol}&include_market_cap=true&include_24hr_vol=true&include_24hr_change=true&include_last_updated_at=true`;
-    
-    const options = {
-      method: 'GET',
-      headers: {
-        'accept': 'application/json',
-        'x-cg-demo-api-key': apiKey
-      }
-    };
-
-    try {
-      const response = await fetch(url, options);
-      const data = await response.json();
-      
-      if (data.error) {
-        throw new Error(data.error);
-      }
-      
-      // Return structured data for easy access
-      const tokenData = data[symbol];
-      if (!tokenData) {
-        throw new Error(`Token symbol '${symbol}' not found`);
-      }
-      
-      const result = {
-        price_usd: tokenData.usd,
-        market_cap: tokenData.usd_market_cap,
-        volume_24h: tokenData.usd_24h_vol,
-        change_24h: tokenData.usd_24h_change,
-        last_updated: tokenData.last_updated_at,
-        symbol: symbol
-      };
-      
-      if (config.outputVariable) {
-        this.variables[config.outputVariable] = result;
-      }
-      
-      this.nodeResults[node.id] = result;
-      logger.info(`Market data retrieved for ${symbol}: $${result.price_usd}`);
-      return result;
-      
-    } catch (error) {
-      logger.error(`Error fetching market data for ${symbol}: ${error.message}`);
-      throw error;
-    }
-  }
-
-  async executeSmartContractReadNode(node) {
-    logger.info(`Executing Smart Contract Read node: ${node.id}`);
-    
+  answerApprovalFromFixture(node) {
     const config = node.data.config;
-    const network = config.network;
-    const contractAddress = config.contractAddress;
-    const abi = config.abi;
-    const methodName = config.methodName;
-    const parameters = config.parameters || {};
-    
-    if (!network || !contractAddress || !abi || !methodName) {
-      throw new Error('Smart Contract Read node requires network, contractAddress, abi, and methodName');
-    }
-    
-    try {
-      const smartContractNode = new SmartContractNode(config, this.privateKey);
-      const result = await smartContractNode.executeRead(
-        contractAddress,
-        abi,
-        methodName,
-        parameters,
-        network
-      );
-      
-      if (config.outputVariable) {
-        this.variables[config.outputVariable] = result;
-      }
-      
-      this.nodeResults[node.id] = result;
-      logger.info(`Smart contract read completed for ${methodName}`);
-      return result;
-      
-    } catch (error) {
-      logger.error(`Error executing smart contract read: ${error.message}`);
-      throw error;
-    }
-  }
-
-  async executeSmartContractWriteNode(node) {
-    logger.info(`Executing Smart Contract Write node: ${node.id}`);
+    const action = this.dryRun.answerApproval(node.id, config.approvalActions || ['approve', 'reject']);
+    logger.info(`[DRY_RUN] Approval ${node.id} answered '${action}' from fixture`);
     
-    const config = node.data.config;
-    const network = config.network;
-    const contractAddress = config.contractAddress;
-    const abi = config.abi;
-    const methodName = config.methodName;
-    const parameters = config.parameters || {};
-    const options = {
-      gasLimit: config.gasLimit,
-      gasPrice: config.gasPrice,
-      value: config.value,
-      waitForConfirmation: config.waitForConfirmation !== false
+    const result = {
+      approved: action === 'approve',
+      action,
+      approvalId: `dry_run_${node.id}`,
+      timestamp: Date.now(),
+      userResponse: 'Answered from dry-run fixture'
     };
     
-    if (!network || !contractAddress || !abi || !methodName) {
-      throw new Error('Smart Contract Write node requires network, contractAddress, abi, and methodName');
+    if (config.outputVariable) {
+      this.variables[config.outputVariable] = action;
     }
     
-    try {
-      const smartContractNode = new SmartContractNode(config, this.privateKey);
-      const result = await smartContractNode.executeWrite(
-        contractAddress,
-        abi,
-        methodName,
-        parameters,
-        network,
-        options
-      );
-      
-      if (config.outputVariable) {
-        this.variables[config.outputVariable] = result;
-      }
-      
-      this.nodeResults[node.id] = result;
-      logger.info(`Smart contract write completed: ${result.transactionHash}`);
-      return result;
-      
-    } catch (error) {
-      logger.error(`Error executing smart contract write: ${error.message}`);
-      throw error;
-    }
+    this.nodeResults[node.id] = result;
+    return result;
   }
 } 
\ No newline at end of file
@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+
+export const FLOWS_DIR = path.join(process.cwd(), 'flows');
+
+// Turn a display name like "Coingecko Data" into a file-safe id ("coingecko_data")
+export function toFlowId(name) {
+  return String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+// Resolve a flow argument (file path or name inside flows/) to an absolute path
+export function resolveFlowPath(flow) {
+  if (fs.existsSync(flow) && fs.statSync(flow).isFile()) {
+    return path.resolve(process.cwd(), flow);
+  }
+  const flowPath = path.join(FLOWS_DIR, `${flow}.json`);
+  return fs.existsSync(flowPath) ? flowPath : null;
+}
+
+export function loadFlow(flow) {
+  const flowPath = resolveFlowPath(flow);
+  if (!flowPath) {
+    throw new Error(`Flow not found: ${flow}`);
+  }
+
+  let flowData;
+  try {
+    flowData = JSON.parse(fs.readFileSync(flowPath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Failed to parse flow JSON (${flowPath}): ${err.message}`);
+  }
+
+  const flowId = path.basename(flowPath, '.json');
+  return {
+    flowId,
+    flowPath,
+    flowName: flowData.name || flowId,
+    flowData
+  };
+}
+
+export function saveFlow(flowData, flowId = null) {
+  const id = toFlowId(flowId || flowData.id || flowData.name || `flow_${Date.now()}`);
+  if (!id) {
+    throw new Error('Unable to derive a flow id from the flow name');
+  }
+
+  if (!fs.existsSync(FLOWS_DIR)) {
+    fs.mkdirSync(FLOWS_DIR, { recursive: true });
+  }
+
+  const flowPath = path.join(FLOWS_DIR, `${id}.json`);
+  fs.writeFileSync(flowPath, JSON.stringify(flowData, null, 2));
+  return { flowId: id, flowPath, flowName: flowData.name || id };
+}
+
+export function listFlowIds() {
+  if (!fs.existsSync(FLOWS_DIR)) return [];
+  return fs.readdirSync(FLOWS_DIR)
+    .filter(f => f.endsWith('.json'))
+    .map(f => path.basename(f, '.json'));
+}
@@ -0,0 +1,234 @@
+import { BackendFlowExecutor } from './flowExecutor.js';
+import { PolicyEngine } from './policy.js';
+import { LLMUsageLedger } from './llmUsage.js';
+import { StructuredOutput } from './structuredOutput.js';
+import { TelegramNode } from './telegramNode.js';
+import { toPlainObject } from '../utils/json.js';
+
+// Runs a flow against scripted backends instead of the chain, OpenAI, Telegram and CoinGecko.
+//
+// Fixture shape (every section is optional):
+// {
+//   "llm":            { "<nodeId>": "response" | ["1st call", "2nd call", ...] },
+//   "marketData":     { "<symbol>": 0.42 | { "price_usd": 0.42, "change_24h": -3.1 } | [0.42, 0.40, ...] },
+//   "tools":          { "<nodeId or sei tool name>": <result> },
+//   "contractReads":  { "<nodeId or methodName>": <result> },
+//   "contractWrites": { "<nodeId or methodName>": <receipt> },
+//   "approvals":      { "<nodeId>": "approve", "default": "reject" },
+//   "inputs":         { "<start variable>": <value> },   // as a webhook body would supply
+//   "trigger":        { "type": "webhook", "body": { ... } },
+//   "policy":         { "limits": { "SEI": { "perFlow": 10 } }, ... },  // transaction policy, see policy.js
+//   "expect":         { "status": "completed", "error": "...", "variables": { ... }, "nodeResults": { ... } }
+// }
+//
+// Arrays in `llm` and `marketData` are consumed one entry per call; the last entry repeats.
+// Any backend call without a fixture fails the run so tests never reach a real service.
+
+function hasKey(table, key) {
+  return key !== undefined && key !== null && Object.prototype.hasOwnProperty.call(table, key);
+}
+
+export function createFixtureServices(fixtures, flowData, calls = []) {
+  const nodeMap = Object.fromEntries((flowData.nodes || []).map(n => [n.id, n]));
+  const callCounts = new Map();
+
+  const lookup = (section, keys, description) => {
+    const table = fixtures[section] || {};
+    const key = keys.find(k => hasKey(table, k));
+    if (key === undefined) {
+      const candidates = [...new Set(keys.filter(k => k !== undefined && k !== null))].map(k => `'${k}'`);
+      throw new Error(`No '${section}' fixture for ${description}; add one keyed by ${candidates.join(' or ')}`);
+    }
+    return table[key];
+  };
+
+  const nextScripted = (counterKey, value) => {
+    if (!Array.isArray(value)) return value;
+    const index = callCounts.get(counterKey) || 0;
+    callCounts.set(counterKey, index + 1);
+    return value[Math.min(index, value.length - 1)];
+  };
+
+  return {
+    // Any kit method answers from `tools`, keyed by the blockchain node or its selected tool
+    createSeiKit: (privateKey, network, { nodeId } = {}) => new Proxy({}, {
+      get: (target, method) => {
+        if (typeof method !== 'string' || method === 'then') return undefined;
+        return async (...args) => {
+          const tool = nodeMap[nodeId]?.data?.config?.selectedTool;
+          const result = lookup('tools', [nodeId, tool], `${tool || method} (node ${nodeId})`);
+          calls.push({ type: 'tool', nodeId, tool, method, args });
+          return result;
+        };
+      }
+    }),
+
+    createLLMNode: (config, privateKey, network, { nodeId } = {}) => ({
+      execute: async (input) => {
+        const scripted = nextScripted(`llm:${nodeId}`, lookup('llm', [nodeId], `LLM node ${nodeId}`));
+        // Structured nodes return the parsed object, so the fixture is held to the node's schema
+        if (config.outputMode === 'structured') {
+          const { value, errors } = new StructuredOutput(config).check(scripted);
+          if (errors) {
+            throw new Error(`'llm' fixture for ${nodeId} does not match the node's output schema: ${errors.join('; ')}`);
+          }
+          calls.push({ type: 'llm', nodeId, input, response: value });
+          return value;
+        }
+        // Action-mode LLM nodes return JSON strings, so objects are serialized the same way
+        const response = typeof scripted === 'string' ? scripted : JSON.stringify(scripted);
+        calls.push({ type: 'llm', nodeId, input, response });
+        return response;
+      }
+    }),
+
+    createTelegramNode: (config, context) => ({
+      execute: async () => {
+        const message = new TelegramNode(config, context).resolveVariablesInMessage(config.message || '');
+        calls.push({ type: 'telegram', nodeId: context.currentNode, message });
+        return {
+          success: true,
+          messageId: calls.length,
+          chatId: config.chatId || null,
+          ...(config.interactive ? { interactive: true } : {})
+        };
+      }
+    }),
+
+    createUserApprovalNode: (config, context) => ({
+      execute: async () => {
+        const nodeId = context.currentNode;
+        const approvalActions = config.approvalActions || ['approve', 'reject'];
+        const table = fixtures.approvals || {};
+        const action = hasKey(table, nodeId) ? table[nodeId] : table.default;
+        if (action === undefined) {
+          throw new Error(`No 'approvals' fixture for approval node ${nodeId}; add '${nodeId}' or 'default'`);
+        }
+        if (!approvalActions.includes(action)) {
+          throw new Error(`Approval fixture '${action}' for ${nodeId} is not one of: ${approvalActions.join(', ')}`);
+        }
+        calls.push({ type: 'approval', nodeId, action });
+        return {
+          approved: action === 'approve',
+          action,
+          approvalId: `test_${nodeId}`,
+          timestamp: Date.now(),
+          userResponse: 'Answered from test fixture'
+        };
+      }
+    }),
+
+    createSmartContractNode: (config, privateKey, { nodeId } = {}) => ({
+      executeRead: async (contractAddress, abi, methodName, parameters, network) => {
+        const result = lookup('contractReads', [nodeId, methodName], `${methodName}() (node ${nodeId})`);
+        calls.push({ type: 'contractRead', nodeId, contractAddress, methodName, parameters, network });
+        return result;
+      },
+      executeWrite: async (contractAddress, abi, methodName, parameters, network, options = {}) => {
+        const result = lookup('contractWrites', [nodeId, methodName], `${methodName}() (node ${nodeId})`);
+        calls.push({ type: 'contractWrite', nodeId, contractAddress, methodName, parameters, network, value: options.value });
+        return result;
+      }
+    }),
+
+    fetchMarketData: async (symbol, { nodeId } = {}) => {
+      const scripted = nextScripted(
+        `marketData:${symbol}`,
+        lookup('marketData', [symbol, String(symbol).toLowerCase()], `symbol ${symbol} (node ${nodeId})`)
+      );
+      const quote = typeof scripted === 'number' ? { price_usd: scripted } : scripted;
+      calls.push({ type: 'marketData', nodeId, symbol, quote });
+      return {
+        price_usd: null,
+        market_cap: null,
+        volume_24h: null,
+        change_24h: null,
+        last_updated: null,
+        ...quote,
+        symbol
+      };
+    }
+  };
+}
+
+// Objects match when every expected key matches; arrays and primitives must match exactly
+function collectMismatches(actual, expected, path, failures) {
+  if (expected !== null && typeof expected === 'object' && !Array.isArray(expected)) {
+    if (actual === null || typeof actual !== 'object' || Array.isArray(actual)) {
+      failures.push(`${path}: expected an object, got ${JSON.stringify(actual)}`);
+      return;
+    }
+    for (const [key, value] of Object.entries(expected)) {
+      collectMismatches(actual[key], value, `${path}.${key}`, failures);
+    }
+    return;
+  }
+
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual) || actual.length !== expected.length) {
+      failures.push(`${path}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+      return;
+    }
+    expected.forEach((value, index) => collectMismatches(actual[index], value, `${path}[${index}]`, failures));
+    return;
+  }
+
+  if (actual !== expected) {
+    failures.push(`${path}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+export function checkExpectations(result, expectations = {}) {
+  const failures = [];
+  const expectedStatus = expectations.status || 'completed';
+  if (result.status !== expectedStatus) {
+    failures.push(`status: expected '${expectedStatus}', got '${result.status}'${result.error ? ` (${result.error})` : ''}`);
+  }
+  if (expectations.error && !(result.error || '').includes(expectations.error)) {
+    failures.push(`error: expected to contain ${JSON.stringify(expectations.error)}, got ${JSON.stringify(result.error)}`);
+  }
+  if (expectations.variables) {
+    collectMismatches(result.variables, expectations.variables, 'variables', failures);
+  }
+  if (expectations.nodeResults) {
+    collectMismatches(result.nodeResults, expectations.nodeResults, 'nodeResults', failures);
+  }
+  return failures;
+}
+
+// Execute a flow with fixture-backed services and check `fixtures.expect`.
+// Usable directly from Jest: `expect((await runFlowTest(flow, fixtures)).failures).toEqual([])`
+export async function runFlowTest(flowData, fixtures = {}) {
+  const calls = [];
+  const executor = new BackendFlowExecutor(fixtures.privateKey || 'fixture-key', {
+    services: createFixtureServices(fixtures, flowData, calls),
+    // Fake backends never sign, so keystore wallets resolve to placeholders
+    keystore: { unlock: name => `fixture-key:${name}` },
+    // Only a fixture `policy` applies; spending is counted in memory for this test
+    policy: fixtures.policy ? new PolicyEngine(fixtures.policy, { ledgerFile: null, auditFile: null }) : null,
+    usageLedger: new LLMUsageLedger({ file: null }),
+    startWebhookServer: false,
+    trigger: fixtures.trigger || null,
+    inputs: fixtures.inputs || {}
+  });
+
+  let status = 'completed';
+  let error = null;
+  try {
+    await executor.executeFlow(flowData);
+  } catch (err) {
+    status = 'failed';
+    error = err.message;
+  }
+
+  const result = {
+    status,
+    error,
+    variables: toPlainObject(executor.variables),
+    nodeResults: toPlainObject(executor.nodeResults),
+    calls
+  };
+  result.failures = checkExpectations(result, fixtures.expect);
+  result.passed = result.failures.length === 0;
+  return result;
+}
@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import { logger } from '../utils/logger.js';
+import { isProcessAlive } from './flowControl.js';
 
 const TRACKING_FILE = path.join(process.cwd(), '.running-flows.json');
 
@@ -18,18 +19,33 @@ export class FlowTracker {
   getRunningFlows() {
     try {
       const data = fs.readFileSync(TRACKING_FILE, 'utf-8');
-      return JSON.parse(data);
+      const flows = JSON.parse(data);
+      return this.pruneStaleFlows(flows);
     } catch (error) {
       logger.error('Error reading running flows file:', error);
       return {};
     }
   }
 
+  // Drop entries whose owning process has died without cleaning up (crash, kill -9)
+  pruneStaleFlows(flows) {
+    const stale = Object.keys(flows).filter(name => flows[name].pid && !isProcessAlive(flows[name].pid));
+    if (stale.length === 0) return flows;
+
+    for (const name of stale) {
+      logger.warn(`Flow '${name}' was tracked as ${flows[name].status} but process ${flows[name].pid} is gone; removing`);
+      delete flows[name];
+    }
+    fs.writeFileSync(TRACKING_FILE, JSON.stringify(flows, null, 2));
+    return flows;
+  }
+
   addRunningFlow(flowName, flowInfo) {
     try {
       const flows = this.getRunningFlows();
       flows[flowName] = {
         ...flowInfo,
+        pid: process.pid,
         startTime: new Date().toISOString(),
         status: 'running'
       };
@@ -64,6 +80,9 @@ export class FlowTracker {
         if (error) {
           flows[flowName].error = error;
         }
+        if (status !== 'running') {
+          flows[flowName].endTime = new Date().toISOString();
+        }
         fs.writeFileSync(TRACKING_FILE, JSON.stringify(flows, null, 2));
         logger.info(`Updated flow '${flowName}' status to ${status}`);
       }
@@ -0,0 +1,245 @@
+import Ajv from 'ajv';
+import { flowSchema } from './nodeSchemas.js';
+import { nodeRegistry } from './nodeRegistry.js';
+import { LLM_PROVIDERS, resolveProvider } from './llmProviders.js';
+import { priceFor } from './llmUsage.js';
+import { approvalChannelProblem } from './policy.js';
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validateFlowShape = ajv.compile(flowSchema);
+// Compiled config schemas, per node definition
+const configValidators = new WeakMap();
+
+function getConfigValidator(definition) {
+  if (!configValidators.has(definition)) {
+    configValidators.set(definition, ajv.compile(definition.configSchema));
+  }
+  return configValidators.get(definition);
+}
+
+// Start node settings that launch runs with a {trigger} payload
+const TRIGGER_KEYS = ['schedule', 'webhookTrigger', 'eventTrigger', 'balanceWatch'];
+
+// `{name}` / `{name.path}` placeholders; the identifier check keeps JSON (e.g. ABIs) from matching
+const VARIABLE_REFERENCE = /\{\s*([A-Za-z_][\w]*)(?:\.[\w.]+)?\s*\}/g;
+
+function formatAjvErrors(errors, basePath) {
+  return errors.map((err) => {
+    const location = `${basePath}${err.instancePath}`;
+    let message = err.message;
+    if (err.keyword === 'enum') {
+      message = `must be one of: ${err.params.allowedValues.join(', ')}`;
+    } else if (err.keyword === 'required') {
+      message = `missing required field '${err.params.missingProperty}'`;
+    }
+    return { path: location, message };
+  });
+}
+
+function collectReferences(value, refs = new Set()) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(VARIABLE_REFERENCE)) {
+      refs.add(match[1]);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectReferences(item, refs));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectReferences(item, refs));
+  }
+  return refs;
+}
+
+function findCycle(nodeIds, edges) {
+  const adjacency = Object.fromEntries(nodeIds.map(id => [id, []]));
+  for (const edge of edges) {
+    if (adjacency[edge.source] && adjacency[edge.target]) {
+      adjacency[edge.source].push(edge.target);
+    }
+  }
+
+  const state = {};
+  const stack = [];
+  const visit = (id) => {
+    state[id] = 'visiting';
+    stack.push(id);
+    for (const next of adjacency[id]) {
+      if (state[next] === 'visiting') {
+        return [...stack.slice(stack.indexOf(next)), next];
+      }
+      if (!state[next]) {
+        const cycle = visit(next);
+        if (cycle) return cycle;
+      }
+    }
+    stack.pop();
+    state[id] = 'done';
+    return null;
+  };
+
+  for (const id of nodeIds) {
+    if (!state[id]) {
+      const cycle = visit(id);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+}
+
+// Validate a flow definition against the registered node types. Returns line items rather
+// than throwing so callers can report every problem at once. Custom node types must be
+// loaded first (nodeRegistry.loadCustomNodes()). With a transaction `policy` (PolicyEngine),
+// its approval settings are checked against the flow too.
+export function validateFlow(flowData, { policy = null } = {}) {
+  const errors = [];
+  const warnings = [];
+  const addError = (nodeId, path, message) => errors.push({ nodeId, path, message });
+  const addWarning = (nodeId, path, message) => warnings.push({ nodeId, path, message });
+
+  if (!validateFlowShape(flowData)) {
+    for (const { path, message } of formatAjvErrors(validateFlowShape.errors, 'flow')) {
+      addError(null, path, message);
+    }
+    return { valid: false, errors, warnings };
+  }
+
+  const { nodes, edges } = flowData;
+  const nodeMap = {};
+  for (const node of nodes) {
+    if (nodeMap[node.id]) {
+      addError(node.id, 'id', 'duplicate node id');
+    }
+    nodeMap[node.id] = node;
+  }
+
+  // Per-node config checks
+  for (const node of nodes) {
+    if (node.data.type && node.data.type !== node.type) {
+      addWarning(node.id, 'data.type', `data.type '${node.data.type}' differs from node type '${node.type}'; '${node.type}' is used`);
+    }
+
+    const definition = nodeRegistry.get(node.type);
+    if (!definition) {
+      addError(node.id, 'type', `unknown node type '${node.type}'`);
+      continue;
+    }
+
+    const config = node.data.config || {};
+    let validateConfig;
+    try {
+      validateConfig = getConfigValidator(definition);
+    } catch (error) {
+      addError(node.id, 'type', `node type '${node.type}' has an invalid configSchema: ${error.message}`);
+      continue;
+    }
+    if (!validateConfig(config)) {
+      for (const { path, message } of formatAjvErrors(validateConfig.errors, 'config')) {
+        addError(node.id, path, message);
+      }
+    }
+    for (const { path, message } of definition.validateConfig?.(config) || []) {
+      addError(node.id, path, message);
+    }
+  }
+
+  // A cost budget only counts calls to models with a known price
+  if (flowData.llmBudget?.maxCostUsd !== undefined) {
+    for (const node of nodes.filter(n => n.type === 'llm')) {
+      const config = node.data.config || {};
+      if (!LLM_PROVIDERS[config.provider || 'openai']) continue;
+      const provider = resolveProvider(config);
+      if (!priceFor(provider, config.pricing)) {
+        addWarning(node.id, 'config.pricing', `no known price for model '${provider.model}'; set pricing so its calls count towards llmBudget.maxCostUsd`);
+      }
+    }
+  }
+
+  // Graph checks
+  const startNodes = nodes.filter(n => n.type === 'start');
+  if (startNodes.length === 0) {
+    addError(null, 'nodes', 'flow must have a start node');
+  } else if (startNodes.length > 1) {
+    addWarning(startNodes[1].id, 'type', `flow has ${startNodes.length} start nodes; only '${startNodes[0].id}' is executed`);
+  }
+
+  edges.forEach((edge, index) => {
+    const edgeLabel = edge.id || `edges[${index}]`;
+    if (!nodeMap[edge.source]) {
+      addError(null, edgeLabel, `edge source '${edge.source}' does not exist`);
+    }
+    if (!nodeMap[edge.target]) {
+      addError(null, edgeLabel, `edge target '${edge.target}' does not exist`);
+    }
+    // Nodes with several output ports (e.g. conditional true/false) need to know which one an edge leaves
+    const outputs = nodeRegistry.get(nodeMap[edge.source]?.type)?.outputs || [];
+    if (outputs.length > 1 && !outputs.includes(edge.sourceHandle)) {
+      addError(edge.source, edgeLabel, `${nodeMap[edge.source].type} edge to '${edge.target}' must have sourceHandle ${outputs.map(o => `'${o}'`).join(' or ')}`);
+    }
+  });
+
+  const cycle = findCycle(Object.keys(nodeMap), edges);
+  if (cycle) {
+    addError(cycle[0], 'edges', `cycle detected: ${cycle.join(' → ')} (use an interval timer for loops)`);
+  }
+
+  if (startNodes.length > 0) {
+    const reachable = new Set([startNodes[0].id]);
+    const queue = [startNodes[0].id];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      for (const edge of edges.filter(e => e.source === id)) {
+        if (nodeMap[edge.target] && !reachable.has(edge.target)) {
+          reachable.add(edge.target);
+          queue.push(edge.target);
+        }
+      }
+    }
+    for (const node of nodes) {
+      if (!reachable.has(node.id)) {
+        addWarning(node.id, null, 'node is not reachable from the start node and will never run');
+      }
+    }
+  }
+
+  // Variable references that nothing defines
+  const defined = new Set();
+  for (const node of nodes) {
+    const config = node.data.config || {};
+    if (node.type === 'start') {
+      (config.variables || []).forEach(v => defined.add(v.name));
+      // Triggered runs get the trigger payload as {trigger}
+      if (TRIGGER_KEYS.some(key => config[key])) {
+        defined.add('trigger');
+      }
+    }
+    if (node.type === 'variable' && config.variableName) {
+      defined.add(config.variableName);
+    }
+    if (config.outputVariable) {
+      defined.add(config.outputVariable);
+    }
+  }
+  for (const node of nodes) {
+    for (const ref of collectReferences(node.data.config || {})) {
+      if (!defined.has(ref)) {
+        addWarning(node.id, 'config', `references variable '{${ref}}' which no Start variable or outputVariable defines`);
+      }
+    }
+  }
+
+  // Policy exceptions are asked for in Telegram; without a chat every violation would be blocked
+  if (policy?.rulesFor(flowData.name || 'unnamed').onViolation === 'approve') {
+    const startVariables = startNodes[0]?.data.config?.variables || [];
+    const chatId = startVariables.find(v => v.name === 'telegramChatId')?.defaultValue || process.env.TELEGRAM_CHAT_ID;
+    const problem = approvalChannelProblem(chatId);
+    if (problem) {
+      addError(null, 'policy', `the transaction policy asks for approvals (onViolation "approve") but ${problem}`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+export function formatValidationIssue(issue) {
+  const location = [issue.nodeId && `[${issue.nodeId}]`, issue.path].filter(Boolean).join(' ');
+  return location ? `${location}: ${issue.message}` : issue.message;
+}
@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { privateKeyToAccount } from 'viem/accounts';
+
+// Named wallets for flows and nodes that should not sign as SEI_PRIVATE_KEY. Each wallet is
+// one JSON file in the keystore directory holding its address in the clear and its private
+// key encrypted with AES-256-GCM under a scrypt-derived key, so `list` never needs the
+// passphrase and nothing on disk reveals a key without it.
+//
+// The passphrase comes from AGENTPAD_KEYSTORE_PASSPHRASE when flows run unattended.
+
+export const PASSPHRASE_ENV = 'AGENTPAD_KEYSTORE_PASSPHRASE';
+const KEYSTORE_DIR = process.env.AGENTPAD_KEYSTORE_DIR || path.join(process.cwd(), '.agentpad', 'wallets');
+const WALLET_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const PRIVATE_KEY = /^0x[0-9a-fA-F]{64}$/;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+// scrypt needs 128 * N * r bytes; Node's default cap (32 MiB) is exactly that, so leave headroom
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+function deriveKey(passphrase, salt, { N, r, p }) {
+  return crypto.scryptSync(passphrase, salt, 32, { N, r, p, maxmem: SCRYPT_MAXMEM });
+}
+
+export class Keystore {
+  constructor({ dir = KEYSTORE_DIR } = {}) {
+    this.dir = dir;
+  }
+
+  walletPath(name) {
+    if (!WALLET_NAME.test(name || '')) {
+      throw new Error(`Invalid wallet name '${name}': use letters, digits, '-' and '_'`);
+    }
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  has(name) {
+    return fs.existsSync(this.walletPath(name));
+  }
+
+  readWallet(name) {
+    const walletPath = this.walletPath(name);
+    if (!fs.existsSync(walletPath)) {
+      throw new Error(`Wallet '${name}' not found in ${this.dir}`);
+    }
+    return JSON.parse(fs.readFileSync(walletPath, 'utf-8'));
+  }
+
+  // Name, address and creation time of every wallet; never decrypts anything
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .map((file) => {
+        try {
+          const { name, address, createdAt } = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf-8'));
+          return { name, address, createdAt };
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  add(name, privateKey, passphrase) {
+    const walletPath = this.walletPath(name);
+    if (fs.existsSync(walletPath)) {
+      throw new Error(`Wallet '${name}' already exists; remove it first to replace it`);
+    }
+    const key = privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`;
+    if (!PRIVATE_KEY.test(key)) {
+      throw new Error('Private key must be 32 bytes of hex');
+    }
+    if (!passphrase) {
+      throw new Error('A passphrase is required to encrypt the wallet');
+    }
+
+    const { address } = privateKeyToAccount(key);
+    const salt = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt, SCRYPT_PARAMS), iv);
+    // Binding name and address means a file renamed or edited by hand fails to decrypt
+    cipher.setAAD(Buffer.from(`${name}:${address}`));
+    const ciphertext = Buffer.concat([cipher.update(key.slice(2), 'hex'), cipher.final()]);
+
+    const wallet = {
+      version: 1,
+      name,
+      address,
+      createdAt: new Date().toISOString(),
+      crypto: {
+        cipher: 'aes-256-gcm',
+        kdf: 'scrypt',
+        kdfparams: { ...SCRYPT_PARAMS, salt: salt.toString('hex') },
+        iv: iv.toString('hex'),
+        tag: cipher.getAuthTag().toString('hex'),
+        ciphertext: ciphertext.toString('hex')
+      }
+    };
+
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(walletPath, JSON.stringify(wallet, null, 2), { mode: 0o600, flag: 'wx' });
+    return { name, address, createdAt: wallet.createdAt };
+  }
+
+  remove(name) {
+    const wallet = this.readWallet(name);
+    fs.unlinkSync(this.walletPath(name));
+    return { name, address: wallet.address };
+  }
+
+  // The wallet's private key; only ever handed to signing clients, never logged
+  unlock(name, passphrase = process.env[PASSPHRASE_ENV]) {
+    const wallet = this.readWallet(name);
+    if (!passphrase) {
+      throw new Error(`Wallet '${name}' is encrypted; set ${PASSPHRASE_ENV} to unlock it`);
+    }
+
+    const { kdfparams, iv, tag, ciphertext } = wallet.crypto;
+    let key;
+    try {
+      const decipher = crypto.createDecipheriv(
+        'aes-256-gcm',
+        deriveKey(passphrase, Buffer.from(kdfparams.salt, 'hex'), kdfparams),
+        Buffer.from(iv, 'hex')
+      );
+      decipher.setAAD(Buffer.from(`${wallet.name}:${wallet.address}`));
+      decipher.setAuthTag(Buffer.from(tag, 'hex'));
+      key = `0x${Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]).toString('hex')}`;
+    } catch {
+      throw new Error(`Could not unlock wallet '${name}': wrong passphrase or corrupted keystore file`);
+    }
+
+    if (privateKeyToAccount(key).address !== wallet.address) {
+      throw new Error(`Could not unlock wallet '${name}': key does not match address ${wallet.address}`);
+    }
+    return key;
+  }
+}
@@ -0,0 +1,255 @@
+import fs from 'fs';
+import path from 'path';
+import { HumanMessage, RemoveMessage, SystemMessage } from '@langchain/core/messages';
+import { MemorySaver, REMOVE_ALL_MESSAGES } from '@langchain/langgraph';
+import { withFileLock } from '../utils/fileLock.js';
+
+// Conversation memory for LLM nodes (`config.memory`). The scope picks the agent's thread:
+//   none    a fresh conversation every execution (the default)
+//   run     one conversation per node per run, e.g. across interval ticks
+//   flow    one conversation per node across all runs of the flow
+//   thread  a named conversation shared by every node and flow that uses the name
+// Threads other than `none` are checkpointed to disk, so they survive restarts and resumes.
+
+const MEMORY_DIR = process.env.AGENTPAD_LLM_MEMORY_DIR || path.join(process.cwd(), '.agentpad', 'llm-memory');
+
+export const MEMORY_SCOPES = ['none', 'run', 'flow', 'thread'];
+export const DEFAULT_MAX_MESSAGES = 40;
+
+// Checkpoint payloads are bytes; JSON files hold them as base64
+function encode(value) {
+  return value instanceof Uint8Array ? { base64: Buffer.from(value).toString('base64') } : value;
+}
+
+function decode(value) {
+  return value && typeof value === 'object' && 'base64' in value
+    ? new Uint8Array(Buffer.from(value.base64, 'base64'))
+    : value;
+}
+
+function mapValues(object, fn) {
+  return Object.fromEntries(Object.entries(object || {}).map(([key, value]) => [key, fn(value)]));
+}
+
+// MemorySaver that keeps only the latest checkpoint of each thread and mirrors every thread to
+// its own JSON file. `persist: false` reads threads from disk but never writes (dry runs).
+// Several processes (or savers) may share a thread: a thread is re-read whenever its file has
+// changed, and saves merge with the file under a lock, so turns taken one after another all
+// stay in the history. Two turns that overlap both start from the same history; only the newer
+// checkpoint is kept, so one of those turns is dropped rather than everything before it.
+export class FileCheckpointSaver extends MemorySaver {
+  constructor({ dir = MEMORY_DIR, persist = true } = {}) {
+    super();
+    this.dir = dir;
+    this.persist = persist;
+    // Thread id -> version of its file this saver last read or wrote
+    this.loaded = new Map();
+  }
+
+  threadPath(threadId) {
+    return path.join(this.dir, `${encodeURIComponent(threadId)}.json`);
+  }
+
+  fileVersion(threadId) {
+    try {
+      const stat = fs.statSync(this.threadPath(threadId));
+      return `${stat.mtimeMs}:${stat.size}`;
+    } catch {
+      return null;
+    }
+  }
+
+  // The thread as saved on disk, or null when it has no file
+  readThread(threadId) {
+    const file = this.threadPath(threadId);
+    if (!fs.existsSync(file)) return null;
+    const saved = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return {
+      storage: mapValues(saved.storage, namespace => mapValues(
+        namespace,
+        ([checkpoint, metadata, parentId]) => [decode(checkpoint), decode(metadata), parentId]
+      )),
+      writes: mapValues(saved.writes, writes => mapValues(writes, ([taskId, channel, value]) => [taskId, channel, decode(value)]))
+    };
+  }
+
+  writesOf(threadId, namespace = null) {
+    return Object.keys(this.writes).filter((key) => {
+      const [thread, ns] = JSON.parse(key);
+      return thread === threadId && (namespace === null || (ns ?? '') === namespace);
+    });
+  }
+
+  load(threadId) {
+    if (threadId === undefined) return;
+    const version = this.fileVersion(threadId);
+    if (this.loaded.has(threadId) && this.loaded.get(threadId) === version) return;
+    this.loaded.set(threadId, version);
+    const saved = this.readThread(threadId);
+    if (saved) this.merge(threadId, saved);
+  }
+
+  // Takes the saved checkpoint of each namespace where it is newer than ours
+  merge(threadId, saved) {
+    const storage = this.storage[threadId] || {};
+    for (const [namespace, checkpoints] of Object.entries(saved.storage)) {
+      const savedId = Object.keys(checkpoints).sort().pop();
+      const ourId = Object.keys(storage[namespace] || {}).sort().pop();
+      if (!savedId || (ourId && ourId >= savedId)) continue;
+
+      storage[namespace] = checkpoints;
+      for (const key of this.writesOf(threadId, namespace)) delete this.writes[key];
+      for (const [key, writes] of Object.entries(saved.writes)) {
+        if ((JSON.parse(key)[1] ?? '') === namespace) this.writes[key] = writes;
+      }
+    }
+    this.storage[threadId] = storage;
+  }
+
+  // Older checkpoints and their pending writes are never read again once a newer one exists
+  prune(threadId, namespace) {
+    const checkpoints = this.storage[threadId]?.[namespace] || {};
+    const checkpointId = Object.keys(checkpoints).sort().pop();
+    for (const id of Object.keys(checkpoints)) {
+      if (id !== checkpointId) delete checkpoints[id];
+    }
+    for (const key of this.writesOf(threadId, namespace)) {
+      if (JSON.parse(key)[2] !== checkpointId) delete this.writes[key];
+    }
+  }
+
+  save(threadId) {
+    if (!this.persist) return;
+    fs.mkdirSync(this.dir, { recursive: true });
+    const file = this.threadPath(threadId);
+
+    withFileLock(file, () => {
+      // Another process may have saved this thread since we read it
+      if (this.fileVersion(threadId) !== this.loaded.get(threadId)) {
+        const saved = this.readThread(threadId);
+        if (saved) this.merge(threadId, saved);
+      }
+
+      const storage = mapValues(this.storage[threadId], namespace => mapValues(
+        namespace,
+        ([checkpoint, metadata, parentId]) => [encode(checkpoint), encode(metadata), parentId]
+      ));
+      const writes = {};
+      for (const key of this.writesOf(threadId)) {
+        writes[key] = mapValues(this.writes[key], ([taskId, channel, value]) => [taskId, channel, encode(value)]);
+      }
+
+      const tmpFile = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify({ threadId, updatedAt: new Date().toISOString(), storage, writes }));
+      fs.renameSync(tmpFile, file);
+      this.loaded.set(threadId, this.fileVersion(threadId));
+    });
+  }
+
+  async getTuple(config) {
+    this.load(config.configurable?.thread_id);
+    return super.getTuple(config);
+  }
+
+  async *list(config, options) {
+    this.load(config.configurable?.thread_id);
+    yield* super.list(config, options);
+  }
+
+  async put(config, checkpoint, metadata) {
+    const threadId = config.configurable?.thread_id;
+    this.load(threadId);
+    const result = await super.put(config, checkpoint, metadata);
+    this.prune(threadId, config.configurable?.checkpoint_ns ?? '');
+    this.save(threadId);
+    return result;
+  }
+
+  async putWrites(config, writes, taskId) {
+    const threadId = config.configurable?.thread_id;
+    this.load(threadId);
+    await super.putWrites(config, writes, taskId);
+    this.save(threadId);
+  }
+}
+
+// One saver per process so nodes sharing a thread see each other's turns
+let sharedCheckpointer = null;
+
+export function getCheckpointer({ dryRun = false } = {}) {
+  if (dryRun) {
+    return new FileCheckpointSaver({ persist: false });
+  }
+  sharedCheckpointer ??= new FileCheckpointSaver();
+  return sharedCheckpointer;
+}
+
+// Thread id for a node's memory scope, or null for a throwaway conversation
+export function resolveMemoryThread(memory = {}, { runId, flowName, nodeId }) {
+  switch (memory.scope || 'none') {
+    case 'run':
+      return runId ? `run:${runId}:${nodeId}` : null;
+    case 'flow':
+      return `flow:${flowName || 'unnamed'}:${nodeId}`;
+    case 'thread':
+      return `thread:${memory.thread}`;
+    default:
+      return null;
+  }
+}
+
+export function validateMemoryConfig(memory) {
+  if (!memory || typeof memory !== 'object') return [];
+  const errors = [];
+  if (memory.scope === 'thread' && !memory.thread) {
+    errors.push({ path: 'config.memory.thread', message: "scope 'thread' needs a thread name" });
+  }
+  const maxMessages = memory.maxMessages ?? DEFAULT_MAX_MESSAGES;
+  if (memory.keepMessages !== undefined && memory.keepMessages >= maxMessages) {
+    errors.push({ path: 'config.memory.keepMessages', message: `must be less than maxMessages (${maxMessages})` });
+  }
+  return errors;
+}
+
+function messageText(message) {
+  const content = typeof message.content === 'string'
+    ? message.content
+    : (message.content || []).filter(part => part.type === 'text').map(part => part.text).join('');
+  const calls = (message.tool_calls || []).map(call => `${call.name}(${JSON.stringify(call.args)})`);
+  return [content, ...calls].filter(Boolean).join(' ');
+}
+
+async function summarizeMessages(llm, messages, onReply) {
+  const transcript = messages.map(message => `${message.getType()}: ${messageText(message)}`).join('\n');
+  const reply = await llm.invoke([
+    new SystemMessage('Summarize this conversation for your own future reference. Keep facts, numbers, decisions and anything already reported or done; drop small talk. Answer with the summary only.'),
+    new HumanMessage(transcript)
+  ]);
+  onReply?.(reply);
+  return new HumanMessage(`Summary of the earlier conversation:\n${messageText(reply)}`);
+}
+
+// preModelHook for the agent: once a thread holds more than `maxMessages`, the oldest messages
+// are dropped until `keepMessages` remain (default half), starting at a user turn so tool
+// calls stay next to their results. With `summarize` the dropped part is replaced by a summary,
+// whose model reply is passed to `onReply` so its tokens are counted.
+export function createHistoryLimiter(memory, llm, onReply = null) {
+  const maxMessages = memory.maxMessages ?? DEFAULT_MAX_MESSAGES;
+  const keepMessages = memory.keepMessages ?? Math.max(1, Math.floor(maxMessages / 2));
+
+  return async ({ messages }) => {
+    if (messages.length <= maxMessages) return {};
+
+    let start = messages.length - keepMessages;
+    while (start < messages.length && messages[start].getType() !== 'human') start++;
+    if (start >= messages.length) {
+      // The window is one long tool loop; keep the whole current turn
+      start = messages.findLastIndex(message => message.getType() === 'human');
+    }
+    if (start <= 0) return {};
+
+    const kept = messages.slice(start);
+    const summary = memory.summarize ? [await summarizeMessages(llm, messages.slice(0, start), onReply)] : [];
+    return { messages: [new RemoveMessage({ id: REMOVE_ALL_MESSAGES }), ...summary, ...kept] };
+  };
+}
@@ -1,16 +1,37 @@
 import { createSeiTools, ModelProviderName } from "sei-agent-kit";
 import NetworkAwareSeiAgentKit from "./networkAwareSeiAgentKit.js";
-import { ChatOpenAI } from "@langchain/openai";
+import { createChatModel, providerConfigError, resolveProvider } from "./llmProviders.js";
+import { StructuredOutput } from "./structuredOutput.js";
+import { createHistoryLimiter, getCheckpointer } from "./llmMemory.js";
+import { addUsage, emptyUsage, priceFor, usageFromMessage } from "./llmUsage.js";
+import { AgentTrace } from "./agentTrace.js";
+import { TelegramChat } from "./telegramChat.js";
 import { HumanMessage } from "@langchain/core/messages";
 import { MemorySaver } from "@langchain/langgraph";
 import { createReactAgent } from "@langchain/langgraph/prebuilt";
 import readline from 'readline';
 
 class LLMNode {
-  constructor(config, privateKey, network = 'mainnet') {
+  constructor(config, privateKey, network = 'mainnet', options = {}) {
     this.config = config;
     this.privateKey = privateKey;
     this.network = network;
+    this.dryRun = options.dryRun || null;
+    this.nodeId = options.nodeId || null;
+    this.policy = options.policy || null;
+    // Tools declared in config.tools (contract methods, workflow variables, market prices)
+    this.extraTools = options.tools || [];
+    // outputMode 'structured': schema-checked JSON answers, re-prompted until they match
+    this.structuredOutput = config.outputMode === 'structured' ? new StructuredOutput(config) : null;
+    // Persistent conversation thread for config.memory scopes other than 'none'
+    this.memoryThread = options.memoryThread || null;
+    // Model calls, tokens, tool calls and cost of this execution (see services/llmUsage.js)
+    this.usage = emptyUsage();
+    // The agent's messages and tool calls with their results and latency (see services/agentTrace.js)
+    this.trace = new AgentTrace(this.nodeId);
+    // chatInterface 'telegram' receives the chat's messages through the webhook server
+    this.webhookHandler = options.webhookHandler || null;
+    this.signal = options.signal || null;
     
     // Initialize context for workflows
     this.context = null;
@@ -20,8 +41,11 @@ class LLMNode {
   }
   
   async initializeAgent() {
+    this.initError = null;
     try {
       // 1. Initialize Language Model based on provider
+      this.provider = resolveProvider(this.config);
+      this.price = priceFor(this.provider, this.config.pricing);
       this.llm = this.createLanguageModel();
 
       // 2. Create NetworkAwareSeiAgentKit instance with network support
@@ -30,13 +54,26 @@ class LLMNode {
         ModelProviderName.OPENAI, // sei-agent-kit still uses OpenAI for tools
         this.network
       );
+      // In a dry run the agent's write tools are recorded instead of sent
+      if (this.dryRun) {
+        this.seiKit = this.dryRun.wrapSeiKit(this.seiKit, this.nodeId);
+      }
+      // The agent's writes are checked by the transaction policy like any other node's
+      if (this.policy) {
+        this.seiKit = this.policy.wrapSeiKit(this.seiKit);
+      }
 
-      // 3. Generate tools from SeiAgentKit using the official function
-      this.agentTools = createSeiTools(this.seiKit);
+      // 3. Generate tools from SeiAgentKit using the official function, plus the node's own
+      this.agentTools = [...createSeiTools(this.seiKit), ...this.extraTools];
 
-      // 4. Create memory for conversation
-      this.memory = new MemorySaver();
-      this.agentConfig = { configurable: { thread_id: "AgentPad-LLM-Session" } };
+      // 4. Create memory for conversation: a throwaway one, or the node's persistent thread
+      if (this.memoryThread) {
+        this.memory = getCheckpointer({ dryRun: Boolean(this.dryRun) });
+        this.agentConfig = { configurable: { thread_id: this.memoryThread } };
+      } else {
+        this.memory = new MemorySaver();
+        this.agentConfig = { configurable: { thread_id: "AgentPad-LLM-Session" } };
+      }
 
       // 5. Create and configure the agent
       this.agent = createReactAgent({
@@ -44,31 +81,66 @@ class LLMNode {
         tools: this.agentTools,
         checkpointSaver: this.memory,
         messageModifier: this.buildSystemPrompt(),
+        // Long-lived threads are trimmed (or summarized) before they reach the model
+        ...(this.memoryThread ? { preModelHook: createHistoryLimiter(this.config.memory, this.llm, reply => this.recordUsage(reply)) } : {}),
       });
 
       
     } catch (error) {
       console.error("❌ Failed to initialize LLM Agent:", error.message);
       this.agent = null;
+      this.initError = error;
     }
   }
 
   createLanguageModel() {
-    const model = this.config.model || "gpt-4o-mini";
-    const temperature = this.config.temperature || 0.1;
+    // A missing key, base URL or model is reported as such, not as whatever the provider's client throws
+    const configError = providerConfigError(this.provider);
+    if (configError) {
+      throw new Error(configError);
+    }
+
+    const temperature = Number(this.config.temperature || 0.1);
     const maxTokens = Number(this.config.maxTokens || process.env.LLM_MAX_TOKENS || 512);
 
-    return new ChatOpenAI({
-      modelName: model,
-      temperature: temperature,
-      maxTokens,
-    });
+    return createChatModel(this.provider, { temperature, maxTokens });
+  }
+
+  recordUsage(reply) {
+    addUsage(this.usage, usageFromMessage(reply, this.price));
+  }
+
+  // Counts and traces the model replies and tool results of one chunk of the agent stream
+  trackChunk(responseChunk) {
+    if ("agent" in responseChunk) {
+      for (const message of responseChunk.agent.messages) {
+        this.recordUsage(message);
+        this.trace.addAgentMessage(message);
+      }
+    } else if ("tools" in responseChunk) {
+      this.usage.toolCalls += responseChunk.tools.messages.length;
+      responseChunk.tools.messages.forEach(message => this.trace.addToolResult(message));
+    }
   }
   
   buildSystemPrompt() {
     // Check output mode first
     const outputMode = this.config.outputMode || 'assistant';
     
+    if (outputMode === 'structured') {
+      let systemPrompt = this.config.systemPrompt || this.config.prompt || 'You are an automation planning assistant. Decide the next action from the input and the workflow variables.';
+      systemPrompt += `\n\n${this.structuredOutput.describe()}`;
+
+      if (this.context && this.context.variables) {
+        systemPrompt += `\n\nCurrent workflow variables available to you:\n`;
+        for (const [key, value] of Object.entries(this.context.variables)) {
+          systemPrompt += `- ${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}\n`;
+        }
+      }
+
+      return systemPrompt;
+    }
+
     if (outputMode === 'action') {
       // Prefer user-provided prompt for action mode; fall back to minimal JSON spec
       const userActionPrompt = this.config.systemPrompt || this.config.prompt || this.config.actionPrompt;
@@ -217,13 +289,15 @@ Always use the blockchain tools to get real-time data. Check workflow variables
       }
       
       if (!this.agent) {
-        throw new Error("Failed to initialize LLM agent with sei-agent-kit");
+        throw this.initError || new Error("Failed to initialize LLM agent with sei-agent-kit");
       }
       
       const userInput = input || this.config.input || "Please analyze the current situation and provide insights.";
       
       // Check if this is interactive chat mode
-      if (this.config.chatInterface) {
+      if (this.config.chatInterface === 'telegram') {
+        return await this.startTelegramChat();
+      } else if (this.config.chatInterface) {
         return await this.startInteractiveChat(userInput);
       } else {
         // Automated workflow mode
@@ -240,33 +314,12 @@ Always use the blockchain tools to get real-time data. Check workflow variables
     const resolvedInput = this.resolveVariablesInInput(userInput);
 
     
-    // Check if API key is configured
-    if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY.includes('your_')) {
-      const errorMsg = "OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.";
-      console.error(errorMsg);
-      return errorMsg;
+    if (this.structuredOutput) {
+      return await this.processStructuredInput(resolvedInput);
     }
     
     try {
-  
-      
-      // Use the agent to process the input - ALWAYS use React agent for sei-agent-kit compatibility
-      const responseStream = await this.agent.stream(
-        { messages: [new HumanMessage(resolvedInput)] },
-        this.agentConfig
-      );
-
-      let finalResponse = "";
-      
-      // Process the streaming response
-      for await (const responseChunk of responseStream) {
-        if ("agent" in responseChunk) {
-          const agentMessage = responseChunk.agent.messages[0].content;
-          finalResponse = agentMessage;
-        } else if ("tools" in responseChunk) {
-          const toolMessage = responseChunk.tools.messages[0].content;
-        }
-      }
+      const finalResponse = await this.runAgent(resolvedInput);
       
       // Handle action output mode
       const outputMode = this.config.outputMode || 'assistant';
@@ -282,6 +335,35 @@ Always use the blockchain tools to get real-time data. Check workflow variables
     }
   }
 
+  // One turn on the agent's thread; resolves to its final message
+  async runAgent(message) {
+    // Use the agent to process the input - ALWAYS use React agent for sei-agent-kit compatibility
+    const responseStream = await this.agent.stream(
+      { messages: [new HumanMessage(message)] },
+      this.agentConfig
+    );
+
+    let finalResponse = "";
+    
+    // Process the streaming response
+    for await (const responseChunk of responseStream) {
+      this.trackChunk(responseChunk);
+      if ("agent" in responseChunk) {
+        const { content } = responseChunk.agent.messages[0];
+        // Anthropic answers with content blocks rather than a string
+        finalResponse = Array.isArray(content)
+          ? content.filter(part => part.type === 'text').map(part => part.text).join('')
+          : content;
+      }
+    }
+    return finalResponse;
+  }
+
+  // Asks again on the same thread, quoting the validation errors, until the answer fits the schema
+  async processStructuredInput(resolvedInput) {
+    return await this.structuredOutput.ask(message => this.runAgent(message), resolvedInput);
+  }
+
 
   
   processActionOutput(response) {
@@ -433,31 +515,29 @@ Always use the blockchain tools to get real-time data. Check workflow variables
     return lastOutput;
   }
   
+  // The conversation happens in a Telegram chat instead of on stdin, so it works under --daemon
+  // and in Docker. A configured `input` opens it with the agent's first answer.
+  async startTelegramChat() {
+    const chat = new TelegramChat({
+      webhookHandler: this.webhookHandler,
+      botToken: process.env.TELEGRAM_BOT_TOKEN,
+      chatId: this.config.chatId || this.context?.variables?.telegramChatId || process.env.TELEGRAM_CHAT_ID,
+      nodeId: this.nodeId,
+      exitKeywords: this.config.exitKeywords,
+      idleTimeout: this.config.idleTimeout,
+      allowedUserIds: this.config.allowedUserIds,
+      signal: this.signal
+    });
+    const opening = this.config.input
+      ? await this.processChatInput(this.resolveVariablesInInput(this.config.input))
+      : null;
+    await chat.run(text => this.processChatInput(text), { opening });
+    return chat.lastOutput ?? opening;
+  }
+  
   async processChatInput(userInput) {
     try {
-      // Check if API key is available
-      if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY.includes('your_')) {
-        return "OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.";
-      }
-      
-  
-      
-      // Use the agent to process the chat input
-      const responseStream = await this.agent.stream(
-        { messages: [new HumanMessage(userInput)] },
-        this.agentConfig
-      );
-
-      let finalResponse = "";
-      
-      // Process the streaming response
-      for await (const responseChunk of responseStream) {
-        if ("agent" in responseChunk) {
-          finalResponse = responseChunk.agent.messages[0].content;
-        } else if ("tools" in responseChunk) {
-  
-        }
-      }
+      const finalResponse = await this.runAgent(userInput);
       
       return finalResponse || "I apologize, but I couldn't generate a response. Please try again.";
     } catch (error) {
@@ -0,0 +1,121 @@
+import { ChatAnthropic } from '@langchain/anthropic';
+import { ChatOllama } from '@langchain/ollama';
+import { ChatOpenAI } from '@langchain/openai';
+
+// Chat model backends for LLM nodes (`config.provider`). Keys only ever come from the
+// environment: each provider has its own variable, and a node can name another one with
+// `apiKeyEnv` (e.g. two Anthropic accounts). `baseURL` on the node beats the env default.
+export const LLM_PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    keyEnv: 'OPENAI_API_KEY',
+    baseUrlEnv: 'OPENAI_BASE_URL',
+    model: 'gpt-4o-mini'
+  },
+  anthropic: {
+    label: 'Anthropic',
+    keyEnv: 'ANTHROPIC_API_KEY',
+    baseUrlEnv: 'ANTHROPIC_BASE_URL',
+    model: 'claude-3-5-haiku-latest'
+  },
+  // vLLM, LM Studio, llama.cpp and other servers speaking the OpenAI chat API; most local
+  // ones ignore the key, so it is optional
+  'openai-compatible': {
+    label: 'OpenAI-compatible',
+    keyEnv: 'OPENAI_COMPATIBLE_API_KEY',
+    baseUrlEnv: 'OPENAI_COMPATIBLE_BASE_URL',
+    keyOptional: true
+  },
+  ollama: {
+    label: 'Ollama',
+    baseUrlEnv: 'OLLAMA_BASE_URL',
+    defaultBaseUrl: 'http://localhost:11434',
+    model: 'llama3.1',
+    keyOptional: true
+  }
+};
+
+// A flow picks both the variable a key is read from and the URL it is sent to, so only
+// API key variables may be named, and the wallet and bot secrets never
+const PROTECTED_ENV = new Set(['SEI_PRIVATE_KEY', 'AGENTPAD_KEYSTORE_PASSPHRASE', 'TELEGRAM_BOT_TOKEN']);
+const API_KEY_ENV_PATTERN = /^[A-Za-z0-9_]+_API_KEY$/;
+
+// Why a node may not read its key from the variable `name`, or null if it may
+export function apiKeyEnvError(name) {
+  if (PROTECTED_ENV.has(name)) {
+    return `apiKeyEnv may not name ${name}`;
+  }
+  if (!API_KEY_ENV_PATTERN.test(name)) {
+    return `apiKeyEnv must name a variable ending in _API_KEY, not '${name}'`;
+  }
+  return null;
+}
+
+export function resolveProvider(config = {}) {
+  const name = config.provider || 'openai';
+  const provider = LLM_PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider '${name}'; use one of: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+  }
+  const keyEnvError = config.apiKeyEnv ? apiKeyEnvError(config.apiKeyEnv) : null;
+  const keyEnv = config.apiKeyEnv || provider.keyEnv || null;
+  const apiKey = keyEnv && !keyEnvError ? process.env[keyEnv] : null;
+  return {
+    name,
+    label: provider.label,
+    keyEnv,
+    keyEnvError,
+    keyOptional: Boolean(provider.keyOptional),
+    // env.example ships placeholder values, which count as unset
+    apiKey: apiKey && !apiKey.includes('your_') ? apiKey : null,
+    baseURL: config.baseURL || process.env[provider.baseUrlEnv] || provider.defaultBaseUrl || null,
+    baseUrlEnv: provider.baseUrlEnv,
+    model: config.model || provider.model || null
+  };
+}
+
+// Why the node cannot call its provider, or null if it can
+export function providerConfigError(settings) {
+  if (settings.keyEnvError) {
+    return settings.keyEnvError;
+  }
+  if (!settings.apiKey && !settings.keyOptional) {
+    return `${settings.label} API key not configured. Please set ${settings.keyEnv} environment variable.`;
+  }
+  if (!settings.baseURL && settings.name === 'openai-compatible') {
+    return `No base URL for the ${settings.label} provider. Set config.baseURL or ${settings.baseUrlEnv}.`;
+  }
+  if (!settings.model) {
+    return `No model configured for the ${settings.label} provider. Set config.model.`;
+  }
+  return null;
+}
+
+export function createChatModel(settings, { temperature, maxTokens }) {
+  switch (settings.name) {
+    case 'anthropic':
+      return new ChatAnthropic({
+        model: settings.model,
+        temperature,
+        maxTokens,
+        apiKey: settings.apiKey,
+        ...(settings.baseURL ? { anthropicApiUrl: settings.baseURL } : {})
+      });
+    case 'ollama':
+      return new ChatOllama({
+        model: settings.model,
+        temperature,
+        numPredict: maxTokens,
+        baseUrl: settings.baseURL
+      });
+    default:
+      return new ChatOpenAI({
+        model: settings.model,
+        temperature,
+        maxTokens,
+        // The client refuses to start without a key, even for servers that ignore it
+        apiKey: settings.apiKey || 'not-needed',
+        ...(settings.baseURL ? { configuration: { baseURL: settings.baseURL } } : {})
+      });
+  }
+}
@@ -0,0 +1,161 @@
+import fs from 'fs';
+import path from 'path';
+import { withFileLock } from '../utils/fileLock.js';
+
+// Token usage and cost of LLM nodes. Each node execution counts its model calls, tokens and
+// tool calls; the executor adds them up per node and per run, and this ledger per flow and
+// UTC day. A flow's `llmBudget` is checked against today's ledger before an LLM node runs:
+//
+// "llmBudget": { "maxCostUsd": 2, "maxTokens": 500000, "onExceeded": "halt" }   // or "skip"
+
+const LEDGER_FILE = path.join(process.cwd(), '.agentpad', 'llm-usage.json');
+const LEDGER_DAYS = 31;
+
+// USD per million input / output tokens, matched by model name prefix (longest first).
+// Nodes on other models set `pricing`; local models (ollama) cost nothing.
+export const MODEL_PRICES = {
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'gpt-4.1-nano': [0.1, 0.4],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-4.1': [2, 8],
+  'gpt-3.5-turbo': [0.5, 1.5],
+  'o4-mini': [1.1, 4.4],
+  'o3-mini': [1.1, 4.4],
+  'o3': [2, 8],
+  'claude-3-haiku': [0.25, 1.25],
+  'claude-3-5-haiku': [0.8, 4],
+  'claude-haiku-4-5': [1, 5],
+  'claude-3-5-sonnet': [3, 15],
+  'claude-3-7-sonnet': [3, 15],
+  'claude-sonnet-4': [3, 15],
+  'claude-3-opus': [15, 75],
+  'claude-opus-4': [15, 75]
+};
+
+const PRICE_PREFIXES = Object.keys(MODEL_PRICES).sort((a, b) => b.length - a.length);
+
+function utcDay(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+export function emptyUsage() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, toolCalls: 0, costUsd: 0, unpricedCalls: 0 };
+}
+
+// Per-token prices for a resolved provider (see llmProviders.js), or null when unknown
+export function priceFor(provider, pricing) {
+  if (pricing) {
+    return { input: pricing.inputPerMillion / 1e6, output: pricing.outputPerMillion / 1e6 };
+  }
+  if (provider.name === 'ollama') {
+    return { input: 0, output: 0 };
+  }
+  const prefix = PRICE_PREFIXES.find(p => (provider.model || '').startsWith(p));
+  if (!prefix) return null;
+  const [input, output] = MODEL_PRICES[prefix];
+  return { input: input / 1e6, output: output / 1e6 };
+}
+
+// Usage of one model call from the reply's usage_metadata
+export function usageFromMessage(message, price) {
+  const usage = emptyUsage();
+  const metadata = message?.usage_metadata || {};
+  usage.calls = 1;
+  usage.inputTokens = metadata.input_tokens || 0;
+  usage.outputTokens = metadata.output_tokens || 0;
+  usage.totalTokens = metadata.total_tokens || usage.inputTokens + usage.outputTokens;
+  if (price) {
+    usage.costUsd = usage.inputTokens * price.input + usage.outputTokens * price.output;
+  } else {
+    usage.unpricedCalls = 1;
+  }
+  return usage;
+}
+
+// Adds `usage` into `total` and returns it
+export function addUsage(total, usage) {
+  for (const key of Object.keys(emptyUsage())) {
+    total[key] = (total[key] || 0) + (usage[key] || 0);
+  }
+  return total;
+}
+
+export function formatUsage(usage) {
+  let text = `${usage.calls} call(s), ${usage.inputTokens} in / ${usage.outputTokens} out tokens, ${usage.toolCalls} tool call(s), $${usage.costUsd.toFixed(4)}`;
+  if (usage.unpricedCalls > 0) {
+    text += ` (+${usage.unpricedCalls} call(s) without a known price)`;
+  }
+  return text;
+}
+
+// Why the flow may not spend more on LLM calls today, or null while under its budget
+export function budgetExceeded(budget, used, flowName) {
+  if (budget.maxCostUsd !== undefined && used.costUsd >= budget.maxCostUsd) {
+    return `LLM budget of flow '${flowName}' exceeded: $${used.costUsd.toFixed(4)} of $${budget.maxCostUsd} spent today (UTC)`;
+  }
+  if (budget.maxTokens !== undefined && used.totalTokens >= budget.maxTokens) {
+    return `LLM budget of flow '${flowName}' exceeded: ${used.totalTokens} of ${budget.maxTokens} tokens used today (UTC)`;
+  }
+  return null;
+}
+
+export class LLMUsageLedger {
+  // `file` null keeps usage in memory (tests)
+  constructor({ file = LEDGER_FILE } = {}) {
+    this.file = file;
+    this.memoryLedger = {};
+  }
+
+  read() {
+    if (!this.file) return this.memoryLedger;
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+    } catch {
+      return {};
+    }
+  }
+
+  write(ledger) {
+    if (!this.file) {
+      this.memoryLedger = ledger;
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmpFile = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(ledger, null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  usedToday(flowName) {
+    return { ...emptyUsage(), ...this.read()[utcDay()]?.flows?.[flowName] };
+  }
+
+  // Read-modify-write under the file lock: runs in other processes record into the same ledger
+  record(flowName, usage) {
+    const update = () => {
+      const ledger = this.read();
+      const today = utcDay();
+      const day = ledger[today] || { total: emptyUsage(), flows: {} };
+      addUsage(day.total, usage);
+      day.flows[flowName] = addUsage(day.flows[flowName] || emptyUsage(), usage);
+      ledger[today] = day;
+      for (const key of Object.keys(ledger).sort().slice(0, -LEDGER_DAYS)) {
+        delete ledger[key];
+      }
+      this.write(ledger);
+    };
+    return this.file ? withFileLock(this.file, update) : update();
+  }
+
+  // Most recent days first, each with its total and per-flow usage
+  listDays({ flowName = null, days = 7 } = {}) {
+    const ledger = this.read();
+    return Object.keys(ledger).sort().reverse().slice(0, days).map((day) => {
+      const flows = flowName
+        ? Object.fromEntries(Object.entries(ledger[day].flows).filter(([name]) => name === flowName))
+        : ledger[day].flows;
+      return { day, total: ledger[day].total, flows };
+    });
+  }
+}
@@ -0,0 +1,35 @@
+// CoinGecko simple-price lookup used by marketData nodes
+export async function fetchMarketData(symbol) {
+  const apiKey = process.env.COINGECKO_DEMO_API_KEY;
+  const url = `https://api.coingecko.com/api/v3/simple/price?vs_currencies=usd&symbols=${symbol}&include_market_cap=true&include_24hr_vol=true&include_24hr_change=true&include_last_updated_at=true`;
+  
+  const options = {
+    method: 'GET',
+    headers: {
+      'accept': 'application/json',
+      'x-cg-demo-api-key': apiKey
+    }
+  };
+
+  const response = await fetch(url, options);
+  const data = await response.json();
+  
+  if (data.error) {
+    throw new Error(data.error);
+  }
+  
+  // Return structured data for easy access
+  const tokenData = data[symbol];
+  if (!tokenData) {
+    throw new Error(`Token symbol '${symbol}' not found`);
+  }
+  
+  return {
+    price_usd: tokenData.usd,
+    market_cap: tokenData.usd_market_cap,
+    volume_24h: tokenData.usd_24h_vol,
+    change_24h: tokenData.usd_24h_change,
+    last_updated: tokenData.last_updated_at,
+    symbol: symbol
+  };
+}
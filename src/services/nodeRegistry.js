@@ -0,0 +1,137 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { logger } from '../utils/logger.js';
+import { builtinNodes } from '../nodes/index.js';
+
+const NODES_DIR = path.join(process.cwd(), 'nodes');
+const NODE_FILE_EXTENSIONS = ['.js', '.mjs'];
+
+// A node type module looks like:
+// {
+//   type: 'myNode',                     // value of `node.type` in flow files
+//   label: 'My Node',
+//   configSchema: { type: 'object', ... }, // JSON Schema for `node.data.config`
+//   inputs: ['in'],                     // input port names
+//   outputs: ['out'],                   // output port names (edge `sourceHandle`s)
+//   capabilities: { writesChain: false }, // boolean or (config) => boolean
+//   execute: async (node, context) => result,
+//   route: result => 'portName',        // optional: only follow edges leaving this port
+//   validateConfig: config => [{ path, message }] // optional checks beyond the schema
+// }
+// `context` carries config, variables, nodeResults, resolveValue/resolveString/resolvePath,
+// services, privateKey, resolveSigner(name), policy, dryRun, signal, sleep and logger (see
+// BackendFlowExecutor.createNodeContext).
+export class NodeRegistry {
+  constructor() {
+    this.definitions = new Map();
+    this.loading = null;
+  }
+
+  register(definition, source = 'builtin') {
+    if (!definition || typeof definition.type !== 'string' || !definition.type) {
+      throw new Error(`Node definition from ${source} must have a string 'type'`);
+    }
+    if (typeof definition.execute !== 'function') {
+      throw new Error(`Node type '${definition.type}' from ${source} must have an execute(node, context) function`);
+    }
+    if (this.definitions.has(definition.type)) {
+      const existing = this.definitions.get(definition.type);
+      throw new Error(`Node type '${definition.type}' from ${source} is already registered by ${existing.source}`);
+    }
+
+    this.definitions.set(definition.type, {
+      label: definition.type,
+      configSchema: { type: 'object' },
+      inputs: ['in'],
+      outputs: ['out'],
+      capabilities: {},
+      ...definition,
+      source
+    });
+  }
+
+  get(type) {
+    return this.definitions.get(type) || null;
+  }
+
+  has(type) {
+    return this.definitions.has(type);
+  }
+
+  list() {
+    return Array.from(this.definitions.values());
+  }
+
+  // True when executing the node may send a transaction, so it must never be replayed blindly
+  isChainWriteNode(node) {
+    const writesChain = this.get(node.type)?.capabilities?.writesChain;
+    if (typeof writesChain === 'function') {
+      return Boolean(writesChain(node.data?.config || {}));
+    }
+    return Boolean(writesChain);
+  }
+
+  // A module may default-export one definition or an array of them, or export `nodes`
+  async loadModule(specifier, source) {
+    const mod = await import(specifier);
+    const exported = mod.default ?? mod.nodes;
+    const definitions = Array.isArray(exported) ? exported : [exported];
+    for (const definition of definitions) {
+      this.register(definition, source);
+      logger.info(`[NODES] Registered node type '${definition.type}' from ${source}`);
+    }
+  }
+
+  // Every .js/.mjs file in the directory, and every subdirectory with an index.js
+  async loadDirectory(dir) {
+    if (!fs.existsSync(dir)) return;
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      let file = null;
+      if (entry.isFile() && NODE_FILE_EXTENSIONS.includes(path.extname(entry.name))) {
+        file = entryPath;
+      } else if (entry.isDirectory() && fs.existsSync(path.join(entryPath, 'index.js'))) {
+        file = path.join(entryPath, 'index.js');
+      }
+      if (!file) continue;
+
+      try {
+        await this.loadModule(pathToFileURL(file).href, path.relative(process.cwd(), file));
+      } catch (error) {
+        logger.error(`[NODES] Failed to load custom node ${file}: ${error.message}`);
+      }
+    }
+  }
+
+  async loadPackages(packageNames) {
+    for (const name of packageNames) {
+      try {
+        await this.loadModule(name, `package ${name}`);
+      } catch (error) {
+        logger.error(`[NODES] Failed to load node package ${name}: ${error.message}`);
+      }
+    }
+  }
+
+  // Load custom node types once per process: ./nodes plus the packages in AGENTPAD_NODE_PACKAGES
+  loadCustomNodes({ dir = NODES_DIR, packages = parsePackageList(process.env.AGENTPAD_NODE_PACKAGES) } = {}) {
+    if (!this.loading) {
+      this.loading = (async () => {
+        await this.loadDirectory(dir);
+        await this.loadPackages(packages);
+      })();
+    }
+    return this.loading;
+  }
+}
+
+function parsePackageList(value) {
+  return (value || '').split(',').map(name => name.trim()).filter(Boolean);
+}
+
+export const nodeRegistry = new NodeRegistry();
+for (const definition of builtinNodes) {
+  nodeRegistry.register(definition);
+}
@@ -0,0 +1,72 @@
+// Schema fragments shared by node `configSchema`s (built-in and custom), and the schema
+// of the flow file itself. Schemas only describe what the executor relies on; extra UI
+// fields are allowed.
+
+export const variableRef = { type: 'string', pattern: '^\\{[^{}]+\\}$' };
+export const address = {
+  anyOf: [
+    { type: 'string', pattern: '^0x[0-9a-fA-F]{40}$' },
+    variableRef
+  ]
+};
+export const operand = { type: ['string', 'number', 'boolean', 'null'] };
+export const numeric = {
+  anyOf: [
+    { type: 'number' },
+    { type: 'string', pattern: '^\\s*-?\\d*\\.?\\d+\\s*$' }
+  ]
+};
+export const outputVariable = { type: 'string' };
+// Name of a keystore wallet (see src/services/keystore.js)
+export const signer = { type: 'string', pattern: '^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$' };
+// Approval buttons carry the ID in Telegram's 64-byte callback_data (see webhookHandler.js)
+export const approvalId = { type: 'string', pattern: '^[A-Za-z0-9_-]{1,48}$' };
+
+export const flowSchema = {
+  type: 'object',
+  required: ['nodes', 'edges'],
+  properties: {
+    name: { type: 'string' },
+    signer,
+    // Daily cap on the LLM usage of all of the flow's LLM nodes (see services/llmUsage.js)
+    llmBudget: {
+      type: 'object',
+      properties: {
+        maxCostUsd: { type: 'number', exclusiveMinimum: 0 },
+        maxTokens: { type: 'integer', minimum: 1 },
+        onExceeded: { enum: ['halt', 'skip'] }
+      },
+      anyOf: [{ required: ['maxCostUsd'] }, { required: ['maxTokens'] }]
+    },
+    nodes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'type', 'data'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          type: { type: 'string' },
+          data: {
+            type: 'object',
+            properties: {
+              type: { type: 'string' },
+              config: { type: 'object' }
+            }
+          }
+        }
+      }
+    },
+    edges: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['source', 'target'],
+        properties: {
+          source: { type: 'string' },
+          target: { type: 'string' },
+          sourceHandle: { type: ['string', 'null'] }
+        }
+      }
+    }
+  }
+};
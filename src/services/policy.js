@@ -0,0 +1,513 @@
+import fs from 'fs';
+import path from 'path';
+import Ajv from 'ajv';
+import { formatEther, getAbiItem, parseAbi, parseEther, toFunctionSelector } from 'viem';
+import { logger } from '../utils/logger.js';
+import { toPlainObject } from '../utils/json.js';
+import { withFileLock } from '../utils/fileLock.js';
+import { SEI_KIT_READ_METHODS, SEI_KIT_WRITE_METHODS } from './seiTools.js';
+
+// Transaction policy: every chain write a flow makes (blockchain node tools, smart contract
+// writes and the LLM agent's kit tools) is checked against agentpad.policy.json first.
+//
+// {
+//   "onViolation": "block",                      // or "approve": ask for a userApproval instead
+//   "limits": { "SEI": { "perFlow": 50, "perDay": 200 }, "USDC": { "perDay": 1000 } },
+//   "allowedRecipients": ["0x..."],
+//   "allowedContracts": ["0x..."],
+//   "allowedMethods": ["transfer(address,uint256)", "0x095ea7b3"],
+//   "maxGas": 500000,
+//   "tokens": { "USDC": "0x..." },               // ERC-20 addresses, so a token counts the same by ticker or address
+//   "flows": { "<flow name>": { ...the same keys but tokens, overriding the ones above } }
+// }
+//
+// Caps are per UTC day and per token (native SEI is "SEI", ERC-20s by ticker or address):
+// `perFlow` bounds what one flow sends, `perDay` what all flows send together. Spending is
+// reserved in the ledger before the write is checked any further and released again if it
+// is blocked, so concurrent writes can't share one allowance; an allowed write stays counted
+// whether or not it later succeeds. Every decision is appended to .agentpad/policy-audit.jsonl.
+
+const POLICY_FILE = process.env.AGENTPAD_POLICY_FILE || path.join(process.cwd(), 'agentpad.policy.json');
+const LEDGER_FILE = path.join(process.cwd(), '.agentpad', 'policy-ledger.json');
+const AUDIT_FILE = path.join(process.cwd(), '.agentpad', 'policy-audit.jsonl');
+const NATIVE_TOKEN = 'SEI';
+// Citrex margin is USDC
+const CITREX_TOKEN = 'USDC';
+const LEDGER_DAYS = 7;
+const DEFAULT_APPROVAL_TIMEOUT = 600;
+
+const addressList = { type: 'array', items: { type: 'string', pattern: '^0x[0-9a-fA-F]{40}$' } };
+const rulesProperties = {
+  onViolation: { enum: ['block', 'approve'] },
+  approvalTimeout: { type: 'integer', minimum: 1 },
+  limits: {
+    type: 'object',
+    additionalProperties: {
+      type: 'object',
+      properties: {
+        perFlow: { type: 'number', minimum: 0 },
+        perDay: { type: 'number', minimum: 0 }
+      },
+      additionalProperties: false
+    }
+  },
+  allowedRecipients: addressList,
+  allowedContracts: addressList,
+  allowedMethods: { type: 'array', items: { type: 'string', minLength: 1 } },
+  maxGas: { type: 'integer', minimum: 1 }
+};
+const policySchema = {
+  type: 'object',
+  properties: {
+    ...rulesProperties,
+    tokens: { type: 'object', additionalProperties: { type: 'string', pattern: '^0x[0-9a-fA-F]{40}$' } },
+    flows: {
+      type: 'object',
+      additionalProperties: { type: 'object', properties: rulesProperties, additionalProperties: false }
+    }
+  },
+  additionalProperties: false
+};
+const validatePolicyShape = new Ajv({ allErrors: true, strict: false }).compile(policySchema);
+
+// "transfer(address,uint256)" or "0xa9059cbb" -> "0xa9059cbb"
+function toSelector(method) {
+  if (/^0x[0-9a-fA-F]{8}$/.test(method)) return method.toLowerCase();
+  return toFunctionSelector(method);
+}
+
+const isAddress = token => /^0x/i.test(token);
+
+function utcDay(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+// Adds (sign 1) or takes back (sign -1) spending in the ledger's counts for `day`
+function addSpending(ledger, day, flowName, spends, sign = 1) {
+  const counts = ledger[day] || { total: {}, flows: {} };
+  counts.flows[flowName] = counts.flows[flowName] || {};
+  for (const { token, amount } of spends) {
+    counts.total[token] = (counts.total[token] || 0) + sign * amount;
+    counts.flows[flowName][token] = (counts.flows[flowName][token] || 0) + sign * amount;
+  }
+  ledger[day] = counts;
+  // Only today's counts matter; a few days are kept for reference
+  for (const key of Object.keys(ledger).sort().slice(0, -LEDGER_DAYS)) {
+    delete ledger[key];
+  }
+}
+
+// Why a policy approval can't be asked for in Telegram; null when it can. Without a channel
+// an "approve" violation is blocked, never waved through.
+export function approvalChannelProblem(chatId) {
+  if (!process.env.TELEGRAM_BOT_TOKEN) return 'TELEGRAM_BOT_TOKEN is not set';
+  if (!chatId) return 'no Telegram chat to ask in (set TELEGRAM_CHAT_ID or a telegramChatId variable)';
+  return null;
+}
+
+// What a sei-agent-kit write method is about to do, for the checks below. Argument order is
+// the one executeSeiAgentKitMethod calls the kit with. Every value-moving method names what it
+// spends (`token` and `amount`, or `spends` when it is several tokens); an amount that can't
+// be worked out blocks the call, as do methods the policy doesn't know.
+export function describeSeiKitCall(method, args, seiKit = null) {
+  const request = { action: method };
+  if (!SEI_KIT_WRITE_METHODS.has(method)) {
+    request.unknownMethod = true;
+    return request;
+  }
+  switch (method) {
+    case 'ERC20Transfer': {
+      const [amount, recipient, ticker] = args;
+      Object.assign(request, { token: ticker || NATIVE_TOKEN, amount: Number(amount), recipient });
+      // Native transfers can be estimated up front; token transfers go through the kit's own routing
+      if (!ticker && typeof seiKit?.publicClient?.estimateGas === 'function' && seiKit.walletClient) {
+        request.estimateGas = () => seiKit.publicClient.estimateGas({
+          account: seiKit.walletClient.account,
+          to: recipient,
+          value: parseEther(String(amount))
+        });
+      }
+      break;
+    }
+    case 'ERC721Transfer':
+    case 'ERC721Mint':
+      Object.assign(request, { recipient: args[0], contract: args[2] });
+      break;
+    case 'swap':
+      Object.assign(request, { token: args[1], amount: Number(args[0]) });
+      break;
+    case 'stake':
+    case 'unstake':
+      Object.assign(request, { token: NATIVE_TOKEN, amount: Number(args[0]) });
+      break;
+    case 'mintTakara':
+    case 'borrowTakara':
+    case 'repayTakara':
+    case 'redeemTakara':
+      Object.assign(request, { token: args[0], amount: Number(args[1]) });
+      break;
+    case 'citrexDeposit':
+    case 'citrexWithdraw':
+      Object.assign(request, { token: CITREX_TOKEN, amount: Number(args[0]) });
+      break;
+    case 'citrexPlaceOrder': {
+      // The order's notional value; market orders without a price can't be capped
+      const { quantity, price } = args[0] || {};
+      Object.assign(request, { token: CITREX_TOKEN, amount: Number(quantity) * Number(price) });
+      break;
+    }
+    case 'createBuySellStrategy': {
+      const [baseToken, quoteToken, , , , , buyBudget, sellBudget] = args;
+      request.spends = [
+        { token: quoteToken, amount: Number(buyBudget ?? 0) },
+        { token: baseToken, amount: Number(sellBudget ?? 0) }
+      ];
+      break;
+    }
+    case 'createOverlappingStrategy':
+      // The budget is given in the quote token
+      Object.assign(request, { token: args[1], amount: Number(args[6]) });
+      break;
+    case 'updateStrategy':
+      // New budgets are hidden in the encoded update
+      request.amountUnknown = true;
+      break;
+    default:
+      // NFT transfers and mints, order cancels, tweets and strategy deletes move no tokens
+      break;
+  }
+  return request;
+}
+
+// What a request spends, as [{ token, amount }]
+function spendsOf(request) {
+  if (request.spends) return request.spends;
+  return request.amount !== undefined ? [{ token: request.token, amount: request.amount }] : [];
+}
+
+// What a smart contract write is about to do. `value` is in wei, as in the node config;
+// `estimateGas` is only called when the policy has a maxGas.
+export function describeContractWrite({ contractAddress, abi, methodName, parameters = {}, value, gasLimit, estimateGas = null }) {
+  let abiItem = null;
+  try {
+    // JSON ABI, or a human-readable signature as SmartContractNode accepts
+    let parsedAbi;
+    try {
+      parsedAbi = JSON.parse(abi);
+    } catch {
+      parsedAbi = parseAbi([abi]);
+    }
+    abiItem = getAbiItem({ abi: parsedAbi, name: methodName, args: Object.values(parameters) });
+  } catch {
+    // Left unmatched below
+  }
+
+  const request = {
+    action: methodName,
+    contract: contractAddress,
+    // An unknown method can't be matched against allowedMethods, so it never passes them
+    selector: abiItem ? toFunctionSelector(abiItem) : '0x00000000'
+  };
+  if (value && String(value) !== '0') {
+    Object.assign(request, { token: NATIVE_TOKEN, amount: Number(formatEther(BigInt(value))) });
+  }
+  if (gasLimit) {
+    request.gas = String(gasLimit);
+  } else if (estimateGas) {
+    request.estimateGas = estimateGas;
+  }
+  return request;
+}
+
+export class PolicyEngine {
+  // `ledgerFile` / `auditFile` null keeps spending in memory and skips the audit file (tests)
+  constructor(policy, { ledgerFile = LEDGER_FILE, auditFile = AUDIT_FILE } = {}) {
+    if (!validatePolicyShape(policy)) {
+      const problems = validatePolicyShape.errors.map(err => `${err.instancePath || '/'} ${err.message}`);
+      throw new Error(`Invalid transaction policy: ${problems.join('; ')}`);
+    }
+    for (const rules of [policy, ...Object.values(policy.flows || {})]) {
+      for (const method of rules.allowedMethods || []) {
+        try {
+          toSelector(method);
+        } catch {
+          throw new Error(`Invalid transaction policy: allowedMethods entry '${method}' is neither a selector nor a function signature`);
+        }
+      }
+    }
+    this.policy = policy;
+    // Contract address -> ticker
+    this.tickers = new Map(Object.entries(policy.tokens || {}).map(([ticker, address]) => [address.toLowerCase(), ticker.toUpperCase()]));
+    this.ledgerFile = ledgerFile;
+    this.auditFile = auditFile;
+    this.memoryLedger = {};
+  }
+
+  // The policy in agentpad.policy.json (or AGENTPAD_POLICY_FILE); null when there is none
+  static fromFile(file = POLICY_FILE) {
+    if (!fs.existsSync(file)) return null;
+    let policy;
+    try {
+      policy = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Invalid transaction policy ${file}: ${error.message}`);
+    }
+    return new PolicyEngine(policy);
+  }
+
+  rulesFor(flowName) {
+    const { flows = {}, tokens, ...base } = this.policy;
+    const override = flows[flowName] || {};
+    return {
+      onViolation: 'block',
+      approvalTimeout: DEFAULT_APPROVAL_TIMEOUT,
+      ...base,
+      ...override,
+      limits: { ...base.limits, ...override.limits }
+    };
+  }
+
+  readLedger() {
+    if (!this.ledgerFile) return this.memoryLedger;
+    try {
+      return JSON.parse(fs.readFileSync(this.ledgerFile, 'utf-8'));
+    } catch {
+      return {};
+    }
+  }
+
+  writeLedger(ledger) {
+    if (!this.ledgerFile) {
+      this.memoryLedger = ledger;
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.ledgerFile), { recursive: true });
+    const tmpFile = `${this.ledgerFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(ledger, null, 2));
+    fs.renameSync(tmpFile, this.ledgerFile);
+  }
+
+  // Read, change and write the ledger under its lock. `update` must not await, so nothing
+  // in this process can interleave with it either
+  updateLedger(update) {
+    const apply = () => {
+      const ledger = this.readLedger();
+      update(ledger);
+      this.writeLedger(ledger);
+    };
+    return this.ledgerFile ? withFileLock(this.ledgerFile, apply) : apply();
+  }
+
+  // One key per token: tickers upper-cased, addresses named in `tokens` turned into their ticker
+  tokenKey(token) {
+    const value = String(token || NATIVE_TOKEN);
+    if (!isAddress(value)) return value.toUpperCase();
+    return this.tickers.get(value.toLowerCase()) || value.toLowerCase();
+  }
+
+  limitFor(rules, token) {
+    return Object.entries(rules.limits).find(([key]) => this.tokenKey(key) === token)?.[1];
+  }
+
+  // Capped tokens that `token` could be without the policy knowing: an address can't be
+  // matched to a ticker's cap, nor a ticker to an address's, unless `tokens` names the pair
+  unmatchedLimits(rules, token) {
+    if (token === NATIVE_TOKEN) return [];
+    return Object.keys(rules.limits)
+      .map(key => this.tokenKey(key))
+      .filter(key => key !== NATIVE_TOKEN && key !== token && isAddress(key) !== isAddress(token));
+  }
+
+  // Checks the spending caps and, unless it is a dry run, counts the request's spending in the
+  // same locked ledger update. This runs before anything is awaited, so concurrent writes can't
+  // all pass the same cap. Returns the broken limits and the reservation to release if the
+  // write doesn't go ahead.
+  reserveSpending(rules, request, flowName, dryRun) {
+    const reasons = [];
+    const spends = [];
+    for (const { token: rawToken, amount } of spendsOf(request)) {
+      const token = this.tokenKey(rawToken);
+      if (!Number.isFinite(amount) || amount < 0) {
+        reasons.push(`amount ${amount} of ${token} cannot be checked against the limits`);
+        continue;
+      }
+      const unmatched = this.unmatchedLimits(rules, token);
+      if (unmatched.length > 0) {
+        reasons.push(`${token} cannot be matched to the limits on ${unmatched.join(', ')}; name its address under 'tokens'`);
+      }
+      spends.push({ token, amount });
+    }
+    if (spends.length === 0) return { reasons, reservation: null };
+
+    const day = utcDay();
+    const check = (ledger) => {
+      const counts = ledger[day] || {};
+      for (const { token, amount } of spends) {
+        const limit = this.limitFor(rules, token);
+        const flowSpent = counts.flows?.[flowName]?.[token] || 0;
+        const totalSpent = counts.total?.[token] || 0;
+        if (limit?.perFlow !== undefined && flowSpent + amount > limit.perFlow) {
+          reasons.push(`${amount} ${token} would take this flow to ${flowSpent + amount} today (limit ${limit.perFlow})`);
+        }
+        if (limit?.perDay !== undefined && totalSpent + amount > limit.perDay) {
+          reasons.push(`${amount} ${token} would take all flows to ${totalSpent + amount} today (limit ${limit.perDay})`);
+        }
+      }
+    };
+
+    if (dryRun) {
+      check(this.readLedger());
+      return { reasons, reservation: null };
+    }
+    this.updateLedger((ledger) => {
+      check(ledger);
+      addSpending(ledger, day, flowName, spends);
+    });
+    return { reasons, reservation: { day, flowName, spends } };
+  }
+
+  releaseSpending(reservation) {
+    if (!reservation) return;
+    try {
+      this.updateLedger(ledger => addSpending(ledger, reservation.day, reservation.flowName, reservation.spends, -1));
+    } catch (error) {
+      logger.error(`[POLICY] Failed to release reserved spending for '${reservation.flowName}': ${error.message}`);
+    }
+  }
+
+  audit(entry) {
+    const line = toPlainObject({ timestamp: new Date().toISOString(), ...entry });
+    const level = entry.decision === 'allowed' || entry.decision === 'approved' ? 'info' : 'warn';
+    logger[level](`[POLICY] ${entry.decision} ${entry.action}${entry.nodeId ? ` (node ${entry.nodeId})` : ''} in '${entry.flowName}'${entry.reasons.length > 0 ? `: ${entry.reasons.join('; ')}` : ''}`);
+    if (!this.auditFile) return;
+    try {
+      fs.mkdirSync(path.dirname(this.auditFile), { recursive: true });
+      fs.appendFileSync(this.auditFile, `${JSON.stringify(line)}\n`);
+    } catch (error) {
+      logger.error(`[POLICY] Failed to write audit log: ${error.message}`);
+    }
+  }
+
+  // Why the request breaks the flow's allowlists; empty when it doesn't
+  checkAllowlists(rules, request) {
+    const reasons = [];
+    const inList = (list, value) => list.some(item => item.toLowerCase() === String(value).toLowerCase());
+
+    if (rules.allowedRecipients && request.recipient && !inList(rules.allowedRecipients, request.recipient)) {
+      reasons.push(`recipient ${request.recipient} is not allowlisted`);
+    }
+    if (rules.allowedContracts && request.contract && !inList(rules.allowedContracts, request.contract)) {
+      reasons.push(`contract ${request.contract} is not allowlisted`);
+    }
+    if (rules.allowedMethods && request.selector) {
+      if (!rules.allowedMethods.map(toSelector).includes(request.selector.toLowerCase())) {
+        reasons.push(`method ${request.action} (${request.selector}) is not allowlisted`);
+      }
+    }
+
+    if (request.unknownMethod) {
+      reasons.push(`${request.action} is not a write the policy knows how to check`);
+    }
+    if (request.amountUnknown) {
+      reasons.push(`the amount ${request.action} moves cannot be checked against the limits`);
+    }
+    return reasons;
+  }
+
+  // Why the request's gas breaks maxGas; empty when it doesn't
+  async checkGas(rules, request) {
+    const reasons = [];
+    if (rules.maxGas) {
+      let gas = request.gas ?? null;
+      if (gas === null && request.estimateGas) {
+        try {
+          gas = await request.estimateGas();
+        } catch (error) {
+          logger.warn(`[POLICY] Could not estimate gas for ${request.action}: ${error.shortMessage || error.message}`);
+        }
+      }
+      if (gas !== null) {
+        request.gas = gas.toString();
+      }
+      if (gas !== null && BigInt(gas) > BigInt(rules.maxGas)) {
+        reasons.push(`gas ${gas} exceeds the maximum of ${rules.maxGas}`);
+      }
+    }
+    return reasons;
+  }
+
+  // Throws unless the write may go ahead. `approve(message)` resolves to true when a person
+  // okays a write that breaks the rules (only asked with onViolation "approve"), or to null
+  // when there is nobody to ask, which blocks the write.
+  async authorize(request, { flowName, runId = null, nodeId = null, dryRun = false, approve = null }) {
+    const rules = this.rulesFor(flowName);
+    const reasons = this.checkAllowlists(rules, request);
+    const spending = this.reserveSpending(rules, request, flowName, dryRun);
+    reasons.push(...spending.reasons);
+
+    let goesAhead = false;
+    try {
+      reasons.push(...await this.checkGas(rules, request));
+
+      let decision = 'allowed';
+      if (reasons.length > 0) {
+        decision = 'blocked';
+        if (rules.onViolation === 'approve' && approve) {
+          const message = `⚠️ *Transaction policy*\n\nFlow '${flowName}' wants to run ${request.action}, which breaks its policy:\n- ${reasons.join('\n- ')}\n\nApprove it anyway?`;
+          const approved = await approve(message, rules.approvalTimeout);
+          if (approved === null) {
+            reasons.push('no approval channel to ask for an exception');
+          } else {
+            decision = approved ? 'approved' : 'rejected';
+          }
+        }
+      }
+
+      const { estimateGas, ...details } = request;
+      this.audit({ flowName, runId, nodeId, dryRun, ...details, decision, reasons });
+
+      if (decision === 'blocked' || decision === 'rejected') {
+        throw new Error(`Transaction ${decision} by policy: ${reasons.join('; ')}`);
+      }
+      goesAhead = true;
+      return decision;
+    } finally {
+      if (!goesAhead) this.releaseSpending(spending.reservation);
+    }
+  }
+
+  // Binds the policy to one node of one run; this is what nodes see as `context.policy`
+  createGuard(scope) {
+    return new PolicyGuard(this, scope);
+  }
+}
+
+export class PolicyGuard {
+  constructor(engine, scope) {
+    this.engine = engine;
+    this.scope = scope;
+  }
+
+  authorize(request) {
+    return this.engine.authorize(request, this.scope);
+  }
+
+  // Proxy that authorizes kit write methods before they run; with `send: false` an allowed
+  // call is not made at all (dry runs simulate the tool separately). Only known read methods
+  // skip the check, so a method added by a newer kit is blocked until it is described above.
+  wrapSeiKit(seiKit, { send = true } = {}) {
+    return new Proxy(seiKit, {
+      get: (target, prop) => {
+        const value = target[prop];
+        if (typeof value !== 'function') return value;
+        if (typeof prop !== 'string' || prop in Object.prototype || SEI_KIT_READ_METHODS.has(prop)) {
+          return value.bind(target);
+        }
+        return async (...args) => {
+          await this.authorize(describeSeiKitCall(prop, args, target));
+          return send ? value.apply(target, args) : null;
+        };
+      }
+    });
+  }
+}
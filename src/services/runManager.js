@@ -0,0 +1,217 @@
+import { logger } from '../utils/logger.js';
+import { toPlainObject } from '../utils/json.js';
+import { BackendFlowExecutor } from './flowExecutor.js';
+import { WebhookHandler } from '../webhookHandler.js';
+import { FlowTracker } from './flowTracker.js';
+import { FlowControl } from './flowControl.js';
+import { RunStore, hashFlow } from './runStore.js';
+import { DryRun } from './dryRun.js';
+
+const MAX_FINISHED_RUNS = 100;
+
+export function generateRunId() {
+  return `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+export class RunManager {
+  constructor(options = {}) {
+    this.privateKey = options.privateKey ?? process.env.SEI_PRIVATE_KEY;
+    // One webhook handler is shared by every executor so approvals all land on the same server
+    this.webhookHandler = options.webhookHandler || new WebhookHandler();
+    // Daemon mode keeps finished flows in .running-flows.json so their final status stays visible
+    this.retainTrackerEntries = options.retainTrackerEntries || false;
+    this.flowTracker = options.flowTracker || new FlowTracker();
+    this.flowControl = options.flowControl || new FlowControl();
+    this.runStore = options.runStore || new RunStore();
+    this.runs = new Map();
+  }
+
+  // A flow name can only have one active run across all processes sharing this directory
+  isFlowRunning(flowName) {
+    const activeHere = this.getActiveRuns().some(run => run.flowName === flowName);
+    return activeHere || Boolean(this.flowTracker.isFlowRunning(flowName));
+  }
+
+  // `dryRun: { approvals }` simulates chain writes instead of sending them; `trigger` records
+  // what launched the run (e.g. { type: 'schedule', scheduledFor }) in the run history and is
+  // exposed to the flow as {trigger}; `inputs` override the Start node's variable defaults
+  startRun(flowData, { flowId = null, flowPath = null, dryRun = null, trigger = null, inputs = {} } = {}) {
+    if (!this.privateKey && !flowData.signer) {
+      throw new Error('SEI_PRIVATE_KEY environment variable is required (or set a keystore wallet as the flow `signer`)');
+    }
+
+    const flowName = flowData.name || flowId;
+    if (this.isFlowRunning(flowName)) {
+      throw new Error(`Flow '${flowName}' is already running`);
+    }
+
+    const runId = generateRunId();
+    this.runStore.createRun({ runId, flowId, flowName, flowPath, flowHash: hashFlow(flowData), dryRun: Boolean(dryRun), trigger });
+    logger.info(`[RUN] Started ${dryRun ? 'dry run' : 'run'} ${runId} for flow '${flowName}'${trigger ? ` (${trigger.type} trigger)` : ''}`);
+
+    return this.launchRun(
+      { runId, flowId, flowName, flowPath, dryRun: dryRun ? new DryRun(dryRun) : null, trigger, inputs },
+      executor => executor.executeFlow(flowData)
+    );
+  }
+
+  // Continue an interrupted, stopped or failed run from its last checkpoint
+  resumeRun(runId, { retryInFlight = false } = {}) {
+    const record = this.runStore.getRun(runId);
+    if (!record) {
+      throw new Error(`Run not found: ${runId}`);
+    }
+    if (record.dryRun) {
+      throw new Error(`Run ${record.runId} is a dry run; start a new dry run instead of resuming it`);
+    }
+    if (!['interrupted', 'stopped', 'failed'].includes(record.status)) {
+      throw new Error(`Run ${record.runId} is ${record.status}; only interrupted, stopped or failed runs can be resumed`);
+    }
+
+    const checkpoint = this.runStore.getCheckpoint(record.runId);
+    if (!checkpoint) {
+      throw new Error(`Run ${record.runId} has no checkpoint to resume from`);
+    }
+    if (!this.privateKey && !checkpoint.flowData.signer) {
+      throw new Error('SEI_PRIVATE_KEY environment variable is required (or set a keystore wallet as the flow `signer`)');
+    }
+    if (this.isFlowRunning(record.flowName)) {
+      throw new Error(`Flow '${record.flowName}' is already running`);
+    }
+
+    this.runStore.reopenRun(record.runId);
+    logger.info(`[RUN] Resuming run ${record.runId} for flow '${record.flowName}'`);
+
+    return this.launchRun(
+      { runId: record.runId, flowId: record.flowId, flowName: record.flowName, flowPath: record.flowPath, trigger: record.trigger || null },
+      executor => executor.resumeFlow(checkpoint.flowData, checkpoint, { retryInFlight })
+    );
+  }
+
+  launchRun({ runId, flowId, flowName, flowPath, dryRun = null, trigger = null, inputs = {} }, execute) {
+    const executor = new BackendFlowExecutor(this.privateKey, {
+      webhookHandler: this.webhookHandler,
+      runStore: this.runStore,
+      runId,
+      dryRun,
+      trigger,
+      inputs
+    });
+
+    const run = {
+      runId,
+      flowId,
+      flowName,
+      flowPath,
+      status: 'running',
+      startTime: new Date(),
+      endTime: null,
+      error: null,
+      dryRun,
+      trigger,
+      executor
+    };
+    this.runs.set(runId, run);
+
+    // Register with the cross-process tracker and listen for `agentpad stop`
+    this.flowControl.clearStopRequest(flowName);
+    this.flowTracker.addRunningFlow(flowName, { runId, path: flowPath });
+    const unwatch = this.flowControl.watch(flowName, (request) => {
+      logger.info(`[RUN] Stop request received for '${flowName}' from process ${request.requestedBy}`);
+      this.stopRun(runId, request.reason);
+    });
+
+    run.promise = execute(executor)
+      .then(() => {
+        run.status = executor.stopRequested ? 'stopped' : 'completed';
+        logger.info(`[RUN] Run ${runId} ${run.status}`);
+      })
+      .catch((err) => {
+        run.status = 'failed';
+        run.error = err.message;
+        logger.error(`[RUN] Run ${runId} failed: ${err.message}`);
+      })
+      .finally(() => {
+        run.endTime = new Date();
+        unwatch();
+        this.runStore.finishRun(runId, {
+          status: run.status,
+          error: run.error,
+          variables: executor.variables,
+          simulatedWrites: dryRun ? dryRun.writes : undefined,
+          llmUsage: executor.llmUsage
+        });
+        this.flowTracker.updateFlowStatus(flowName, run.status, run.error);
+        if (!this.retainTrackerEntries) {
+          this.flowTracker.removeRunningFlow(flowName);
+        }
+        this.pruneFinishedRuns();
+      });
+
+    return run;
+  }
+
+  getRun(runId) {
+    return this.runs.get(runId) || null;
+  }
+
+  listRuns() {
+    return Array.from(this.runs.values());
+  }
+
+  getActiveRuns() {
+    return this.listRuns().filter(run => run.status === 'running');
+  }
+
+  stopRun(runId, reason = 'Stop requested') {
+    const run = this.runs.get(runId);
+    if (!run) return null;
+    if (run.status === 'running') {
+      logger.info(`[RUN] Stop requested for run ${runId}`);
+      run.executor.stop(reason);
+    }
+    return run;
+  }
+
+  async stopAll(reason = 'Shutting down') {
+    const active = this.getActiveRuns();
+    for (const run of active) {
+      run.executor.stop(reason);
+    }
+    await Promise.allSettled(active.map(run => run.promise));
+  }
+
+  pruneFinishedRuns() {
+    const finished = this.listRuns().filter(run => run.status !== 'running');
+    const excess = finished.length - MAX_FINISHED_RUNS;
+    for (let i = 0; i < excess; i += 1) {
+      this.runs.delete(finished[i].runId);
+    }
+  }
+
+  // Serializable view of a run for API responses
+  describeRun(run, { includeResults = true } = {}) {
+    const summary = {
+      runId: run.runId,
+      flowId: run.flowId,
+      flowName: run.flowName,
+      status: run.status,
+      startTime: run.startTime.toISOString(),
+      endTime: run.endTime ? run.endTime.toISOString() : null,
+      error: run.error
+    };
+    if (run.trigger) {
+      summary.trigger = run.trigger;
+    }
+    if (run.dryRun) {
+      summary.dryRun = true;
+      summary.simulatedWrites = run.dryRun.writes;
+    }
+    if (includeResults) {
+      summary.variables = toPlainObject(run.executor.variables);
+      summary.nodeResults = toPlainObject(run.executor.nodeResults);
+      summary.llmUsage = toPlainObject(run.executor.llmUsage);
+    }
+    return summary;
+  }
+}
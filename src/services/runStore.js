@@ -0,0 +1,208 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { toPlainObject } from '../utils/json.js';
+import { isProcessAlive } from './flowControl.js';
+
+const RUNS_DIR = path.join(process.cwd(), '.agentpad', 'runs');
+const CHECKPOINTS_DIR = path.join(process.cwd(), '.agentpad', 'checkpoints');
+// Interval loops can execute nodes forever; keep only the most recent records per run
+const MAX_NODE_RECORDS = 1000;
+// Run IDs (run_<timestamp>_<random>) end up in file names; anything else could point outside the runs directory
+const RUN_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+export function isValidRunId(runId) {
+  return typeof runId === 'string' && RUN_ID_PATTERN.test(runId);
+}
+
+export function hashFlow(flowData) {
+  const { nodes, edges } = flowData;
+  return crypto.createHash('sha256').update(JSON.stringify({ nodes, edges })).digest('hex');
+}
+
+export class RunStore {
+  constructor(runsDir = RUNS_DIR, checkpointsDir = CHECKPOINTS_DIR) {
+    this.runsDir = runsDir;
+    this.checkpointsDir = checkpointsDir;
+    // Records of runs written by this process, so updates don't re-read the file each time
+    this.cache = new Map();
+    this.ensureRunsDir();
+  }
+
+  ensureRunsDir() {
+    for (const dir of [this.runsDir, this.checkpointsDir]) {
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+    }
+  }
+
+  getRunFile(runId) {
+    return path.join(this.runsDir, `${runId}.json`);
+  }
+
+  getCheckpointFile(runId) {
+    return path.join(this.checkpointsDir, `${runId}.json`);
+  }
+
+  // Write via a temp file so a crash mid-write never leaves a truncated record
+  writeJson(file, data) {
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(toPlainObject(data), null, 2));
+    fs.renameSync(tmpFile, file);
+  }
+
+  write(record) {
+    try {
+      this.writeJson(this.getRunFile(record.runId), record);
+    } catch (error) {
+      logger.error(`[RUN_STORE] Failed to write run ${record.runId}: ${error.message}`);
+    }
+  }
+
+  createRun({ runId, flowId, flowName, flowPath, flowHash, dryRun = false, trigger = null }) {
+    const record = {
+      runId,
+      flowId,
+      flowName,
+      flowPath,
+      flowHash,
+      dryRun,
+      trigger,
+      pid: process.pid,
+      status: 'running',
+      startTime: new Date().toISOString(),
+      endTime: null,
+      durationMs: null,
+      error: null,
+      nodeExecutionCount: 0,
+      nodes: [],
+      variables: {}
+    };
+    this.cache.set(runId, record);
+    this.write(record);
+    return record;
+  }
+
+  recordNodeExecution(runId, entry) {
+    const record = this.cache.get(runId) || this.getRun(runId);
+    if (!record) return;
+
+    record.nodeExecutionCount += 1;
+    record.nodes.push({ sequence: record.nodeExecutionCount, ...toPlainObject(entry) });
+    if (record.nodes.length > MAX_NODE_RECORDS) {
+      record.nodes.splice(0, record.nodes.length - MAX_NODE_RECORDS);
+      record.truncated = true;
+    }
+    this.cache.set(runId, record);
+    this.write(record);
+  }
+
+  finishRun(runId, { status, error = null, variables = {}, simulatedWrites, llmUsage }) {
+    const record = this.cache.get(runId) || this.getRun(runId);
+    if (!record) return;
+
+    record.status = status;
+    record.error = error;
+    record.endTime = new Date().toISOString();
+    record.durationMs = new Date(record.endTime) - new Date(record.startTime);
+    record.variables = variables;
+    if (simulatedWrites) {
+      record.simulatedWrites = simulatedWrites;
+    }
+    if (llmUsage?.total.calls > 0) {
+      record.llmUsage = llmUsage;
+    }
+    this.write(record);
+    this.cache.delete(runId);
+  }
+
+  // Mark a previously finished or interrupted run as running again in this process
+  reopenRun(runId) {
+    const record = this.getRun(runId);
+    if (!record) return null;
+
+    record.status = 'running';
+    record.pid = process.pid;
+    record.endTime = null;
+    record.durationMs = null;
+    record.error = null;
+    record.resumeCount = (record.resumeCount || 0) + 1;
+    record.resumedAt = new Date().toISOString();
+    this.cache.set(record.runId, record);
+    this.write(record);
+    return record;
+  }
+
+  saveCheckpoint(runId, checkpoint) {
+    try {
+      this.writeJson(this.getCheckpointFile(runId), {
+        ...checkpoint,
+        runId,
+        updatedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error(`[RUN_STORE] Failed to write checkpoint for ${runId}: ${error.message}`);
+    }
+  }
+
+  getCheckpoint(runId) {
+    if (!isValidRunId(runId)) return null;
+    const file = this.getCheckpointFile(runId);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  }
+
+  readRun(runId) {
+    if (!isValidRunId(runId)) {
+      throw new Error(`Invalid run ID: ${runId}`);
+    }
+    const record = JSON.parse(fs.readFileSync(this.getRunFile(runId), 'utf-8'));
+    // A run still marked running whose process is gone was cut off by a crash or kill
+    if (record.status === 'running' && !this.cache.has(runId) && !isProcessAlive(record.pid)) {
+      record.status = 'interrupted';
+    }
+    return record;
+  }
+
+  // Accepts a full run ID or a unique prefix of one
+  getRun(runId) {
+    if (!isValidRunId(runId)) return null;
+    if (fs.existsSync(this.getRunFile(runId))) {
+      return this.readRun(runId);
+    }
+
+    const matches = this.listRunIds().filter(id => id.startsWith(runId));
+    if (matches.length === 1) {
+      return this.readRun(matches[0]);
+    }
+    if (matches.length > 1) {
+      throw new Error(`Run ID '${runId}' is ambiguous: ${matches.slice(0, 5).join(', ')}`);
+    }
+    return null;
+  }
+
+  listRunIds() {
+    if (!fs.existsSync(this.runsDir)) return [];
+    return fs.readdirSync(this.runsDir)
+      .filter(f => f.endsWith('.json'))
+      .map(f => path.basename(f, '.json'));
+  }
+
+  // Newest first; node records are omitted to keep listings cheap to print
+  listRuns({ flowName = null, limit = 20 } = {}) {
+    const runs = [];
+    for (const runId of this.listRunIds()) {
+      try {
+        const { nodes, variables, ...summary } = this.readRun(runId);
+        if (flowName && summary.flowName !== flowName && summary.flowId !== flowName) continue;
+        runs.push(summary);
+      } catch (error) {
+        logger.warn(`[RUN_STORE] Skipping unreadable run file ${runId}: ${error.message}`);
+      }
+    }
+    runs.sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+    return limit ? runs.slice(0, limit) : runs;
+  }
+}
@@ -0,0 +1,299 @@
+// Cron and calendar schedules for the Start node's `schedule` trigger.
+//
+// `config.schedule` is either a string or an object:
+//   "0 9 * * 1-5"                              five-field cron, UTC
+//   "every weekday at 09:00 UTC"               phrase, optional trailing time zone
+//   { "cron": "*/15 * * * *", "timezone": "Europe/Berlin", "catchUp": true }
+//   { "every": "monday, thursday at 18:30", "timezone": "America/New_York" }
+// `catchUp` runs the flow once when the scheduler finds firings it missed while it was down.
+
+const FIELD_RANGES = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_GROUPS = { day: '*', weekday: '1-5', weekend: '0,6' };
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const MINUTE_MS = 60 * 1000;
+// Give up looking for a next firing after this long (e.g. "0 0 30 2 *" never fires)
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * MINUTE_MS;
+
+function parseValue(token, range) {
+  const lower = token.toLowerCase();
+  const named = range.names ? range.names.indexOf(lower) : -1;
+  if (named !== -1) return named + range.min;
+  if (!/^\d+$/.test(token)) {
+    throw new Error(`invalid ${range.name} value '${token}'`);
+  }
+  const value = Number(token);
+  if (value < range.min || value > range.max) {
+    throw new Error(`${range.name} value ${value} is outside ${range.min}-${range.max}`);
+  }
+  return value;
+}
+
+function parseField(text, range) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [base, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`invalid step '${stepText}' in ${range.name}`);
+    }
+
+    let start;
+    let end;
+    if (base === '*') {
+      start = range.min;
+      end = range.max;
+    } else if (base.includes('-')) {
+      const [from, to] = base.split('-');
+      start = parseValue(from, range);
+      end = parseValue(to, range);
+      if (start > end) throw new Error(`invalid ${range.name} range '${base}'`);
+    } else {
+      start = parseValue(base, range);
+      end = stepText === undefined ? start : range.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  // Both 0 and 7 mean Sunday
+  if (range.name === 'day of week' && values.has(7)) {
+    values.delete(7);
+    values.add(0);
+  }
+  return values;
+}
+
+export function parseCron(expression) {
+  const source = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`cron expression '${expression}' must have 5 fields (minute hour day-of-month month day-of-week)`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELD_RANGES[index]));
+  return {
+    source,
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Classic cron: when both day fields are restricted, either one matching is enough
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*'
+  };
+}
+
+function parseTime(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`invalid time '${text}' (use HH:MM, 24-hour)`);
+  }
+  return { hour: Number(match[1]), minute: Number(match[2]) };
+}
+
+function parseDays(text) {
+  if (DAY_GROUPS[text] !== undefined) return DAY_GROUPS[text];
+  const days = text.split(/\s*(?:,|\band\b)\s*/).filter(Boolean).map((day) => {
+    // "monday", "mondays" and "mon" all work
+    const prefix = day.replace(/s$/, '');
+    const index = prefix.length >= 3 ? DAY_NAMES.findIndex(name => name.startsWith(prefix)) : -1;
+    if (index === -1) throw new Error(`unknown day '${day}'`);
+    return index;
+  });
+  return days.join(',');
+}
+
+// Cron steps start over at the top of every hour (or day), so "every N minutes" only fires at a
+// steady interval when N divides the hour evenly; other counts are refused
+function intervalStep(count, unit, period) {
+  const step = Number(count);
+  if (step >= 1 && period % step === 0) return step;
+  const steps = [];
+  for (let n = 1; n < period; n++) {
+    if (period % n === 0) steps.push(n);
+  }
+  const span = unit === 'minutes' ? 'an hour' : 'a day';
+  throw new Error(`'every ${count} ${unit}' does not divide ${span} evenly; use ${steps.join(', ')} or ${period} ${unit}, or a cron expression`);
+}
+
+// "every 15 minutes", "every 2 hours", "every day at 08:00", "every weekday at 09:00",
+// "every weekend at 10:30", "every monday and friday at 17:00"; an optional trailing zone
+// ("UTC", "Europe/Berlin") sets the time zone
+export function parsePhrase(phrase) {
+  let text = phrase.trim().replace(/\s+/g, ' ');
+  let timezone = null;
+  const zoneMatch = / (UTC|GMT|[A-Za-z_]+\/[A-Za-z_/+-]+)$/i.exec(text);
+  if (zoneMatch) {
+    timezone = /^(utc|gmt)$/i.test(zoneMatch[1]) ? 'UTC' : zoneMatch[1];
+    text = text.slice(0, zoneMatch.index);
+  }
+  const description = text;
+  text = text.toLowerCase().replace(/^every /, '');
+
+  let match;
+  let cron;
+  if (text === 'minute') {
+    cron = '* * * * *';
+  } else if ((match = /^(\d+) minutes?$/.exec(text))) {
+    const step = intervalStep(match[1], 'minutes', 60);
+    cron = step === 60 ? '0 * * * *' : `*/${step} * * * *`;
+  } else if (text === 'hour') {
+    cron = '0 * * * *';
+  } else if ((match = /^(\d+) hours?$/.exec(text))) {
+    const step = intervalStep(match[1], 'hours', 24);
+    cron = step === 24 ? '0 0 * * *' : `0 */${step} * * *`;
+  } else if ((match = /^(.+?)(?: at (\S+))?$/.exec(text))) {
+    const { hour, minute } = parseTime(match[2] || '00:00');
+    cron = `${minute} ${hour} * * ${parseDays(match[1])}`;
+  }
+  return { cron, timezone, description };
+}
+
+function assertTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw new Error(`unknown time zone '${timezone}'`);
+  }
+}
+
+// Normalize a Start node `schedule` into { cron, timezone, catchUp, description, fields }
+export function parseSchedule(schedule) {
+  const config = typeof schedule === 'string'
+    ? (/^\s*every\b/i.test(schedule) ? { every: schedule } : { cron: schedule })
+    : { ...schedule };
+
+  if (Boolean(config.cron) === Boolean(config.every)) {
+    throw new Error("schedule needs exactly one of 'cron' or 'every'");
+  }
+
+  let cron = config.cron;
+  let timezone = config.timezone || null;
+  let description = config.cron;
+  if (config.every) {
+    const phrase = /^\s*every\b/i.test(config.every) ? config.every : `every ${config.every}`;
+    const parsed = parsePhrase(phrase);
+    if (parsed.timezone && timezone && parsed.timezone !== timezone) {
+      throw new Error(`schedule '${phrase}' names time zone ${parsed.timezone} but timezone is ${timezone}`);
+    }
+    cron = parsed.cron;
+    timezone = timezone || parsed.timezone;
+    description = parsed.description;
+  }
+  timezone = timezone || 'UTC';
+  assertTimezone(timezone);
+
+  const fields = parseCron(cron);
+  return {
+    cron: fields.source,
+    timezone,
+    catchUp: Boolean(config.catchUp),
+    description: `${description} (${timezone})`,
+    fields
+  };
+}
+
+// Start node schedule of a flow, parsed; null when the flow is not scheduled
+export function getFlowSchedule(flowData) {
+  const startNode = (flowData.nodes || []).find(node => node.type === 'start');
+  const schedule = startNode?.data?.config?.schedule;
+  return schedule ? parseSchedule(schedule) : null;
+}
+
+const formatters = new Map();
+
+function getLocalFields(time, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  const parts = Object.fromEntries(formatters.get(timezone).formatToParts(time).map(part => [part.type, part.value]));
+  return {
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAY_INDEX[parts.weekday]
+  };
+}
+
+function dayMatches(fields, local) {
+  const dom = fields.dayOfMonth.has(local.day);
+  const dow = fields.dayOfWeek.has(local.weekday);
+  if (fields.dayOfMonthRestricted && fields.dayOfWeekRestricted) return dom || dow;
+  return dom && dow;
+}
+
+const wallMinutes = local => local.hour * 60 + local.minute;
+
+// On the day clocks go back, 01:30 happens twice; a fixed-hour firing only runs the first
+// time, while hourly and minutely schedules keep running through the repeated hour
+function isRepeatedWallTime(time, local, fields, timezone) {
+  if (fields.hour.size === 24) return false;
+  return [30, 60].some((offset) => {
+    const earlier = getLocalFields(time - offset * MINUTE_MS, timezone);
+    return earlier.day === local.day && wallMinutes(earlier) === wallMinutes(local);
+  });
+}
+
+// On the day clocks go forward, 02:30 never happens; a firing in the gap runs right after it
+function isAfterSkippedFiring(time, local, fields, timezone) {
+  const previous = getLocalFields(time - MINUTE_MS, timezone);
+  if (previous.day !== local.day) return false;
+  for (let wall = wallMinutes(previous) + 1; wall < wallMinutes(local); wall += 1) {
+    if (fields.hour.has(Math.floor(wall / 60)) && fields.minute.has(wall % 60)) return true;
+  }
+  return false;
+}
+
+// First firing strictly after `after`, or null if there is none within five years
+export function nextFireTime(schedule, after = new Date()) {
+  const { fields, timezone } = schedule;
+  let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  const limit = time + SEARCH_LIMIT_MS;
+
+  while (time < limit) {
+    const local = getLocalFields(time, timezone);
+    if (!fields.month.has(local.month) || !dayMatches(fields, local)) {
+      // Skip to the next local midnight; DST shifts are caught by re-checking
+      time += (24 * 60 - wallMinutes(local)) * MINUTE_MS;
+      continue;
+    }
+
+    const matches = fields.hour.has(local.hour) && fields.minute.has(local.minute);
+    if (matches ? !isRepeatedWallTime(time, local, fields, timezone) : isAfterSkippedFiring(time, local, fields, timezone)) {
+      return new Date(time);
+    }
+    time += (fields.hour.has(local.hour) ? 1 : 60 - local.minute) * MINUTE_MS;
+  }
+  return null;
+}
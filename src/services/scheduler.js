@@ -0,0 +1,249 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { isProcessAlive } from './flowControl.js';
+import { listFlowIds, loadFlow } from './flowStore.js';
+import { getFlowSchedule, nextFireTime } from './schedule.js';
+
+// Shared with `agentpad status`: next/last firing and missed firings per scheduled flow
+const STATE_FILE = path.join(process.cwd(), '.agentpad', 'scheduler.json');
+const TICK_MS = 1000;
+// How often flows/ is re-read so new or edited schedules are picked up without a restart
+const RESCAN_MS = 30 * 1000;
+// A firing noticed later than this (daemon down or asleep) is recorded as missed instead of run
+const MISSED_GRACE_MS = 60 * 1000;
+const MAX_MISSED_RECORDS = 50;
+// Upper bound on firings replayed after a long outage (e.g. a per-minute schedule down for weeks)
+const MAX_MISSED_SCAN = 10000;
+
+export function readSchedulerState(stateFile = STATE_FILE) {
+  try {
+    return { pid: null, flows: {}, ...JSON.parse(fs.readFileSync(stateFile, 'utf-8')) };
+  } catch {
+    return { pid: null, flows: {} };
+  }
+}
+
+function scheduleSignature(schedule) {
+  return `${schedule.cron}|${schedule.timezone}`;
+}
+
+// Launches a fresh run of every flow whose Start node has a `schedule`. Only one scheduler
+// may own a directory; runs go through the RunManager, so a flow that is still running
+// (here or in another process) is never started twice.
+export class Scheduler {
+  constructor(runManager, { flowIds = null, stateFile = STATE_FILE } = {}) {
+    this.runManager = runManager;
+    // Restrict to these flow ids; null schedules every flow in flows/
+    this.flowIds = flowIds;
+    this.stateFile = stateFile;
+    this.state = { pid: null, flows: {} };
+    this.scheduled = new Map();
+    this.invalid = new Map();
+    this.timer = null;
+    this.lastScan = 0;
+  }
+
+  start() {
+    const existing = readSchedulerState(this.stateFile);
+    if (existing.pid && existing.pid !== process.pid && isProcessAlive(existing.pid)) {
+      throw new Error(`Scheduler is already running (pid ${existing.pid})`);
+    }
+
+    this.state = { ...existing, pid: process.pid, startedAt: new Date().toISOString() };
+    this.scan();
+    this.tick();
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+    logger.info(`[SCHEDULER] Started with ${this.scheduled.size} scheduled flow(s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.state.pid = null;
+    this.save();
+    logger.info('[SCHEDULER] Stopped');
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+      const tmpFile = `${this.stateFile}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(this.state, null, 2));
+      fs.renameSync(tmpFile, this.stateFile);
+    } catch (error) {
+      logger.error(`[SCHEDULER] Failed to save state: ${error.message}`);
+    }
+  }
+
+  // Pick up added, edited and removed schedules from flows/
+  scan(now = new Date()) {
+    this.lastScan = now.getTime();
+    const seen = new Set();
+
+    for (const flowId of this.flowIds || listFlowIds()) {
+      let loaded;
+      let schedule;
+      try {
+        loaded = loadFlow(flowId);
+        schedule = getFlowSchedule(loaded.flowData);
+      } catch (error) {
+        if (this.invalid.get(flowId) !== error.message) {
+          logger.error(`[SCHEDULER] Skipping flow '${flowId}': ${error.message}`);
+          this.invalid.set(flowId, error.message);
+        }
+        continue;
+      }
+      this.invalid.delete(flowId);
+      if (!schedule) continue;
+
+      seen.add(flowId);
+      const signature = scheduleSignature(schedule);
+      const entry = this.state.flows[flowId];
+      if (!entry || entry.signature !== signature) {
+        const nextFireAt = nextFireTime(schedule, now);
+        this.state.flows[flowId] = {
+          missedCount: 0,
+          missed: [],
+          lastFireAt: null,
+          lastRunId: null,
+          ...entry,
+          signature,
+          nextFireAt: nextFireAt ? nextFireAt.toISOString() : null
+        };
+        logger.info(`[SCHEDULER] Flow '${loaded.flowName}' scheduled ${schedule.description}; next run ${nextFireAt ? nextFireAt.toISOString() : 'never'}`);
+      }
+      Object.assign(this.state.flows[flowId], {
+        flowName: loaded.flowName,
+        description: schedule.description
+      });
+      this.scheduled.set(flowId, { ...loaded, schedule });
+    }
+
+    for (const flowId of this.scheduled.keys()) {
+      if (!seen.has(flowId)) {
+        logger.info(`[SCHEDULER] Flow '${flowId}' is no longer scheduled`);
+        this.scheduled.delete(flowId);
+        delete this.state.flows[flowId];
+      }
+    }
+    this.save();
+  }
+
+  tick(now = new Date()) {
+    if (now.getTime() - this.lastScan >= RESCAN_MS) {
+      this.scan(now);
+    }
+
+    let changed = false;
+    for (const [flowId, flow] of this.scheduled) {
+      const entry = this.state.flows[flowId];
+      if (!entry.nextFireAt || new Date(entry.nextFireAt) > now) continue;
+
+      // Every firing between the stored next-fire time and now
+      const due = [];
+      let next = new Date(entry.nextFireAt);
+      while (next && next <= now && due.length < MAX_MISSED_SCAN) {
+        due.push(next);
+        next = nextFireTime(flow.schedule, next);
+      }
+      if (next && next <= now) {
+        logger.warn(`[SCHEDULER] Flow '${flow.flowName}' missed more than ${MAX_MISSED_SCAN} firings; only the first ${MAX_MISSED_SCAN} are recorded`);
+        next = nextFireTime(flow.schedule, now);
+      }
+      entry.nextFireAt = next ? next.toISOString() : null;
+      changed = true;
+
+      const latest = due[due.length - 1];
+      const onTime = now - latest <= MISSED_GRACE_MS;
+      const missed = onTime ? due.slice(0, -1) : due;
+      for (const scheduledFor of missed) {
+        this.recordMissed(entry, scheduledFor, 'downtime');
+      }
+      if (missed.length > 0) {
+        logger.warn(`[SCHEDULER] Flow '${flow.flowName}' missed ${missed.length} firing(s) since ${missed[0].toISOString()}`);
+      }
+
+      if (onTime) {
+        this.fire(flowId, flow, latest);
+      } else if (flow.schedule.catchUp) {
+        this.fire(flowId, flow, latest, { catchUp: true });
+      }
+    }
+
+    if (changed) {
+      this.save();
+    }
+  }
+
+  recordMissed(entry, scheduledFor, reason) {
+    entry.missedCount += 1;
+    entry.missed.push({ scheduledFor: scheduledFor.toISOString(), reason, recordedAt: new Date().toISOString() });
+    if (entry.missed.length > MAX_MISSED_RECORDS) {
+      entry.missed.splice(0, entry.missed.length - MAX_MISSED_RECORDS);
+    }
+  }
+
+  fire(flowId, flow, scheduledFor, { catchUp = false } = {}) {
+    const entry = this.state.flows[flowId];
+    if (this.runManager.isFlowRunning(flow.flowName)) {
+      logger.warn(`[SCHEDULER] Flow '${flow.flowName}' is still running; skipping the ${scheduledFor.toISOString()} firing`);
+      this.recordMissed(entry, scheduledFor, 'overlap');
+      return;
+    }
+
+    try {
+      const run = this.runManager.startRun(flow.flowData, {
+        flowId,
+        flowPath: flow.flowPath,
+        trigger: { type: 'schedule', scheduledFor: scheduledFor.toISOString(), ...(catchUp ? { catchUp: true } : {}) }
+      });
+      entry.lastFireAt = new Date().toISOString();
+      entry.lastRunId = run.runId;
+      entry.lastError = null;
+      logger.info(`[SCHEDULER] Started run ${run.runId} of '${flow.flowName}'${catchUp ? ' to catch up on missed firings' : ''}`);
+    } catch (error) {
+      entry.lastError = error.message;
+      logger.error(`[SCHEDULER] Failed to start '${flow.flowName}': ${error.message}`);
+    }
+  }
+}
+
+// Schedules of the flows in flows/ with their next firing, for `agentpad status`. Next-fire
+// times come from the running scheduler when there is one, otherwise they are computed.
+export function describeSchedules({ stateFile = STATE_FILE, now = new Date() } = {}) {
+  const state = readSchedulerState(stateFile);
+  const running = Boolean(state.pid && isProcessAlive(state.pid));
+  const flows = [];
+
+  for (const flowId of listFlowIds()) {
+    let loaded;
+    let schedule;
+    try {
+      loaded = loadFlow(flowId);
+      schedule = getFlowSchedule(loaded.flowData);
+    } catch (error) {
+      continue;
+    }
+    if (!schedule) continue;
+
+    const entry = state.flows[flowId];
+    const current = entry && entry.signature === scheduleSignature(schedule) ? entry : null;
+    const computed = nextFireTime(schedule, now);
+    flows.push({
+      flowId,
+      flowName: loaded.flowName,
+      description: schedule.description,
+      nextFireAt: running && current ? current.nextFireAt : (computed ? computed.toISOString() : null),
+      lastFireAt: current?.lastFireAt || null,
+      lastRunId: current?.lastRunId || null,
+      lastError: current?.lastError || null,
+      missedCount: current?.missedCount || 0,
+      missed: current?.missed || []
+    });
+  }
+
+  return { running, pid: running ? state.pid : null, flows };
+}
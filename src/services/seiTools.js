@@ -0,0 +1,59 @@
+// sei-agent-kit tools that only read chain/API state. Everything else sends a transaction
+// (or a tweet) and must not be replayed blindly.
+const READ_ONLY_TOOLS = new Set([
+  'sei_erc20_balance',
+  'sei_erc721_balance',
+  'sei_citrex_get_products',
+  'sei_citrex_get_order_book',
+  'sei_citrex_list_balances',
+  'sei_citrex_get_account_health',
+  'sei_citrex_list_open_orders',
+  'sei_get_account_details',
+  'sei_get_user_strategies',
+  'sei_compose_trade_by_source_tx',
+  'sei_compose_trade_by_target_tx'
+]);
+
+export function isWriteTool(toolName) {
+  return !READ_ONLY_TOOLS.has(toolName);
+}
+
+// SeiAgentKit methods that only read, plus the kit's lookup helpers
+export const SEI_KIT_READ_METHODS = new Set([
+  'getERC20Balance',
+  'getERC721Balance',
+  'getTokenAddressFromTicker',
+  'citrexGetProducts',
+  'citrexGetOrderBook',
+  'citrexListBalances',
+  'citrexGetAccountHealth',
+  'citrexListOpenOrders',
+  'getAccountDetails',
+  'composeTradeBySourceTx',
+  'composeTradeByTargetTx',
+  'getUserStrategies'
+]);
+
+// SeiAgentKit methods behind the write tools, for code that calls the kit directly (e.g. LLM agent tools)
+export const SEI_KIT_WRITE_METHODS = new Set([
+  'ERC20Transfer',
+  'ERC721Transfer',
+  'ERC721Mint',
+  'swap',
+  'stake',
+  'unstake',
+  'mintTakara',
+  'borrowTakara',
+  'repayTakara',
+  'redeemTakara',
+  'citrexPlaceOrder',
+  'citrexDeposit',
+  'citrexWithdraw',
+  'citrexCancelOrder',
+  'postTweet',
+  'postTweetReply',
+  'createBuySellStrategy',
+  'createOverlappingStrategy',
+  'deleteStrategy',
+  'updateStrategy'
+]);
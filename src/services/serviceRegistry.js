@@ -0,0 +1,30 @@
+import { TelegramNode } from './telegramNode.js';
+import { UserApprovalNode } from './userApprovalNode.js';
+import SmartContractNode from './smartContractNode.js';
+import { fetchMarketData } from './marketData.js';
+
+// Everything BackendFlowExecutor talks to outside the process. Pass `services` to the
+// executor to replace any of these (the test harness swaps in fixture-backed fakes).
+// Factories receive `{ nodeId }` so fakes can answer per node; createSeiKit and
+// createLLMNode may return a promise.
+export function createDefaultServices() {
+  return {
+    // sei-agent-kit is only loaded when a real kit is needed, so runs with injected
+    // services (the test harness) work without it
+    createSeiKit: async (privateKey, network) => {
+      const [{ ModelProviderName }, { default: NetworkAwareSeiAgentKit }] = await Promise.all([
+        import('sei-agent-kit'),
+        import('./networkAwareSeiAgentKit.js')
+      ]);
+      return new NetworkAwareSeiAgentKit(privateKey, ModelProviderName.OPENAI, network);
+    },
+    createLLMNode: async (config, privateKey, network, options) => {
+      const { default: LLMNode } = await import('./llmNode.js');
+      return new LLMNode(config, privateKey, network, options);
+    },
+    createTelegramNode: (config, context) => new TelegramNode(config, context),
+    createUserApprovalNode: (config, context) => new UserApprovalNode(config, context),
+    createSmartContractNode: (config, privateKey) => new SmartContractNode(config, privateKey),
+    fetchMarketData
+  };
+}
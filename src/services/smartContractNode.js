@@ -52,6 +52,49 @@ const seiTestnet = defineChain({
   },
 });
 
+const SUPPORTED_CHAINS = {
+  ethereum: mainnet,
+  polygon: polygon,
+  bsc: bsc,
+  arbitrum: arbitrum,
+  optimism: optimism,
+  base: base,
+  sei: seiMainnet,
+  sei_testnet: seiTestnet
+};
+
+// Read-only client for a network; needs no key (used by event and balance triggers)
+export function createNetworkPublicClient(network) {
+  const chain = SUPPORTED_CHAINS[network];
+  if (!chain) {
+    throw new Error(`Unsupported network: ${network}`);
+  }
+  
+  return createPublicClient({
+    chain,
+    transport: http()
+  });
+}
+
+export function parseContractAbi(abiString) {
+  try {
+    const abi = JSON.parse(abiString);
+    return {
+      readMethods: abi.filter(item => 
+        item.type === 'function' && 
+        (item.stateMutability === 'view' || item.stateMutability === 'pure')
+      ),
+      writeMethods: abi.filter(item => 
+        item.type === 'function' && 
+        (item.stateMutability === 'nonpayable' || item.stateMutability === 'payable')
+      ),
+      events: abi.filter(item => item.type === 'event')
+    };
+  } catch (error) {
+    throw new Error(`Invalid ABI format: ${error.message}`);
+  }
+}
+
 class SmartContractNode {
   constructor(config, privateKey) {
     this.config = config;
@@ -61,28 +104,11 @@ class SmartContractNode {
   }
 
   getSupportedChains() {
-    return {
-      ethereum: mainnet,
-      polygon: polygon,
-      bsc: bsc,
-      arbitrum: arbitrum,
-      optimism: optimism,
-      base: base,
-      sei: seiMainnet,
-      sei_testnet: seiTestnet
-    };
+    return SUPPORTED_CHAINS;
   }
 
   getPublicClient(network) {
-    const chain = this.chains[network];
-    if (!chain) {
-      throw new Error(`Unsupported network: ${network}`);
-    }
-    
-    return createPublicClient({
-      chain,
-      transport: http()
-    });
+    return createNetworkPublicClient(network);
   }
 
   getWalletClient(network) {
@@ -99,22 +125,7 @@ class SmartContractNode {
   }
 
   parseABI(abiString) {
-    try {
-      const abi = JSON.parse(abiString);
-      return {
-        readMethods: abi.filter(item => 
-          item.type === 'function' && 
-          (item.stateMutability === 'view' || item.stateMutability === 'pure')
-        ),
-        writeMethods: abi.filter(item => 
-          item.type === 'function' && 
-          (item.stateMutability === 'nonpayable' || item.stateMutability === 'payable')
-        ),
-        events: abi.filter(item => item.type === 'event')
-      };
-    } catch (error) {
-      throw new Error(`Invalid ABI format: ${error.message}`);
-    }
+    return parseContractAbi(abiString);
   }
 
   async executeRead(contractAddress, abi, methodName, parameters, network) {
@@ -155,44 +166,56 @@ class SmartContractNode {
     }
   }
 
+  buildWriteArgs(contractAddress, abi, methodName, parameters, options = {}) {
+    // Parse ABI - use JSON.parse instead of parseAbi for JSON strings
+    let parsedAbi;
+    try {
+      parsedAbi = JSON.parse(abi);
+    } catch (parseError) {
+      // If JSON.parse fails, try parseAbi for human-readable format
+      parsedAbi = parseAbi(abi);
+    }
+    
+    // Prepare transaction arguments
+    const writeArgs = {
+      address: contractAddress,
+      abi: parsedAbi,
+      functionName: methodName,
+      args: this.prepareParameters(parameters)
+    };
+    
+    // Add value if specified
+    if (options.value && options.value !== '0') {
+      writeArgs.value = BigInt(options.value);
+    }
+    
+    // Add gas settings if specified
+    if (options.gasLimit) {
+      writeArgs.gas = BigInt(options.gasLimit);
+    }
+    if (options.gasPrice) {
+      writeArgs.gasPrice = BigInt(options.gasPrice);
+    }
+    return writeArgs;
+  }
+
+  // Gas the write would use, for transaction policy checks before it is sent
+  async estimateWriteGas(contractAddress, abi, methodName, parameters, network, options = {}) {
+    const writeArgs = this.buildWriteArgs(contractAddress, abi, methodName, parameters, options);
+    return this.getPublicClient(network).estimateContractGas({ ...writeArgs, account: this.account });
+  }
+
   async executeWrite(contractAddress, abi, methodName, parameters, network, options = {}) {
     try {
       logger.info(`Executing smart contract write: ${methodName} on ${network}`);
       
       const publicClient = this.getPublicClient(network);
       const walletClient = this.getWalletClient(network);
+      const writeArgs = this.buildWriteArgs(contractAddress, abi, methodName, parameters, options);
       
-      // Parse ABI - use JSON.parse instead of parseAbi for JSON strings
-      let parsedAbi;
-      try {
-        parsedAbi = JSON.parse(abi);
-      } catch (parseError) {
-        // If JSON.parse fails, try parseAbi for human-readable format
-        parsedAbi = parseAbi(abi);
-      }
-      
-      // Prepare parameters array
-      const paramArray = this.prepareParameters(parameters);
-      
-      // Prepare transaction arguments
-      const writeArgs = {
-        address: contractAddress,
-        abi: parsedAbi,
-        functionName: methodName,
-        args: paramArray
-      };
-      
-      // Add value if specified
-      if (options.value && options.value !== '0') {
-        writeArgs.value = BigInt(options.value);
-      }
-      
-      // Add gas settings if specified
-      if (options.gasLimit) {
-        writeArgs.gas = BigInt(options.gasLimit);
-      }
-      if (options.gasPrice) {
-        writeArgs.gasPrice = BigInt(options.gasPrice);
+      // Dry run: check the call against current chain state instead of sending it
+      if (options.dryRun) {
+        return await this.simulateWrite(publicClient, writeArgs);
       }
       
       // Execute the transaction
@@ -226,6 +249,23 @@ class SmartContractNode {
     }
   }
 
+  async simulateWrite(publicClient, writeArgs) {
+    const args = { ...writeArgs, account: this.account };
+    const { result } = await publicClient.simulateContract(args);
+    const gasEstimate = await publicClient.estimateContractGas(args);
+    
+    logger.info(`Simulated ${writeArgs.functionName}: estimated gas ${gasEstimate}`);
+    
+    return {
+      dryRun: true,
+      transactionHash: null,
+      status: 'simulated',
+      from: this.account.address,
+      gasEstimate: gasEstimate.toString(),
+      simulatedResult: this.formatResult(result)
+    };
+  }
+
   prepareParameters(parameters) {
     if (!parameters || typeof parameters !== 'object') {
       return [];
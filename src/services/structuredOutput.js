@@ -0,0 +1,152 @@
+import Ajv from 'ajv';
+
+// `outputMode: 'structured'` for LLM nodes: the answer must be one JSON object matching the
+// node's `outputSchema` (by default the action envelope below) and, when `actionSchemas` maps
+// action names to parameter schemas, one of those actions with valid `parameters`. Answers
+// that don't match are sent back to the model with the errors, up to `maxRetries` times.
+
+// One Ajv per node: user schemas may carry an `$id`, which Ajv only accepts once per instance
+const createAjv = () => new Ajv({ allErrors: true, strict: false });
+
+export const DEFAULT_MAX_RETRIES = 2;
+
+const ACTION_ENVELOPE = {
+  type: 'object',
+  required: ['action', 'parameters'],
+  properties: {
+    action: { type: 'string' },
+    parameters: { type: 'object' },
+    confidence: { enum: ['low', 'medium', 'high'] },
+    reason: { type: 'string' }
+  }
+};
+
+function describeErrors(errors, basePath) {
+  return errors.map((err) => {
+    const location = `${basePath}${err.instancePath}` || '(root)';
+    if (err.keyword === 'required') return `${location}: missing required field '${err.params.missingProperty}'`;
+    if (err.keyword === 'enum') return `${location}: must be one of: ${err.params.allowedValues.join(', ')}`;
+    if (err.keyword === 'additionalProperties') return `${location}: unexpected field '${err.params.additionalProperty}'`;
+    return `${location}: ${err.message}`;
+  });
+}
+
+// Actions the node allows: `actionSchemas` keys, narrowed by the comma-separated `availableActions`
+function allowedActions(config) {
+  const listed = (config.availableActions ?? '').split(',').map(s => s.trim()).filter(Boolean);
+  const schemaActions = Object.keys(config.actionSchemas || {});
+  if (schemaActions.length === 0) return listed;
+  return listed.length > 0 ? schemaActions.filter(name => listed.includes(name)) : schemaActions;
+}
+
+export class StructuredOutput {
+  constructor(config) {
+    const ajv = createAjv();
+    this.schema = config.outputSchema || ACTION_ENVELOPE;
+    this.validateShape = ajv.compile(this.schema);
+    this.actionSchemas = config.actionSchemas || null;
+    this.actions = allowedActions(config);
+    this.parameterValidators = Object.fromEntries(
+      Object.entries(this.actionSchemas || {}).map(([name, schema]) => [name, ajv.compile(schema)])
+    );
+    const maxRetries = Number(config.maxRetries ?? DEFAULT_MAX_RETRIES);
+    this.maxRetries = Number.isInteger(maxRetries) && maxRetries >= 0 ? maxRetries : DEFAULT_MAX_RETRIES;
+  }
+
+  // Appended to the system prompt so the model knows the exact shape up front
+  describe() {
+    let text = `Respond with ONLY one JSON object, no prose or code fences, matching this JSON Schema:\n${JSON.stringify(this.schema, null, 2)}`;
+    if (this.actionSchemas) {
+      text += '\n\n`action` must be one of the following, with `parameters` matching its schema:';
+      for (const name of this.actions) {
+        text += `\n- ${name}: ${JSON.stringify(this.actionSchemas[name])}`;
+      }
+    } else if (this.actions.length > 0) {
+      text += `\n\nAvailable actions: ${this.actions.join(', ')}`;
+    }
+    return text;
+  }
+
+  // Parsed object, or the reasons it is unusable as a list of strings
+  check(response) {
+    const text = typeof response === 'string' ? response : JSON.stringify(response);
+    let value;
+    try {
+      value = parseJsonObject(text);
+    } catch (error) {
+      return { errors: [error.message] };
+    }
+
+    if (!this.validateShape(value)) {
+      return { errors: describeErrors(this.validateShape.errors, '') };
+    }
+    if (this.actions.length > 0 && !this.actions.includes(value.action)) {
+      return { errors: [`action: '${value.action}' is not allowed; use one of: ${this.actions.join(', ')}`] };
+    }
+    const validateParameters = this.parameterValidators[value.action];
+    if (validateParameters && !validateParameters(value.parameters ?? {})) {
+      return { errors: describeErrors(validateParameters.errors, 'parameters') };
+    }
+    return { value };
+  }
+
+  retryPrompt(errors) {
+    return `Your last answer did not match the required output:\n${errors.map(e => `- ${e}`).join('\n')}\n\nReply again with ONLY the corrected JSON object.`;
+  }
+
+  // `send(message)` returns the model's answer; rejected answers are followed up on the same thread
+  async ask(send, input) {
+    let message = input;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= this.maxRetries + 1; attempt++) {
+      const checked = this.check(await send(message));
+      if (checked.value) {
+        return checked.value;
+      }
+      errors = checked.errors;
+      console.warn(`⚠️ Structured output attempt ${attempt} rejected: ${errors.join('; ')}`);
+      message = this.retryPrompt(errors);
+    }
+
+    throw new Error(`LLM output did not match the schema after ${this.maxRetries + 1} attempts: ${errors.join('; ')}`);
+  }
+}
+
+// The model's answer as an object: the whole text, a ```json fence, or the outermost {...}
+export function parseJsonObject(text) {
+  const candidates = [text.trim()];
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenced) candidates.push(fenced[1].trim());
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start !== -1 && end > start) candidates.push(text.slice(start, end + 1));
+
+  for (const candidate of candidates) {
+    try {
+      const value = JSON.parse(candidate);
+      if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+    } catch {
+      // try the next candidate
+    }
+  }
+  throw new Error('Answer is not a JSON object');
+}
+
+// Flow validation: the node's schemas must compile
+export function validateStructuredConfig(config) {
+  const errors = [];
+  const schemas = [['config.outputSchema', config.outputSchema]];
+  for (const [name, schema] of Object.entries(config.actionSchemas || {})) {
+    schemas.push([`config.actionSchemas.${name}`, schema]);
+  }
+  for (const [path, schema] of schemas) {
+    if (!schema || typeof schema !== 'object') continue;
+    try {
+      createAjv().compile(schema);
+    } catch (error) {
+      errors.push({ path, message: `invalid JSON Schema: ${error.message}` });
+    }
+  }
+  return errors;
+}
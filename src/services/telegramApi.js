@@ -0,0 +1,33 @@
+// Telegram Bot API calls. TELEGRAM_API_URL points them at a self-hosted Bot API server.
+
+const API_URL = process.env.TELEGRAM_API_URL || 'https://api.telegram.org';
+
+// Longest text Telegram accepts in one message
+export const MAX_MESSAGE_LENGTH = 4096;
+
+export async function callTelegram(botToken, method, payload = {}, { signal } = {}) {
+  const response = await fetch(`${API_URL}/bot${botToken}/${method}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.ok) {
+    throw new Error(`Telegram API error: ${result.description || response.statusText}`);
+  }
+  return result.result;
+}
+
+// Plain text (no parse mode, so model output can't break Markdown parsing), split to fit
+export async function sendTelegramText(botToken, chatId, text) {
+  const body = String(text ?? '') || '(empty reply)';
+  const sent = [];
+  for (let start = 0; start < body.length; start += MAX_MESSAGE_LENGTH) {
+    sent.push(await callTelegram(botToken, 'sendMessage', {
+      chat_id: chatId,
+      text: body.slice(start, start + MAX_MESSAGE_LENGTH)
+    }));
+  }
+  return sent;
+}
@@ -0,0 +1,135 @@
+import { logger } from '../utils/logger.js';
+import { callTelegram, sendTelegramText } from './telegramApi.js';
+import { ADMINS_ENV, parseAllowlist } from './telegramCommands.js';
+
+// A conversation with an LLM node over Telegram (`chatInterface: 'telegram'`). Messages the
+// webhook receives from the chat are answered one at a time until someone sends an exit
+// keyword, nobody writes for `idleTimeout` seconds, or the flow is stopped. Only the users in
+// `allowedUserIds` (the node's, else AGENTPAD_TELEGRAM_ADMINS) are answered; anyone else in a
+// group chat could otherwise drive the agent and its tools.
+
+export const DEFAULT_EXIT_KEYWORDS = ['exit', 'quit'];
+export const DEFAULT_IDLE_TIMEOUT = 600;
+
+export class TelegramChat {
+  constructor({ webhookHandler, botToken, chatId, nodeId, exitKeywords = DEFAULT_EXIT_KEYWORDS, idleTimeout = DEFAULT_IDLE_TIMEOUT, allowedUserIds = null, signal = null }) {
+    if (!webhookHandler) {
+      throw new Error('Telegram chat needs the webhook server that receives Telegram messages');
+    }
+    if (!botToken) {
+      throw new Error('Telegram chat needs TELEGRAM_BOT_TOKEN');
+    }
+    if (!chatId) {
+      throw new Error('Telegram chat needs a chat ID (config.chatId, {telegramChatId} or TELEGRAM_CHAT_ID)');
+    }
+    this.webhookHandler = webhookHandler;
+    this.botToken = botToken;
+    this.chatId = chatId;
+    this.nodeId = nodeId;
+    this.exitKeywords = exitKeywords.map(keyword => keyword.toLowerCase());
+    this.idleTimeout = Number(idleTimeout) || DEFAULT_IDLE_TIMEOUT;
+    this.allowedUserIds = allowedUserIds
+      ? new Set(allowedUserIds.map(String))
+      : parseAllowlist(process.env[ADMINS_ENV]);
+    this.signal = signal;
+    this.queue = Promise.resolve();
+    this.ended = false;
+    this.lastOutput = null;
+  }
+
+  send(text) {
+    return sendTelegramText(this.botToken, this.chatId, text).catch((error) => {
+      logger.error(`[TELEGRAM_CHAT] Failed to send to chat ${this.chatId}: ${error.message}`);
+    });
+  }
+
+  // Resolves with why the chat ended ('exit', 'idle' or 'stopped') once it has
+  async run(reply, { opening = null } = {}) {
+    const ended = new Promise((resolve) => {
+      this.finish = (reason) => {
+        if (this.ended) return;
+        this.ended = true;
+        clearTimeout(this.idleTimer);
+        resolve(reason);
+      };
+    });
+    this.reply = reply;
+
+    const unregister = this.webhookHandler.registerChatSession(this.chatId, message => this.receive(message));
+    const onAbort = () => this.finish('stopped');
+    this.signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+      if (this.signal?.aborted) {
+        this.finish('stopped');
+      } else {
+        logger.info(`[TELEGRAM_CHAT] ${this.nodeId} chatting in chat ${this.chatId}`);
+        this.resetIdleTimer();
+        await this.send(`💬 Chat started. Send ${this.exitKeywords.map(k => `"${k}"`).join(' or ')} to end it.`);
+        if (opening) {
+          await this.send(typeof opening === 'string' ? opening : JSON.stringify(opening, null, 2));
+        }
+      }
+      const reason = await ended;
+      // Let a reply in progress finish before the node moves on
+      await this.queue;
+      logger.info(`[TELEGRAM_CHAT] ${this.nodeId} chat in ${this.chatId} ended (${reason})`);
+      return reason;
+    } finally {
+      unregister();
+      this.signal?.removeEventListener('abort', onAbort);
+      clearTimeout(this.idleTimer);
+    }
+  }
+
+  resetIdleTimer() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => {
+      this.send(`⌛ Chat ended after ${this.idleTimeout}s without messages.`);
+      this.finish('idle');
+    }, this.idleTimeout * 1000);
+  }
+
+  receive(message) {
+    const from = message.from || {};
+    if (!this.allowedUserIds.has(String(from.id))) {
+      logger.warn(`[TELEGRAM_CHAT] Ignored message in chat ${this.chatId} from user ${from.id} (${from.username || from.first_name || 'unknown'}), not allowed`);
+      this.send(this.allowedUserIds.size === 0
+        ? `⛔ Nobody may use this chat yet. Add your user ID (${from.id}) to ${ADMINS_ENV} or the node's allowedUserIds.`
+        : '⛔ You are not allowed to use this chat.');
+      return;
+    }
+    this.enqueue(message);
+  }
+
+  // Webhook deliveries arrive concurrently; answer them in order
+  enqueue(message) {
+    this.queue = this.queue.then(() => this.handle(message)).catch((error) => {
+      logger.error(`[TELEGRAM_CHAT] Error in chat ${this.chatId}: ${error.message}`);
+    });
+  }
+
+  async handle(message) {
+    if (this.ended) return;
+    const text = message.text?.trim();
+    if (!text) {
+      await this.send('Only text messages are supported.');
+      return;
+    }
+    if (this.exitKeywords.includes(text.toLowerCase())) {
+      this.finish('exit');
+      await this.send('👋 Chat ended.');
+      return;
+    }
+
+    // A long agent turn doesn't count as idle time
+    clearTimeout(this.idleTimer);
+    callTelegram(this.botToken, 'sendChatAction', { chat_id: this.chatId, action: 'typing' }).catch(() => {});
+    try {
+      this.lastOutput = await this.reply(text);
+      await this.send(typeof this.lastOutput === 'string' ? this.lastOutput : JSON.stringify(this.lastOutput, null, 2));
+    } catch (error) {
+      await this.send(`Error: ${error.message}`);
+    }
+    if (!this.ended) this.resetIdleTimer();
+  }
+}
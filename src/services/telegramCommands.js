@@ -0,0 +1,239 @@
+import { logger } from '../utils/logger.js';
+import { listFlowIds, loadFlow } from './flowStore.js';
+import { sendTelegramText } from './telegramApi.js';
+
+// Bot commands for operating flows from Telegram, served by the same RunManager, tracker and
+// run history as the CLI. Only the Telegram user IDs listed (comma-separated) in
+// AGENTPAD_TELEGRAM_ADMINS may use them; with the variable unset every command is refused.
+//
+//   /flows              flows in flows/ and whether they run
+//   /status [flow]      running flows, or one flow's state and last run
+//   /start <flow>       start a flow (trigger { type: 'telegram' })
+//   /stop <flow>        stop a flow, in whichever process runs it
+//   /vars <flow>        variables of the flow's current (or last) run
+//   /runs [flow]        recent runs
+//   /approve <id>       approve a pending approval; without an ID, list them
+
+export const ADMINS_ENV = 'AGENTPAD_TELEGRAM_ADMINS';
+const RUNS_SHOWN = 10;
+
+export function parseAllowlist(value) {
+  return new Set(String(value || '').split(',').map(id => id.trim()).filter(Boolean));
+}
+
+function normalize(name) {
+  return String(name).toLowerCase().replace(/[\s_]+/g, ' ').trim();
+}
+
+function formatValue(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 300 ? `${text.slice(0, 300)}…` : text;
+}
+
+export class TelegramCommands {
+  constructor(runManager, { webhookHandler = runManager.webhookHandler, allowedUserIds = parseAllowlist(process.env[ADMINS_ENV]), botToken = process.env.TELEGRAM_BOT_TOKEN } = {}) {
+    this.runManager = runManager;
+    this.webhookHandler = webhookHandler;
+    this.allowedUserIds = allowedUserIds;
+    this.botToken = botToken;
+    this.commands = {
+      help: () => this.help(),
+      flows: () => this.listFlows(),
+      status: args => this.status(args),
+      start: (args, from) => this.start(args, from),
+      stop: (args, from) => this.stop(args, from),
+      vars: args => this.variables(args),
+      runs: args => this.runs(args),
+      approve: (args, from) => this.approve(args, from)
+    };
+  }
+
+  // "/status@MyBot My Flow" -> { name: 'status', args: 'My Flow' }; null for other messages
+  parse(text) {
+    const match = String(text || '').trim().match(/^\/([A-Za-z_]+)(?:@\S+)?(?:\s+([\s\S]*))?$/);
+    if (!match || !this.commands[match[1].toLowerCase()]) return null;
+    return { name: match[1].toLowerCase(), args: (match[2] || '').trim() };
+  }
+
+  isCommand(message) {
+    return Boolean(this.parse(message?.text));
+  }
+
+  // Answers the command in the chat it came from
+  async handle(message) {
+    const command = this.parse(message.text);
+    const from = message.from || {};
+    let reply;
+    if (!this.allowedUserIds.has(String(from.id))) {
+      logger.warn(`[TELEGRAM_COMMANDS] Refused /${command.name} from user ${from.id} (${from.username || from.first_name || 'unknown'})`);
+      reply = this.allowedUserIds.size === 0
+        ? `⛔ Commands are disabled. Add your user ID (${from.id}) to ${ADMINS_ENV} to enable them.`
+        : '⛔ You are not allowed to run commands.';
+    } else {
+      logger.info(`[TELEGRAM_COMMANDS] /${command.name} ${command.args} from user ${from.id}`);
+      try {
+        reply = await this.commands[command.name](command.args, from);
+      } catch (error) {
+        reply = `❌ ${error.message}`;
+      }
+    }
+
+    if (!this.botToken) {
+      logger.warn('[TELEGRAM_COMMANDS] TELEGRAM_BOT_TOKEN is not set; reply not sent');
+      return reply;
+    }
+    await sendTelegramText(this.botToken, message.chat.id, reply).catch((error) => {
+      logger.error(`[TELEGRAM_COMMANDS] Failed to reply in chat ${message.chat.id}: ${error.message}`);
+    });
+    return reply;
+  }
+
+  help() {
+    return [
+      'Commands:',
+      '/flows - list flows',
+      '/status [flow] - running flows, or one flow',
+      '/start <flow> - start a flow',
+      '/stop <flow> - stop a flow',
+      '/vars <flow> - variables of its current or last run',
+      '/runs [flow] - recent runs',
+      '/approve <id> - approve a pending approval'
+    ].join('\n');
+  }
+
+  // Saved flows as { flowId, flowName }; unparseable files keep their file name
+  savedFlows() {
+    return listFlowIds().map((flowId) => {
+      try {
+        return { flowId, flowName: loadFlow(flowId).flowName };
+      } catch {
+        return { flowId, flowName: flowId };
+      }
+    });
+  }
+
+  // A flow by id or display name, ignoring case and spaces vs underscores
+  findFlow(name) {
+    if (!name) throw new Error('Name a flow, e.g. /status my_flow (see /flows)');
+    const wanted = normalize(name);
+    const tracked = Object.keys(this.runManager.flowTracker.getRunningFlows())
+      .map(flowName => ({ flowId: null, flowName }));
+    const matches = [...this.savedFlows(), ...tracked]
+      .filter(flow => normalize(flow.flowName) === wanted || (flow.flowId && normalize(flow.flowId) === wanted));
+    if (matches.length === 0) throw new Error(`Flow '${name}' not found (see /flows)`);
+    return matches.find(flow => flow.flowId) || matches[0];
+  }
+
+  listFlows() {
+    const flows = this.savedFlows();
+    if (flows.length === 0) return 'No flows found.';
+    const lines = flows.map(({ flowId, flowName }) => {
+      const running = this.runManager.flowTracker.isFlowRunning(flowName);
+      return `${running ? '🟢' : '⚪️'} ${flowName}${flowName !== flowId ? ` (${flowId})` : ''}`;
+    });
+    return `Flows:\n${lines.join('\n')}`;
+  }
+
+  status(args) {
+    const trackedFlows = this.runManager.flowTracker.getRunningFlows();
+    if (!args) {
+      const running = Object.entries(trackedFlows).filter(([, info]) => info.status === 'running');
+      if (running.length === 0) return 'No flows are currently running.';
+      return `Running flows:\n${running.map(([name, info]) => `🟢 ${name} (${Math.floor((Date.now() - new Date(info.startTime)) / 1000)}s, ${info.runId || 'no run ID'})`).join('\n')}`;
+    }
+
+    const { flowName } = this.findFlow(args);
+    const lines = [`Flow '${flowName}':`];
+    const tracked = trackedFlows[flowName];
+    if (tracked) {
+      const endTime = tracked.endTime ? new Date(tracked.endTime) : new Date();
+      lines.push(`Status: ${tracked.status} (${Math.floor((endTime - new Date(tracked.startTime)) / 1000)}s, pid ${tracked.pid ?? 'unknown'})`);
+      if (tracked.error) lines.push(`Error: ${tracked.error}`);
+    } else {
+      lines.push('Status: not running');
+    }
+    const [lastRun] = this.runManager.runStore.listRuns({ flowName, limit: 1 });
+    if (lastRun) {
+      lines.push(`Last run: ${lastRun.runId} ${lastRun.status} at ${lastRun.startTime}${lastRun.error ? ` (${lastRun.error})` : ''}`);
+    }
+    return lines.join('\n');
+  }
+
+  start(args, from) {
+    if (!args) return this.help();
+    const flow = this.findFlow(args);
+    if (!flow.flowId) throw new Error(`Flow '${flow.flowName}' is not saved in flows/`);
+    const { flowData, flowPath } = loadFlow(flow.flowId);
+    const run = this.runManager.startRun(flowData, {
+      flowId: flow.flowId,
+      flowPath,
+      trigger: { type: 'telegram', userId: from.id, username: from.username || null }
+    });
+    return `▶️ Started '${run.flowName}' (${run.runId})`;
+  }
+
+  stop(args, from) {
+    const { flowName } = this.findFlow(args);
+    const reason = `Stopped from Telegram by ${from.username || from.id}`;
+    const local = this.runManager.getActiveRuns().find(run => run.flowName === flowName);
+    if (local) {
+      this.runManager.stopRun(local.runId, reason);
+      return `⏹ Stopping '${flowName}' (${local.runId})`;
+    }
+    if (!this.runManager.flowTracker.isFlowRunning(flowName)) {
+      return `Flow '${flowName}' is not running.`;
+    }
+    // Run by another process; it picks the request up on its next poll
+    this.runManager.flowControl.requestStop(flowName, reason);
+    return `⏹ Stop requested for '${flowName}'; check with /status ${flowName}`;
+  }
+
+  // Live variables of a run in this process, else the run's latest checkpoint or final record
+  variables(args) {
+    const { flowName } = this.findFlow(args);
+    const local = this.runManager.getActiveRuns().find(run => run.flowName === flowName);
+    let runId = local?.runId || this.runManager.flowTracker.getRunningFlows()[flowName]?.runId;
+    let variables = local?.executor.variables;
+    if (!variables && runId) {
+      variables = this.runManager.runStore.getCheckpoint(runId)?.variables;
+    }
+    if (!variables) {
+      const [lastRun] = this.runManager.runStore.listRuns({ flowName, limit: 1 });
+      if (!lastRun) return `Flow '${flowName}' has no runs.`;
+      runId = lastRun.runId;
+      variables = this.runManager.runStore.getRun(runId)?.variables || {};
+    }
+
+    const entries = Object.entries(variables);
+    if (entries.length === 0) return `'${flowName}' (${runId}) has no variables.`;
+    return `Variables of '${flowName}' (${runId}):\n${entries.map(([name, value]) => `${name} = ${formatValue(value)}`).join('\n')}`;
+  }
+
+  runs(args) {
+    const flowName = args ? this.findFlow(args).flowName : null;
+    const runs = this.runManager.runStore.listRuns({ flowName, limit: RUNS_SHOWN });
+    if (runs.length === 0) return 'No runs recorded.';
+    return `Recent runs:\n${runs.map(run => `${run.runId} ${run.flowName} ${run.status}${run.dryRun ? ' (dry run)' : ''} ${run.startTime}`).join('\n')}`;
+  }
+
+  async approve(args, from) {
+    if (!args) {
+      const pending = [...this.webhookHandler.pendingApprovals.values()].filter(approval => this.webhookHandler.isApprovalPending(approval.approvalId));
+      if (pending.length === 0) return 'No approvals are pending.';
+      return `Pending approvals:\n${pending.map(approval => approval.approvalId).join('\n')}`;
+    }
+    const pending = this.webhookHandler.pendingApprovals.get(args);
+    if (pending && !this.webhookHandler.canApprove(pending, from.id)) {
+      return `⛔ You are not an approver of ${args}.`;
+    }
+    // Only 'approve' is implied by the command; other answers need the request's own buttons
+    if (pending?.actions && !pending.actions.includes('approve')) {
+      return `${args} has no 'approve' action; answer it with its buttons (${pending.actions.join(', ')}).`;
+    }
+    const name = from.username || from.first_name || from.id;
+    const approval = this.webhookHandler.resolveApproval(args, 'approve', `Approved by ${name} via /approve`, { id: from.id, username: from.username || null });
+    if (!approval) return `No pending approval '${args}'.`;
+    await this.webhookHandler.closeApprovalMessage(approval.chatId, approval.message, `✅ Approved by ${name} via /approve`);
+    return `✅ Approved ${approval.approvalId}`;
+  }
+}
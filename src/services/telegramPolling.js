@@ -0,0 +1,117 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { callTelegram } from './telegramApi.js';
+
+// Telegram updates by long polling (getUpdates) instead of a webhook, for hosts Telegram
+// can't reach. Telegram only drops an update once a later getUpdates confirms it with a
+// higher offset, so the offset is saved after every handled update: a restarted process
+// carries on after the last update it handled instead of handling it again.
+
+const OFFSET_FILE = path.join(process.cwd(), '.agentpad', 'telegram-updates.json');
+// Seconds Telegram holds a getUpdates request open while there is nothing new
+const POLL_TIMEOUT = 30;
+const RETRY_MS = 5000;
+const ALLOWED_UPDATES = ['message', 'callback_query'];
+
+// Saved offsets by bot ID (the part of the token before ':')
+export function readTelegramOffsets(offsetFile = OFFSET_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(offsetFile, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+export class TelegramPoller {
+  constructor({ botToken, onUpdate, offsetFile = OFFSET_FILE }) {
+    if (!botToken) {
+      throw new Error('Telegram polling needs TELEGRAM_BOT_TOKEN');
+    }
+    this.botToken = botToken;
+    this.botId = botToken.split(':')[0];
+    this.onUpdate = onUpdate;
+    this.offsetFile = offsetFile;
+    this.offset = null;
+    this.controller = null;
+    this.loop = null;
+  }
+
+  get running() {
+    return Boolean(this.controller);
+  }
+
+  start() {
+    if (this.controller) return;
+    this.offset = readTelegramOffsets(this.offsetFile)[this.botId] ?? null;
+    this.controller = new AbortController();
+    this.loop = this.run(this.controller.signal);
+    logger.info(`[TELEGRAM_POLLING] Polling for updates${this.offset ? ` from update ${this.offset}` : ''}`);
+  }
+
+  // Ends the pending getUpdates request; resolves once the loop has exited
+  stop() {
+    if (!this.controller) return Promise.resolve();
+    this.controller.abort();
+    this.controller = null;
+    logger.info('[TELEGRAM_POLLING] Polling stopped');
+    return this.loop;
+  }
+
+  saveOffset() {
+    try {
+      const offsets = readTelegramOffsets(this.offsetFile);
+      offsets[this.botId] = this.offset;
+      fs.mkdirSync(path.dirname(this.offsetFile), { recursive: true });
+      const tmpFile = `${this.offsetFile}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(offsets, null, 2));
+      fs.renameSync(tmpFile, this.offsetFile);
+    } catch (error) {
+      logger.error(`[TELEGRAM_POLLING] Failed to save offset: ${error.message}`);
+    }
+  }
+
+  async run(signal) {
+    // getUpdates is refused while a webhook is set
+    let webhookDeleted = false;
+    while (!signal.aborted) {
+      try {
+        if (!webhookDeleted) {
+          await callTelegram(this.botToken, 'deleteWebhook', {}, { signal });
+          webhookDeleted = true;
+        }
+        const updates = await callTelegram(this.botToken, 'getUpdates', {
+          ...(this.offset !== null ? { offset: this.offset } : {}),
+          timeout: POLL_TIMEOUT,
+          allowed_updates: ALLOWED_UPDATES
+        }, { signal });
+
+        for (const update of updates) {
+          if (signal.aborted) break;
+          try {
+            await this.onUpdate(update);
+          } catch (error) {
+            logger.error(`[TELEGRAM_POLLING] Error handling update ${update.update_id}: ${error.message}`);
+          }
+          this.offset = update.update_id + 1;
+          this.saveOffset();
+        }
+      } catch (error) {
+        if (signal.aborted) break;
+        // "Conflict: terminated by other getUpdates request" means another process polls this bot
+        logger.error(`[TELEGRAM_POLLING] ${error.message}; retrying in ${RETRY_MS / 1000}s`);
+        await new Promise((resolve) => {
+          const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+          const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+          }, RETRY_MS);
+          signal.addEventListener('abort', onAbort, { once: true });
+        });
+      }
+    }
+  }
+}
@@ -1,4 +1,9 @@
 import { logger } from '../utils/logger.js';
+import { callTelegram } from './telegramApi.js';
+import { approvalCallbackData } from '../webhookHandler.js';
+import { approvalId as approvalIdSchema } from './nodeSchemas.js';
+
+const APPROVAL_ID_PATTERN = new RegExp(approvalIdSchema.pattern);
 
 class UserApprovalNode {
   constructor(config, context) {
@@ -6,9 +11,19 @@ class UserApprovalNode {
     this.context = context;
     this.approvalType = config.approvalType || 'telegram';
     this.timeout = config.timeout || 3600; // 1 hour default
-    this.approvalId = config.approvalId || this.generateApprovalId();
+    // A resumed run re-attaches to the approval it was already waiting on
+    this.approvalId = context.resume?.approvalId || config.approvalId || this.generateApprovalId();
+    // Checked now: an ID that doesn't fit the buttons would only fail once the request is sent,
+    // leaving the node to wait out its timeout
+    if (!APPROVAL_ID_PATTERN.test(this.approvalId)) {
+      throw new Error(`Invalid approval ID '${this.approvalId}': use up to 48 letters, digits, '_' or '-'`);
+    }
     this.message = config.message || 'Please approve this action';
     this.approvalActions = config.approvalActions || ['approve', 'reject'];
+    // Telegram user IDs allowed to answer; anyone in the chat when unset
+    this.approvers = config.approvers || null;
+    // The request message and its buttons; a resumed run keeps using the one already sent
+    this.sentMessage = context.resume?.message || null;
   }
 
   async execute() {
@@ -30,13 +45,20 @@ class UserApprovalNode {
       const approvalResult = await this.waitForApproval();
       
       logger.info(`[USER_APPROVAL] Approval completed: ${this.approvalId} - ${approvalResult.action}`);
+
+      // Nobody answered in time: take the buttons off the request. A stopped flow keeps them,
+      // since resuming it waits on the same approval
+      if (approvalResult.action === 'timeout') {
+        await this.context.webhookHandler?.closeApprovalMessage(this.chatId, this.sentMessage, '⌛ Timed out');
+      }
       
       return {
         approved: approvalResult.action === 'approve',
         action: approvalResult.action,
         approvalId: this.approvalId,
         timestamp: Date.now(),
-        userResponse: approvalResult.userResponse
+        userResponse: approvalResult.userResponse,
+        decidedBy: approvalResult.decidedBy || null
       };
     } catch (error) {
       logger.error(`[USER_APPROVAL] Error in approval process: ${error.message}`);
@@ -51,9 +73,22 @@ class UserApprovalNode {
     if (this.context.webhookHandler) {
       // Register this approval with webhook handler
       const chatId = this.context.variables.telegramChatId || process.env.TELEGRAM_CHAT_ID;
+      this.chatId = chatId;
       if (chatId) {
+        const { resume } = this.context;
+        const requestedAt = resume?.requestedAt || Date.now();
+        const waitSeconds = Math.max(this.timeout - Math.floor((Date.now() - requestedAt) / 1000), 0);
+
         logger.info(`[USER_APPROVAL] Registering approval ${this.approvalId} for chat ${chatId}`);
-        this.context.webhookHandler.registerPendingApproval(this.approvalId, chatId, this.timeout);
+        this.context.webhookHandler.registerPendingApproval(this.approvalId, chatId, waitSeconds, {
+          actions: this.approvalActions,
+          approvers: this.approvers
+        });
+        if (this.sentMessage) {
+          this.context.webhookHandler.setApprovalMessage(this.approvalId, this.sentMessage);
+        }
+        const registered = { approvalId: this.approvalId, requestedAt, timeout: this.timeout, message: this.sentMessage };
+        this.context.onApprovalRegistered?.(registered);
         
         // Log all pending approvals for debugging
         logger.info(`[USER_APPROVAL] Current pending approvals: ${this.context.webhookHandler.pendingApprovals.size}`);
@@ -61,10 +96,18 @@ class UserApprovalNode {
           logger.info(`[USER_APPROVAL] - ${id}: chat ${approval.chatId}, status ${approval.status}`);
         }
 
-        // Send interactive Telegram message to request approval
-        await this.sendApprovalRequest(chatId).catch((err) => {
-          logger.error(`[USER_APPROVAL] Failed to send approval request: ${err.message}`);
-        });
+        // Send interactive Telegram message to request approval (already sent if resuming)
+        if (resume) {
+          logger.info(`[USER_APPROVAL] Re-attached to approval ${this.approvalId}; ${waitSeconds}s left`);
+        } else {
+          await this.sendApprovalRequest(chatId).catch((err) => {
+            logger.error(`[USER_APPROVAL] Failed to send approval request: ${err.message}`);
+          });
+          // Checkpointed so a resumed run can still close the message
+          if (this.sentMessage) {
+            this.context.onApprovalRegistered?.({ ...registered, message: this.sentMessage });
+          }
+        }
         
         // Poll for approval result
         return new Promise((resolve, reject) => {
@@ -76,6 +119,7 @@ class UserApprovalNode {
               resolve({
                 action: result.action,
                 userResponse: result.userResponse,
+                decidedBy: result.decidedBy,
                 timestamp: result.timestamp
               });
               return; // Exit early when approval is received
@@ -103,11 +147,12 @@ class UserApprovalNode {
               userResponse: 'Approval timed out',
               timestamp: Date.now()
             });
-          }, this.timeout * 1000);
+          }, waitSeconds * 1000);
           
           // Clean up timeout if approval is received early
           const cleanup = () => {
             clearTimeout(overallTimeout);
+            this.context.signal?.removeEventListener('abort', onAbort);
           };
           
           // Override resolve to clean up timeout
@@ -116,6 +161,24 @@ class UserApprovalNode {
             cleanup();
             originalResolve(result);
           };
+
+          // Stop waiting as soon as the flow is stopped
+          const { signal } = this.context;
+          const onAbort = () => {
+            clearInterval(checkInterval);
+            this.context.webhookHandler.pendingApprovals.delete(this.approvalId);
+            logger.info(`[USER_APPROVAL] Flow stopped while waiting for approval: ${this.approvalId}`);
+            resolve({
+              action: 'stopped',
+              userResponse: 'Flow stopped before approval',
+              timestamp: Date.now()
+            });
+          };
+          if (signal?.aborted) {
+            onAbort();
+          } else if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+          }
         });
       } else {
         logger.warn(`[USER_APPROVAL] No chat ID found for approval ${this.approvalId}`);
@@ -124,6 +187,16 @@ class UserApprovalNode {
       logger.warn(`[USER_APPROVAL] No webhook handler available for approval ${this.approvalId}`);
     }
     
+    // Policy approvals must never be approved without a person answering
+    if (this.context.simulate === false) {
+      logger.warn(`[USER_APPROVAL] No approval channel for ${this.approvalId}; rejecting`);
+      return {
+        action: 'reject',
+        userResponse: 'No approval channel',
+        timestamp: Date.now()
+      };
+    }
+
     // Fallback to simulation for testing
     logger.info(`[USER_APPROVAL] Using simulation mode for testing`);
     return new Promise((resolve) => {
@@ -144,15 +217,14 @@ class UserApprovalNode {
       return;
     }
 
-    const actions = Array.isArray(this.approvalActions) && this.approvalActions.length > 0
-      ? this.approvalActions
-      : ['approve', 'reject'];
+    const actions = this.approvalActions;
 
-    // Build inline keyboard (2 buttons per row)
+    // Build inline keyboard (2 buttons per row); each button names this approval, so
+    // concurrent approvals in one chat can't answer each other
     const inlineKeyboard = [];
     let currentRow = [];
-    for (const action of actions) {
-      currentRow.push({ text: action.charAt(0).toUpperCase() + action.slice(1), callback_data: action });
+    for (const [index, action] of actions.entries()) {
+      currentRow.push({ text: action.charAt(0).toUpperCase() + action.slice(1), callback_data: approvalCallbackData(this.approvalId, index) });
       if (currentRow.length === 2) {
         inlineKeyboard.push(currentRow);
         currentRow = [];
@@ -160,28 +232,17 @@ class UserApprovalNode {
     }
     if (currentRow.length > 0) inlineKeyboard.push(currentRow);
 
-    const url = `https://api.telegram.org/bot${botToken}/sendMessage`;
     const text = this.resolveVariablesInMessage(this.message || 'Please approve this action');
 
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        chat_id: chatId,
-        text,
-        parse_mode: 'Markdown',
-        reply_markup: { inline_keyboard: inlineKeyboard }
-      })
+    const result = await callTelegram(botToken, 'sendMessage', {
+      chat_id: chatId,
+      text,
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: inlineKeyboard }
     });
-
-    if (!response.ok) {
-      let description = `${response.status} ${response.statusText}`;
-      try { const data = await response.json(); description = data.description || description; } catch {}
-      throw new Error(`Telegram API error: ${description}`);
-    }
-
-    const result = await response.json();
-    logger.info(`[USER_APPROVAL] Approval request sent to chat ${chatId} (message_id=${result?.result?.message_id})`);
+    this.sentMessage = { messageId: result.message_id, text, markdown: true };
+    this.context.webhookHandler.setApprovalMessage(this.approvalId, this.sentMessage);
+    logger.info(`[USER_APPROVAL] Approval request sent to chat ${chatId} (message_id=${result.message_id})`);
   }
 
   resolveVariablesInMessage(message) {
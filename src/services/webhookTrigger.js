@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { listFlowIds, loadFlow } from './flowStore.js';
+
+// Inbound webhooks: a flow whose Start node sets `webhookTrigger` can be started with
+// POST /hooks/<flowId>. The JSON body fills the Start node's declared variables and is
+// available in full as {trigger.body}.
+//
+// Requests are signed with HMAC-SHA256 over "<timestamp>.<raw body>":
+//   X-AgentPad-Timestamp: 1760000000              (unix seconds)
+//   X-AgentPad-Signature: sha256=<hex digest>
+// using the secret in the environment variable named by `secretEnv` (AGENTPAD_WEBHOOK_SECRET).
+
+const DEFAULT_SECRET_ENV = 'AGENTPAD_WEBHOOK_SECRET';
+const SIGNATURE_HEADER = 'x-agentpad-signature';
+const TIMESTAMP_HEADER = 'x-agentpad-timestamp';
+// Signed requests older (or newer) than this are rejected so captured requests can't be replayed
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const DEFAULT_SYNC_TIMEOUT_MS = 30 * 1000;
+
+// `webhookTrigger` settings of a flow with defaults applied; null when the flow has none
+export function getWebhookTrigger(flowData) {
+  const startNode = (flowData.nodes || []).find(node => node.type === 'start');
+  const setting = startNode?.data?.config?.webhookTrigger;
+  if (!setting) return null;
+  return {
+    secretEnv: DEFAULT_SECRET_ENV,
+    requireSignature: true,
+    sync: false,
+    timeoutMs: DEFAULT_SYNC_TIMEOUT_MS,
+    ...(setting === true ? {} : setting)
+  };
+}
+
+export function signWebhookPayload(secret, timestamp, rawBody) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+// Returns why the request is not authentic, or null when the signature checks out
+export function verifyWebhookSignature(secret, headers, rawBody, now = Date.now()) {
+  const signature = headers[SIGNATURE_HEADER];
+  const timestamp = headers[TIMESTAMP_HEADER];
+  if (!signature || !timestamp) {
+    return `missing ${SIGNATURE_HEADER} or ${TIMESTAMP_HEADER} header`;
+  }
+  if (!/^\d+$/.test(timestamp) || Math.abs(now - Number(timestamp) * 1000) > MAX_CLOCK_SKEW_MS) {
+    return 'timestamp is missing, malformed or outside the allowed window';
+  }
+
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, rawBody));
+  const actual = Buffer.from(String(signature));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return 'signature does not match';
+  }
+  return null;
+}
+
+function parseBoolean(value) {
+  if (value === undefined) return undefined;
+  return ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+}
+
+export class FlowHookTrigger {
+  constructor(runManager) {
+    this.runManager = runManager;
+  }
+
+  async handle(req, res) {
+    const { flowId } = req.params;
+    // Only flows stored in flows/; never resolve the id as a file path
+    if (!listFlowIds().includes(flowId)) {
+      return res.status(404).json({ error: `Flow not found: ${flowId}` });
+    }
+
+    let loaded;
+    try {
+      loaded = loadFlow(flowId);
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+    const settings = getWebhookTrigger(loaded.flowData);
+    if (!settings) {
+      return res.status(404).json({ error: `Flow '${flowId}' does not have a webhookTrigger` });
+    }
+
+    if (settings.requireSignature) {
+      const secret = process.env[settings.secretEnv];
+      if (!secret) {
+        logger.error(`[HOOKS] Rejected webhook for '${flowId}': ${settings.secretEnv} is not set`);
+        return res.status(500).json({ error: `Webhook secret ${settings.secretEnv} is not configured` });
+      }
+      const problem = verifyWebhookSignature(secret, req.headers, req.rawBody || '');
+      if (problem) {
+        logger.warn(`[HOOKS] Rejected webhook for '${flowId}': ${problem}`);
+        return res.status(401).json({ error: `Invalid webhook signature: ${problem}` });
+      }
+    }
+
+    const body = req.body ?? {};
+    if (typeof body !== 'object' || Array.isArray(body)) {
+      return res.status(400).json({ error: 'Webhook body must be a JSON object' });
+    }
+    if (this.runManager.isFlowRunning(loaded.flowName)) {
+      return res.status(409).json({ error: `Flow '${loaded.flowName}' is already running` });
+    }
+
+    let run;
+    try {
+      run = this.runManager.startRun(loaded.flowData, {
+        flowId,
+        flowPath: loaded.flowPath,
+        trigger: { type: 'webhook', flowId, receivedAt: new Date().toISOString(), body },
+        inputs: body
+      });
+    } catch (error) {
+      logger.error(`[HOOKS] Failed to start '${flowId}': ${error.message}`);
+      return res.status(500).json({ error: error.message });
+    }
+
+    // ?sync=true waits for the run and returns its nodeResults; the flow's `sync` is the default
+    const sync = parseBoolean(req.query.sync) ?? settings.sync;
+    if (!sync) {
+      return res.status(202).json(this.runManager.describeRun(run, { includeResults: false }));
+    }
+
+    let timer;
+    const timedOut = await Promise.race([
+      run.promise.then(() => false),
+      new Promise((resolve) => {
+        timer = setTimeout(() => resolve(true), settings.timeoutMs);
+      })
+    ]);
+    clearTimeout(timer);
+
+    if (timedOut) {
+      // Still running: hand back the run ID so the caller can poll GET /api/runs/<runId>
+      return res.status(202).json({ ...this.runManager.describeRun(run, { includeResults: false }), timedOut: true });
+    }
+    res.json(this.runManager.describeRun(run));
+  }
+}
@@ -0,0 +1,28 @@
+import crypto from 'crypto';
+
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+// Constant-time comparison of a secret sent by a client with the expected one
+export function secretsMatch(expected, actual) {
+  const expectedBuffer = Buffer.from(String(expected));
+  const actualBuffer = Buffer.from(String(actual ?? ''));
+  return expectedBuffer.length === actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+// Requires `Authorization: Bearer <apiToken>`. Without a token only requests from this
+// machine are served, so the API is never open on a published port by accident
+export function requireApiToken(apiToken) {
+  return (req, res, next) => {
+    if (!apiToken) {
+      if (LOOPBACK_ADDRESSES.has(req.socket.remoteAddress)) return next();
+      return res.status(403).json({ error: 'Set AGENTPAD_API_TOKEN to use the API from another host' });
+    }
+
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !secretsMatch(apiToken, token)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Missing or invalid API token' });
+    }
+    next();
+  };
+}
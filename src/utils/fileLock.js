@@ -0,0 +1,45 @@
+import fs from 'fs';
+import path from 'path';
+
+// Lock for short read-modify-write sections on state files that several processes share
+// (the policy and LLM usage ledgers, LLM memory threads). `fn` runs synchronously while
+// `<file>.lock` exists, so the section is atomic within this process as well.
+const LOCK_TIMEOUT_MS = 5000;
+// A holder that crashed leaves its lock file behind; sections take milliseconds
+const STALE_LOCK_MS = 10000;
+const RETRY_MS = 10;
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+export function withFileLock(file, fn) {
+  const lockFile = `${file}.lock`;
+  fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lockFile, 'wx'));
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+    try {
+      if (Date.now() - fs.statSync(lockFile).mtimeMs > STALE_LOCK_MS) {
+        fs.rmSync(lockFile, { force: true });
+        continue;
+      }
+    } catch {
+      // Released while we looked
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${lockFile}; delete it if no agentpad process is running`);
+    }
+    Atomics.wait(sleeper, 0, 0, RETRY_MS);
+  }
+
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lockFile, { force: true });
+  }
+}
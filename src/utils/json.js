@@ -0,0 +1,8 @@
+// JSON helpers for values that come back from viem (BigInt block numbers, gas, etc.)
+
+export const jsonReplacer = (key, value) => (typeof value === 'bigint' ? value.toString() : value);
+
+export const toPlainObject = (value) => {
+  if (value === undefined) return undefined;
+  return JSON.parse(JSON.stringify(value, jsonReplacer));
+};
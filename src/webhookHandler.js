@@ -1,11 +1,88 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
 import express from 'express';
 import { logger } from './utils/logger.js';
+import { requireApiToken, secretsMatch } from './utils/apiAuth.js';
+import { FlowHookTrigger } from './services/webhookTrigger.js';
+import { TelegramCommands } from './services/telegramCommands.js';
+import { TelegramPoller } from './services/telegramPolling.js';
+import { callTelegram } from './services/telegramApi.js';
+
+const TELEGRAM_UPDATE_MODES = ['webhook', 'polling'];
+// Approval buttons carry "ap:<action index>:<approval ID>"; Telegram allows 64 bytes
+const APPROVAL_CALLBACK = /^ap:(\d+):(.+)$/s;
+const MAX_CALLBACK_DATA = 64;
+// Telegram sends the secret_token given to setWebhook with every update; anything without it
+// is not from Telegram. Kept on disk so a restart still accepts the registered webhook
+const WEBHOOK_SECRET_FILE = path.join(process.cwd(), '.agentpad', 'telegram-webhook-secret');
+const WEBHOOK_SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+const WEBHOOK_SECRET_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+
+// TELEGRAM_WEBHOOK_SECRET, else the secret saved when the webhook was last registered
+function readWebhookSecret() {
+  const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+  if (secret) {
+    if (!WEBHOOK_SECRET_PATTERN.test(secret)) {
+      throw new Error('TELEGRAM_WEBHOOK_SECRET may only contain A-Z, a-z, 0-9, _ and - (at most 256 characters)');
+    }
+    return secret;
+  }
+  try {
+    return fs.readFileSync(WEBHOOK_SECRET_FILE, 'utf-8').trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+function createWebhookSecret() {
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(path.dirname(WEBHOOK_SECRET_FILE), { recursive: true });
+  fs.writeFileSync(WEBHOOK_SECRET_FILE, secret, { mode: 0o600 });
+  return secret;
+}
+
+function approvalCallbackData(approvalId, actionIndex) {
+  const data = `ap:${actionIndex}:${approvalId}`;
+  if (Buffer.byteLength(data) > MAX_CALLBACK_DATA) {
+    throw new Error(`Approval ID '${approvalId}' is too long for Telegram buttons`);
+  }
+  return data;
+}
+
+function describeDecision(action) {
+  if (action === 'approve' || action === 'success') return { emoji: '✅', verb: 'Approved' };
+  if (action === 'reject' || action === 'failure') return { emoji: '❌', verb: 'Rejected' };
+  return { emoji: '🔄', verb: `Answered "${action}"` };
+}
+
+// Legacy Markdown only escapes these
+function escapeMarkdown(text) {
+  return text.replace(/([_*`[])/g, '\\$1');
+}
 
 class WebhookHandler {
-  constructor() {
+  // `telegramUpdates` is how Telegram updates arrive: 'webhook' (POST /webhook/telegram) or
+  // 'polling' (getUpdates, no public URL needed)
+  constructor({ telegramUpdates = process.env.TELEGRAM_UPDATES || 'webhook' } = {}) {
+    if (!TELEGRAM_UPDATE_MODES.includes(telegramUpdates)) {
+      throw new Error(`TELEGRAM_UPDATES must be one of ${TELEGRAM_UPDATE_MODES.join(', ')}, got '${telegramUpdates}'`);
+    }
     this.app = express();
-    this.app.use(express.json());
+    // Keep the raw body: flow webhook signatures are computed over the exact bytes sent
+    this.app.use(express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf.toString('utf8');
+      }
+    }));
     this.pendingApprovals = new Map();
+    // LLM nodes chatting over Telegram, by chat ID (see TelegramChat)
+    this.chatSessions = new Map();
+    this.flowHooks = null;
+    this.telegramCommands = null;
+    this.telegramUpdates = telegramUpdates;
+    this.poller = null;
+    this.webhookSecret = readWebhookSecret();
     this.setupRoutes();
   }
 
@@ -20,24 +97,32 @@ class WebhookHandler {
       this.handleTelegramWebhook(req, res);
     });
 
-    // Set webhook endpoint (for setting up the webhook)
-    this.app.post('/webhook/setup', (req, res) => {
+    // Inbound webhooks that start flows with a Start node `webhookTrigger`
+    this.app.post('/hooks/:flowId', (req, res) => {
+      if (!this.flowHooks) {
+        return res.status(404).json({ error: 'Flow webhooks are not enabled on this server' });
+      }
+      this.flowHooks.handle(req, res).catch((error) => {
+        logger.error(`[HOOKS] Error handling webhook: ${error.message}`);
+        res.status(500).json({ error: error.message });
+      });
+    });
+
+    // Switch between webhook and polling; same token as the REST API
+    this.app.post('/webhook/setup', requireApiToken(process.env.AGENTPAD_API_TOKEN), (req, res) => {
       this.setupTelegramWebhook(req, res);
     });
   }
 
   async handleTelegramWebhook(req, res) {
+    // Another process may have registered the webhook since this one started
+    this.webhookSecret ||= readWebhookSecret();
+    if (!this.webhookSecret || !secretsMatch(this.webhookSecret, req.get(WEBHOOK_SECRET_HEADER))) {
+      logger.warn(`[WEBHOOK] Rejected Telegram update without a valid ${WEBHOOK_SECRET_HEADER} header${this.webhookSecret ? '' : ' (no webhook secret yet; register the webhook again with TELEGRAM_WEBHOOK_URL or /webhook/setup)'}`);
+      return res.status(401).json({ error: 'Invalid webhook secret' });
+    }
     try {
-      const { callback_query, message } = req.body;
-      
-      if (callback_query) {
-        // Handle button press
-        await this.handleCallbackQuery(callback_query);
-      } else if (message) {
-        // Handle regular message
-        logger.info(`[WEBHOOK] Received message: ${message.text}`);
-      }
-
+      await this.handleTelegramUpdate(req.body);
       res.json({ ok: true });
     } catch (error) {
       logger.error(`[WEBHOOK] Error handling webhook: ${error.message}`);
@@ -45,147 +130,227 @@ class WebhookHandler {
     }
   }
 
+  // One Telegram update, delivered to the webhook or fetched by the poller
+  async handleTelegramUpdate(update) {
+    const { callback_query, message } = update || {};
+
+    if ((message && !message.chat) || (callback_query && !callback_query.from)) {
+      logger.warn(`[WEBHOOK] Ignored malformed Telegram update ${update.update_id}`);
+      return;
+    }
+    if (callback_query) {
+      // Handle button press
+      await this.handleCallbackQuery(callback_query);
+    } else if (message) {
+      // Bot commands come first, then messages in a chat an LLM node is talking in
+      const chatSession = this.chatSessions.get(String(message.chat.id));
+      if (this.telegramCommands?.isCommand(message)) {
+        await this.telegramCommands.handle(message);
+      } else if (chatSession) {
+        chatSession(message);
+      } else {
+        logger.info(`[WEBHOOK] Received message: ${message.text}`);
+      }
+    }
+  }
+
   async handleCallbackQuery(callbackQuery) {
-    const { data, message, from } = callbackQuery;
+    const { id: callbackQueryId, data, message, from } = callbackQuery;
+    // Buttons on inline-mode messages come without the message, so there is no chat to match
+    if (!message?.chat) {
+      logger.warn(`[WEBHOOK] Ignored button ${data} on a message without a chat`);
+      await this.answerCallbackQuery(callbackQueryId, 'This button cannot be used here.');
+      return;
+    }
     const chatId = message.chat.id;
     const userId = from.id;
     const username = from.username || from.first_name;
 
     logger.info(`[WEBHOOK] Button pressed: ${data} by ${username} (${userId}) in chat ${chatId}`);
-    logger.info(`[WEBHOOK] Full callback data: ${JSON.stringify(callbackQuery, null, 2)}`);
-
-    // Find pending approval for this chat
-    const approval = this.findPendingApproval(chatId);
-    if (approval) {
-      // Update approval status
-      approval.status = 'completed';
-      approval.action = data;
-      approval.userResponse = `Approved by ${username}`;
-      approval.timestamp = Date.now();
-
-      logger.info(`[WEBHOOK] Approval completed: ${approval.approvalId} - ${data}`);
-
-      // Send confirmation message
-      await this.sendConfirmationMessage(chatId, data);
-    } else {
-      logger.warn(`[WEBHOOK] No pending approval found for chat ${chatId}`);
-      logger.info(`[WEBHOOK] Current pending approvals: ${this.pendingApprovals.size}`);
-      for (const [id, approval] of this.pendingApprovals) {
-        logger.info(`[WEBHOOK] - ${id}: chat ${approval.chatId}, status ${approval.status}`);
-      }
+
+    const { approval, action, error } = this.matchApproval(data, chatId);
+    if (error) {
+      logger.warn(`[WEBHOOK] Ignored button ${data} in chat ${chatId}: ${error}`);
+      await this.answerCallbackQuery(callbackQueryId, error);
+      return;
+    }
+    if (!this.canApprove(approval, userId)) {
+      logger.warn(`[WEBHOOK] ${username} (${userId}) is not an approver of ${approval.approvalId}`);
+      await this.answerCallbackQuery(callbackQueryId, 'You are not allowed to answer this approval.');
+      return;
     }
+
+    const { emoji, verb } = describeDecision(action);
+    this.resolveApproval(approval.approvalId, action, `${verb} by ${username}`, { id: userId, username });
+    logger.info(`[WEBHOOK] Approval completed: ${approval.approvalId} - ${action} by ${username}`);
+
+    await this.answerCallbackQuery(callbackQueryId, verb);
+    await this.closeApprovalMessage(chatId, approval.message || { messageId: message.message_id, text: message.text }, `${emoji} ${verb} by ${username}`);
   }
 
-  findPendingApproval(chatId) {
-    logger.info(`[WEBHOOK] Looking for pending approval in chat ${chatId} (type: ${typeof chatId})`);
-    for (const [approvalId, approval] of this.pendingApprovals) {
-      logger.info(`[WEBHOOK] Checking approval ${approvalId}: chat ${approval.chatId} (type: ${typeof approval.chatId}), status ${approval.status}`);
-      
-      // Convert both to strings for comparison to handle any type mismatches
-      const approvalChatId = String(approval.chatId);
-      const searchChatId = String(chatId);
-      
-      if (approvalChatId === searchChatId && approval.status === 'pending') {
-        logger.info(`[WEBHOOK] Found pending approval: ${approvalId}`);
-        return approval;
+  // The approval a button answers and the chosen action, or an error to show the user
+  matchApproval(data, chatId) {
+    const match = String(data).match(APPROVAL_CALLBACK);
+    if (match) {
+      const approval = this.pendingApprovals.get(match[2]);
+      if (approval?.status === 'completed') {
+        return { error: `Already answered: ${approval.userResponse}` };
+      }
+      if (!approval || !this.isApprovalPending(approval.approvalId)) {
+        return { error: 'This approval has expired or was already answered.' };
       }
+      if (String(approval.chatId) !== String(chatId)) {
+        return { error: 'This approval belongs to another chat.' };
+      }
+      const action = approval.actions?.[Number(match[1])];
+      return action ? { approval, action } : { error: 'Unknown action.' };
     }
-    logger.info(`[WEBHOOK] No pending approval found for chat ${chatId}`);
-    return null;
+
+    // Buttons without an approval ID (e.g. a Telegram node's) answer the chat's only pending approval
+    const pending = [...this.pendingApprovals.values()]
+      .filter(approval => String(approval.chatId) === String(chatId) && this.isApprovalPending(approval.approvalId));
+    if (pending.length === 0) {
+      return { error: 'No approval is pending in this chat.' };
+    }
+    if (pending.length > 1) {
+      return { error: 'Several approvals are pending here; use the buttons on the approval message.' };
+    }
+    return { approval: pending[0], action: data };
   }
 
-  async sendConfirmationMessage(chatId, action) {
-    const botToken = process.env.TELEGRAM_BOT_TOKEN;
-    if (!botToken) return;
+  canApprove(approval, userId) {
+    return !approval.approvers || approval.approvers.includes(String(userId));
+  }
 
-    let message;
-    if (action === 'success') {
-      message = '✅ **Action Approved!**\n\nYour approval has been received and the action will now proceed.';
-    } else if (action === 'failure') {
-      message = '❌ **Action Rejected**\n\nYour rejection has been received and the action has been cancelled.';
-    } else if (action === 'approve') {
-      message = '✅ **Action Approved!**\n\nYour approval has been received and the action will now proceed.';
-    } else {
-      message = `🔄 **Action ${action}**\n\nYour response "${action}" has been received.`;
-    }
+  async answerCallbackQuery(callbackQueryId, text) {
+    const botToken = process.env.TELEGRAM_BOT_TOKEN;
+    if (!botToken || !callbackQueryId) return;
+    await callTelegram(botToken, 'answerCallbackQuery', { callback_query_id: callbackQueryId, text }).catch((error) => {
+      logger.error(`[WEBHOOK] Failed to answer button press: ${error.message}`);
+    });
+  }
 
+  // Replace an approval message's buttons with who decided it (or why it closed).
+  // `message` is { messageId, text, markdown } as sent
+  async closeApprovalMessage(chatId, message, note) {
+    const botToken = process.env.TELEGRAM_BOT_TOKEN;
+    if (!botToken || !message?.messageId) return;
     try {
-      const response = await fetch(`https://api.telegram.org/bot${botToken}/sendMessage`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          chat_id: chatId,
-          text: message,
-          parse_mode: 'Markdown'
-        })
+      await callTelegram(botToken, 'editMessageText', {
+        chat_id: chatId,
+        message_id: message.messageId,
+        text: `${message.text || ''}\n\n${message.markdown ? escapeMarkdown(note) : note}`,
+        ...(message.markdown ? { parse_mode: 'Markdown' } : {})
       });
-
-      if (!response.ok) {
-        logger.error(`[WEBHOOK] Failed to send confirmation: ${response.statusText}`);
-      } else {
-        logger.info(`[WEBHOOK] Confirmation message sent: ${action}`);
-      }
     } catch (error) {
-      logger.error(`[WEBHOOK] Error sending confirmation: ${error.message}`);
+      logger.error(`[WEBHOOK] Failed to update approval message in chat ${chatId}: ${error.message}`);
     }
   }
 
+  // { "webhookUrl": "https://..." } switches to webhook delivery, { "mode": "polling" } to polling
   async setupTelegramWebhook(req, res) {
-    try {
-      const { webhookUrl } = req.body;
-      const botToken = process.env.TELEGRAM_BOT_TOKEN;
-
-      if (!botToken) {
-        return res.status(400).json({ error: 'TELEGRAM_BOT_TOKEN not set' });
-      }
+    const { webhookUrl, mode } = req.body;
 
-      if (!webhookUrl) {
-        return res.status(400).json({ error: 'webhookUrl is required' });
-      }
+    if (!process.env.TELEGRAM_BOT_TOKEN) {
+      return res.status(400).json({ error: 'TELEGRAM_BOT_TOKEN not set' });
+    }
 
-      // Set webhook URL
-      const response = await fetch(`https://api.telegram.org/bot${botToken}/setWebhook`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          url: `${webhookUrl}/webhook/telegram`
-        })
-      });
+    if (mode === 'polling') {
+      this.useTelegramPolling();
+      return res.json({ success: true, mode: 'polling' });
+    }
 
-      const result = await response.json();
+    if (!webhookUrl) {
+      return res.status(400).json({ error: 'webhookUrl is required' });
+    }
 
-      if (result.ok) {
-        logger.info(`[WEBHOOK] Webhook set successfully: ${webhookUrl}/webhook/telegram`);
-        res.json({ success: true, webhookUrl: `${webhookUrl}/webhook/telegram` });
-      } else {
-        logger.error(`[WEBHOOK] Failed to set webhook: ${result.description}`);
-        res.status(400).json({ error: result.description });
-      }
+    try {
+      const url = await this.useTelegramWebhook(webhookUrl);
+      res.json({ success: true, mode: 'webhook', webhookUrl: url });
     } catch (error) {
-      logger.error(`[WEBHOOK] Error setting webhook: ${error.message}`);
-      res.status(500).json({ error: error.message });
+      logger.error(`[WEBHOOK] Failed to set webhook: ${error.message}`);
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  // Fetch updates with getUpdates; the poller deletes the bot's webhook first
+  useTelegramPolling() {
+    this.telegramUpdates = 'polling';
+    if (this.poller?.running) return;
+    this.poller = new TelegramPoller({
+      botToken: process.env.TELEGRAM_BOT_TOKEN,
+      onUpdate: update => this.handleTelegramUpdate(update)
+    });
+    this.poller.start();
+  }
+
+  // Have Telegram deliver updates to <webhookUrl>/webhook/telegram, ending any polling first
+  async useTelegramWebhook(webhookUrl) {
+    this.telegramUpdates = 'webhook';
+    await this.poller?.stop();
+    this.poller = null;
+    const url = `${webhookUrl.replace(/\/+$/, '')}/webhook/telegram`;
+    this.webhookSecret ||= createWebhookSecret();
+    await callTelegram(process.env.TELEGRAM_BOT_TOKEN, 'setWebhook', { url, secret_token: this.webhookSecret });
+    logger.info(`[WEBHOOK] Webhook set successfully: ${url}`);
+    return url;
+  }
+
+  // Route a chat's messages to `onMessage` until the returned function is called
+  registerChatSession(chatId, onMessage) {
+    const key = String(chatId);
+    if (this.chatSessions.has(key)) {
+      throw new Error(`Telegram chat ${chatId} already has an LLM conversation in progress`);
     }
+    this.chatSessions.set(key, onMessage);
+    return () => {
+      if (this.chatSessions.get(key) === onMessage) {
+        this.chatSessions.delete(key);
+      }
+    };
   }
 
-  // Method to register pending approval
-  registerPendingApproval(approvalId, chatId, timeout = 3600) {
+  // Method to register pending approval. `actions` are the buttons' actions in order;
+  // `approvers` limits who may answer to those Telegram user IDs
+  registerPendingApproval(approvalId, chatId, timeout = 3600, { actions = null, approvers = null } = {}) {
     this.pendingApprovals.set(approvalId, {
       approvalId,
       chatId,
       status: 'pending',
       timestamp: Date.now(),
-      timeout: timeout * 1000
+      timeout: timeout * 1000,
+      actions,
+      approvers: approvers?.length ? approvers.map(String) : null,
+      message: null
     });
 
     // Clean up expired approvals
     this.cleanupExpiredApprovals();
   }
 
+  // The Telegram message with the approval's buttons, edited once the approval is answered
+  setApprovalMessage(approvalId, message) {
+    const approval = this.pendingApprovals.get(approvalId);
+    if (approval) approval.message = message;
+  }
+
+  // Answer a pending approval; null when there is no such approval, or it expired or was answered
+  resolveApproval(approvalId, action, userResponse, decidedBy = null) {
+    if (!this.isApprovalPending(approvalId)) return null;
+    const approval = this.pendingApprovals.get(approvalId);
+    approval.status = 'completed';
+    approval.action = action;
+    approval.userResponse = userResponse;
+    approval.decidedBy = decidedBy;
+    approval.timestamp = Date.now();
+    return approval;
+  }
+
   // Method to get approval result
   getApprovalResult(approvalId) {
     const approval = this.pendingApprovals.get(approvalId);
     if (approval && approval.status === 'completed') {
-      this.pendingApprovals.delete(approvalId);
+      // Answered approvals stay until they expire, so late clicks are told who answered
       return approval;
     }
     return null;
@@ -212,18 +377,50 @@ class WebhookHandler {
     }
   }
 
-  // Start the webhook server
-  start(port = 3000) {
+  // Serve POST /hooks/:flowId by starting runs through the given RunManager
+  enableFlowHooks(runManager) {
+    this.flowHooks = new FlowHookTrigger(runManager);
+  }
+
+  // Answer bot commands (/flows, /start, /stop, ...) from allowlisted users with the given RunManager
+  enableTelegramCommands(runManager) {
+    this.telegramCommands = new TelegramCommands(runManager, { webhookHandler: this });
+  }
+
+  // Start the webhook server (optionally serving a parent app that mounts this.app)
+  start(port = 3000, app = this.app) {
     return new Promise((resolve) => {
-      this.server = this.app.listen(port, () => {
+      this.server = app.listen(port, () => {
         logger.info(`[WEBHOOK] Webhook server started on port ${port}`);
         resolve();
       });
-    });
+    }).then(() => this.connectTelegram());
+  }
+
+  // Polling mode starts polling; webhook mode registers TELEGRAM_WEBHOOK_URL when it is set,
+  // e.g. to move a bot back from polling
+  async connectTelegram() {
+    if (!process.env.TELEGRAM_BOT_TOKEN) {
+      if (this.telegramUpdates === 'polling') {
+        logger.warn('[WEBHOOK] TELEGRAM_UPDATES=polling but TELEGRAM_BOT_TOKEN is not set; not polling');
+      }
+      return;
+    }
+    if (this.telegramUpdates === 'polling') {
+      this.useTelegramPolling();
+    } else if (process.env.TELEGRAM_WEBHOOK_URL) {
+      await this.useTelegramWebhook(process.env.TELEGRAM_WEBHOOK_URL).catch((error) => {
+        logger.error(`[WEBHOOK] Failed to set webhook: ${error.message}`);
+      });
+    }
   }
 
-  // Stop the webhook server
+  // Stop the webhook server (and polling)
   stop() {
+    if (this.poller) {
+      this.poller.stop();
+      this.poller = null;
+    }
     if (this.server) {
       this.server.close();
       logger.info('[WEBHOOK] Webhook server stopped');
@@ -231,4 +428,4 @@ class WebhookHandler {
   }
 }
 
-export { WebhookHandler }; 
\ No newline at end of file
+export { WebhookHandler, approvalCallbackData }; 
\ No newline at end of file
@@ -0,0 +1,31 @@
+import { createAgentTools, validateAgentTools } from '../src/services/agentTools.js';
+
+function variableTools(spec, variables) {
+  const context = { variables, logger: { info() {} } };
+  return Object.fromEntries(createAgentTools([{ type: 'variables', ...spec }], context, 'agent').map(tool => [tool.name, tool]));
+}
+
+describe('variables tools', () => {
+  test('reads only variables the flow set', async () => {
+    const tools = variableTools({ readOnly: true }, { price: { usd: 0.42 } });
+    await expect(tools.get_workflow_variable.invoke({ name: 'price' })).resolves.toBe('{"usd":0.42}');
+    await expect(tools.get_workflow_variable.invoke({ name: 'constructor' })).resolves.toBe("Variable 'constructor' is not set");
+    await expect(tools.get_workflow_variable.invoke({ name: 'toString' })).resolves.toBe("Variable 'toString' is not set");
+    expect(tools.set_workflow_variable).toBeUndefined();
+  });
+
+  test('sets only the writable variables', async () => {
+    const variables = {};
+    const tools = variableTools({ writable: ['signal'] }, variables);
+    await expect(tools.set_workflow_variable.invoke({ name: 'signal', value: 'buy' })).resolves.toBe('Set signal');
+    await expect(tools.set_workflow_variable.invoke({ name: 'balance', value: 1 })).resolves.toMatch("Variable 'balance' is not writable");
+    expect(variables).toEqual({ signal: 'buy' });
+  });
+
+  test('validation requires writable names and refuses object internals', () => {
+    expect(validateAgentTools([{ type: 'variables' }, { type: 'variables', writable: ['__proto__'] }])).toEqual([
+      { path: 'config.tools[0].writable', message: 'list the variables the agent may set, or set readOnly: true' },
+      { path: 'config.tools[1].writable', message: "'__proto__' cannot be a variable name" }
+    ]);
+  });
+});
@@ -0,0 +1,113 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AgentTrace } from '../src/services/agentTrace.js';
+import { BackendFlowExecutor } from '../src/services/flowExecutor.js';
+import { LLMUsageLedger } from '../src/services/llmUsage.js';
+import { RunStore } from '../src/services/runStore.js';
+
+test('records the agent messages and each tool call with its result', () => {
+  const trace = new AgentTrace('agent');
+  trace.addAgentMessage({
+    content: [{ type: 'text', text: 'Checking the balance first.' }],
+    tool_calls: [{ id: 'call_1', name: 'sei_erc20_balance', args: {} }, { id: 'call_2', name: 'get_token_price', args: { symbol: 'SEI' } }]
+  });
+  trace.addToolResult({ tool_call_id: 'call_1', content: '12.5' });
+  trace.addToolResult({ tool_call_id: 'call_2', content: 'Error: rate limited' });
+  trace.addToolResult({ tool_call_id: 'call_unknown', content: 'ignored' });
+  trace.addAgentMessage({ content: 'Balance is 12.5 SEI.' });
+
+  const { messages, toolCalls } = trace.toJSON();
+  expect(messages.map(({ content, toolCalls: calls }) => ({ content, calls }))).toEqual([
+    { content: 'Checking the balance first.', calls: ['sei_erc20_balance', 'get_token_price'] },
+    { content: 'Balance is 12.5 SEI.', calls: undefined }
+  ]);
+  expect(toolCalls).toEqual([
+    expect.objectContaining({ id: 'call_1', name: 'sei_erc20_balance', args: {}, status: 'success', result: '12.5' }),
+    expect.objectContaining({ id: 'call_2', name: 'get_token_price', args: { symbol: 'SEI' }, status: 'error', result: 'Error: rate limited' })
+  ]);
+  expect(toolCalls.every(call => call.latencyMs >= 0 && call.startedAt)).toBe(true);
+});
+
+test('leaves calls without a result pending and cuts long results', () => {
+  const trace = new AgentTrace('agent');
+  trace.addAgentMessage({ content: '', tool_calls: [{ id: 'a', name: 'dump', args: {} }, { id: 'b', name: 'slow', args: {} }] });
+  trace.addToolResult({ tool_call_id: 'a', content: 'x'.repeat(5000), status: 'success' });
+
+  const [dump, slow] = trace.toJSON().toolCalls;
+  expect(dump.result).toBe(`${'x'.repeat(4000)}… (1000 more characters)`);
+  expect(slow).toMatchObject({ status: 'pending', result: null, latencyMs: null });
+});
+
+describe('run history', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentpad-trace-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // An LLM node whose agent made one tool call, then answered or failed
+  function fakeLLMNode(fail) {
+    const trace = new AgentTrace('agent');
+    return {
+      usage: { calls: 2, inputTokens: 30, outputTokens: 10, totalTokens: 40, toolCalls: 1, costUsd: 0, unpricedCalls: 2 },
+      trace,
+      execute: async () => {
+        trace.addAgentMessage({ content: 'Looking up the price.', tool_calls: [{ id: 'c1', name: 'get_token_price', args: { symbol: 'SEI' } }] });
+        trace.addToolResult({ tool_call_id: 'c1', content: '0.42' });
+        if (fail) throw new Error('model unavailable');
+        trace.addAgentMessage({ content: 'SEI is at $0.42.' });
+        return 'SEI is at $0.42.';
+      }
+    };
+  }
+
+  async function run(config, { fail = false } = {}) {
+    const store = new RunStore(path.join(dir, 'runs'), path.join(dir, 'checkpoints'));
+    store.createRun({ runId: 'run_1_a', flowId: 'prices', flowName: 'Prices', flowPath: null, flowHash: 'h' });
+    const executor = new BackendFlowExecutor('fixture-key', {
+      services: { createLLMNode: () => fakeLLMNode(fail) },
+      usageLedger: new LLMUsageLedger({ file: null }),
+      runStore: store,
+      runId: 'run_1_a',
+      startWebhookServer: false
+    });
+    const flowData = {
+      name: 'Prices',
+      nodes: [{ id: 'start', type: 'start', data: { config: {} } }, { id: 'agent', type: 'llm', data: { config: { input: 'Price?', outputVariable: 'answer', ...config } } }],
+      edges: [{ id: 'e1', source: 'start', target: 'agent' }]
+    };
+    const error = await executor.executeFlow(flowData).then(() => null, err => err);
+    return { executor, error, record: store.getRun('run_1_a').nodes.find(node => node.nodeId === 'agent') };
+  }
+
+  test('stores the trace and usage with the node execution', async () => {
+    const { executor, record } = await run({});
+    expect(record.status).toBe('completed');
+    expect(record.usage).toMatchObject({ calls: 2, totalTokens: 40, toolCalls: 1 });
+    expect(record.trace.toolCalls).toEqual([expect.objectContaining({ name: 'get_token_price', status: 'success', result: '0.42' })]);
+    expect(record.trace.messages.map(m => m.content)).toEqual(['Looking up the price.', 'SEI is at $0.42.']);
+    // Without includeTrace later nodes only see the answer
+    expect(executor.variables.answer).toBe('SEI is at $0.42.');
+  });
+
+  test('includeTrace returns the trace as the node output', async () => {
+    const { executor } = await run({ includeTrace: true });
+    expect(executor.variables.answer).toMatchObject({
+      response: 'SEI is at $0.42.',
+      toolCalls: [expect.objectContaining({ name: 'get_token_price' })]
+    });
+  });
+
+  test('keeps the trace of an agent that failed', async () => {
+    const { error, record } = await run({}, { fail: true });
+    expect(error.message).toContain('model unavailable');
+    expect(record.status).toBe('failed');
+    expect(record.trace.toolCalls).toHaveLength(1);
+    expect(record.usage.calls).toBe(2);
+  });
+});
@@ -0,0 +1,115 @@
+import { WebhookHandler, approvalCallbackData } from '../src/webhookHandler.js';
+
+const CHAT_ID = -100;
+const ALICE = { id: 42, username: 'alice' };
+const BOB = { id: 7, username: 'bob' };
+
+const realFetch = globalThis.fetch;
+const savedToken = process.env.TELEGRAM_BOT_TOKEN;
+let calls;
+
+// Button answers and message edits go to the Bot API; record them instead
+beforeEach(() => {
+  calls = [];
+  process.env.TELEGRAM_BOT_TOKEN = '123:abc';
+  globalThis.fetch = async (url, { body }) => {
+    calls.push({ method: url.split('/').pop(), ...JSON.parse(body) });
+    return { ok: true, json: async () => ({ ok: true, result: true }) };
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  if (savedToken === undefined) delete process.env.TELEGRAM_BOT_TOKEN;
+  else process.env.TELEGRAM_BOT_TOKEN = savedToken;
+});
+
+function setup() {
+  const handler = new WebhookHandler({ telegramUpdates: 'webhook' });
+  let updateId = 0;
+  const press = (data, from = ALICE, chatId = CHAT_ID) => handler.handleTelegramUpdate({
+    update_id: ++updateId,
+    callback_query: { id: `cb${updateId}`, data, from, message: { message_id: 5, text: 'Pay 10 SEI?', chat: { id: chatId } } }
+  });
+  const answers = () => calls.filter(c => c.method === 'answerCallbackQuery').map(c => c.text);
+  return { handler, press, answers };
+}
+
+test('a button answers the approval it was sent for, even with several pending in the chat', async () => {
+  const { handler, press, answers } = setup();
+  handler.registerPendingApproval('pay', CHAT_ID, 60, { actions: ['approve', 'reject'] });
+  handler.registerPendingApproval('swap', CHAT_ID, 60, { actions: ['approve', 'reject'] });
+  handler.setApprovalMessage('swap', { messageId: 9, text: 'Swap *SEI*?', markdown: true });
+
+  await press(approvalCallbackData('swap', 1));
+  expect(handler.getApprovalResult('swap')).toMatchObject({ action: 'reject', userResponse: 'Rejected by alice', decidedBy: { id: 42, username: 'alice' } });
+  expect(handler.isApprovalPending('pay')).toBe(true);
+  expect(answers()).toEqual(['Rejected']);
+  // The buttons are replaced with who decided, escaped for the message's Markdown
+  expect(calls.find(c => c.method === 'editMessageText')).toMatchObject({
+    chat_id: CHAT_ID,
+    message_id: 9,
+    text: 'Swap *SEI*?\n\n❌ Rejected by alice',
+    parse_mode: 'Markdown'
+  });
+});
+
+test('a second press is told who answered', async () => {
+  const { handler, press, answers } = setup();
+  handler.registerPendingApproval('pay', CHAT_ID, 60, { actions: ['approve', 'reject'] });
+  await press(approvalCallbackData('pay', 0));
+  await press(approvalCallbackData('pay', 1), BOB);
+  expect(answers()).toEqual(['Approved', 'Already answered: Approved by alice']);
+  expect(handler.getApprovalResult('pay').action).toBe('approve');
+});
+
+test('refuses presses from other chats, non-approvers, unknown actions and expired approvals', async () => {
+  const { handler, press, answers } = setup();
+  handler.registerPendingApproval('pay', CHAT_ID, 60, { actions: ['approve', 'reject'], approvers: [42] });
+
+  await press(approvalCallbackData('pay', 0), ALICE, -200);
+  await press(approvalCallbackData('pay', 0), BOB);
+  await press(approvalCallbackData('pay', 5));
+  await press(approvalCallbackData('missing', 0));
+  expect(answers()).toEqual([
+    'This approval belongs to another chat.',
+    'You are not allowed to answer this approval.',
+    'Unknown action.',
+    'This approval has expired or was already answered.'
+  ]);
+  expect(handler.isApprovalPending('pay')).toBe(true);
+  expect(calls.some(c => c.method === 'editMessageText')).toBe(false);
+
+  handler.pendingApprovals.get('pay').timestamp -= 61 * 1000;
+  await press(approvalCallbackData('pay', 0));
+  expect(answers().at(-1)).toBe('This approval has expired or was already answered.');
+  expect(handler.getApprovalResult('pay')).toBeNull();
+});
+
+test('buttons without an approval ID answer the chat\'s only pending approval', async () => {
+  const { handler, press, answers } = setup();
+  await press('success');
+  expect(answers()).toEqual(['No approval is pending in this chat.']);
+
+  handler.registerPendingApproval('one', CHAT_ID, 60);
+  handler.registerPendingApproval('two', CHAT_ID, 60);
+  await press('success');
+  expect(answers().at(-1)).toBe('Several approvals are pending here; use the buttons on the approval message.');
+
+  handler.resolveApproval('two', 'failure', 'answered elsewhere');
+  await press('retry');
+  expect(handler.getApprovalResult('one')).toMatchObject({ action: 'retry', userResponse: 'Answered "retry" by alice' });
+});
+
+test('ignores buttons on messages without a chat', async () => {
+  const { handler, answers } = setup();
+  handler.registerPendingApproval('pay', CHAT_ID, 60, { actions: ['approve'] });
+  await handler.handleTelegramUpdate({ update_id: 1, callback_query: { id: 'cb', data: approvalCallbackData('pay', 0), from: ALICE, inline_message_id: 'x' } });
+  expect(answers()).toEqual(['This button cannot be used here.']);
+  expect(handler.isApprovalPending('pay')).toBe(true);
+});
+
+test('callback data must fit in 64 bytes', () => {
+  expect(approvalCallbackData('pay', 0)).toBe('ap:0:pay');
+  expect(() => approvalCallbackData('x'.repeat(60), 0)).toThrow("Approval ID '" + 'x'.repeat(60) + "' is too long for Telegram buttons");
+});
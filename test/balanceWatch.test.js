@@ -0,0 +1,159 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BalanceWatcher, evaluateBalance, readBalanceWatchState, validateBalanceWatch } from '../src/services/balanceWatch.js';
+
+let dir;
+let flowFile;
+let stateFile;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentpad-balance-'));
+  flowFile = path.join(dir, 'top_up.json');
+  stateFile = path.join(dir, 'balance-watch.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('evaluateBalance', () => {
+  const settings = { below: 10, hysteresis: 2 };
+
+  test('fires once per crossing and re-arms past the hysteresis band', () => {
+    let state = { below: true };
+    const observe = balance => {
+      const result = evaluateBalance(settings, state, balance);
+      // The watcher disarms a condition once its run has started
+      state = { ...result.armed, ...(result.crossed.length > 0 && { below: false }) };
+      return result.crossed.map(c => c.condition);
+    };
+    expect(observe(12)).toEqual([]);
+    expect(observe(9)).toEqual(['below']);
+    expect(observe(8)).toEqual([]);
+    // Back above the threshold but inside the band: still disarmed
+    expect(observe(11)).toEqual([]);
+    expect(observe(9)).toEqual([]);
+    expect(observe(12)).toEqual([]);
+    expect(observe(9)).toEqual(['below']);
+  });
+
+  test('checks both thresholds', () => {
+    const both = { below: 10, above: 100, hysteresis: 0 };
+    expect(evaluateBalance(both, { below: true, above: true }, 150).crossed).toEqual([{ condition: 'above', threshold: 100 }]);
+    expect(evaluateBalance(both, { below: true, above: true }, 5).crossed).toEqual([{ condition: 'below', threshold: 10 }]);
+    expect(evaluateBalance(both, { below: true, above: true }, 50).crossed).toEqual([]);
+  });
+});
+
+test('validates thresholds and token', () => {
+  expect(validateBalanceWatch({ balanceWatch: { below: 5 } })).toEqual([]);
+  expect(validateBalanceWatch({ balanceWatch: {} })[0].message).toBe("set 'below', 'above' or both");
+  expect(validateBalanceWatch({ balanceWatch: { below: 10, above: 5 } })[0].message).toBe("'below' must be less than 'above'");
+  expect(validateBalanceWatch({ balanceWatch: { below: 5, token: 'USDC' } })[0].path).toBe('config.balanceWatch.token');
+});
+
+describe('BalanceWatcher', () => {
+  function writeFlow(balanceWatch) {
+    const flowData = { name: 'Top up', nodes: [{ id: 'start', type: 'start', data: { config: { balanceWatch } } }], edges: [] };
+    fs.writeFileSync(flowFile, JSON.stringify(flowData));
+  }
+
+  function setup({ balances }) {
+    const runs = { running: false, failing: false, started: [], privateKey: '0xkey' };
+    runs.isFlowRunning = () => runs.running;
+    runs.startRun = (flowData, options) => {
+      if (runs.failing) throw new Error('executor busy');
+      runs.started.push(options);
+      return { runId: `run_${runs.started.length}` };
+    };
+    const kit = { getERC20Balance: async () => String(balances.shift()) };
+    const createWatcher = () => {
+      const watcher = new BalanceWatcher(runs, { flowIds: [flowFile], stateFile, createSeiKit: async () => kit });
+      watcher.state = readBalanceWatchState(stateFile);
+      watcher.scan();
+      return watcher;
+    };
+    const watcher = createWatcher();
+    const poll = (w = watcher) => w.poll(flowFile, w.watches.get(flowFile));
+    return { runs, watcher, poll, createWatcher };
+  }
+
+  test('starts a run with the old and new balance when the threshold is crossed', async () => {
+    writeFlow({ below: 10, hysteresis: 1 });
+    const { runs, poll } = setup({ balances: [12, 8, 7, 10.5, 11, 9] });
+
+    await poll();
+    await poll();
+    expect(runs.started).toHaveLength(1);
+    expect(runs.started[0].trigger).toMatchObject({ type: 'balanceWatch', condition: 'below', threshold: 10, oldBalance: 12, newBalance: 8 });
+    expect(runs.started[0].inputs).toEqual({ oldBalance: 12, newBalance: 8 });
+
+    await poll();
+    await poll();
+    expect(runs.started).toHaveLength(1);
+    await poll();
+    await poll();
+    expect(runs.started).toHaveLength(2);
+    expect(runs.started[1].trigger).toMatchObject({ oldBalance: 11, newBalance: 9 });
+  });
+
+  test('fires a crossing held back by the cooldown once it is over, from the balance before it', async () => {
+    writeFlow({ below: 10, cooldownMs: 60 * 60 * 1000 });
+    const { runs, watcher, poll } = setup({ balances: [9, 20, 8, 7, 6] });
+
+    await poll();
+    expect(runs.started).toHaveLength(1);
+    await poll();
+    await poll();
+    await poll();
+    expect(runs.started).toHaveLength(1);
+
+    watcher.state[flowFile].lastFiredAt = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+    await poll();
+    expect(runs.started).toHaveLength(2);
+    expect(runs.started[1].trigger).toMatchObject({ oldBalance: 20, newBalance: 6 });
+  });
+
+  test('waits for a running flow and retries a run that failed to start', async () => {
+    writeFlow({ below: 10 });
+    const { runs, poll } = setup({ balances: [12, 9, 8, 7] });
+
+    await poll();
+    runs.running = true;
+    await poll();
+    runs.running = false;
+    runs.failing = true;
+    await poll();
+    expect(runs.started).toHaveLength(0);
+
+    runs.failing = false;
+    await poll();
+    expect(runs.started).toHaveLength(1);
+    expect(runs.started[0].trigger).toMatchObject({ oldBalance: 12, newBalance: 7 });
+  });
+
+  test('a restarted watcher does not fire the same crossing again', async () => {
+    writeFlow({ below: 10 });
+    const { runs, poll, createWatcher } = setup({ balances: [9, 8] });
+    await poll();
+    expect(runs.started).toHaveLength(1);
+
+    const restarted = createWatcher();
+    await poll(restarted);
+    expect(runs.started).toHaveLength(1);
+    expect(readBalanceWatchState(stateFile)[flowFile]).toMatchObject({ balance: 8, armed: { below: false } });
+  });
+
+  test('changed thresholds start armed again', async () => {
+    writeFlow({ below: 10 });
+    const { runs, poll, createWatcher } = setup({ balances: [9, 8] });
+    await poll();
+
+    writeFlow({ below: 20 });
+    const edited = createWatcher();
+    expect(edited.state[flowFile]).toMatchObject({ balance: null, armed: { below: true } });
+    await poll(edited);
+    expect(runs.started).toHaveLength(2);
+  });
+});
@@ -0,0 +1,19 @@
+import fs from 'fs';
+import { loadFlow } from '../src/services/flowStore.js';
+import { runFlowTest } from '../src/services/flowTestHarness.js';
+
+const fixtures = JSON.parse(fs.readFileSync(new URL('./fixtures/coingecko_data.json', import.meta.url), 'utf-8'));
+const { flowData } = loadFlow('coingecko_data');
+
+test('logs the scripted SEI price', async () => {
+  const result = await runFlowTest(flowData, fixtures);
+  expect(result.failures).toEqual([]);
+  expect(result.calls).toEqual([
+    expect.objectContaining({ type: 'marketData', nodeId: 'marketData-1755244934301', symbol: 'sei' })
+  ]);
+});
+
+test('fails instead of calling CoinGecko when the price has no fixture', async () => {
+  const result = await runFlowTest(flowData, { expect: { status: 'failed', error: "No 'marketData' fixture for symbol sei" } });
+  expect(result.failures).toEqual([]);
+});
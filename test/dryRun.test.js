@@ -0,0 +1,50 @@
+import { DryRun } from '../src/services/dryRun.js';
+
+describe('wrapSeiKit', () => {
+  const sent = [];
+  const kit = {
+    getERC20Balance: async () => '100',
+    ERC20Transfer: async (...args) => sent.push(args),
+    // A write method the kit gained after seiTools.js was written
+    bridgeEverything: async (...args) => sent.push(args)
+  };
+
+  test('passes reads through and records every other call instead of sending it', async () => {
+    const dryRun = new DryRun();
+    const wrapped = dryRun.wrapSeiKit(kit, 'agent');
+    await expect(wrapped.getERC20Balance()).resolves.toBe('100');
+    expect(JSON.parse(await wrapped.ERC20Transfer('5', '0xabc'))).toMatchObject({ dryRun: true, method: 'ERC20Transfer', args: ['5', '0xabc'] });
+    expect(JSON.parse(await wrapped.bridgeEverything('all'))).toMatchObject({ dryRun: true, method: 'bridgeEverything' });
+    expect(sent).toEqual([]);
+    expect(dryRun.writes.map(write => [write.nodeId, write.method])).toEqual([['agent', 'ERC20Transfer'], ['agent', 'bridgeEverything']]);
+  });
+});
+
+describe('simulateSeiTool', () => {
+  test('records the tool and returns a receipt without a hash', async () => {
+    const dryRun = new DryRun();
+    const receipt = await dryRun.simulateSeiTool({}, 'sei_stake', { amount: 3 }, 'stake');
+    expect(receipt).toMatchObject({ dryRun: true, status: 'simulated', transactionHash: null, tool: 'sei_stake' });
+    expect(dryRun.writes).toEqual([expect.objectContaining({ sequence: 1, kind: 'seiTool', nodeId: 'stake', tool: 'sei_stake' })]);
+  });
+
+  test('a native transfer that would fail is recorded and fails the node', async () => {
+    const dryRun = new DryRun();
+    const kit = {
+      walletClient: { account: '0xme' },
+      publicClient: { estimateGas: async () => { throw new Error('insufficient funds'); } }
+    };
+    await expect(dryRun.simulateSeiTool(kit, 'sei_native_transfer', { amount: 1, recipient: '0xabc' }))
+      .rejects.toThrow('Dry run: sei_native_transfer would fail: insufficient funds');
+    expect(dryRun.writes[0]).toMatchObject({ status: 'failed', error: 'insufficient funds' });
+  });
+});
+
+describe('answerApproval', () => {
+  test('answers from the fixture, falling back to the first action', () => {
+    expect(new DryRun({ approvals: { gate: 'reject' } }).answerApproval('gate', ['approve', 'reject'])).toBe('reject');
+    expect(new DryRun({ approvals: { default: 'approve' } }).answerApproval('gate', ['approve', 'reject'])).toBe('approve');
+    expect(new DryRun().answerApproval('gate', ['confirm', 'cancel'])).toBe('confirm');
+    expect(() => new DryRun({ approvals: { gate: 'maybe' } }).answerApproval('gate', ['approve', 'reject'])).toThrow("fixture answer 'maybe'");
+  });
+});
@@ -0,0 +1,184 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EventWatcher, readEventCursors, validateEventTrigger } from '../src/services/eventTrigger.js';
+
+const CONTRACT = '0x1111111111111111111111111111111111111111';
+const ABI = [{
+  type: 'event',
+  name: 'Transfer',
+  inputs: [
+    { name: 'from', type: 'address', indexed: true },
+    { name: 'to', type: 'address', indexed: true },
+    { name: 'value', type: 'uint256', indexed: false }
+  ]
+}];
+
+let dir;
+let flowFile;
+let cursorFile;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentpad-events-'));
+  flowFile = path.join(dir, 'on_transfer.json');
+  cursorFile = path.join(dir, 'event-cursors.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeFlow(eventTrigger) {
+  const flowData = {
+    name: 'On transfer',
+    nodes: [{ id: 'start', type: 'start', data: { config: { eventTrigger: { contractAddress: CONTRACT, abi: ABI, eventName: 'Transfer', ...eventTrigger } } } }],
+    edges: []
+  };
+  fs.writeFileSync(flowFile, JSON.stringify(flowData));
+}
+
+function log(block, logIndex, extra = {}) {
+  return {
+    blockNumber: BigInt(block),
+    logIndex,
+    blockHash: `0xblock${block}`,
+    transactionHash: `0xtx${block}_${logIndex}`,
+    args: { value: BigInt(block * 10 + logIndex) },
+    ...extra
+  };
+}
+
+// A chain at `head` holding `logs`; getLogs returns them shuffled, as nothing guarantees order
+function fakeChain(head, logs) {
+  const chain = { head, logs, ranges: [] };
+  chain.client = {
+    getBlockNumber: async () => BigInt(chain.head),
+    getLogs: async ({ fromBlock, toBlock }) => {
+      chain.ranges.push([Number(fromBlock), Number(toBlock)]);
+      return chain.logs.filter(l => l.blockNumber >= fromBlock && l.blockNumber <= toBlock).reverse();
+    }
+  };
+  return chain;
+}
+
+function fakeRunManager({ failOn = null } = {}) {
+  const runs = { running: false, started: [] };
+  runs.isFlowRunning = () => runs.running;
+  runs.startRun = (flowData, { trigger, inputs }) => {
+    if (trigger.transactionHash === failOn) throw new Error('executor busy');
+    runs.started.push({ trigger, inputs });
+    return { runId: `run_${runs.started.length}` };
+  };
+  return runs;
+}
+
+function createWatcher(runs, chain) {
+  const watcher = new EventWatcher(runs, { flowIds: [flowFile], cursorFile, createPublicClient: () => chain.client });
+  watcher.cursors = readEventCursors(cursorFile);
+  watcher.scan();
+  return { watcher, watch: watcher.watches.get(flowFile) };
+}
+
+test('only reads logs that are `confirmations` deep, in maxBlockRange chunks', async () => {
+  writeFlow({ startBlock: 100, confirmations: 3, maxBlockRange: 10 });
+  const chain = fakeChain(120, [log(101, 0), log(115, 1), log(118, 0)]);
+  const runs = fakeRunManager();
+  const { watcher, watch } = createWatcher(runs, chain);
+
+  await watcher.poll(watch);
+  await watcher.poll(watch);
+  await watcher.poll(watch);
+  // Safe head is 117, so the log in block 118 waits
+  expect(chain.ranges).toEqual([[100, 109], [110, 117]]);
+  expect(runs.started.map(r => r.trigger.transactionHash)).toEqual(['0xtx101_0', '0xtx115_1']);
+  expect(runs.started[0].trigger).toMatchObject({ type: 'event', eventName: 'Transfer', blockNumber: '101', logIndex: 0 });
+  expect(runs.started[0].inputs).toEqual({ value: '1010' });
+  expect(readEventCursors(cursorFile).on_transfer).toMatchObject({ scannedBlock: '117', lastEvent: { blockNumber: '115', logIndex: 1 } });
+
+  chain.head = 121;
+  await watcher.poll(watch);
+  expect(runs.started.map(r => r.trigger.transactionHash)).toEqual(['0xtx101_0', '0xtx115_1', '0xtx118_0']);
+});
+
+test('dispatches logs in block and log order and skips removed ones', async () => {
+  writeFlow({ startBlock: 100, confirmations: 0 });
+  const chain = fakeChain(105, [log(101, 2), log(101, 0, { removed: true }), log(101, 1), log(103, 0)]);
+  const runs = fakeRunManager();
+  const { watcher, watch } = createWatcher(runs, chain);
+
+  await watcher.poll(watch);
+  expect(runs.started.map(r => r.trigger.transactionHash)).toEqual(['0xtx101_1', '0xtx101_2', '0xtx103_0']);
+});
+
+test('a restarted watcher resumes after the last dispatched log', async () => {
+  writeFlow({ startBlock: 100, confirmations: 0 });
+  const chain = fakeChain(105, [log(101, 0), log(101, 1), log(103, 0)]);
+  const runs = fakeRunManager({ failOn: '0xtx101_1' });
+  const first = createWatcher(runs, chain);
+
+  await first.watcher.poll(first.watch);
+  expect(runs.started).toHaveLength(1);
+  // The range is not marked scanned while a log in it is still waiting
+  expect(readEventCursors(cursorFile).on_transfer).toMatchObject({ scannedBlock: '99', lastEvent: { blockNumber: '101', logIndex: 0 } });
+
+  const restarted = fakeRunManager();
+  const second = createWatcher(restarted, chain);
+  await second.watcher.poll(second.watch);
+  expect(restarted.started.map(r => r.trigger.transactionHash)).toEqual(['0xtx101_1', '0xtx103_0']);
+  expect(readEventCursors(cursorFile).on_transfer.scannedBlock).toBe('105');
+});
+
+test('holds the queue while the flow is still running', async () => {
+  writeFlow({ startBlock: 100, confirmations: 0 });
+  const chain = fakeChain(102, [log(101, 0), log(102, 0)]);
+  const runs = fakeRunManager();
+  const { watcher, watch } = createWatcher(runs, chain);
+
+  runs.running = true;
+  await watcher.poll(watch);
+  expect(runs.started).toHaveLength(0);
+  expect(watch.queue).toHaveLength(2);
+
+  runs.running = false;
+  await watcher.poll(watch);
+  expect(runs.started).toHaveLength(2);
+  expect(chain.ranges).toHaveLength(1);
+});
+
+test("starts at the safe head for startBlock 'latest'", async () => {
+  writeFlow({ confirmations: 3 });
+  const chain = fakeChain(50, [log(47, 0), log(48, 0)]);
+  const runs = fakeRunManager();
+  const { watcher, watch } = createWatcher(runs, chain);
+
+  await watcher.poll(watch);
+  expect(chain.ranges).toEqual([]);
+  expect(readEventCursors(cursorFile).on_transfer.scannedBlock).toBe('47');
+
+  chain.head = 51;
+  await watcher.poll(watch);
+  expect(runs.started.map(r => r.trigger.transactionHash)).toEqual(['0xtx48_0']);
+});
+
+test('starts over when the watched event or filter changes', async () => {
+  writeFlow({ startBlock: 100, confirmations: 0 });
+  const chain = fakeChain(102, [log(101, 0)]);
+  const runs = fakeRunManager();
+  const first = createWatcher(runs, chain);
+  await first.watcher.poll(first.watch);
+  expect(runs.started).toHaveLength(1);
+
+  writeFlow({ startBlock: 100, confirmations: 0, args: { to: CONTRACT } });
+  const second = createWatcher(runs, chain);
+  expect(second.watcher.cursors.on_transfer).toBeUndefined();
+  await second.watcher.poll(second.watch);
+  expect(runs.started).toHaveLength(2);
+});
+
+test('validates the event name and filters against the ABI', () => {
+  const config = eventTrigger => ({ eventTrigger: { contractAddress: CONTRACT, abi: ABI, eventName: 'Transfer', ...eventTrigger } });
+  expect(validateEventTrigger(config({ args: { from: CONTRACT } }))).toEqual([]);
+  expect(validateEventTrigger(config({ eventName: 'Approval' }))[0].message).toBe("event 'Approval' not found in ABI");
+  expect(validateEventTrigger(config({ args: { value: 1 } }))[0].message).toBe("argument 'value' of 'Transfer' is not indexed and cannot be filtered on");
+  expect(validateEventTrigger(config({ args: { amount: 1 } }))[0].message).toBe("event 'Transfer' has no argument 'amount'");
+});
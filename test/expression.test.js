@@ -0,0 +1,91 @@
+import { evaluateExpression, parseExpression, validateExpressionConfig } from '../src/services/expression.js';
+
+const variables = {
+  price: { price_usd: 0.52, change_24h: -3.1 },
+  balance: '150',
+  lastPrice: 0.5,
+  rsi: 45,
+  paused: false,
+  tweet: 'Big news for SEI holders',
+  tags: ['defi', 'sei', 7]
+};
+
+function resolvePath(path) {
+  return path.split('.').reduce((value, key) => (value !== null && value !== undefined && key in Object(value) ? value[key] : undefined), variables);
+}
+
+const evaluate = source => evaluateExpression(source, resolvePath);
+
+describe('evaluateExpression', () => {
+  test.each([
+    ['{price.price_usd} >= 0.5 AND {balance} > 0', true],
+    ['{rsi} between 30 and 70', true],
+    ['{rsi} between 50 and 70', false],
+    ['abs(pctChange({lastPrice}, {price.price_usd})) > 3', true],
+    ['{tweet} contains "sei" OR NOT {paused}', true],
+    ['{tags} contains "7"', true],
+    ['{balance} == 150', true],
+    ['{balance} = 150', true],
+    ['1 + 2 * 3', 7],
+    ['(1 + 2) * 3', 9],
+    ['-{lastPrice} * 2', -1],
+    ['round(2 / 3, 2)', 0.67],
+    ['"a" + {balance} + "b"', 'a150b'],
+    ['{balance} + 1', 151],
+    ['not {paused} and {rsi} < 50 || false', true],
+    ['len({tags})', 3],
+    ['max(1, {rsi}, 3)', 45]
+  ])('%s', (source, expected) => {
+    expect(evaluate(source)).toEqual(expected);
+  });
+
+  test('pctChange is 0 without a previous value', () => {
+    expect(evaluate('pctChange(0, {price.price_usd})')).toBe(0);
+  });
+
+  test('names the missing variable', () => {
+    expect(() => evaluate('{missing} > 1')).toThrow('Variable {missing} is not defined');
+  });
+
+  test('refuses arithmetic on text and division by zero', () => {
+    expect(() => evaluate('{tweet} * 2')).toThrow("'*' expects a number");
+    expect(() => evaluate('{rsi} / 0')).toThrow('Division by zero');
+  });
+});
+
+describe('parseExpression', () => {
+  test.each([
+    ['{price.price_usd} >=', 'Unexpected end of expression'],
+    ['{price', "Unclosed '{'"],
+    ['"open', 'Unterminated string'],
+    ['price > 1', 'reference variables as {price}'],
+    ['eval("1")', "Unknown function or name 'eval'"],
+    ['1 ; 2', "Unexpected character ';'"],
+    ['(1 + 2', "Expected ')'"],
+    ['{rsi} between 1 or 2', "Expected 'and'"]
+  ])('rejects %s', (source, message) => {
+    expect(() => parseExpression(source)).toThrow(message);
+  });
+
+  test.each(['{__proto__}', '{price.constructor}', '{a.prototype.b}'])('blocks object internals in %s', (source) => {
+    expect(() => parseExpression(source)).toThrow('is not allowed');
+  });
+
+  test('rejects empty expressions', () => {
+    expect(() => parseExpression('  ')).toThrow('non-empty string');
+  });
+});
+
+describe('validateExpressionConfig', () => {
+  test('requires the classic fields without an expression', () => {
+    expect(validateExpressionConfig({ value1: 'a' }, ['value1', 'value2'])).toEqual([
+      { path: 'config', message: "missing required field 'value2' (or set 'expression')" }
+    ]);
+  });
+
+  test('reports a broken expression', () => {
+    expect(validateExpressionConfig({ expression: '{rsi} >' })).toEqual([
+      { path: 'config.expression', message: expect.stringContaining('Unexpected end of expression') }
+    ]);
+  });
+});
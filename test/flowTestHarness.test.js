@@ -0,0 +1,71 @@
+import { checkExpectations, runFlowTest } from '../src/services/flowTestHarness.js';
+
+const RECIPIENT = '0x1111111111111111111111111111111111111111';
+
+// Nodes run in the order given, each wired to the next
+function flow(...nodes) {
+  const all = [{ id: 'start', type: 'start', data: { type: 'start', config: {} } }, ...nodes.map(node => ({ ...node, data: { type: node.type, config: node.config } }))];
+  return {
+    name: 'Harness',
+    nodes: all,
+    edges: all.slice(1).map((node, index) => ({ id: `e${index}`, source: all[index].id, target: node.id }))
+  };
+}
+
+const transfer = amount => ({
+  id: 'pay',
+  type: 'blockchain',
+  config: { selectedTool: 'sei_erc20_transfer', toolParameters: { amount, recipient: RECIPIENT }, outputVariable: 'tx' }
+});
+
+test('answers kit calls from fixtures and records them', async () => {
+  const result = await runFlowTest(flow(transfer('5')), {
+    tools: { sei_erc20_transfer: '0xhash' },
+    expect: { variables: { tx: '0xhash' } }
+  });
+  expect(result.failures).toEqual([]);
+  expect(result.calls).toEqual([
+    { type: 'tool', nodeId: 'pay', tool: 'sei_erc20_transfer', method: 'ERC20Transfer', args: [5, RECIPIENT, undefined] }
+  ]);
+});
+
+test('applies a fixture policy before the kit is called', async () => {
+  const result = await runFlowTest(flow(transfer('50')), {
+    tools: { pay: '0xhash' },
+    policy: { limits: { SEI: { perFlow: 10 } } },
+    expect: { status: 'failed', error: '50 SEI would take this flow to 50 today (limit 10)' }
+  });
+  expect(result.failures).toEqual([]);
+  expect(result.calls).toEqual([]);
+});
+
+test('scripted answers are used in order and approvals come from fixtures', async () => {
+  const result = await runFlowTest(flow(
+    { id: 'price1', type: 'marketData', config: { symbol: 'sei', outputVariable: 'first' } },
+    { id: 'price2', type: 'marketData', config: { symbol: 'sei', outputVariable: 'second' } },
+    { id: 'ok', type: 'userApproval', config: { message: 'Pay?', timeout: 60 } }
+  ), {
+    marketData: { sei: [0.4, 0.5] },
+    approvals: { default: 'approve' },
+    expect: { variables: { first: { price_usd: 0.4 }, second: { price_usd: 0.5 } } }
+  });
+  expect(result.failures).toEqual([]);
+  expect(result.calls.map(call => call.type)).toEqual(['marketData', 'marketData', 'approval']);
+});
+
+test('fails rather than reach a real backend without a fixture', async () => {
+  const result = await runFlowTest(flow(transfer('5')), {
+    expect: { status: 'failed', error: "No 'tools' fixture for sei_erc20_transfer (node pay); add one keyed by 'pay' or 'sei_erc20_transfer'" }
+  });
+  expect(result.failures).toEqual([]);
+});
+
+test('reports each mismatch against expect', () => {
+  const result = { status: 'completed', error: null, variables: { tx: '0xhash', list: [1, 2] }, nodeResults: {} };
+  expect(checkExpectations(result, { status: 'failed', variables: { tx: '0xother', list: [1], missing: { a: 1 } } })).toEqual([
+    "status: expected 'failed', got 'completed'",
+    'variables.tx: expected "0xother", got "0xhash"',
+    'variables.list: expected [1], got [1,2]',
+    'variables.missing: expected an object, got undefined'
+  ]);
+});
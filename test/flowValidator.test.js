@@ -0,0 +1,102 @@
+import { validateFlow, formatValidationIssue } from '../src/services/flowValidator.js';
+
+const node = (id, type, config = {}) => ({ id, type, data: { config } });
+const edge = (source, target, sourceHandle) => ({ id: `${source}-${target}`, source, target, ...(sourceHandle && { sourceHandle }) });
+
+function flow(nodes, edges = []) {
+  return { name: 'test', nodes, edges };
+}
+
+test('accepts a linear flow', () => {
+  const result = validateFlow(flow(
+    [node('start', 'start', { variables: [{ name: 'msg', defaultValue: 'hi' }] }), node('log', 'logger', { message: '{msg}' })],
+    [edge('start', 'log')]
+  ));
+  expect(result).toEqual({ valid: true, errors: [], warnings: [] });
+});
+
+test('rejects a flow that is not a node graph', () => {
+  const result = validateFlow({ nodes: 'nope' });
+  expect(result.valid).toBe(false);
+  expect(result.errors.length).toBeGreaterThan(0);
+});
+
+test('reports unknown types, duplicate ids and config schema errors per node', () => {
+  const { valid, errors } = validateFlow(flow(
+    [node('start', 'start'), node('a', 'teleport'), node('b', 'blockchain'), node('b', 'blockchain', { selectedTool: 'transfer' })],
+    [edge('start', 'a')]
+  ));
+  expect(valid).toBe(false);
+  expect(errors).toEqual(expect.arrayContaining([
+    expect.objectContaining({ nodeId: 'a', path: 'type', message: "unknown node type 'teleport'" }),
+    expect.objectContaining({ nodeId: 'b', path: 'id', message: 'duplicate node id' })
+  ]));
+  expect(errors.filter(e => e.nodeId === 'b' && e.path.startsWith('config'))).toHaveLength(2);
+});
+
+test('requires a start node and existing edge ends', () => {
+  const { errors } = validateFlow(flow([node('log', 'logger')], [edge('log', 'ghost')]));
+  expect(errors.map(formatValidationIssue)).toEqual(expect.arrayContaining([
+    'nodes: flow must have a start node',
+    "log-ghost: edge target 'ghost' does not exist"
+  ]));
+});
+
+test('requires a sourceHandle on edges leaving a conditional', () => {
+  const { errors } = validateFlow(flow(
+    [node('start', 'start'), node('check', 'conditional', { expression: 'true' }), node('log', 'logger')],
+    [edge('start', 'check'), edge('check', 'log')]
+  ));
+  expect(errors).toContainEqual(expect.objectContaining({
+    nodeId: 'check',
+    message: "conditional edge to 'log' must have sourceHandle 'true' or 'false'"
+  }));
+
+  const fixed = validateFlow(flow(
+    [node('start', 'start'), node('check', 'conditional', { expression: 'true' }), node('log', 'logger')],
+    [edge('start', 'check'), edge('check', 'log', 'true')]
+  ));
+  expect(fixed.errors.filter(e => e.nodeId === 'check')).toEqual([]);
+});
+
+test('rejects cycles and points at interval timers', () => {
+  const { errors } = validateFlow(flow(
+    [node('start', 'start'), node('a', 'logger'), node('b', 'logger')],
+    [edge('start', 'a'), edge('a', 'b'), edge('b', 'a')]
+  ));
+  const cycle = errors.find(e => e.message.startsWith('cycle detected'));
+  expect(cycle.message).toMatch(/a → b → a|b → a → b/);
+  expect(cycle.message).toContain('use an interval timer for loops');
+});
+
+test('warns about unreachable nodes and undefined variables', () => {
+  const { valid, warnings } = validateFlow(flow(
+    [node('start', 'start'), node('log', 'logger', { message: '{missing}' }), node('orphan', 'logger')],
+    [edge('start', 'log')]
+  ));
+  expect(valid).toBe(true);
+  expect(warnings).toEqual(expect.arrayContaining([
+    expect.objectContaining({ nodeId: 'orphan', message: 'node is not reachable from the start node and will never run' }),
+    expect.objectContaining({ nodeId: 'log', message: "references variable '{missing}' which no Start variable or outputVariable defines" })
+  ]));
+});
+
+test('counts outputVariable and trigger payloads as defined', () => {
+  const { warnings } = validateFlow(flow(
+    [
+      node('start', 'start', { schedule: { every: '5 minutes' } }),
+      node('fetch', 'logger', { message: '{trigger}', outputVariable: 'result' }),
+      node('log', 'logger', { message: '{result}' })
+    ],
+    [edge('start', 'fetch'), edge('fetch', 'log')]
+  ));
+  expect(warnings.filter(w => w.message.startsWith('references'))).toEqual([]);
+});
+
+test('warns when only the first of several start nodes runs', () => {
+  const { warnings } = validateFlow(flow([node('one', 'start'), node('two', 'start')]));
+  expect(warnings).toContainEqual(expect.objectContaining({
+    nodeId: 'two',
+    message: "flow has 2 start nodes; only 'one' is executed"
+  }));
+});
@@ -0,0 +1,75 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Keystore } from '../src/services/keystore.js';
+
+// Well-known development key (first Hardhat/Anvil account); never holds funds
+const PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const ADDRESS = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+
+let dir;
+let keystore;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentpad-keystore-'));
+  keystore = new Keystore({ dir });
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('round-trips a key under its passphrase', () => {
+  expect(keystore.add('ops', PRIVATE_KEY, 'correct horse')).toMatchObject({ name: 'ops', address: ADDRESS });
+  expect(keystore.unlock('ops', 'correct horse')).toBe(PRIVATE_KEY);
+  // Keys without 0x are accepted too
+  keystore.add('ops2', PRIVATE_KEY.slice(2), 'correct horse');
+  expect(keystore.unlock('ops2', 'correct horse')).toBe(PRIVATE_KEY);
+});
+
+test('never writes the key or passphrase in the clear', () => {
+  keystore.add('ops', PRIVATE_KEY, 'correct horse');
+  const file = path.join(dir, 'ops.json');
+  const contents = fs.readFileSync(file, 'utf-8');
+  expect(contents).not.toContain(PRIVATE_KEY.slice(2));
+  expect(contents).not.toContain('correct horse');
+  expect(JSON.parse(contents)).toMatchObject({ name: 'ops', address: ADDRESS, crypto: { cipher: 'aes-256-gcm', kdf: 'scrypt' } });
+  expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+});
+
+test('lists wallets without a passphrase', () => {
+  keystore.add('treasury', PRIVATE_KEY, 'pw');
+  keystore.add('ops', PRIVATE_KEY, 'pw');
+  expect(keystore.list().map(({ name, address }) => ({ name, address }))).toEqual([
+    { name: 'ops', address: ADDRESS },
+    { name: 'treasury', address: ADDRESS }
+  ]);
+});
+
+test('refuses a wrong or missing passphrase', () => {
+  keystore.add('ops', PRIVATE_KEY, 'correct horse');
+  expect(() => keystore.unlock('ops', 'battery staple')).toThrow("Could not unlock wallet 'ops': wrong passphrase");
+  expect(() => keystore.unlock('ops', '')).toThrow('set AGENTPAD_KEYSTORE_PASSPHRASE to unlock it');
+});
+
+test('detects a wallet file that was renamed or edited', () => {
+  keystore.add('ops', PRIVATE_KEY, 'pw');
+  const wallet = JSON.parse(fs.readFileSync(path.join(dir, 'ops.json'), 'utf-8'));
+  fs.writeFileSync(path.join(dir, 'other.json'), JSON.stringify({ ...wallet, name: 'other' }));
+  expect(() => keystore.unlock('other', 'pw')).toThrow('corrupted keystore file');
+
+  fs.writeFileSync(path.join(dir, 'ops.json'), JSON.stringify({ ...wallet, address: '0x1111111111111111111111111111111111111111' }));
+  expect(() => keystore.unlock('ops', 'pw')).toThrow('corrupted keystore file');
+});
+
+test('validates names and keys and never overwrites a wallet', () => {
+  expect(() => keystore.add('../escape', PRIVATE_KEY, 'pw')).toThrow("Invalid wallet name '../escape'");
+  expect(() => keystore.unlock('../../etc/passwd', 'pw')).toThrow('Invalid wallet name');
+  expect(() => keystore.add('ops', '0x1234', 'pw')).toThrow('Private key must be 32 bytes of hex');
+  expect(() => keystore.add('ops', PRIVATE_KEY, '')).toThrow('A passphrase is required');
+
+  keystore.add('ops', PRIVATE_KEY, 'pw');
+  expect(() => keystore.add('ops', PRIVATE_KEY, 'pw')).toThrow("Wallet 'ops' already exists");
+  expect(keystore.remove('ops')).toEqual({ name: 'ops', address: ADDRESS });
+  expect(() => keystore.unlock('ops', 'pw')).toThrow("Wallet 'ops' not found");
+});
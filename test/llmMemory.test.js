@@ -0,0 +1,82 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { emptyCheckpoint } from '@langchain/langgraph';
+import { FileCheckpointSaver, resolveMemoryThread, validateMemoryConfig } from '../src/services/llmMemory.js';
+
+const config = { configurable: { thread_id: 'flow:Treasury:agent', checkpoint_ns: '' } };
+
+// Checkpoint ids sort by creation time, as LangGraph's uuid6 ids do
+function checkpoint(id, turns) {
+  return { ...emptyCheckpoint(), id, channel_values: { turns } };
+}
+
+async function turns(saver) {
+  return (await saver.getTuple(config))?.checkpoint.channel_values.turns;
+}
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentpad-memory-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('FileCheckpointSaver', () => {
+  test('a thread survives a restart and keeps only its latest checkpoint', async () => {
+    const saver = new FileCheckpointSaver({ dir });
+    await saver.put(config, checkpoint('001', ['hi']), {});
+    await saver.put({ configurable: { ...config.configurable, checkpoint_id: '001' } }, checkpoint('002', ['hi', 'again']), {});
+    expect(await turns(new FileCheckpointSaver({ dir }))).toEqual(['hi', 'again']);
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'flow%3ATreasury%3Aagent.json'), 'utf-8'));
+    expect(Object.keys(saved.storage[''])).toEqual(['002']);
+  });
+
+  test('savers sharing a thread see and keep each other\'s turns', async () => {
+    const first = new FileCheckpointSaver({ dir });
+    const second = new FileCheckpointSaver({ dir });
+    await first.put(config, checkpoint('001', ['first']), {});
+    expect(await turns(second)).toEqual(['first']);
+    await second.put(config, checkpoint('002', ['first', 'second']), {});
+    // The first saver has the thread cached but re-reads the changed file
+    expect(await turns(first)).toEqual(['first', 'second']);
+    await first.put(config, checkpoint('003', ['first', 'second', 'third']), {});
+    expect(await turns(new FileCheckpointSaver({ dir }))).toEqual(['first', 'second', 'third']);
+  });
+
+  test('of two overlapping turns the newer checkpoint is kept', async () => {
+    const first = new FileCheckpointSaver({ dir });
+    const second = new FileCheckpointSaver({ dir });
+    await first.put(config, checkpoint('001', ['base']), {});
+    await second.getTuple(config);
+    // Both turns start from '001'; the second saver finishes last with the older checkpoint
+    await first.put(config, checkpoint('003', ['base', 'newer']), {});
+    await second.put(config, checkpoint('002', ['base', 'older']), {});
+    expect(await turns(second)).toEqual(['base', 'newer']);
+    expect(await turns(new FileCheckpointSaver({ dir }))).toEqual(['base', 'newer']);
+    expect(fs.readdirSync(dir)).toEqual(['flow%3ATreasury%3Aagent.json']);
+  });
+
+  test('a dry run reads threads but never writes them', async () => {
+    await new FileCheckpointSaver({ dir }).put(config, checkpoint('001', ['real']), {});
+    const dryRun = new FileCheckpointSaver({ dir, persist: false });
+    expect(await turns(dryRun)).toEqual(['real']);
+    await dryRun.put(config, checkpoint('002', ['real', 'simulated']), {});
+    expect(await turns(new FileCheckpointSaver({ dir }))).toEqual(['real']);
+  });
+});
+
+test('each scope picks its thread', () => {
+  const ids = { runId: 'run_1', flowName: 'Treasury', nodeId: 'agent' };
+  expect(resolveMemoryThread({}, ids)).toBeNull();
+  expect(resolveMemoryThread({ scope: 'run' }, ids)).toBe('run:run_1:agent');
+  expect(resolveMemoryThread({ scope: 'flow' }, ids)).toBe('flow:Treasury:agent');
+  expect(resolveMemoryThread({ scope: 'thread', thread: 'desk' }, ids)).toBe('thread:desk');
+  expect(validateMemoryConfig({ scope: 'thread', maxMessages: 10, keepMessages: 10 })).toEqual([
+    { path: 'config.memory.thread', message: "scope 'thread' needs a thread name" },
+    { path: 'config.memory.keepMessages', message: 'must be less than maxMessages (10)' }
+  ]);
+});
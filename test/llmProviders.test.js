@@ -0,0 +1,42 @@
+import { apiKeyEnvError, providerConfigError, resolveProvider } from '../src/services/llmProviders.js';
+
+const saved = { ...process.env };
+
+beforeEach(() => {
+  delete process.env.ANTHROPIC_API_KEY;
+  delete process.env.OPENAI_COMPATIBLE_BASE_URL;
+  process.env.TEAM_B_API_KEY = 'sk-team-b';
+});
+
+afterEach(() => {
+  process.env = { ...saved };
+});
+
+test('names the variable a missing key belongs in', () => {
+  expect(providerConfigError(resolveProvider({ provider: 'anthropic' })))
+    .toBe('Anthropic API key not configured. Please set ANTHROPIC_API_KEY environment variable.');
+  process.env.ANTHROPIC_API_KEY = 'your_anthropic_api_key_here';
+  expect(resolveProvider({ provider: 'anthropic' }).apiKey).toBeNull();
+});
+
+test('reads the key from apiKeyEnv', () => {
+  const settings = resolveProvider({ provider: 'anthropic', apiKeyEnv: 'TEAM_B_API_KEY' });
+  expect(settings).toMatchObject({ apiKey: 'sk-team-b', model: 'claude-3-5-haiku-latest' });
+  expect(providerConfigError(settings)).toBeNull();
+});
+
+test.each(['SEI_PRIVATE_KEY', 'TELEGRAM_BOT_TOKEN', 'HOME'])('never reads a key from %s', (name) => {
+  process.env[name] = 'secret';
+  const settings = resolveProvider({ provider: 'anthropic', apiKeyEnv: name });
+  expect(settings.apiKey).toBeNull();
+  expect(providerConfigError(settings)).toBe(apiKeyEnvError(name));
+});
+
+test('local servers need a base URL or model rather than a key', () => {
+  expect(providerConfigError(resolveProvider({ provider: 'ollama' }))).toBeNull();
+  expect(providerConfigError(resolveProvider({ provider: 'openai-compatible', model: 'qwen' })))
+    .toBe('No base URL for the OpenAI-compatible provider. Set config.baseURL or OPENAI_COMPATIBLE_BASE_URL.');
+  expect(providerConfigError(resolveProvider({ provider: 'openai-compatible', baseURL: 'http://localhost:8000/v1' })))
+    .toBe('No model configured for the OpenAI-compatible provider. Set config.model.');
+  expect(() => resolveProvider({ provider: 'gemini' })).toThrow("Unknown LLM provider 'gemini'");
+});
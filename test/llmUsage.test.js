@@ -0,0 +1,124 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BackendFlowExecutor } from '../src/services/flowExecutor.js';
+import { LLMUsageLedger, budgetExceeded, formatUsage, priceFor, usageFromMessage } from '../src/services/llmUsage.js';
+
+let dir;
+let ledgerFile;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentpad-usage-'));
+  ledgerFile = path.join(dir, 'llm-usage.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const usage = (totalTokens, costUsd = 0) => ({ calls: 1, inputTokens: totalTokens, outputTokens: 0, totalTokens, toolCalls: 0, costUsd, unpricedCalls: 0 });
+
+test('prices calls by model prefix, explicit pricing or not at all', () => {
+  expect(priceFor({ name: 'openai', model: 'gpt-4o-mini-2024-07-18' })).toEqual({ input: 0.15 / 1e6, output: 0.6 / 1e6 });
+  expect(priceFor({ name: 'openai', model: 'gpt-4o' })).toEqual({ input: 2.5 / 1e6, output: 10 / 1e6 });
+  expect(priceFor({ name: 'ollama', model: 'llama3' })).toEqual({ input: 0, output: 0 });
+  expect(priceFor({ name: 'openai-compatible', model: 'mixtral' })).toBeNull();
+  expect(priceFor({ name: 'openai-compatible', model: 'mixtral' }, { inputPerMillion: 1, outputPerMillion: 2 })).toEqual({ input: 1e-6, output: 2e-6 });
+
+  const message = { usage_metadata: { input_tokens: 1000, output_tokens: 500 } };
+  expect(usageFromMessage(message, { input: 1e-6, output: 2e-6 })).toMatchObject({ calls: 1, totalTokens: 1500, costUsd: 0.002, unpricedCalls: 0 });
+  expect(usageFromMessage(message, null)).toMatchObject({ totalTokens: 1500, costUsd: 0, unpricedCalls: 1 });
+  expect(formatUsage(usageFromMessage(message, null))).toBe('1 call(s), 1000 in / 500 out tokens, 0 tool call(s), $0.0000 (+1 call(s) without a known price)');
+});
+
+test('a budget is exceeded once today\'s usage reaches either limit', () => {
+  expect(budgetExceeded({ maxCostUsd: 2 }, usage(0, 1.99), 'Bot')).toBeNull();
+  expect(budgetExceeded({ maxCostUsd: 2 }, usage(0, 2), 'Bot')).toBe("LLM budget of flow 'Bot' exceeded: $2.0000 of $2 spent today (UTC)");
+  expect(budgetExceeded({ maxTokens: 100 }, usage(100), 'Bot')).toBe("LLM budget of flow 'Bot' exceeded: 100 of 100 tokens used today (UTC)");
+  expect(budgetExceeded({}, usage(1e9, 1e9), 'Bot')).toBeNull();
+});
+
+test('the ledger adds up usage per flow and day and persists it', () => {
+  const ledger = new LLMUsageLedger({ file: ledgerFile });
+  ledger.record('Bot', usage(100, 0.5));
+  ledger.record('Bot', usage(50, 0.25));
+  ledger.record('Other', usage(10));
+
+  const reopened = new LLMUsageLedger({ file: ledgerFile });
+  expect(reopened.usedToday('Bot')).toMatchObject({ calls: 2, totalTokens: 150, costUsd: 0.75 });
+  expect(reopened.usedToday('Nobody')).toMatchObject({ calls: 0, totalTokens: 0 });
+  const [today] = reopened.listDays({ flowName: 'Other' });
+  expect(today.total).toMatchObject({ calls: 3, totalTokens: 160 });
+  expect(Object.keys(today.flows)).toEqual(['Other']);
+  expect(fs.existsSync(`${ledgerFile}.lock`)).toBe(false);
+});
+
+test('the ledger keeps the last 31 days', () => {
+  const old = {};
+  for (let day = 1; day <= 40; day++) {
+    old[`2020-01-${String(day).padStart(2, '0')}`] = { total: usage(1), flows: {} };
+  }
+  fs.writeFileSync(ledgerFile, JSON.stringify(old));
+  const ledger = new LLMUsageLedger({ file: ledgerFile });
+  ledger.record('Bot', usage(1));
+
+  const days = Object.keys(JSON.parse(fs.readFileSync(ledgerFile, 'utf-8'))).sort();
+  expect(days).toHaveLength(31);
+  expect(days[0]).toBe('2020-01-11');
+});
+
+describe('llmBudget', () => {
+  // Two LLM nodes that each use 80 tokens
+  function budgetFlow(llmBudget) {
+    const llm = id => ({ id, type: 'llm', data: { config: { input: 'Analyze', outputVariable: id } } });
+    return {
+      name: 'Budgeted',
+      llmBudget,
+      nodes: [{ id: 'start', type: 'start', data: { config: {} } }, llm('first'), llm('second')],
+      edges: [{ id: 'e1', source: 'start', target: 'first' }, { id: 'e2', source: 'first', target: 'second' }]
+    };
+  }
+
+  function run(flowData, usageLedger, calls) {
+    const executor = new BackendFlowExecutor('fixture-key', {
+      services: {
+        createLLMNode: (config, privateKey, network, { nodeId }) => {
+          const node = {
+            usage: null,
+            execute: async () => {
+              calls.push(nodeId);
+              node.usage = usage(80, 0.01);
+              return `answer from ${nodeId}`;
+            }
+          };
+          return node;
+        }
+      },
+      usageLedger,
+      startWebhookServer: false
+    });
+    return executor.executeFlow(flowData).then(() => executor);
+  }
+
+  test('halts the flow once today\'s usage reached the budget', async () => {
+    const ledger = new LLMUsageLedger({ file: ledgerFile });
+    const calls = [];
+    const executor = await run(budgetFlow({ maxTokens: 100 }), ledger, calls);
+    // Checked before each node, so the node that crosses the budget still runs
+    expect(calls).toEqual(['first', 'second']);
+    expect(executor.llmUsage.total).toMatchObject({ calls: 2, totalTokens: 160 });
+    expect(ledger.usedToday('Budgeted')).toMatchObject({ totalTokens: 160 });
+
+    await expect(run(budgetFlow({ maxTokens: 100 }), ledger, calls))
+      .rejects.toThrow("LLM budget of flow 'Budgeted' exceeded: 160 of 100 tokens used today (UTC)");
+    expect(calls).toEqual(['first', 'second']);
+  });
+
+  test('skips LLM nodes instead with onExceeded "skip"', async () => {
+    const ledger = new LLMUsageLedger({ file: null });
+    const calls = [];
+    const executor = await run(budgetFlow({ maxTokens: 50, onExceeded: 'skip' }), ledger, calls);
+    expect(calls).toEqual(['first']);
+    expect(executor.nodeResults.second).toMatchObject({ skipped: true, error: expect.stringContaining('80 of 50 tokens') });
+  });
+});
@@ -0,0 +1,80 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { NodeRegistry, nodeRegistry } from '../src/services/nodeRegistry.js';
+
+const execute = () => ({ ok: true });
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentpad-nodes-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('fills in defaults for a registered definition', () => {
+  const registry = new NodeRegistry();
+  registry.register({ type: 'echo', execute });
+  expect(registry.get('echo')).toMatchObject({
+    type: 'echo',
+    label: 'echo',
+    configSchema: { type: 'object' },
+    inputs: ['in'],
+    outputs: ['out'],
+    capabilities: {},
+    source: 'builtin'
+  });
+  expect(registry.has('echo')).toBe(true);
+  expect(registry.get('missing')).toBeNull();
+});
+
+test('rejects malformed and duplicate definitions', () => {
+  const registry = new NodeRegistry();
+  expect(() => registry.register({ execute }, 'nodes/a.js')).toThrow("Node definition from nodes/a.js must have a string 'type'");
+  expect(() => registry.register({ type: 'echo' }, 'nodes/a.js')).toThrow("Node type 'echo' from nodes/a.js must have an execute(node, context) function");
+  registry.register({ type: 'echo', execute }, 'nodes/a.js');
+  expect(() => registry.register({ type: 'echo', execute }, 'nodes/b.js')).toThrow("Node type 'echo' from nodes/b.js is already registered by nodes/a.js");
+});
+
+test('custom nodes cannot shadow built-in types', () => {
+  expect(() => nodeRegistry.register({ type: 'logger', execute }, 'nodes/logger.js')).toThrow('is already registered by builtin');
+});
+
+test('asks the definition whether a node writes to the chain', () => {
+  const blockchain = config => ({ type: 'blockchain', data: { config } });
+  expect(nodeRegistry.isChainWriteNode(blockchain({ selectedTool: 'sei_erc20_balance' }))).toBe(false);
+  expect(nodeRegistry.isChainWriteNode(blockchain({ selectedTool: 'sei_erc20_transfer' }))).toBe(true);
+  expect(nodeRegistry.isChainWriteNode({ type: 'llm', data: {} })).toBe(true);
+  expect(nodeRegistry.isChainWriteNode({ type: 'logger', data: {} })).toBe(false);
+  expect(nodeRegistry.isChainWriteNode({ type: 'unknown', data: {} })).toBe(false);
+});
+
+test('loads node files and packaged directories, skipping ones that fail', async () => {
+  fs.writeFileSync(path.join(dir, 'single.mjs'), "export default { type: 'single', execute: () => 1 };\n");
+  fs.writeFileSync(path.join(dir, 'many.js'), "export const nodes = [{ type: 'first', execute: () => 1 }, { type: 'second', execute: () => 2 }];\n");
+  fs.writeFileSync(path.join(dir, 'broken.mjs'), "export default { type: 'broken' };\n");
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a node');
+  fs.mkdirSync(path.join(dir, 'pkg'));
+  fs.writeFileSync(path.join(dir, 'pkg', 'index.js'), "export default { type: 'packaged', execute: () => 3 };\n");
+  // .js files here are ES modules like the rest of agentpad
+  fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ type: 'module' }));
+
+  const registry = new NodeRegistry();
+  await registry.loadCustomNodes({ dir, packages: [] });
+  expect(registry.list().map(d => d.type).sort()).toEqual(['first', 'packaged', 'second', 'single']);
+  expect(registry.get('single').source).toBe(path.relative(process.cwd(), path.join(dir, 'single.mjs')));
+
+  // Loaded once per process
+  fs.writeFileSync(path.join(dir, 'late.mjs'), "export default { type: 'late', execute: () => 1 };\n");
+  await registry.loadCustomNodes({ dir, packages: [] });
+  expect(registry.has('late')).toBe(false);
+});
+
+test('logs and skips node packages that cannot be imported', async () => {
+  const registry = new NodeRegistry();
+  await registry.loadCustomNodes({ dir: path.join(dir, 'absent'), packages: ['agentpad-nodes-that-do-not-exist'] });
+  expect(registry.list()).toEqual([]);
+});
@@ -0,0 +1,188 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PolicyEngine, describeContractWrite, describeSeiKitCall } from '../src/services/policy.js';
+
+const RECIPIENT = '0x1111111111111111111111111111111111111111';
+const OTHER = '0x2222222222222222222222222222222222222222';
+const USDC_ADDRESS = '0x3333333333333333333333333333333333333333';
+
+// Spending kept in memory and no audit file, as in the flow test harness
+const engine = policy => new PolicyEngine(policy, { ledgerFile: null, auditFile: null });
+const scope = { flowName: 'Treasury' };
+
+describe('describeSeiKitCall', () => {
+  test.each([
+    ['ERC20Transfer', ['5', RECIPIENT], { token: 'SEI', amount: 5, recipient: RECIPIENT }],
+    ['ERC20Transfer', ['20', RECIPIENT, 'USDC'], { token: 'USDC', amount: 20 }],
+    ['unstake', ['3'], { token: 'SEI', amount: 3 }],
+    ['borrowTakara', ['USDT', '40'], { token: 'USDT', amount: 40 }],
+    ['citrexWithdraw', ['15'], { token: 'USDC', amount: 15 }],
+    ['citrexPlaceOrder', [{ quantity: '2', price: '1.5' }], { token: 'USDC', amount: 3 }],
+    ['createOverlappingStrategy', ['SEI', 'USDC', 0, 0, 0, 0, '25'], { token: 'USDC', amount: 25 }]
+  ])('%s %j names what it spends', (method, args, expected) => {
+    expect(describeSeiKitCall(method, args)).toMatchObject(expected);
+  });
+
+  test('strategies spend both budgets', () => {
+    expect(describeSeiKitCall('createBuySellStrategy', ['SEI', 'USDC', 0, 0, 0, 0, '10', '4']).spends).toEqual([
+      { token: 'USDC', amount: 10 },
+      { token: 'SEI', amount: 4 }
+    ]);
+  });
+
+  test('flags methods it cannot check', () => {
+    expect(describeSeiKitCall('updateStrategy', [])).toMatchObject({ amountUnknown: true });
+    expect(describeSeiKitCall('drainEverything', [])).toMatchObject({ unknownMethod: true });
+  });
+});
+
+describe('PolicyEngine', () => {
+  test('rejects malformed policies', () => {
+    expect(() => engine({ limits: { SEI: { perWeek: 1 } } })).toThrow('Invalid transaction policy');
+    expect(() => engine({ allowedMethods: ['not a method'] })).toThrow("allowedMethods entry 'not a method'");
+  });
+
+  test('caps what one flow spends per day', async () => {
+    const policy = engine({ limits: { SEI: { perFlow: 10 } } });
+    await expect(policy.authorize({ action: 'ERC20Transfer', token: 'SEI', amount: 6 }, scope)).resolves.toBe('allowed');
+    await expect(policy.authorize({ action: 'ERC20Transfer', token: 'SEI', amount: 6 }, scope))
+      .rejects.toThrow('6 SEI would take this flow to 12 today (limit 10)');
+    // Other flows have their own allowance
+    await expect(policy.authorize({ action: 'ERC20Transfer', token: 'sei', amount: 6 }, { flowName: 'Other' })).resolves.toBe('allowed');
+  });
+
+  test('caps what all flows spend together', async () => {
+    const policy = engine({ limits: { USDC: { perDay: 100 } } });
+    await policy.authorize({ action: 'citrexDeposit', token: 'USDC', amount: 70 }, scope);
+    await expect(policy.authorize({ action: 'citrexDeposit', token: 'USDC', amount: 40 }, { flowName: 'Other' }))
+      .rejects.toThrow('would take all flows to 110 today (limit 100)');
+  });
+
+  test('counts every token a call spends', async () => {
+    const policy = engine({ limits: { SEI: { perFlow: 5 } } });
+    const strategy = describeSeiKitCall('createBuySellStrategy', ['SEI', 'USDC', 0, 0, 0, 0, '10', '8']);
+    await expect(policy.authorize(strategy, scope)).rejects.toThrow('8 SEI would take this flow to 8 today (limit 5)');
+  });
+
+  test('dry runs are checked but not counted', async () => {
+    const policy = engine({ limits: { SEI: { perFlow: 10 } } });
+    await policy.authorize({ action: 'stake', token: 'SEI', amount: 8 }, { ...scope, dryRun: true });
+    await expect(policy.authorize({ action: 'stake', token: 'SEI', amount: 8 }, scope)).resolves.toBe('allowed');
+  });
+
+  test('blocks amounts and methods it cannot check', async () => {
+    const policy = engine({ limits: { USDC: { perDay: 100 } } });
+    await expect(policy.authorize(describeSeiKitCall('citrexPlaceOrder', [{ quantity: '2' }]), scope))
+      .rejects.toThrow('amount NaN of USDC cannot be checked against the limits');
+    await expect(policy.authorize(describeSeiKitCall('updateStrategy', []), scope))
+      .rejects.toThrow('the amount updateStrategy moves cannot be checked');
+    await expect(policy.authorize(describeSeiKitCall('drainEverything', []), scope))
+      .rejects.toThrow('drainEverything is not a write the policy knows how to check');
+  });
+
+  test('checks recipients, contracts, methods and gas', async () => {
+    const policy = engine({
+      allowedRecipients: [RECIPIENT],
+      allowedContracts: [RECIPIENT],
+      allowedMethods: ['transfer(address,uint256)'],
+      maxGas: 100000
+    });
+    await expect(policy.authorize({ action: 'ERC20Transfer', recipient: RECIPIENT }, scope)).resolves.toBe('allowed');
+    await expect(policy.authorize({ action: 'ERC20Transfer', recipient: OTHER }, scope)).rejects.toThrow(`recipient ${OTHER} is not allowlisted`);
+
+    const abi = 'function approve(address spender, uint256 amount)';
+    const write = describeContractWrite({ contractAddress: RECIPIENT, abi, methodName: 'approve', parameters: { spender: OTHER, amount: '1' }, gasLimit: 200000 });
+    await expect(policy.authorize(write, scope)).rejects.toThrow(/method approve \(0x095ea7b3\) is not allowlisted; gas 200000 exceeds the maximum of 100000/);
+  });
+
+  test('concurrent writes cannot share one allowance', async () => {
+    const policy = engine({ limits: { SEI: { perFlow: 10 } }, maxGas: 100000 });
+    // Both wait on estimateGas after their limits are checked
+    const transfer = () => ({ action: 'ERC20Transfer', token: 'SEI', amount: 6, estimateGas: async () => 21000n });
+    const results = await Promise.allSettled([policy.authorize(transfer(), scope), policy.authorize(transfer(), scope)]);
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[1].reason.message).toMatch('would take this flow to 12 today (limit 10)');
+  });
+
+  test('a blocked, rejected or failed write gives its reservation back', async () => {
+    const policy = engine({ onViolation: 'approve', limits: { SEI: { perFlow: 10 } }, allowedRecipients: [RECIPIENT] });
+    await expect(policy.authorize({ action: 'ERC20Transfer', token: 'SEI', amount: 8, recipient: OTHER }, { ...scope, approve: async () => false }))
+      .rejects.toThrow('Transaction rejected by policy');
+    await expect(policy.authorize({ action: 'ERC20Transfer', token: 'SEI', amount: 8, recipient: OTHER }, { ...scope, approve: async () => { throw new Error('Telegram is down'); } }))
+      .rejects.toThrow('Telegram is down');
+    await expect(policy.authorize({ action: 'ERC20Transfer', token: 'SEI', amount: 8, recipient: RECIPIENT }, scope)).resolves.toBe('allowed');
+  });
+
+  test('engines sharing a ledger file count against the same caps', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentpad-policy-'));
+    const ledgerFile = path.join(dir, 'policy-ledger.json');
+    try {
+      const policy = { limits: { SEI: { perDay: 10 } } };
+      const first = new PolicyEngine(policy, { ledgerFile, auditFile: null });
+      const second = new PolicyEngine(policy, { ledgerFile, auditFile: null });
+      await first.authorize({ action: 'stake', token: 'SEI', amount: 7 }, scope);
+      await expect(second.authorize({ action: 'stake', token: 'SEI', amount: 7 }, { flowName: 'Other' })).rejects.toThrow('would take all flows to 14 today');
+      expect(Object.values(JSON.parse(fs.readFileSync(ledgerFile, 'utf-8')))[0].total).toEqual({ SEI: 7 });
+      expect(fs.existsSync(`${ledgerFile}.lock`)).toBe(false);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('a token counts the same by ticker or by its address in tokens', async () => {
+    const policy = engine({ tokens: { USDC: USDC_ADDRESS }, limits: { usdc: { perFlow: 100 } } });
+    await policy.authorize({ action: 'swap', token: USDC_ADDRESS, amount: 60 }, scope);
+    await expect(policy.authorize({ action: 'ERC20Transfer', token: 'USDC', amount: 60 }, scope))
+      .rejects.toThrow('60 USDC would take this flow to 120 today (limit 100)');
+  });
+
+  test('blocks a token it cannot match to a capped ticker or address', async () => {
+    const policy = engine({ limits: { USDC: { perFlow: 100 }, SEI: { perFlow: 100 } } });
+    await expect(policy.authorize({ action: 'swap', token: OTHER, amount: 1 }, scope))
+      .rejects.toThrow(`${OTHER} cannot be matched to the limits on USDC; name its address under 'tokens'`);
+    await expect(policy.authorize({ action: 'stake', token: 'SEI', amount: 1 }, scope)).resolves.toBe('allowed');
+  });
+
+  test('per-flow rules override the base rules', () => {
+    const policy = engine({ onViolation: 'block', limits: { SEI: { perDay: 50 } }, flows: { Treasury: { onViolation: 'approve', limits: { USDC: { perFlow: 5 } } } } });
+    expect(policy.rulesFor('Treasury')).toMatchObject({ onViolation: 'approve', limits: { SEI: { perDay: 50 }, USDC: { perFlow: 5 } } });
+    expect(policy.rulesFor('Other')).toMatchObject({ onViolation: 'block' });
+  });
+
+  describe('onViolation "approve"', () => {
+    const policy = () => engine({ onViolation: 'approve', limits: { SEI: { perFlow: 1 } } });
+    const request = { action: 'ERC20Transfer', token: 'SEI', amount: 5 };
+
+    test('a person can approve an exception', async () => {
+      await expect(policy().authorize(request, { ...scope, approve: async () => true })).resolves.toBe('approved');
+    });
+
+    test('a rejection blocks the write', async () => {
+      await expect(policy().authorize(request, { ...scope, approve: async () => false })).rejects.toThrow('Transaction rejected by policy');
+    });
+
+    test('without anyone to ask, the write is blocked', async () => {
+      await expect(policy().authorize(request, { ...scope, approve: async () => null }))
+        .rejects.toThrow('Transaction blocked by policy: 5 SEI would take this flow to 5 today (limit 1); no approval channel to ask for an exception');
+    });
+  });
+
+  test('the kit wrapper authorizes writes and passes reads through', async () => {
+    const sent = [];
+    const kit = {
+      getERC20Balance: async () => '100',
+      ERC20Transfer: async (...args) => {
+        sent.push(args);
+        return '0xhash';
+      },
+      drainEverything: async () => 'drained'
+    };
+    const wrapped = engine({ limits: { SEI: { perFlow: 10 } } }).createGuard(scope).wrapSeiKit(kit);
+    await expect(wrapped.getERC20Balance()).resolves.toBe('100');
+    await expect(wrapped.ERC20Transfer('4', RECIPIENT)).resolves.toBe('0xhash');
+    await expect(wrapped.ERC20Transfer('7', RECIPIENT)).rejects.toThrow('limit 10');
+    await expect(wrapped.drainEverything()).rejects.toThrow('is not a write the policy knows how to check');
+    expect(sent).toEqual([['4', RECIPIENT]]);
+  });
+});
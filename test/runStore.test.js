@@ -0,0 +1,81 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RunStore, hashFlow, isValidRunId } from '../src/services/runStore.js';
+
+let dir;
+let store;
+
+function startRun(runId, flowName = 'Treasury') {
+  return store.createRun({ runId, flowId: flowName.toLowerCase(), flowName, flowPath: null, flowHash: 'h' });
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentpad-runs-'));
+  store = new RunStore(path.join(dir, 'runs'), path.join(dir, 'checkpoints'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('records node executions and the outcome on disk', () => {
+  startRun('run_1_a');
+  store.recordNodeExecution('run_1_a', { nodeId: 'start', output: null });
+  store.recordNodeExecution('run_1_a', { nodeId: 'pay', output: { hash: 1n } });
+  store.finishRun('run_1_a', { status: 'completed', variables: { paid: true } });
+
+  const run = new RunStore(store.runsDir, store.checkpointsDir).getRun('run_1_a');
+  expect(run).toMatchObject({ status: 'completed', nodeExecutionCount: 2, variables: { paid: true }, pid: process.pid });
+  expect(run.nodes.map(node => [node.sequence, node.nodeId])).toEqual([[1, 'start'], [2, 'pay']]);
+  // BigInts from viem are stored as strings
+  expect(run.nodes[1].output).toEqual({ hash: '1' });
+  expect(run.durationMs).toBeGreaterThanOrEqual(0);
+  expect(fs.readdirSync(store.runsDir)).toEqual(['run_1_a.json']);
+});
+
+test('a run left running by a process that is gone reads as interrupted', () => {
+  startRun('run_2_a');
+  const file = store.getRunFile('run_2_a');
+  fs.writeFileSync(file, JSON.stringify({ ...JSON.parse(fs.readFileSync(file, 'utf-8')), pid: 2 ** 22 + 1 }));
+  const other = new RunStore(store.runsDir, store.checkpointsDir);
+  expect(other.getRun('run_2_a').status).toBe('interrupted');
+
+  const reopened = other.reopenRun('run_2_a');
+  expect(reopened).toMatchObject({ status: 'running', pid: process.pid, resumeCount: 1 });
+});
+
+test('finds runs by unique prefix and refuses IDs that are not plain names', () => {
+  startRun('run_3_abc');
+  startRun('run_3_abd');
+  expect(store.getRun('run_3_abc').runId).toBe('run_3_abc');
+  expect(() => store.getRun('run_3_ab')).toThrow("Run ID 'run_3_ab' is ambiguous");
+  expect(store.getRun('run_9')).toBeNull();
+  expect(store.getRun('../runs/run_3_abc')).toBeNull();
+  expect(() => store.readRun('../../etc/passwd')).toThrow('Invalid run ID');
+  expect(isValidRunId('run_1700000000000_x9')).toBe(true);
+});
+
+test('lists runs newest first, optionally for one flow', () => {
+  const times = { run_a: '2026-10-01T00:00:00.000Z', run_b: '2026-10-03T00:00:00.000Z', run_c: '2026-10-02T00:00:00.000Z' };
+  for (const [runId, startTime] of Object.entries(times)) {
+    store.write({ ...startRun(runId, runId === 'run_c' ? 'Other' : 'Treasury'), status: 'completed', startTime });
+  }
+  expect(store.listRuns().map(run => run.runId)).toEqual(['run_b', 'run_c', 'run_a']);
+  expect(store.listRuns({ flowName: 'Treasury' }).map(run => run.runId)).toEqual(['run_b', 'run_a']);
+  expect(store.listRuns({ limit: 1 })[0]).not.toHaveProperty('nodes');
+});
+
+test('keeps one checkpoint per run', () => {
+  store.saveCheckpoint('run_4_a', { completedNodes: ['start'] });
+  store.saveCheckpoint('run_4_a', { completedNodes: ['start', 'pay'] });
+  expect(store.getCheckpoint('run_4_a')).toMatchObject({ runId: 'run_4_a', completedNodes: ['start', 'pay'] });
+  expect(store.getCheckpoint('run_5')).toBeNull();
+  expect(store.getCheckpoint('../x')).toBeNull();
+});
+
+test('the flow hash only covers nodes and edges', () => {
+  const flow = { name: 'A', nodes: [{ id: 'start' }], edges: [] };
+  expect(hashFlow(flow)).toBe(hashFlow({ ...flow, name: 'B', timestamp: 'now' }));
+  expect(hashFlow(flow)).not.toBe(hashFlow({ ...flow, edges: [{ source: 'start', target: 'x' }] }));
+});
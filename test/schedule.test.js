@@ -0,0 +1,112 @@
+import { nextFireTime, parseCron, parseSchedule } from '../src/services/schedule.js';
+
+const next = (schedule, after) => nextFireTime(parseSchedule(schedule), new Date(after))?.toISOString() ?? null;
+
+describe('parseCron', () => {
+  test('expands ranges, steps, names and macros', () => {
+    const fields = parseCron('*/20 9-11 * jan,dec mon-fri');
+    expect([...fields.minute]).toEqual([0, 20, 40]);
+    expect([...fields.hour]).toEqual([9, 10, 11]);
+    expect([...fields.month]).toEqual([1, 12]);
+    expect([...fields.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    expect(parseCron('@daily').source).toBe('0 0 * * *');
+  });
+
+  test('treats day of week 7 as Sunday', () => {
+    expect([...parseCron('0 0 * * 7').dayOfWeek]).toEqual([0]);
+  });
+
+  test.each([
+    ['* * * *', 'must have 5 fields'],
+    ['61 * * * *', 'minute value 61 is outside 0-59'],
+    ['0 0 * * 5-1', "invalid day of week range '5-1'"],
+    ['*/0 * * * *', "invalid step '0' in minute"]
+  ])('rejects %s', (expression, message) => {
+    expect(() => parseCron(expression)).toThrow(message);
+  });
+});
+
+describe('parseSchedule', () => {
+  test('turns phrases into cron with their time zone', () => {
+    expect(parseSchedule('every weekday at 09:00 Europe/Berlin')).toMatchObject({
+      cron: '0 9 * * 1-5',
+      timezone: 'Europe/Berlin',
+      description: 'every weekday at 09:00 (Europe/Berlin)'
+    });
+    expect(parseSchedule({ every: 'monday and friday at 17:00', catchUp: true })).toMatchObject({
+      cron: '0 17 * * 1,5',
+      timezone: 'UTC',
+      catchUp: true
+    });
+    expect(parseSchedule('every 15 minutes').cron).toBe('*/15 * * * *');
+  });
+
+  test.each([
+    ['every 60 minutes', '0 * * * *'],
+    ['every 1 hour', '0 */1 * * *'],
+    ['every 6 hours', '0 */6 * * *'],
+    ['every 24 hours', '0 0 * * *']
+  ])('%s becomes %s', (phrase, cron) => {
+    expect(parseSchedule(phrase).cron).toBe(cron);
+  });
+
+  test.each([
+    [{ cron: '0 * * * *', every: 'hour' }, "exactly one of 'cron' or 'every'"],
+    ['every fooday at 10:00', "unknown day 'fooday'"],
+    ['every day at 25:00', "invalid time '25:00'"],
+    ['every 90 minutes', "'every 90 minutes' does not divide an hour evenly; use 1, 2, 3, 4, 5, 6, 10, 12, 15, 20, 30 or 60 minutes"],
+    ['every 7 minutes', "'every 7 minutes' does not divide an hour evenly"],
+    ['every 0 minutes', "'every 0 minutes' does not divide an hour evenly"],
+    ['every 30 hours', "'every 30 hours' does not divide a day evenly; use 1, 2, 3, 4, 6, 8, 12 or 24 hours"],
+    [{ cron: '0 * * * *', timezone: 'Mars/Olympus' }, "unknown time zone 'Mars/Olympus'"],
+    [{ every: 'day at 08:00 UTC', timezone: 'Europe/Berlin' }, 'names time zone UTC but timezone is Europe/Berlin']
+  ])('rejects %j', (schedule, message) => {
+    expect(() => parseSchedule(schedule)).toThrow(message);
+  });
+});
+
+describe('nextFireTime', () => {
+  test('skips to the next matching weekday', () => {
+    expect(next('0 9 * * 1-5', '2026-10-16T10:00:00Z')).toBe('2026-10-19T09:00:00.000Z');
+  });
+
+  test('fires when either restricted day field matches', () => {
+    // Friday 2 October comes before the 13th
+    expect(next('0 0 13 * 5', '2026-10-01T00:00:00Z')).toBe('2026-10-02T00:00:00.000Z');
+  });
+
+  test('returns null for dates that never happen', () => {
+    expect(next('0 0 30 2 *', '2026-01-01T00:00:00Z')).toBeNull();
+  });
+
+  test('follows the local wall clock across a DST change', () => {
+    const schedule = { every: 'day at 09:00', timezone: 'America/New_York' };
+    expect(next(schedule, '2026-03-06T15:00:00Z')).toBe('2026-03-07T14:00:00.000Z');
+    expect(next(schedule, '2026-03-07T15:00:00Z')).toBe('2026-03-08T13:00:00.000Z');
+  });
+
+  describe('Europe/Berlin, clocks forward on 2026-03-29 02:00', () => {
+    test('a firing in the skipped hour runs right after the gap', () => {
+      expect(next({ cron: '30 2 * * *', timezone: 'Europe/Berlin' }, '2026-03-28T12:00:00Z')).toBe('2026-03-29T01:00:00.000Z');
+    });
+
+    test('the day after, it runs at 02:30 again', () => {
+      expect(next({ cron: '30 2 * * *', timezone: 'Europe/Berlin' }, '2026-03-29T01:00:00Z')).toBe('2026-03-30T00:30:00.000Z');
+    });
+  });
+
+  describe('Europe/Berlin, clocks back on 2026-10-25 03:00', () => {
+    const schedule = { cron: '30 2 * * *', timezone: 'Europe/Berlin' };
+
+    test('a fixed-hour firing in the repeated hour runs once', () => {
+      expect(next(schedule, '2026-10-24T12:00:00Z')).toBe('2026-10-25T00:30:00.000Z');
+      expect(next(schedule, '2026-10-25T00:30:00Z')).toBe('2026-10-26T01:30:00.000Z');
+    });
+
+    test('hourly schedules keep running through the repeated hour', () => {
+      const hourly = { cron: '0 * * * *', timezone: 'Europe/Berlin' };
+      expect(next(hourly, '2026-10-25T00:00:00Z')).toBe('2026-10-25T01:00:00.000Z');
+      expect(next(hourly, '2026-10-25T01:00:00Z')).toBe('2026-10-25T02:00:00.000Z');
+    });
+  });
+});
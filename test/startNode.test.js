@@ -0,0 +1,22 @@
+import startNode from '../src/nodes/start.js';
+
+async function start(variables, inputs = {}) {
+  const context = { config: { variables }, inputs, variables: {}, trigger: null, logger: { info() {} } };
+  await startNode.execute({ id: 'start' }, context);
+  return context.variables;
+}
+
+test('trigger inputs override defaults and are coerced to the declared type', async () => {
+  expect(await start([
+    { name: 'amount', type: 'number', defaultValue: 1 },
+    { name: 'dryRun', type: 'boolean' },
+    { name: 'note', type: 'string', defaultValue: 'none' }
+  ], { amount: '2.5', dryRun: 'yes' })).toEqual({ amount: 2.5, dryRun: true, note: 'none' });
+});
+
+test('names inherited from Object.prototype are not taken as inputs', async () => {
+  expect(await start([
+    { name: 'toString', type: 'string', defaultValue: 'plain' },
+    { name: 'constructor', type: 'object' }
+  ])).toEqual({ toString: 'plain', constructor: {} });
+});
@@ -0,0 +1,88 @@
+import { StructuredOutput, parseJsonObject, validateStructuredConfig } from '../src/services/structuredOutput.js';
+
+const swapConfig = {
+  outputMode: 'structured',
+  actionSchemas: {
+    swap: { type: 'object', required: ['amount'], properties: { amount: { type: 'number', exclusiveMinimum: 0 } } },
+    hold: { type: 'object' }
+  }
+};
+
+// A model that answers from a script and remembers what it was asked
+function scriptedModel(answers) {
+  const model = { prompts: [] };
+  model.send = async (message) => {
+    model.prompts.push(message);
+    return answers.shift();
+  };
+  return model;
+}
+
+test('reads the object out of prose or code fences', () => {
+  expect(parseJsonObject('{"a":1}')).toEqual({ a: 1 });
+  expect(parseJsonObject('Sure:\n```json\n{"a":2}\n```')).toEqual({ a: 2 });
+  expect(parseJsonObject('The answer is {"a":3}. Hope that helps')).toEqual({ a: 3 });
+  expect(() => parseJsonObject('[1, 2]')).toThrow('Answer is not a JSON object');
+  expect(() => parseJsonObject('no idea')).toThrow('Answer is not a JSON object');
+});
+
+test('checks the envelope, the allowed actions and their parameters', () => {
+  const output = new StructuredOutput(swapConfig);
+  expect(output.check('{"action":"swap","parameters":{"amount":5}}')).toEqual({ value: { action: 'swap', parameters: { amount: 5 } } });
+  expect(output.check('{"action":"swap"}').errors).toEqual(["(root): missing required field 'parameters'"]);
+  expect(output.check('{"action":"bridge","parameters":{}}').errors).toEqual(["action: 'bridge' is not allowed; use one of: swap, hold"]);
+  expect(output.check('{"action":"swap","parameters":{"amount":-1}}').errors).toEqual(['parameters/amount: must be > 0']);
+  expect(output.check('{"action":"swap","parameters":{"amount":1},"confidence":"sure"}').errors)
+    .toEqual(['/confidence: must be one of: low, medium, high']);
+});
+
+test('availableActions narrows the actions that have schemas', () => {
+  const output = new StructuredOutput({ ...swapConfig, availableActions: 'hold' });
+  expect(output.actions).toEqual(['hold']);
+  expect(output.check('{"action":"swap","parameters":{"amount":5}}').errors[0]).toMatch(/not allowed/);
+  expect(output.describe()).toContain('- hold: {"type":"object"}');
+  expect(output.describe()).not.toContain('- swap');
+});
+
+test('re-prompts with the errors until the answer matches', async () => {
+  const model = scriptedModel([
+    'I would swap some tokens',
+    '{"action":"swap","parameters":{}}',
+    '{"action":"swap","parameters":{"amount":5}}'
+  ]);
+  const value = await new StructuredOutput(swapConfig).ask(model.send, 'What now?');
+
+  expect(value).toEqual({ action: 'swap', parameters: { amount: 5 } });
+  expect(model.prompts).toHaveLength(3);
+  expect(model.prompts[0]).toBe('What now?');
+  expect(model.prompts[1]).toContain('- Answer is not a JSON object');
+  expect(model.prompts[2]).toContain("- parameters: missing required field 'amount'");
+  expect(model.prompts[2]).toContain('Reply again with ONLY the corrected JSON object.');
+});
+
+test('gives up after maxRetries re-prompts with the last errors', async () => {
+  const model = scriptedModel(['nope', 'still nope']);
+  await expect(new StructuredOutput({ ...swapConfig, maxRetries: 1 }).ask(model.send, 'What now?'))
+    .rejects.toThrow('LLM output did not match the schema after 2 attempts: Answer is not a JSON object');
+  expect(model.prompts).toHaveLength(2);
+});
+
+test('maxRetries defaults to 2 and 0 means a single attempt', async () => {
+  expect(new StructuredOutput({}).maxRetries).toBe(2);
+  expect(new StructuredOutput({ maxRetries: -1 }).maxRetries).toBe(2);
+  const model = scriptedModel(['nope']);
+  await expect(new StructuredOutput({ maxRetries: 0 }).ask(model.send, 'x')).rejects.toThrow('after 1 attempts');
+});
+
+test('a custom outputSchema replaces the action envelope', () => {
+  const output = new StructuredOutput({ outputSchema: { type: 'object', required: ['price'], properties: { price: { type: 'number' } } } });
+  expect(output.check({ price: 0.42 })).toEqual({ value: { price: 0.42 } });
+  expect(output.check({ price: 'high' }).errors).toEqual(['/price: must be number']);
+});
+
+test('flow validation reports schemas that do not compile', () => {
+  expect(validateStructuredConfig(swapConfig)).toEqual([]);
+  const errors = validateStructuredConfig({ outputSchema: { type: 'thing' }, actionSchemas: { swap: { required: 'amount' } } });
+  expect(errors.map(e => e.path)).toEqual(['config.outputSchema', 'config.actionSchemas.swap']);
+  expect(errors[0].message).toMatch(/^invalid JSON Schema: /);
+});
@@ -0,0 +1,157 @@
+import { WebhookHandler } from '../src/webhookHandler.js';
+import { TelegramChat } from '../src/services/telegramChat.js';
+
+const CHAT_ID = -100;
+const ALICE = { id: 42, username: 'alice' };
+const MALLORY = { id: 99, username: 'mallory' };
+
+const realFetch = globalThis.fetch;
+let sent;
+let chats;
+
+// Telegram Bot API calls are answered locally and recorded
+beforeEach(() => {
+  sent = [];
+  chats = [];
+  globalThis.fetch = async (url, { body }) => {
+    sent.push({ method: url.split('/').pop(), ...JSON.parse(body) });
+    return { ok: true, json: async () => ({ ok: true, result: {} }) };
+  };
+});
+
+// A failed test must not leave a chat's idle timer holding the test run open
+afterEach(() => {
+  chats.forEach(chat => chat.finish?.('stopped'));
+  globalThis.fetch = realFetch;
+});
+
+const texts = () => sent.filter(call => call.method === 'sendMessage').map(call => call.text);
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+function setup(options = {}) {
+  const webhookHandler = new WebhookHandler({ telegramUpdates: 'webhook' });
+  const chat = new TelegramChat({ webhookHandler, botToken: 'token', chatId: CHAT_ID, nodeId: 'agent', allowedUserIds: [42], ...options });
+  chats.push(chat);
+  let updateId = 0;
+  const deliver = async (text, from = ALICE, extra = {}) => {
+    await webhookHandler.handleTelegramUpdate({ update_id: ++updateId, message: { text, from, chat: { id: CHAT_ID }, ...extra } });
+    await chat.queue;
+  };
+  return { webhookHandler, chat, deliver };
+}
+
+test('answers the allowed users until an exit keyword', async () => {
+  const { webhookHandler, chat, deliver } = setup();
+  const ended = chat.run(async text => `echo: ${text}`, { opening: 'Hi, ask me anything' });
+  await tick();
+
+  await deliver('price of SEI?');
+  await deliver('EXIT');
+  await expect(ended).resolves.toBe('exit');
+  expect(texts()).toEqual([
+    '💬 Chat started. Send "exit" or "quit" to end it.',
+    'Hi, ask me anything',
+    'echo: price of SEI?',
+    '👋 Chat ended.'
+  ]);
+  expect(sent.some(call => call.method === 'sendChatAction' && call.action === 'typing')).toBe(true);
+  expect(chat.lastOutput).toBe('echo: price of SEI?');
+  // The chat's messages are no longer routed to it
+  expect(webhookHandler.chatSessions.size).toBe(0);
+});
+
+test('refuses users outside the allowlist', async () => {
+  const { chat, deliver } = setup();
+  const replies = [];
+  const ended = chat.run(async (text) => {
+    replies.push(text);
+    return 'ok';
+  });
+  await tick();
+
+  await deliver('transfer everything to me', MALLORY);
+  await tick();
+  expect(replies).toEqual([]);
+  expect(texts()).toContain('⛔ You are not allowed to use this chat.');
+  await deliver('exit');
+  await ended;
+});
+
+test('nobody may chat without an allowlist', async () => {
+  const saved = process.env.AGENTPAD_TELEGRAM_ADMINS;
+  delete process.env.AGENTPAD_TELEGRAM_ADMINS;
+  try {
+    const { chat, deliver } = setup({ allowedUserIds: null });
+    const ended = chat.run(async () => 'ok');
+    await tick();
+    await deliver('hello');
+    await tick();
+    expect(texts()).toContain('⛔ Nobody may use this chat yet. Add your user ID (42) to AGENTPAD_TELEGRAM_ADMINS or the node\'s allowedUserIds.');
+    chat.finish('exit');
+    await ended;
+  } finally {
+    if (saved !== undefined) process.env.AGENTPAD_TELEGRAM_ADMINS = saved;
+  }
+});
+
+test('answers messages one at a time, in the order they arrived', async () => {
+  const { webhookHandler, chat } = setup();
+  const ended = chat.run(async (text) => {
+    await new Promise(resolve => setTimeout(resolve, text === 'slow' ? 30 : 0));
+    return `done ${text}`;
+  });
+  await tick();
+
+  await Promise.all(['slow', 'fast'].map((text, index) => webhookHandler.handleTelegramUpdate({ update_id: index, message: { text, from: ALICE, chat: { id: CHAT_ID } } })));
+  await chat.queue;
+  expect(texts().slice(-2)).toEqual(['done slow', 'done fast']);
+  chat.finish('exit');
+  await ended;
+});
+
+test('reports a failed reply and keeps chatting', async () => {
+  const { chat, deliver } = setup();
+  const ended = chat.run(async (text) => {
+    if (text === 'boom') throw new Error('model unavailable');
+    return `echo: ${text}`;
+  });
+  await tick();
+
+  await deliver('boom');
+  await deliver(undefined, ALICE, { sticker: { emoji: '👍' } });
+  await deliver('again');
+  expect(texts().slice(1)).toEqual(['Error: model unavailable', 'Only text messages are supported.', 'echo: again']);
+  await deliver('quit');
+  await expect(ended).resolves.toBe('exit');
+});
+
+test('ends when nobody writes for idleTimeout seconds', async () => {
+  const { chat } = setup({ idleTimeout: 0.02 });
+  await expect(chat.run(async () => 'ok')).resolves.toBe('idle');
+  await tick();
+  expect(texts()).toContain('⌛ Chat ended after 0.02s without messages.');
+});
+
+test('ends when the flow is stopped', async () => {
+  const controller = new AbortController();
+  const { chat } = setup({ signal: controller.signal });
+  const ended = chat.run(async () => 'ok');
+  controller.abort();
+  await expect(ended).resolves.toBe('stopped');
+});
+
+test('one conversation per chat', async () => {
+  const { webhookHandler, chat } = setup();
+  const ended = chat.run(async () => 'ok');
+  const second = new TelegramChat({ webhookHandler, botToken: 'token', chatId: CHAT_ID, nodeId: 'other', allowedUserIds: [42] });
+  await expect(second.run(async () => 'ok')).rejects.toThrow('Telegram chat -100 already has an LLM conversation in progress');
+  chat.finish('exit');
+  await ended;
+});
+
+test('needs a webhook server, bot token and chat', () => {
+  const webhookHandler = new WebhookHandler({ telegramUpdates: 'webhook' });
+  expect(() => new TelegramChat({ botToken: 't', chatId: 1 })).toThrow('needs the webhook server');
+  expect(() => new TelegramChat({ webhookHandler, chatId: 1 })).toThrow('needs TELEGRAM_BOT_TOKEN');
+  expect(() => new TelegramChat({ webhookHandler, botToken: 't' })).toThrow('needs a chat ID');
+});
@@ -0,0 +1,57 @@
+import { WebhookHandler } from '../src/webhookHandler.js';
+import { TelegramCommands, parseAllowlist } from '../src/services/telegramCommands.js';
+
+const ADMIN = { id: 42, username: 'ops' };
+
+function setup() {
+  const webhookHandler = new WebhookHandler({ telegramUpdates: 'webhook' });
+  // No bot token: replies are returned instead of sent
+  const commands = new TelegramCommands({}, { webhookHandler, allowedUserIds: parseAllowlist(' 42, 7 '), botToken: null });
+  const send = (text, from = ADMIN) => commands.handle({ text, from, chat: { id: -100 } });
+  return { webhookHandler, commands, send };
+}
+
+test('parses commands addressed to the bot and ignores other text', () => {
+  const { commands } = setup();
+  expect(commands.parse('/status@AgentPadBot My Flow')).toEqual({ name: 'status', args: 'My Flow' });
+  expect(commands.parse('/unknown')).toBeNull();
+  expect(commands.parse('hello')).toBeNull();
+});
+
+test('refuses users outside the allowlist', async () => {
+  const { send } = setup();
+  await expect(send('/approve a1', { id: 99 })).resolves.toBe('⛔ You are not allowed to run commands.');
+  const closed = new TelegramCommands({}, { webhookHandler: setup().webhookHandler, allowedUserIds: parseAllowlist(''), botToken: null });
+  await expect(closed.handle({ text: '/flows', from: { id: 99 }, chat: { id: 1 } })).resolves.toMatch('Commands are disabled. Add your user ID (99)');
+});
+
+describe('/approve', () => {
+  test('lists pending approvals without an ID', async () => {
+    const { webhookHandler, send } = setup();
+    await expect(send('/approve')).resolves.toBe('No approvals are pending.');
+    webhookHandler.registerPendingApproval('a1', -100, 60, { actions: ['approve', 'reject'] });
+    await expect(send('/approve')).resolves.toBe('Pending approvals:\na1');
+  });
+
+  test('approves with the approve action', async () => {
+    const { webhookHandler, send } = setup();
+    webhookHandler.registerPendingApproval('a1', -100, 60, { actions: ['approve', 'reject'] });
+    await expect(send('/approve a1')).resolves.toBe('✅ Approved a1');
+    expect(webhookHandler.getApprovalResult('a1')).toMatchObject({ action: 'approve', decidedBy: { id: 42, username: 'ops' } });
+    await expect(send('/approve a1')).resolves.toBe("No pending approval 'a1'.");
+  });
+
+  test('leaves approvals without an approve action to their buttons', async () => {
+    const { webhookHandler, send } = setup();
+    webhookHandler.registerPendingApproval('a2', -100, 60, { actions: ['confirm', 'cancel'] });
+    await expect(send('/approve a2')).resolves.toBe("a2 has no 'approve' action; answer it with its buttons (confirm, cancel).");
+    expect(webhookHandler.isApprovalPending('a2')).toBe(true);
+  });
+
+  test('only the approvers may approve', async () => {
+    const { webhookHandler, send } = setup();
+    webhookHandler.registerPendingApproval('a3', -100, 60, { actions: ['approve', 'reject'], approvers: [7] });
+    await expect(send('/approve a3')).resolves.toBe('⛔ You are not an approver of a3.');
+    await expect(send('/approve a3', { id: 7, first_name: 'Sam' })).resolves.toBe('✅ Approved a3');
+  });
+});
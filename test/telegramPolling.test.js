@@ -0,0 +1,111 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TelegramPoller, readTelegramOffsets } from '../src/services/telegramPolling.js';
+
+const realFetch = globalThis.fetch;
+let dir;
+let offsetFile;
+let calls;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentpad-polling-'));
+  offsetFile = path.join(dir, 'telegram-updates.json');
+  calls = [];
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// A Bot API that answers getUpdates with the scripted batches (or errors), then holds the
+// request open like a long poll until it is aborted
+function fakeTelegram(batches) {
+  globalThis.fetch = (url, { body, signal }) => {
+    const method = url.split('/').pop();
+    calls.push({ method, ...JSON.parse(body) });
+    const reply = result => Promise.resolve({ ok: true, json: async () => ({ ok: true, result }) });
+    if (method !== 'getUpdates') return reply(true);
+    const next = batches.shift();
+    if (next instanceof Error) return Promise.resolve({ ok: false, statusText: 'Conflict', json: async () => ({ ok: false, description: next.message }) });
+    if (next) return reply(next);
+    return new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')), { once: true });
+    });
+  };
+  // Resolves once the poller is waiting on a getUpdates with nothing left to deliver
+  return () => new Promise((resolve) => {
+    const check = () => (calls.filter(c => c.method === 'getUpdates').length > 0 && batches.length === 0 && calls.at(-1).method === 'getUpdates'
+      ? resolve()
+      : setTimeout(check, 1));
+    check();
+  });
+}
+
+const update = (id, text = `message ${id}`) => ({ update_id: id, message: { text, chat: { id: 1 } } });
+
+test('handles updates in order and confirms each with the next offset', async () => {
+  const idle = fakeTelegram([[update(10), update(11)], [update(12)]]);
+  const handled = [];
+  const poller = new TelegramPoller({ botToken: '123:abc', offsetFile, onUpdate: u => handled.push(u.update_id) });
+  poller.start();
+  await idle();
+  await poller.stop();
+
+  expect(handled).toEqual([10, 11, 12]);
+  expect(calls.map(c => c.method)).toEqual(['deleteWebhook', 'getUpdates', 'getUpdates', 'getUpdates']);
+  expect(calls[1]).not.toHaveProperty('offset');
+  expect(calls[1]).toMatchObject({ timeout: 30, allowed_updates: ['message', 'callback_query'] });
+  expect(calls.slice(2).map(c => c.offset)).toEqual([12, 13]);
+  expect(readTelegramOffsets(offsetFile)).toEqual({ 123: 13 });
+  expect(poller.running).toBe(false);
+});
+
+test('a restarted poller carries on after the last handled update', async () => {
+  fs.writeFileSync(offsetFile, JSON.stringify({ 123: 40, 999: 7 }));
+  const idle = fakeTelegram([[update(40)]]);
+  const poller = new TelegramPoller({ botToken: '123:abc', offsetFile, onUpdate: () => {} });
+  poller.start();
+  await idle();
+  await poller.stop();
+
+  expect(calls.filter(c => c.method === 'getUpdates').map(c => c.offset)).toEqual([40, 41]);
+  // Other bots' offsets are kept
+  expect(readTelegramOffsets(offsetFile)).toEqual({ 123: 41, 999: 7 });
+});
+
+test('an update that fails to handle is not fetched again', async () => {
+  const idle = fakeTelegram([[update(1), update(2)]]);
+  const handled = [];
+  const poller = new TelegramPoller({
+    botToken: '123:abc',
+    offsetFile,
+    onUpdate: (u) => {
+      if (u.update_id === 1) throw new Error('handler bug');
+      handled.push(u.update_id);
+    }
+  });
+  poller.start();
+  await idle();
+  await poller.stop();
+
+  expect(handled).toEqual([2]);
+  expect(readTelegramOffsets(offsetFile)).toEqual({ 123: 3 });
+});
+
+test('stop() ends a poller that is waiting to retry', async () => {
+  fakeTelegram([new Error('Conflict: terminated by other getUpdates request')]);
+  const poller = new TelegramPoller({ botToken: '123:abc', offsetFile, onUpdate: () => {} });
+  poller.start();
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const started = Date.now();
+  await poller.stop();
+  expect(Date.now() - started).toBeLessThan(1000);
+  expect(calls.map(c => c.method)).toEqual(['deleteWebhook', 'getUpdates']);
+});
+
+test('needs a bot token', () => {
+  expect(() => new TelegramPoller({ onUpdate: () => {} })).toThrow('Telegram polling needs TELEGRAM_BOT_TOKEN');
+});
@@ -0,0 +1,24 @@
+import { UserApprovalNode } from '../src/services/userApprovalNode.js';
+import { approvalCallbackData } from '../src/webhookHandler.js';
+
+const context = { variables: {}, nodeResults: {} };
+
+test('generated IDs fit the approval buttons', () => {
+  const { approvalId } = new UserApprovalNode({}, context);
+  expect(approvalId).toMatch(/^approval_\d+_[a-z0-9]+$/);
+  expect(() => approvalCallbackData(approvalId, 9)).not.toThrow();
+});
+
+test.each([
+  ['a configured ID', { approvalId: 'x'.repeat(49) }, {}],
+  ['a configured ID', { approvalId: 'pay out' }, {}],
+  ['a resumed ID', {}, { resume: { approvalId: 'ap:0:forged' } }]
+])('refuses %s that cannot go on a button before waiting', (_, config, extra) => {
+  expect(() => new UserApprovalNode(config, { ...context, ...extra })).toThrow(/^Invalid approval ID/);
+});
+
+test('the longest allowed ID still fits with a two-digit action index', () => {
+  const approvalId = 'x'.repeat(48);
+  expect(new UserApprovalNode({ approvalId }, context).approvalId).toBe(approvalId);
+  expect(() => approvalCallbackData(approvalId, 99)).not.toThrow();
+});
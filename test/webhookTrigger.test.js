@@ -0,0 +1,81 @@
+import { FlowHookTrigger, getWebhookTrigger, signWebhookPayload, verifyWebhookSignature } from '../src/services/webhookTrigger.js';
+
+const SECRET = 'test-secret';
+const NOW = Date.UTC(2026, 9, 19, 12, 0, 0);
+const timestamp = String(NOW / 1000);
+const rawBody = '{"amount":5}';
+
+function headers(overrides = {}) {
+  return {
+    'x-agentpad-timestamp': timestamp,
+    'x-agentpad-signature': signWebhookPayload(SECRET, timestamp, rawBody),
+    ...overrides
+  };
+}
+
+describe('verifyWebhookSignature', () => {
+  test('accepts a request signed over "<timestamp>.<raw body>"', () => {
+    expect(signWebhookPayload(SECRET, timestamp, rawBody)).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(verifyWebhookSignature(SECRET, headers(), rawBody, NOW)).toBeNull();
+  });
+
+  test('rejects a changed body, another secret or a malformed signature', () => {
+    expect(verifyWebhookSignature(SECRET, headers(), '{"amount":500}', NOW)).toBe('signature does not match');
+    expect(verifyWebhookSignature('other-secret', headers(), rawBody, NOW)).toBe('signature does not match');
+    expect(verifyWebhookSignature(SECRET, headers({ 'x-agentpad-signature': 'sha256=abc' }), rawBody, NOW)).toBe('signature does not match');
+  });
+
+  test('rejects missing headers', () => {
+    expect(verifyWebhookSignature(SECRET, headers({ 'x-agentpad-signature': undefined }), rawBody, NOW)).toMatch(/^missing/);
+    expect(verifyWebhookSignature(SECRET, headers({ 'x-agentpad-timestamp': undefined }), rawBody, NOW)).toMatch(/^missing/);
+  });
+
+  test('rejects timestamps outside five minutes, so captured requests cannot be replayed', () => {
+    expect(verifyWebhookSignature(SECRET, headers(), rawBody, NOW + 4 * 60 * 1000)).toBeNull();
+    expect(verifyWebhookSignature(SECRET, headers(), rawBody, NOW + 6 * 60 * 1000)).toMatch(/outside the allowed window/);
+    expect(verifyWebhookSignature(SECRET, headers(), rawBody, NOW - 6 * 60 * 1000)).toMatch(/outside the allowed window/);
+    expect(verifyWebhookSignature(SECRET, headers({ 'x-agentpad-timestamp': '1e9' }), rawBody, NOW)).toMatch(/malformed/);
+  });
+});
+
+describe('getWebhookTrigger', () => {
+  const flow = webhookTrigger => ({ nodes: [{ id: 'start', type: 'start', data: { config: { webhookTrigger } } }] });
+
+  test('requires a signature by default', () => {
+    expect(getWebhookTrigger(flow(true))).toMatchObject({ secretEnv: 'AGENTPAD_WEBHOOK_SECRET', requireSignature: true, sync: false });
+    expect(getWebhookTrigger(flow({ secretEnv: 'OTHER_SECRET', sync: true }))).toMatchObject({ secretEnv: 'OTHER_SECRET', requireSignature: true, sync: true });
+    expect(getWebhookTrigger(flow(undefined))).toBeNull();
+  });
+});
+
+describe('FlowHookTrigger', () => {
+  function response() {
+    return {
+      statusCode: 200,
+      body: null,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      }
+    };
+  }
+
+  test.each(['no_such_flow', '../flows/coingecko_data', '/etc/passwd'])('only starts flows saved in flows/ (%s)', async (flowId) => {
+    const started = [];
+    const res = response();
+    await new FlowHookTrigger({ startRun: flowData => started.push(flowData) }).handle({ params: { flowId }, headers: {}, query: {} }, res);
+    expect(res.statusCode).toBe(404);
+    expect(started).toEqual([]);
+  });
+
+  test('refuses flows without a webhookTrigger', async () => {
+    const res = response();
+    await new FlowHookTrigger({}).handle({ params: { flowId: 'coingecko_data' }, headers: {}, query: {} }, res);
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toMatch(/does not have a webhookTrigger/);
+  });
+});